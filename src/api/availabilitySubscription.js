@@ -0,0 +1,133 @@
+const appendQuery = (url, params) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+
+  if (!query) {
+    return url;
+  }
+
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+const resolveSubscriptionUrl = (url, {
+  eventTypeId,
+  timezone,
+  hostId,
+  embedContext,
+}) => {
+  if (typeof url === 'function') {
+    return url({
+      eventTypeId,
+      timezone,
+      hostId,
+      embedContext,
+    });
+  }
+
+  return appendQuery(url, {
+    event_type_id: eventTypeId,
+    timezone,
+    host_id: hostId,
+    embed_key: embedContext?.key,
+  });
+};
+
+const parseMessage = (raw) => {
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (_error) {
+    return null;
+  }
+};
+
+export const createEventSourceSubscription = ({
+  url,
+  withCredentials = false,
+  EventSourceImpl = null,
+}) => ({
+  subscribe: (params, onEvent) => {
+    const EventSourceClass = EventSourceImpl || (typeof EventSource !== 'undefined' ? EventSource : null);
+    if (!EventSourceClass || !url) {
+      return () => {};
+    }
+
+    const source = new EventSourceClass(resolveSubscriptionUrl(url, params), { withCredentials });
+    let hasOpened = false;
+
+    source.onopen = () => {
+      if (hasOpened) {
+        onEvent({ type: 'resync' });
+      }
+      hasOpened = true;
+    };
+
+    source.onmessage = (message) => {
+      const event = parseMessage(message.data);
+      if (event) {
+        onEvent(event);
+      }
+    };
+
+    return () => {
+      source.close();
+    };
+  },
+});
+
+export const createWebSocketSubscription = ({
+  url,
+  reconnectDelayMs = 2000,
+  WebSocketImpl = null,
+}) => ({
+  subscribe: (params, onEvent) => {
+    const WebSocketClass = WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    if (!WebSocketClass || !url) {
+      return () => {};
+    }
+
+    let socket = null;
+    let closed = false;
+    let hasOpened = false;
+    let reconnectTimer = null;
+
+    const connect = () => {
+      socket = new WebSocketClass(resolveSubscriptionUrl(url, params));
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          type: 'subscribe',
+          event_type_id: params.eventTypeId,
+          timezone: params.timezone,
+          host_id: params.hostId || undefined,
+        }));
+
+        if (hasOpened) {
+          onEvent({ type: 'resync' });
+        }
+        hasOpened = true;
+      };
+
+      socket.onmessage = (message) => {
+        const event = parseMessage(message.data);
+        if (event) {
+          onEvent(event);
+        }
+      };
+
+      socket.onclose = () => {
+        if (!closed) {
+          reconnectTimer = setTimeout(connect, reconnectDelayMs);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      socket?.close();
+    };
+  },
+});
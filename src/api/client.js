@@ -1,4 +1,62 @@
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+import {
+  DEFAULT_API_BASE_URL,
+  DEFAULT_CIRCUIT_COOLDOWN_MS,
+  DEFAULT_CIRCUIT_FAILURE_THRESHOLD,
+  DEFAULT_REQUEST_TIMEOUT_MS,
+} from '../constants';
+import { DEFAULT_I18N } from '../utils/i18n';
+import { OfflineError, SchedulerApiError, createSchedulerError } from './errors';
+
+const createAbortError = (t) => new SchedulerApiError(t('errors.requestCancelled'), {
+  status: 0,
+  code: 'ABORTED',
+});
+
+const createTimeoutError = (timeoutMs, t) => new SchedulerApiError(
+  t('errors.requestTimeout'),
+  {
+    status: 0,
+    code: 'TIMEOUT',
+    details: { timeoutMs },
+  }
+);
+
+const createCircuitOpenError = (retryAfter, t) => new SchedulerApiError(
+  t('errors.serviceUnavailable'),
+  {
+    status: 503,
+    code: 'CIRCUIT_OPEN',
+    retryAfter,
+  }
+);
+
+const createNetworkError = (cause, t) => new SchedulerApiError(
+  t('errors.networkError'),
+  {
+    status: 0,
+    code: 'NETWORK_ERROR',
+    cause,
+  }
+);
+
+const sleep = (ms, signal, t) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError(t));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError(t));
+  };
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
 
 const calculateBackoff = (attempt, baseDelay = 1000, maxDelay = 12000) => {
   const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
@@ -61,68 +119,401 @@ const normalizeBaseUrl = (value) => {
   return value.endsWith('/') ? value.slice(0, -1) : value;
 };
 
-const normalizeError = (response, data) => {
-  const error = new Error(
-    data?.message
-      || data?.error
-      || (response.status === 429
-        ? 'Too many requests. Please try again in a moment.'
-        : 'Request failed')
-  );
-
-  error.status = response.status;
-  error.code = data?.code;
-  error.retryAfter = data?.retryAfter || parseRetryAfterHeader(response.headers.get('Retry-After'));
-  error.alternatives = data?.alternatives || [];
-  error.suggestions = data?.suggestions || [];
-  error.actionUrl = data?.actionUrl;
-  error.details = data;
+const readEnvApiBaseUrl = () => {
+  try {
+    return process.env.CALEMLY_API_URL || null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+export const resolveApiBaseUrl = (value) => value || readEnvApiBaseUrl() || DEFAULT_API_BASE_URL;
+
+const readJsonBody = async (response, signal) => {
+  try {
+    return await response.json();
+  } catch (error) {
+    if (signal.aborted) {
+      throw error;
+    }
+
+    return {};
+  }
+};
+
+const normalizeError = (response, data, t) => createSchedulerError(
+  data?.message
+    || data?.error
+    || (response.status === 429
+      ? t('errors.tooManyRequests')
+      : t('errors.requestFailed')),
+  {
+    status: response.status,
+    code: data?.code || null,
+    retryAfter: data?.retryAfter || parseRetryAfterHeader(response.headers.get('Retry-After')),
+    alternatives: data?.alternatives || [],
+    suggestions: data?.suggestions || [],
+    actionUrl: data?.actionUrl || null,
+    details: data,
+  }
+);
+
+const resolveOption = (value) => (typeof value === 'function' ? value() : value);
+
+const resolveInterceptorList = (interceptors) => {
+  const list = resolveOption(interceptors);
+  return Array.isArray(list) ? list.filter(Boolean) : [];
+};
+
+const resolveTimeoutMs = (timeouts, operation) => {
+  const config = resolveOption(timeouts);
+
+  if (Number.isFinite(config)) {
+    return config;
+  }
+
+  if (operation && Number.isFinite(config?.[operation])) {
+    return config[operation];
+  }
+
+  return Number.isFinite(config?.default) ? config.default : DEFAULT_REQUEST_TIMEOUT_MS;
+};
+
+const buildRequestKey = (endpoint, headers = {}) => {
+  const sortedHeaders = Object.keys(headers)
+    .sort()
+    .map((key) => `${key.toLowerCase()}=${headers[key]}`)
+    .join('&');
+
+  return `${endpoint}|${sortedHeaders}`;
+};
+
+const createRequestCoalescer = (t) => {
+  const inFlight = new Map();
+
+  return (key, signal, run) => {
+    let entry = inFlight.get(key);
+
+    if (!entry) {
+      const controller = new AbortController();
+      entry = {
+        controller,
+        subscribers: 0,
+        promise: null,
+      };
+
+      const current = entry;
+      current.promise = run(controller.signal).finally(() => {
+        if (inFlight.get(key) === current) {
+          inFlight.delete(key);
+        }
+      });
+      current.promise.catch(() => {});
+      inFlight.set(key, current);
+    }
+
+    const shared = entry;
+    shared.subscribers += 1;
+
+    const release = () => {
+      shared.subscribers -= 1;
+
+      // Defer the abort so a caller that re-subscribes in the same tick
+      // (React StrictMode effect replay) reuses the request.
+      setTimeout(() => {
+        if (shared.subscribers === 0 && inFlight.get(key) === shared) {
+          inFlight.delete(key);
+          shared.controller.abort();
+        }
+      }, 0);
+    };
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const onAbort = () => {
+        if (settled) {
+          return;
+        }
+
+        settled = true;
+        release();
+        reject(createAbortError(t));
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      shared.promise.then(
+        (data) => {
+          if (settled) {
+            return;
+          }
+
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          resolve(data);
+        },
+        (error) => {
+          if (settled) {
+            return;
+          }
+
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  };
+};
+
+const createCircuitBreaker = ({ config, onChange, t }) => {
+  let circuit = {
+    status: 'closed',
+    failures: 0,
+    openUntil: null,
+  };
+
+  const resolveConfig = () => {
+    const value = resolveOption(config);
+    if (value === false) {
+      return null;
+    }
+
+    return {
+      failureThreshold: value?.failureThreshold || DEFAULT_CIRCUIT_FAILURE_THRESHOLD,
+      cooldownMs: value?.cooldownMs || DEFAULT_CIRCUIT_COOLDOWN_MS,
+    };
+  };
+
+  const update = (next) => {
+    const changed = next.status !== circuit.status;
+    circuit = next;
+
+    if (changed && typeof onChange === 'function') {
+      onChange({ ...circuit });
+    }
+  };
+
+  return {
+    getState: () => ({ ...circuit }),
+    assertClosed: () => {
+      if (!resolveConfig() || circuit.status !== 'open') {
+        return;
+      }
+
+      const remainingMs = circuit.openUntil - Date.now();
+      if (remainingMs > 0) {
+        throw createCircuitOpenError(Math.ceil(remainingMs / 1000), t);
+      }
+
+      update({ ...circuit, status: 'half_open' });
+    },
+    recordSuccess: () => {
+      if (circuit.status === 'closed' && circuit.failures === 0) {
+        return;
+      }
+
+      update({ status: 'closed', failures: 0, openUntil: null });
+    },
+    recordFailure: () => {
+      const settings = resolveConfig();
+      if (!settings) {
+        return;
+      }
+
+      const failures = circuit.failures + 1;
+      if (circuit.status === 'half_open' || failures >= settings.failureThreshold) {
+        update({ status: 'open', failures, openUntil: Date.now() + settings.cooldownMs });
+        return;
+      }
+
+      update({ ...circuit, failures });
+    },
+  };
+};
+
+const runRequestInterceptors = async (interceptors, context) => {
+  let nextContext = context;
+
+  for (const interceptor of resolveInterceptorList(interceptors)) {
+    if (typeof interceptor.onRequest !== 'function') {
+      continue;
+    }
+
+    const result = await interceptor.onRequest(nextContext);
+    if (result && typeof result === 'object') {
+      nextContext = {
+        ...nextContext,
+        ...result,
+        headers: result.headers || nextContext.headers,
+      };
+    }
+  }
+
+  return nextContext;
+};
+
+const runResponseInterceptors = async (interceptors, context) => {
+  let data = context.data;
+
+  for (const interceptor of resolveInterceptorList(interceptors)) {
+    if (typeof interceptor.onResponse !== 'function') {
+      continue;
+    }
+
+    const result = await interceptor.onResponse({ ...context, data });
+    if (result !== undefined) {
+      data = result;
+    }
+  }
+
+  return data;
+};
+
+const runErrorInterceptors = async (interceptors, context) => {
+  let error = context.error;
+
+  for (const interceptor of resolveInterceptorList(interceptors)) {
+    if (typeof interceptor.onError !== 'function') {
+      continue;
+    }
+
+    const result = await interceptor.onError({ ...context, error });
+    if (result instanceof Error) {
+      error = result;
+    }
+  }
+
   return error;
 };
 
-export const createSchedulerApi = ({ baseUrl }) => {
+export const createSchedulerApi = ({
+  baseUrl,
+  transport = null,
+  interceptors = [],
+  timeouts = null,
+  circuitBreaker = null,
+  onCircuitChange = null,
+  t = DEFAULT_I18N.t,
+}) => {
   const safeBaseUrl = normalizeBaseUrl(baseUrl);
+  const send = (url, init) => (typeof transport === 'function' ? transport(url, init) : fetch(url, init));
+  const circuit = createCircuitBreaker({ config: circuitBreaker, onChange: onCircuitChange, t });
+  const coalesce = createRequestCoalescer(t);
 
-  const request = async (
+  const performRequest = async (
     endpoint,
-    { method = 'GET', body, headers = {}, retryConfig = { maxRetries: 2, retryOn429: true } } = {}
+    {
+      method = 'GET',
+      body,
+      headers = {},
+      operation = null,
+      signal = null,
+      timeoutMs = null,
+      retryConfig = { maxRetries: 2, retryOn429: true },
+    } = {}
   ) => {
     if (typeof navigator !== 'undefined' && navigator.onLine === false) {
-      const error = new Error('You appear to be offline. Check your internet connection and try again.');
-      error.status = 0;
-      error.code = 'OFFLINE';
-      throw error;
+      const error = new OfflineError(t('errors.requestOffline'));
+      throw await runErrorInterceptors(interceptors, {
+        endpoint,
+        method,
+        body,
+        attempt: 0,
+        error,
+      });
     }
 
+    const attemptTimeoutMs = Number.isFinite(timeoutMs) ? timeoutMs : resolveTimeoutMs(timeouts, operation);
     let attempt = 0;
     let lastError = null;
 
     while (attempt <= retryConfig.maxRetries) {
+      if (signal?.aborted) {
+        throw createAbortError(t);
+      }
+
+      circuit.assertClosed();
+
+      const requestContext = await runRequestInterceptors(interceptors, {
+        url: `${safeBaseUrl}${endpoint}`,
+        endpoint,
+        method,
+        body,
+        operation,
+        attempt,
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers,
+        },
+      });
+
+      if (signal?.aborted) {
+        throw createAbortError(t);
+      }
+
       try {
-        const response = await fetch(`${safeBaseUrl}${endpoint}`, {
-          method,
-          headers: {
-            'Content-Type': 'application/json',
-            ...headers,
-          },
-          body: body ? JSON.stringify(body) : undefined,
-        });
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        let timedOut = false;
+        const timer = attemptTimeoutMs > 0
+          ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, attemptTimeoutMs)
+          : null;
+        signal?.addEventListener('abort', onAbort, { once: true });
 
-        let data = {};
+        let response;
+        let data;
         try {
-          data = await response.json();
-        } catch (_error) {
-          data = {};
+          response = await send(requestContext.url, {
+            method: requestContext.method,
+            headers: requestContext.headers,
+            body: requestContext.body ? JSON.stringify(requestContext.body) : undefined,
+            signal: controller.signal,
+          });
+          data = await readJsonBody(response, controller.signal);
+        } catch (transportError) {
+          const error = signal?.aborted
+            ? createAbortError(t)
+            : timedOut
+              ? createTimeoutError(attemptTimeoutMs, t)
+              : createNetworkError(transportError, t);
+
+          throw await runErrorInterceptors(interceptors, {
+            ...requestContext,
+            error,
+          });
+        } finally {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+        }
+
+        if (response.status >= 500) {
+          circuit.recordFailure();
+        } else {
+          circuit.recordSuccess();
         }
 
         if (!response.ok) {
-          const error = normalizeError(response, data);
+          const error = await runErrorInterceptors(interceptors, {
+            ...requestContext,
+            response,
+            error: normalizeError(response, data, t),
+          });
 
-          if (response.status === 429 && retryConfig.retryOn429 && attempt < retryConfig.maxRetries) {
+          if (error.status === 429 && retryConfig.retryOn429 && attempt < retryConfig.maxRetries) {
             const waitMs = error.retryAfter
               ? error.retryAfter * 1000
               : calculateBackoff(attempt);
-            await sleep(waitMs);
+            await sleep(waitMs, signal, t);
             attempt += 1;
             continue;
           }
@@ -130,10 +521,18 @@ export const createSchedulerApi = ({ baseUrl }) => {
           throw error;
         }
 
-        return data;
+        return await runResponseInterceptors(interceptors, {
+          ...requestContext,
+          response,
+          data,
+        });
       } catch (error) {
         lastError = error;
 
+        if (error?.code === 'ABORTED' || error?.code === 'CIRCUIT_OPEN') {
+          throw error;
+        }
+
         const isClientError = error?.status >= 400 && error?.status < 500 && error?.status !== 429;
         if (isClientError) {
           throw error;
@@ -141,7 +540,7 @@ export const createSchedulerApi = ({ baseUrl }) => {
 
         if (attempt < retryConfig.maxRetries) {
           const waitMs = calculateBackoff(attempt);
-          await sleep(waitMs);
+          await sleep(waitMs, signal, t);
           attempt += 1;
           continue;
         }
@@ -150,53 +549,157 @@ export const createSchedulerApi = ({ baseUrl }) => {
       }
     }
 
-    throw lastError || new Error('Request failed');
+    throw lastError || new SchedulerApiError(t('errors.requestFailed'));
+  };
+
+  const request = (endpoint, options = {}) => {
+    const { method = 'GET', headers = {}, signal = null, dedupe = true } = options;
+
+    if (method !== 'GET' || dedupe === false) {
+      return performRequest(endpoint, options);
+    }
+
+    return coalesce(
+      buildRequestKey(endpoint, headers),
+      signal,
+      (sharedSignal) => performRequest(endpoint, {
+        ...options,
+        signal: sharedSignal,
+      })
+    );
   };
 
   return {
-    getEmbedEventTypes: (embed) => request('/embed/public/event-types', {
+    getCircuitState: () => circuit.getState(),
+    getEmbedEventTypes: (embed, options = {}) => request('/embed/public/event-types', {
       headers: buildEmbedHeaders(embed),
+      operation: 'getEmbedEventTypes',
+      ...options,
     }),
-    getEventType: ({ slug, org }, embed) => {
+    getEventType: ({ slug, org }, embed, options = {}) => {
       const query = toQueryString({ org });
       return request(`/bookings/public/event/${encodeURIComponent(slug)}${query}`, {
         headers: buildEmbedHeaders(embed),
+        operation: 'getEventType',
+        ...options,
       });
     },
-    getSlots: ({ eventTypeId, startDate, endDate, timezone }, embed) => request(
+    getSlots: ({
+      eventTypeId,
+      startDate,
+      endDate,
+      timezone,
+      hostId,
+    }, embed, options = {}) => request(
       `/bookings/public/slots${toQueryString({
         event_type_id: eventTypeId,
         start_date: startDate,
         end_date: endDate,
         timezone,
+        host_id: hostId,
       })}`,
       {
         headers: buildEmbedHeaders(embed),
+        operation: 'getSlots',
+        ...options,
       }
     ),
-    createBooking: (payload, embed) => request('/bookings/public', {
+    createBooking: (payload, embed, options = {}) => request('/bookings/public', {
+      method: 'POST',
+      body: payload,
+      headers: buildEmbedHeaders(embed),
+      operation: 'createBooking',
+      ...options,
+    }),
+    createBookingBatch: (payload, embed, options = {}) => request('/bookings/public/batch', {
       method: 'POST',
       body: payload,
       headers: buildEmbedHeaders(embed),
+      operation: 'createBookingBatch',
+      ...options,
     }),
-    getSignedWidgetToken: (payload, embed) => request('/embed/public/widget-token', {
+    createSlotHold: (payload, embed, options = {}) => request('/bookings/public/holds', {
       method: 'POST',
       body: payload,
       headers: buildEmbedHeaders(embed),
+      operation: 'createSlotHold',
+      retryConfig: { maxRetries: 0, retryOn429: false },
+      ...options,
     }),
-    autoSuggest: ({ eventTypeId, timezone }, embed) => request(
-      `/bookings/auto-suggest${toQueryString({ event_type_id: eventTypeId, timezone })}`,
+    renewSlotHold: (holdId, embed, options = {}) => request(`/bookings/public/holds/${encodeURIComponent(holdId)}/renew`, {
+      method: 'POST',
+      headers: buildEmbedHeaders(embed),
+      operation: 'renewSlotHold',
+      ...options,
+    }),
+    releaseSlotHold: (holdId, embed, options = {}) => request(`/bookings/public/holds/${encodeURIComponent(holdId)}`, {
+      method: 'DELETE',
+      headers: buildEmbedHeaders(embed),
+      operation: 'releaseSlotHold',
+      ...options,
+    }),
+    getPublicBooking: ({ bookingId, email, token }, embed, options = {}) => request(
+      `/bookings/public/${encodeURIComponent(bookingId)}${toQueryString({ email, token })}`,
+      {
+        headers: buildEmbedHeaders(embed),
+        operation: 'getPublicBooking',
+        ...options,
+      }
+    ),
+    rescheduleBooking: (bookingId, payload, embed, options = {}) => request(
+      `/bookings/public/${encodeURIComponent(bookingId)}/reschedule`,
+      {
+        method: 'POST',
+        body: payload,
+        headers: buildEmbedHeaders(embed),
+        operation: 'rescheduleBooking',
+        ...options,
+      }
+    ),
+    cancelBooking: (bookingId, payload, embed, options = {}) => request(
+      `/bookings/public/${encodeURIComponent(bookingId)}/cancel`,
+      {
+        method: 'POST',
+        body: payload,
+        headers: buildEmbedHeaders(embed),
+        operation: 'cancelBooking',
+        ...options,
+      }
+    ),
+    getSignedWidgetToken: (payload, embed, options = {}) => request('/embed/public/widget-token', {
+      method: 'POST',
+      body: payload,
+      headers: buildEmbedHeaders(embed),
+      operation: 'getSignedWidgetToken',
+      ...options,
+    }),
+    autoSuggest: ({
+      eventTypeId,
+      timezone,
+      partySize,
+      hostId,
+    }, embed, options = {}) => request(
+      `/bookings/auto-suggest${toQueryString({
+        event_type_id: eventTypeId,
+        timezone,
+        party_size: partySize,
+        host_id: hostId,
+      })}`,
       {
         headers: buildEmbedHeaders(embed),
+        operation: 'autoSuggest',
+        ...options,
       }
     ),
-    getRecentTemplates: (params, embed) => request(
+    getRecentTemplates: (params, embed, options = {}) => request(
       `/bookings/public/recent-templates${toQueryString(params)}`,
       {
         headers: buildEmbedHeaders(embed),
+        operation: 'getRecentTemplates',
+        ...options,
       }
     ),
-    getSuggestions: (params, embed) => request(
+    getSuggestions: (params, embed, options = {}) => request(
       `/bookings/suggestions${toQueryString({
         calendar_id: params?.calendarId,
         event_type_id: params?.eventTypeId,
@@ -207,49 +710,67 @@ export const createSchedulerApi = ({ baseUrl }) => {
       })}`,
       {
         headers: buildEmbedHeaders(embed),
+        operation: 'getSuggestions',
+        ...options,
       }
     ),
-    submitSuggestionFeedback: (payload, embed) => request('/bookings/suggestions/feedback', {
+    submitSuggestionFeedback: (payload, embed, options = {}) => request('/bookings/suggestions/feedback', {
       method: 'POST',
       body: payload,
       headers: buildEmbedHeaders(embed),
+      operation: 'submitSuggestionFeedback',
+      ...options,
     }),
-    savePreferences: (payload, embed) => request('/bookings/public/preferences', {
+    savePreferences: (payload, embed, options = {}) => request('/bookings/public/preferences', {
       method: 'POST',
       body: payload,
       headers: buildEmbedHeaders(embed),
+      operation: 'savePreferences',
+      ...options,
     }),
-    clearPreferences: (payload, embed) => request('/bookings/public/preferences', {
+    clearPreferences: (payload, embed, options = {}) => request('/bookings/public/preferences', {
       method: 'DELETE',
       body: payload,
       headers: buildEmbedHeaders(embed),
+      operation: 'clearPreferences',
+      ...options,
     }),
-    getEventPaymentInfo: (eventTypeId, embed) => request(
+    getEventPaymentInfo: (eventTypeId, embed, options = {}) => request(
       `/billing/public/event-payment/${encodeURIComponent(eventTypeId)}`,
       {
         headers: buildEmbedHeaders(embed),
+        operation: 'getEventPaymentInfo',
+        ...options,
       }
     ),
-    getPublicMeeting: (bookingId, email, embed) => request(
+    getPublicMeeting: (bookingId, email, embed, options = {}) => request(
       `/meetings/public/${encodeURIComponent(bookingId)}${toQueryString({ email })}`,
       {
         headers: buildEmbedHeaders(embed),
+        operation: 'getPublicMeeting',
+        ...options,
       }
     ),
-    createPaymentIntent: (payload, embed) => request('/billing/public/create-payment-intent', {
+    createPaymentIntent: (payload, embed, options = {}) => request('/billing/public/create-payment-intent', {
       method: 'POST',
       body: payload,
       headers: buildEmbedHeaders(embed),
+      operation: 'createPaymentIntent',
+      ...options,
     }),
-    createPayPalOrder: (payload, embed) => request('/billing/public/create-paypal-order', {
+    createPayPalOrder: (payload, embed, options = {}) => request('/billing/public/create-paypal-order', {
       method: 'POST',
       body: payload,
       headers: buildEmbedHeaders(embed),
+      operation: 'createPayPalOrder',
+      ...options,
     }),
-    capturePayPalOrder: (payload, embed) => request('/billing/public/capture-paypal-order', {
+    capturePayPalOrder: (payload, embed, options = {}) => request('/billing/public/capture-paypal-order', {
       method: 'POST',
       body: payload,
       headers: buildEmbedHeaders(embed),
+      operation: 'capturePayPalOrder',
+      ...options,
     }),
   };
 };
@@ -0,0 +1,117 @@
+export class SchedulerApiError extends Error {
+  constructor(message, {
+    status = 0,
+    code = null,
+    retryAfter = null,
+    alternatives = [],
+    suggestions = [],
+    actionUrl = null,
+    details = null,
+    cause = null,
+  } = {}) {
+    super(message || 'Request failed');
+    this.name = 'SchedulerApiError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.alternatives = Array.isArray(alternatives) ? alternatives : [];
+    this.suggestions = Array.isArray(suggestions) ? suggestions : [];
+    this.actionUrl = actionUrl;
+    this.details = details;
+
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+export class SlotConflictError extends SchedulerApiError {
+  constructor(message, fields = {}) {
+    super(message, { status: 409, ...fields, code: 'SLOT_CONFLICT' });
+    this.name = 'SlotConflictError';
+  }
+}
+
+export class SlotLockedError extends SchedulerApiError {
+  constructor(message, fields = {}) {
+    super(message, { status: 423, ...fields, code: 'SLOT_LOCKED' });
+    this.name = 'SlotLockedError';
+  }
+}
+
+export class RateLimitError extends SchedulerApiError {
+  constructor(message, fields = {}) {
+    super(message, { code: 'RATE_LIMITED', ...fields, status: 429 });
+    this.name = 'RateLimitError';
+  }
+}
+
+export class OfflineError extends SchedulerApiError {
+  constructor(message, fields = {}) {
+    super(message, { ...fields, status: 0, code: 'OFFLINE' });
+    this.name = 'OfflineError';
+  }
+}
+
+export class TemplateInvalidError extends SchedulerApiError {
+  constructor(message, fields = {}) {
+    super(message, { status: 422, ...fields, code: 'TEMPLATE_INVALID' });
+    this.name = 'TemplateInvalidError';
+  }
+}
+
+export class BookingCancelledError extends SchedulerApiError {
+  constructor(message, fields = {}) {
+    super(message, { ...fields, code: 'BOOKING_CANCELLED' });
+    this.name = 'BookingCancelledError';
+  }
+}
+
+const resolveErrorClass = ({ status, code }) => {
+  if (code === 'OFFLINE') {
+    return OfflineError;
+  }
+
+  if (status === 429) {
+    return RateLimitError;
+  }
+
+  if (code === 'SLOT_CONFLICT') {
+    return SlotConflictError;
+  }
+
+  if (code === 'SLOT_LOCKED') {
+    return SlotLockedError;
+  }
+
+  if (code === 'TEMPLATE_INVALID') {
+    return TemplateInvalidError;
+  }
+
+  if (code === 'BOOKING_CANCELLED') {
+    return BookingCancelledError;
+  }
+
+  return SchedulerApiError;
+};
+
+export const createSchedulerError = (message, fields = {}) => {
+  const ErrorClass = resolveErrorClass(fields);
+  return new ErrorClass(message, fields);
+};
+
+export const toSchedulerError = (error, overrides = {}) => {
+  const fields = {
+    status: Number.isFinite(error?.status) ? error.status : 0,
+    code: error?.code || null,
+    retryAfter: error?.retryAfter ?? null,
+    alternatives: error?.alternatives,
+    suggestions: error?.suggestions,
+    actionUrl: error?.actionUrl || null,
+    details: error?.details || null,
+    cause: error?.cause || null,
+    ...overrides,
+  };
+
+  return createSchedulerError(overrides.message || error?.message, fields);
+};
@@ -0,0 +1,109 @@
+import React from 'react';
+import clsx from 'clsx';
+import { AlertCircle, ShoppingCart, X } from 'lucide-react';
+import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { useI18n } from '../hooks/useI18n';
+import { getCartTotal } from '../utils/cart';
+import { Button } from './common/Button';
+
+export function BookingCart({
+  items,
+  error,
+  userTimezone,
+  onRemove,
+  onCheckout,
+  className = '',
+}) {
+  const scheduler = useOptionalSchedulerContext();
+  const state = scheduler?.state;
+  const actions = scheduler?.actions;
+  const {
+    t,
+    dir,
+    formatCurrency,
+    formatDateShort,
+    formatTime,
+  } = useI18n();
+
+  const resolvedItems = items || state?.cart || [];
+  const resolvedError = error !== undefined ? error : state?.error || '';
+  const resolvedUserTimezone = userTimezone || state?.userTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const { amountCents, currency } = getCartTotal(resolvedItems);
+
+  const handleRemove = (eventTypeId) => {
+    if (typeof onRemove === 'function') {
+      onRemove(eventTypeId);
+      return;
+    }
+    actions?.removeFromCart?.(eventTypeId);
+  };
+
+  const handleCheckout = () => {
+    if (typeof onCheckout === 'function') {
+      onCheckout(resolvedItems);
+      return;
+    }
+    actions?.startCartCheckout?.();
+  };
+
+  if (resolvedItems.length === 0 && !resolvedError) {
+    return null;
+  }
+
+  return (
+    <div className={clsx('calemly-sdk p-4 rounded-xl border border-gray-200 dark:border-slate-700 bg-gray-50 dark:bg-slate-800 space-y-3', className)} dir={dir}>
+      <div className="flex items-center gap-2">
+        <ShoppingCart className="w-4 h-4 text-primary-500" />
+        <h3 className="text-sm font-semibold text-neutral-dark dark:text-slate-100">{t('cart.title')}</h3>
+      </div>
+
+      {resolvedError ? (
+        <p className="text-sm text-red-600 flex items-center gap-2" role="alert">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {resolvedError}
+        </p>
+      ) : null}
+
+      {resolvedItems.length > 0 ? (
+        <>
+          <ul className="space-y-2" aria-label={t('cart.selectedEvents')}>
+            {resolvedItems.map((item) => (
+              <li key={item.eventType.id} className="flex items-center justify-between gap-3 text-sm">
+                <div className="min-w-0">
+                  <p className="font-medium text-neutral-dark dark:text-slate-100 truncate">{item.eventType.name}</p>
+                  <p className="text-gray-500 dark:text-slate-400">
+                    {formatDateShort(item.slot.start, resolvedUserTimezone)}
+                    {' • '}
+                    {formatTime(item.slot.start, resolvedUserTimezone)} - {formatTime(item.slot.end, resolvedUserTimezone)}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(item.eventType.id)}
+                  className="p-1.5 text-gray-400 hover:text-gray-600 dark:hover:text-slate-200 hover:bg-gray-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+                  aria-label={t('cart.remove', { name: item.eventType.name })}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex items-center justify-between gap-3">
+            {amountCents > 0 ? (
+              <span className="text-sm text-gray-600 dark:text-slate-300">
+                {t('cart.total')}{' '}
+                <span className="font-semibold text-neutral-dark dark:text-slate-100">
+                  {formatCurrency(amountCents, currency)}
+                </span>
+              </span>
+            ) : <span />}
+            <Button size="sm" onClick={handleCheckout}>
+              {t('cart.checkout', { count: resolvedItems.length })}
+            </Button>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   AlertCircle,
@@ -17,31 +17,40 @@ import {
   Mail,
   MessageSquare,
   Phone,
+  Repeat,
   Shield,
   Sparkles,
   User,
+  Users,
   Video,
+  WifiOff,
   X,
 } from 'lucide-react';
 import { useOptionalSchedulerContext } from '../context/SchedulerContext';
-import {
-  formatDateInZone,
-  formatDateShortInZone,
-  formatTimeInZone,
-  formatUtcConfirmation,
-} from '../utils/time';
+import { useI18n } from '../hooks/useI18n';
+import { buildCartEventType, isPaidEventType } from '../utils/cart';
+import { toHostScope } from '../utils/hosts';
+import { resolvePrefill } from '../utils/prefill';
+import { formatRecurrence } from '../utils/recurrence';
+import { formatSeatsRemaining, resolveMaxPartySize } from '../utils/seats';
+import { isValidEmail } from '../utils/validation';
 import { PAYPAL_PENDING_BOOKING_STORAGE_KEY } from '../constants';
 import { Button } from './common/Button';
 import { Input } from './common/Input';
+import { SlotHoldNotice } from './common/SlotHoldNotice';
 import { CustomFormRenderer, validateFormAnswers } from './CustomFormRenderer';
+import {
+  GuestListEditor,
+  resolveGuestLimit,
+  toGuestPayload,
+  validateGuests,
+} from './GuestListEditor';
 import { PaymentCheckout } from './PaymentCheckout';
 import { ConflictResolver } from './ConflictResolver';
 
 const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 const EMPTY_ARRAY = [];
 
-const isValidEmail = (value) => /.+@.+\..+/.test((value || '').trim());
-
 const hasBriefContent = (template) => {
   if (!template || typeof template !== 'object' || Array.isArray(template)) {
     return false;
@@ -76,6 +85,27 @@ const safeSetSessionItem = (key, value) => {
   }
 };
 
+const toPendingSlot = (slot) => ({
+  start: slot.start,
+  end: slot.end,
+  startLocal: slot.startLocal,
+  endLocal: slot.endLocal,
+});
+
+const toPendingEventType = (eventType) => ({
+  id: eventType.id,
+  name: eventType.name,
+  slug: eventType.slug,
+  duration: eventType.duration,
+  calendarId: eventType.calendarId || eventType.calendar_id,
+  orgName: eventType.orgName || eventType.org_name,
+  requires_payment: eventType.requires_payment,
+  payment_enabled: eventType.payment_enabled,
+  price_cents: eventType.price_cents,
+  currency: eventType.currency,
+  refund_policy: eventType.refund_policy,
+});
+
 export function BookingForm({
   eventType,
   slot,
@@ -91,13 +121,37 @@ export function BookingForm({
   initialTemplate,
   templateFallbackSuggestions,
   onApplyTemplateSuggestion,
+  queuedBooking,
+  onDiscardQueuedBooking,
+  slotHold,
+  onHoldActivity,
+  partySize,
+  hostId,
+  cart,
+  prefill,
 }) {
   const scheduler = useOptionalSchedulerContext();
   const state = scheduler?.state;
   const actions = scheduler?.actions;
   const config = scheduler?.config;
-
-  const resolvedEventType = eventType || state?.eventType;
+  const {
+    t,
+    dir,
+    formatCurrency,
+    formatDate,
+    formatDateShort,
+    formatTime,
+    formatUtc,
+  } = useI18n();
+  const slideDirection = dir === 'rtl' ? -1 : 1;
+
+  const resolvedCart = cart || (state?.isCartCheckout ? state.cart : null);
+  const isCartCheckout = Boolean(resolvedCart?.length);
+  const cartEventType = useMemo(
+    () => (isCartCheckout ? buildCartEventType(resolvedCart) : null),
+    [isCartCheckout, resolvedCart]
+  );
+  const resolvedEventType = cartEventType || eventType || state?.eventType;
   const resolvedSlot = slot || state?.selectedSlot;
   const resolvedCalendarTimezone =
     calendarTimezone
@@ -119,12 +173,24 @@ export function BookingForm({
     templateFallbackSuggestions
     || state?.templateFallbackSuggestions
     || EMPTY_ARRAY;
-
-  const [name, setName] = useState('');
-  const [email, setEmail] = useState('');
-  const [phone, setPhone] = useState('');
-  const [notes, setNotes] = useState('');
-  const [answers, setAnswers] = useState({});
+  const resolvedQueuedBooking = queuedBooking !== undefined ? queuedBooking : state?.queuedBooking || null;
+  const resolvedSlotHold = slotHold !== undefined ? slotHold : state?.slotHold || null;
+  const resolvedHostId = toHostScope(hostId || state?.selectedHostId);
+  const resolvedRecurrence = (state?.seriesOccurrences || []).length > 1 ? state?.recurrence || null : null;
+  const propPrefill = useMemo(() => (prefill ? resolvePrefill(prefill) : null), [prefill]);
+  const resolvedPrefill = propPrefill || state?.prefill || null;
+  const lockedFields = resolvedPrefill?.lockedFields || EMPTY_ARRAY;
+  const lockedAnswers = resolvedPrefill?.lockedAnswers || EMPTY_ARRAY;
+  const prefillRef = useRef(resolvedPrefill);
+  prefillRef.current = resolvedPrefill;
+
+  const [name, setName] = useState(() => resolvedPrefill?.fields.name || '');
+  const [email, setEmail] = useState(() => resolvedPrefill?.fields.email || '');
+  const [phone, setPhone] = useState(() => resolvedPrefill?.fields.phone || '');
+  const [notes, setNotes] = useState(() => resolvedPrefill?.fields.notes || '');
+  const [answers, setAnswers] = useState(() => ({ ...(resolvedPrefill?.answers || {}) }));
+  const [guests, setGuests] = useState([]);
+  const [localPartySize, setLocalPartySize] = useState(1);
   const [honeypot, setHoneypot] = useState('');
 
   const [fieldErrors, setFieldErrors] = useState({});
@@ -172,7 +238,21 @@ export function BookingForm({
       && resolvedEventType?.price_cents > 0
       && resolvedEventType?.payment_enabled
   );
+  const guestLimit = resolveGuestLimit(resolvedEventType);
+  const maxPartySize = resolveMaxPartySize(resolvedEventType, resolvedSlot);
+  const resolvedPartySize = partySize || state?.partySize || localPartySize;
+  const seatsLabel = formatSeatsRemaining(resolvedSlot, { t });
+
+  const handlePartySizeChange = (value) => {
+    setLocalPartySize(value);
+    actions?.setPartySize?.(value);
+  };
   const isValid = Boolean(name.trim()) && isValidEmail(email);
+  const isQueuedOffline = Boolean(
+    resolvedQueuedBooking
+      && resolvedSlot
+      && resolvedQueuedBooking.slot?.start === resolvedSlot.start
+  );
 
   const briefTemplate = useMemo(() => {
     if (resolvedEventType?.brief_template && typeof resolvedEventType.brief_template === 'object') {
@@ -186,24 +266,21 @@ export function BookingForm({
       && hasBriefContent(briefTemplate)
   ), [briefTemplate, resolvedEventType?.brief_enabled]);
 
-  const formatPrice = useCallback((priceCents, currency = 'USD') => {
-    const safeAmount = Number.isFinite(priceCents) ? priceCents : 0;
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency,
-    }).format(safeAmount / 100);
-  }, []);
-
   const applyTemplate = useCallback((template) => {
     if (!template) {
       return;
     }
 
-    if (template.contact_name) setName(template.contact_name);
-    if (template.contact_email) setEmail(template.contact_email);
-    if (template.contact_phone) setPhone(template.contact_phone);
+    const locked = prefillRef.current;
+    const isLocked = (key) => Boolean(locked?.lockedFields.includes(key));
+    if (template.contact_name && !isLocked('name')) setName(template.contact_name);
+    if (template.contact_email && !isLocked('email')) setEmail(template.contact_email);
+    if (template.contact_phone && !isLocked('phone')) setPhone(template.contact_phone);
     if (template.answers && typeof template.answers === 'object' && !Array.isArray(template.answers)) {
-      setAnswers(template.answers);
+      setAnswers({
+        ...template.answers,
+        ...Object.fromEntries((locked?.lockedAnswers || []).map((fieldId) => [fieldId, locked.answers[fieldId]])),
+      });
     }
 
     const safeTemplateId = typeof template.id === 'string' && UUID_PATTERN.test(template.id)
@@ -287,6 +364,10 @@ export function BookingForm({
       guest_phone: phone.trim() || undefined,
       guest_notes: notes.trim() || undefined,
       answers: Object.keys(answers).length > 0 ? answers : undefined,
+      guests: guests.length > 0 ? toGuestPayload(guests) : undefined,
+      party_size: maxPartySize > 1 ? resolvedPartySize : undefined,
+      host_id: resolvedHostId || undefined,
+      hidden_fields: Object.keys(propPrefill?.hidden || {}).length > 0 ? propPrefill.hidden : undefined,
       honeypot,
     };
 
@@ -312,14 +393,19 @@ export function BookingForm({
   }, [
     answers,
     email,
+    guests,
     honeypot,
+    maxPartySize,
     name,
     notes,
     phone,
+    propPrefill,
     resolvedEventType?.calendarId,
     resolvedEventType?.calendar_id,
     resolvedEventType?.duration,
     resolvedEventType?.id,
+    resolvedHostId,
+    resolvedPartySize,
     resolvedUserTimezone,
     savePreferencesConsent,
     selectedTemplateId,
@@ -340,7 +426,7 @@ export function BookingForm({
   }, [submitBooking]);
 
   const submitOrStartPayment = useCallback(async (payload) => {
-    if (!isPaidEvent || !resolvedEventType?.id || !resolvedSlot) {
+    if (!isPaidEvent || (!isCartCheckout && (!resolvedEventType?.id || !resolvedSlot))) {
       return submitPayload(payload);
     }
 
@@ -350,7 +436,9 @@ export function BookingForm({
     try {
       if (selectedProvider === 'paypal') {
         const orderData = await actions?.createPayPalOrder?.({
-          eventTypeId: resolvedEventType.id,
+          ...(isCartCheckout
+            ? { eventTypeIds: resolvedCart.map((item) => item.eventType.id) }
+            : { eventTypeId: resolvedEventType.id }),
           guestEmail: payload.guest_email,
           guestName: payload.guest_name,
         });
@@ -359,31 +447,25 @@ export function BookingForm({
         const orderId = orderData?.orderId || orderData?.order_id || orderData?.id;
 
         if (!approveUrl || !orderId) {
-          throw new Error('Unable to initialize PayPal checkout. Please try again.');
+          throw new Error(t('payment.paypalInitFailed'));
         }
 
         safeSetSessionItem(PAYPAL_PENDING_BOOKING_STORAGE_KEY, {
           orderId,
           payload,
-          slot: {
-            start: resolvedSlot.start,
-            end: resolvedSlot.end,
-            startLocal: resolvedSlot.startLocal,
-            endLocal: resolvedSlot.endLocal,
-          },
-          eventType: {
-            id: resolvedEventType.id,
-            name: resolvedEventType.name,
-            slug: resolvedEventType.slug,
-            duration: resolvedEventType.duration,
-            calendarId: resolvedEventType.calendarId || resolvedEventType.calendar_id,
-            orgName: resolvedEventType.orgName || resolvedEventType.org_name,
-            requires_payment: resolvedEventType.requires_payment,
-            payment_enabled: resolvedEventType.payment_enabled,
-            price_cents: resolvedEventType.price_cents,
-            currency: resolvedEventType.currency,
-            refund_policy: resolvedEventType.refund_policy,
-          },
+          ...(isCartCheckout
+            ? {
+              cart: resolvedCart.map((item) => ({
+                eventType: toPendingEventType(item.eventType),
+                slot: toPendingSlot(item.slot),
+                hostId: item.hostId || null,
+                partySize: item.partySize || 1,
+              })),
+            }
+            : {
+              slot: toPendingSlot(resolvedSlot),
+              eventType: toPendingEventType(resolvedEventType),
+            }),
           userTimezone: resolvedUserTimezone,
         });
 
@@ -403,14 +485,16 @@ export function BookingForm({
       }
 
       const paymentData = await actions?.createPaymentIntent?.({
-        eventTypeId: resolvedEventType.id,
+        ...(isCartCheckout
+          ? { eventTypeIds: resolvedCart.map((item) => item.eventType.id) }
+          : { eventTypeId: resolvedEventType.id }),
         guestEmail: payload.guest_email,
         guestName: payload.guest_name,
       });
 
       const clientSecret = paymentData?.clientSecret || paymentData?.client_secret;
       if (!clientSecret) {
-        throw new Error('Unable to initialize payment. Please try again.');
+        throw new Error(t('payment.initFailed'));
       }
 
       setPaymentClientSecret(clientSecret);
@@ -419,7 +503,7 @@ export function BookingForm({
     } catch (paymentError) {
       setFieldErrors((previous) => ({
         ...previous,
-        _form: paymentError?.message || 'Failed to initialize payment. Please try again.',
+        _form: paymentError?.message || t('payment.setupFailed'),
       }));
       return {
         ok: false,
@@ -430,22 +514,25 @@ export function BookingForm({
     }
   }, [
     actions,
+    isCartCheckout,
     isPaidEvent,
+    resolvedCart,
     resolvedEventType,
     resolvedSlot,
     resolvedUserTimezone,
     selectedProvider,
     submitPayload,
+    t,
   ]);
 
   const handleClearPreferences = useCallback(async () => {
     if (!resolvedEventType?.id || (!email.trim() && !phone.trim())) {
-      setTemplateActionError('Add an email or phone first to clear saved preferences.');
+      setTemplateActionError(t('form.templates.clearNeedsContact'));
       return;
     }
 
     if (typeof actions?.clearSavedPreferences !== 'function') {
-      setTemplateActionError('Preference clearing is unavailable in this context.');
+      setTemplateActionError(t('form.templates.clearUnavailable'));
       return;
     }
 
@@ -464,14 +551,18 @@ export function BookingForm({
       setSavePreferencesConsent(false);
       setTemplateSaveDefault(false);
     } catch (clearError) {
-      setTemplateActionError(clearError?.message || 'Failed to clear saved preferences.');
+      setTemplateActionError(clearError?.message || t('form.templates.clearFailed'));
     } finally {
       setIsClearingPreferences(false);
     }
-  }, [actions, email, phone, resolvedEventType?.id]);
+  }, [actions, email, phone, resolvedEventType?.id, t]);
+
+  const paymentInfoEventTypeId = isCartCheckout
+    ? resolvedCart.find((item) => isPaidEventType(item.eventType))?.eventType.id
+    : resolvedEventType?.id;
 
   useEffect(() => {
-    if (!isPaidEvent || !resolvedEventType?.id) {
+    if (!isPaidEvent || !paymentInfoEventTypeId) {
       setPaymentInfo(null);
       setSelectedProvider('stripe');
       return;
@@ -486,7 +577,7 @@ export function BookingForm({
     let active = true;
     setIsLoadingPaymentInfo(true);
 
-    actions.getEventPaymentInfo(resolvedEventType.id)
+    actions.getEventPaymentInfo(paymentInfoEventTypeId)
       .then((info) => {
         if (!active) {
           return;
@@ -516,7 +607,20 @@ export function BookingForm({
     return () => {
       active = false;
     };
-  }, [actions, isPaidEvent, resolvedEventType?.id]);
+  }, [actions, isPaidEvent, paymentInfoEventTypeId]);
+
+  const isPaymentActive = showPayment || isCreatingPayment;
+
+  useEffect(() => {
+    if (!isPaymentActive) {
+      return;
+    }
+
+    actions?.setPaymentInProgress?.(true);
+    return () => {
+      actions?.setPaymentInProgress?.(false);
+    };
+  }, [actions, isPaymentActive]);
 
   useEffect(() => {
     const shouldLoadSuggestions = Boolean(
@@ -551,7 +655,7 @@ export function BookingForm({
     const toFallbackSuggestions = () => (resolvedAlternatives || []).map((option, index) => ({
       ...option,
       confidenceScore: Math.max(40, 75 - (index * 10)),
-      explanation: 'Available alternative slot',
+      explanation: t('form.alternativeExplanation'),
     }));
 
     if (typeof actions?.getConflictSuggestions !== 'function') {
@@ -616,6 +720,7 @@ export function BookingForm({
     conflictSuggestions,
     bestSuggestion,
     isLoadingSuggestions,
+    t,
   ]);
 
   const handleAnswersChange = useCallback((nextAnswers) => {
@@ -681,11 +786,20 @@ export function BookingForm({
     }
 
     const nextErrors = {};
-    if (!name.trim()) nextErrors.name = 'Please enter your name';
-    if (!isValidEmail(email)) nextErrors.email = 'Please enter a valid email address';
+    if (!name.trim()) nextErrors.name = t('validation.nameMissing');
+    if (!isValidEmail(email)) nextErrors.email = t('validation.emailInvalid');
+
+    if (guests.length > 0) {
+      const guestValidation = validateGuests(guests, { primaryEmail: email, limit: guestLimit, t });
+      Object.assign(nextErrors, guestValidation.errors);
+    }
+
+    if (maxPartySize > 1 && resolvedPartySize > maxPartySize) {
+      nextErrors.partySize = t('seats.onlyLeft', { count: maxPartySize });
+    }
 
     if (resolvedEventType?.form_schema?.fields?.length > 0) {
-      const validation = validateFormAnswers(resolvedEventType.form_schema, answers);
+      const validation = validateFormAnswers(resolvedEventType.form_schema, answers, { t });
       if (!validation.isValid) {
         Object.assign(nextErrors, validation.errors);
       }
@@ -717,13 +831,13 @@ export function BookingForm({
     const requiredConsents = (briefTemplate.consent_items || []).filter((item) => item.required);
     for (const consent of requiredConsents) {
       if (!briefConsents[consent.id]) {
-        setBriefError(`Please accept: "${consent.label}"`);
+        setBriefError(t('brief.acceptRequired', { label: consent.label }));
         return;
       }
     }
 
     if (briefTemplate.recording_consent && !briefRecordingConsent) {
-      setBriefError('Recording consent is required for this meeting.');
+      setBriefError(t('brief.recordingRequired'));
       return;
     }
 
@@ -748,6 +862,7 @@ export function BookingForm({
     briefTemplate,
     buildBasePayload,
     submitOrStartPayment,
+    t,
   ]);
 
   const handleBriefBack = useCallback(() => {
@@ -773,6 +888,28 @@ export function BookingForm({
     }
   };
 
+  const handleHoldActivity = () => {
+    if (!resolvedSlotHold) {
+      return;
+    }
+
+    if (typeof onHoldActivity === 'function') {
+      onHoldActivity(resolvedSlotHold);
+      return;
+    }
+
+    actions?.touchSlotHold?.();
+  };
+
+  const handleDiscardQueuedBooking = () => {
+    if (typeof onDiscardQueuedBooking === 'function') {
+      onDiscardQueuedBooking(resolvedQueuedBooking);
+      return;
+    }
+
+    actions?.discardQueuedBooking?.(resolvedQueuedBooking?.id);
+  };
+
   const handlePaymentClose = () => {
     setShowPayment(false);
     setPaymentClientSecret(null);
@@ -802,17 +939,17 @@ export function BookingForm({
     );
   }
 
-  if (!resolvedSlot) {
+  if (!resolvedSlot && !isCartCheckout) {
     return null;
   }
 
   if (showBrief && hasBrief) {
     return (
-      <div className="calemly-sdk">
+      <div className="calemly-sdk" dir={dir} onKeyDown={handleHoldActivity} onPointerDown={handleHoldActivity}>
         <motion.div
-          initial={{ opacity: 0, x: 20 }}
+          initial={{ opacity: 0, x: 20 * slideDirection }}
           animate={{ opacity: 1, x: 0 }}
-          exit={{ opacity: 0, x: -20 }}
+          exit={{ opacity: 0, x: -20 * slideDirection }}
           className="w-full max-w-xl mx-auto bg-white dark:bg-slate-900 rounded-2xl shadow-card overflow-hidden flex flex-col max-h-[calc(100vh-12rem)] border border-transparent dark:border-slate-700"
         >
         <div className="flex items-center justify-between p-4 border-b border-gray-100 dark:border-slate-700 flex-shrink-0">
@@ -821,9 +958,9 @@ export function BookingForm({
               type="button"
               onClick={handleBriefBack}
               className="p-2 text-gray-400 hover:text-gray-600 dark:text-slate-400 dark:hover:text-slate-200 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
-              aria-label="Go back to form"
+              aria-label={t('brief.backToForm')}
             >
-              <ArrowLeft className="w-5 h-5" />
+              <ArrowLeft className="w-5 h-5 rtl:-scale-x-100" />
             </button>
             <div className="flex items-center gap-2">
               <div
@@ -831,7 +968,7 @@ export function BookingForm({
                 style={{ backgroundColor: resolvedEventType?.color || '#10B981' }}
               />
               <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">
-                {briefTemplate.headline || 'Before You Book'}
+                {briefTemplate.headline || t('brief.title')}
               </h2>
             </div>
           </div>
@@ -840,7 +977,7 @@ export function BookingForm({
             type="button"
             onClick={onBack || actions?.goBack}
             className="p-2 text-gray-400 hover:text-gray-600 dark:text-slate-400 dark:hover:text-slate-200 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
-            aria-label="Close brief"
+            aria-label={t('brief.close')}
           >
             <X className="w-5 h-5" />
           </button>
@@ -850,16 +987,18 @@ export function BookingForm({
           <div className="flex items-center gap-3 text-sm">
             <Calendar className="w-4 h-4 text-primary-600 dark:text-primary-300 flex-shrink-0" />
             <span className="font-medium text-primary-700 dark:text-primary-200">
-              {formatDateShortInZone(resolvedSlot.start, resolvedUserTimezone)}
+              {formatDateShort(resolvedSlot.start, resolvedUserTimezone)}
               {' • '}
-              {formatTimeInZone(resolvedSlot.start, resolvedUserTimezone)}
+              {formatTime(resolvedSlot.start, resolvedUserTimezone)}
               {' - '}
-              {formatTimeInZone(resolvedSlot.end, resolvedUserTimezone)}
+              {formatTime(resolvedSlot.end, resolvedUserTimezone)}
             </span>
           </div>
         </div>
 
-        <div className="p-4 space-y-5 overflow-y-auto flex-1" role="region" aria-label="Booking brief">
+        <SlotHoldNotice hold={resolvedSlotHold} />
+
+        <div className="p-4 space-y-5 overflow-y-auto flex-1" role="region" aria-label={t('brief.region')}>
           {briefTemplate.summary ? (
             <motion.div
               initial={{ opacity: 0, y: 10 }}
@@ -879,7 +1018,7 @@ export function BookingForm({
             <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
               <h3 className="text-sm font-semibold text-neutral-dark dark:text-slate-100 mb-3 flex items-center gap-2">
                 <ClipboardCheck className="w-4 h-4 text-primary-500" />
-                Preparation Checklist
+                {t('brief.checklist')}
               </h3>
               <div className="space-y-2">
                 {briefTemplate.checklist.map((item) => (
@@ -918,7 +1057,7 @@ export function BookingForm({
               <div className="flex items-start gap-3">
                 <AlertTriangle className="w-5 h-5 text-amber-500 flex-shrink-0 mt-0.5" />
                 <div>
-                  <h4 className="text-sm font-semibold text-amber-800 dark:text-amber-200 mb-1">Cancellation Policy</h4>
+                  <h4 className="text-sm font-semibold text-amber-800 dark:text-amber-200 mb-1">{t('brief.cancellationPolicy')}</h4>
                   <p className="text-sm text-amber-700 dark:text-amber-100 leading-relaxed whitespace-pre-line">
                     {briefTemplate.cancellation_policy}
                   </p>
@@ -936,7 +1075,7 @@ export function BookingForm({
               <div className="flex items-start gap-3">
                 <MessageSquare className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
                 <div>
-                  <h4 className="text-sm font-semibold text-blue-800 dark:text-blue-200 mb-1">Important Notes</h4>
+                  <h4 className="text-sm font-semibold text-blue-800 dark:text-blue-200 mb-1">{t('brief.importantNotes')}</h4>
                   <p className="text-sm text-blue-700 dark:text-blue-100 leading-relaxed whitespace-pre-line">
                     {briefTemplate.custom_notes}
                   </p>
@@ -949,7 +1088,7 @@ export function BookingForm({
             <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
               <h3 className="text-sm font-semibold text-neutral-dark dark:text-slate-100 mb-3 flex items-center gap-2">
                 <AlertCircle className="w-4 h-4 text-primary-500" />
-                Frequently Asked Questions
+                {t('brief.faq')}
               </h3>
               <div className="space-y-2">
                 {briefTemplate.faq.map((item) => (
@@ -957,10 +1096,10 @@ export function BookingForm({
                     <button
                       type="button"
                       onClick={() => setExpandedFaq((previous) => (previous === item.id ? null : item.id))}
-                      className="w-full flex items-center justify-between p-3 text-left hover:bg-gray-50 dark:hover:bg-slate-800 transition-colors"
+                      className="w-full flex items-center justify-between p-3 text-start hover:bg-gray-50 dark:hover:bg-slate-800 transition-colors"
                       aria-expanded={expandedFaq === item.id}
                     >
-                      <span className="text-sm font-medium text-neutral-dark dark:text-slate-100 pr-2">{item.question}</span>
+                      <span className="text-sm font-medium text-neutral-dark dark:text-slate-100 pe-2">{item.question}</span>
                       {expandedFaq === item.id ? (
                         <ChevronUp className="w-4 h-4 text-gray-400 dark:text-slate-300 flex-shrink-0" />
                       ) : (
@@ -1005,11 +1144,11 @@ export function BookingForm({
                 <div>
                   <div className="flex items-center gap-2 mb-1">
                     <Video className="w-4 h-4 text-purple-600" />
-                    <span className="text-sm font-semibold text-purple-800 dark:text-purple-200">Recording Consent</span>
-                    <span className="text-xs text-red-500 font-medium">Required</span>
+                    <span className="text-sm font-semibold text-purple-800 dark:text-purple-200">{t('brief.recordingConsent')}</span>
+                    <span className="text-xs text-red-500 font-medium">{t('brief.required')}</span>
                   </div>
                   <p className="text-sm text-purple-700 dark:text-purple-100">
-                    This session may be recorded for quality and training purposes. By checking this box, you consent to the recording.
+                    {t('brief.recordingDescription')}
                   </p>
                 </div>
               </label>
@@ -1020,7 +1159,7 @@ export function BookingForm({
             <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
               <h3 className="text-sm font-semibold text-neutral-dark dark:text-slate-100 mb-3 flex items-center gap-2">
                 <CheckSquare className="w-4 h-4 text-primary-500" />
-                Acknowledgements
+                {t('brief.acknowledgements')}
               </h3>
               <div className="space-y-2">
                 {briefTemplate.consent_items.map((item) => (
@@ -1047,7 +1186,7 @@ export function BookingForm({
                     />
                     <span className="text-sm text-gray-700 dark:text-slate-200">
                       {item.label}
-                      {item.required ? <span className="text-red-500 ml-1">*</span> : null}
+                      {item.required ? <span className="text-red-500 ms-1">*</span> : null}
                     </span>
                   </label>
                 ))}
@@ -1071,14 +1210,14 @@ export function BookingForm({
           <div className="flex items-start gap-2 p-3 bg-gray-50 dark:bg-slate-800 rounded-lg">
             <Shield className="w-4 h-4 text-gray-400 dark:text-slate-400 flex-shrink-0 mt-0.5" />
             <p className="text-xs text-gray-500 dark:text-slate-400">
-              Your acknowledgements are stored securely with your booking.
+              {t('brief.storedSecurely')}
             </p>
           </div>
         </div>
 
         <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-end gap-3 p-4 border-t border-gray-100 dark:border-slate-700 bg-gray-50 dark:bg-slate-800 flex-shrink-0">
           <Button variant="outline" onClick={handleBriefBack} className="order-2 sm:order-1">
-            Back
+            {t('common.back')}
           </Button>
           <Button
             onClick={handleBriefConfirm}
@@ -1087,12 +1226,12 @@ export function BookingForm({
             className="order-1 sm:order-2"
           >
             {isCreatingPayment
-              ? (selectedProvider === 'paypal' ? 'Redirecting to PayPal...' : 'Preparing Payment...')
+              ? (selectedProvider === 'paypal' ? t('form.redirectingToPaypal') : t('form.preparingPayment'))
               : resolvedIsLoading
-                ? 'Booking...'
+                ? t('form.booking')
                 : isPaidEvent
-                  ? `Acknowledge & Pay ${formatPrice(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD')}`
-                  : 'Acknowledge & Confirm'}
+                  ? t('brief.acknowledgeAndPay', { amount: formatCurrency(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD') })
+                  : t('brief.acknowledge')}
           </Button>
         </div>
         </motion.div>
@@ -1101,17 +1240,17 @@ export function BookingForm({
   }
 
   return (
-    <div className="calemly-sdk">
+    <div className="calemly-sdk" dir={dir} onKeyDown={handleHoldActivity} onPointerDown={handleHoldActivity}>
       <div className="w-full max-w-xl mx-auto bg-white dark:bg-slate-900 rounded-2xl shadow-card overflow-hidden flex flex-col max-h-[calc(100vh-12rem)] border border-transparent dark:border-slate-700">
       <div className="flex items-center justify-between p-4 border-b border-gray-100 dark:border-slate-700 flex-shrink-0">
-        <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">Confirm Your Details</h2>
+        <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">{t('form.title')}</h2>
         <button
           type="button"
           onClick={onBack || actions?.goBack}
           className="p-2 text-gray-400 hover:text-gray-600 dark:text-slate-400 dark:hover:text-slate-200 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
-          aria-label="Go back"
+          aria-label={t('common.goBack')}
         >
-          <ArrowLeft className="w-5 h-5" />
+          <ArrowLeft className="w-5 h-5 rtl:-scale-x-100" />
         </button>
       </div>
 
@@ -1122,38 +1261,91 @@ export function BookingForm({
           </div>
           <div className="flex-1 min-w-0">
             <p className="font-semibold text-neutral-dark dark:text-slate-100 text-sm sm:text-base">
-              {resolvedEventType?.name || 'Meeting'}
-            </p>
-            <p className="text-primary-700 dark:text-primary-200 font-medium mt-1 text-sm sm:text-base">
-              <span className="sm:hidden">{formatDateShortInZone(resolvedSlot.start, resolvedUserTimezone)}</span>
-              <span className="hidden sm:inline">{formatDateInZone(resolvedSlot.start, resolvedUserTimezone)}</span>
-            </p>
-            <p className="text-primary-600 dark:text-primary-300 text-sm">
-              {formatTimeInZone(resolvedSlot.start, resolvedUserTimezone)} - {formatTimeInZone(resolvedSlot.end, resolvedUserTimezone)}
+              {resolvedEventType?.name || t('common.meeting')}
             </p>
+            {isCartCheckout ? (
+              <ul className="mt-1 space-y-1 text-sm" aria-label={t('form.eventsToBook')}>
+                {resolvedCart.map((item) => (
+                  <li key={item.eventType.id} className="text-primary-700 dark:text-primary-200">
+                    <span className="font-medium">{item.eventType.name}</span>
+                    {' • '}
+                    {formatDateShort(item.slot.start, resolvedUserTimezone)},{' '}
+                    {formatTime(item.slot.start, resolvedUserTimezone)} - {formatTime(item.slot.end, resolvedUserTimezone)}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <>
+                <p className="text-primary-700 dark:text-primary-200 font-medium mt-1 text-sm sm:text-base">
+                  <span className="sm:hidden">{formatDateShort(resolvedSlot.start, resolvedUserTimezone)}</span>
+                  <span className="hidden sm:inline">{formatDate(resolvedSlot.start, resolvedUserTimezone)}</span>
+                </p>
+                <p className="text-primary-600 dark:text-primary-300 text-sm">
+                  {formatTime(resolvedSlot.start, resolvedUserTimezone)} - {formatTime(resolvedSlot.end, resolvedUserTimezone)}
+                </p>
+              </>
+            )}
+            {resolvedRecurrence ? (
+              <p className="text-primary-600 dark:text-primary-300 text-sm flex items-center gap-1.5 mt-1">
+                <Repeat className="w-3.5 h-3.5" />
+                {formatRecurrence(resolvedRecurrence, t)}
+              </p>
+            ) : null}
 
             <div className="mt-2 sm:mt-3 space-y-1 text-xs sm:text-sm">
               <div className="flex items-center gap-2 text-gray-600 dark:text-slate-300">
                 <Globe className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
                 <span className="truncate">{resolvedUserTimezone}</span>
               </div>
-              {resolvedCalendarTimezone !== resolvedUserTimezone ? (
+              {resolvedSlot && resolvedCalendarTimezone !== resolvedUserTimezone ? (
                 <div className="flex items-center gap-2 text-gray-500 dark:text-slate-400">
                   <Clock className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
                   <span className="truncate">
-                    Host: {formatTimeInZone(resolvedSlot.start, resolvedCalendarTimezone)} ({resolvedCalendarTimezone})
+                    {t('form.hostTime', { time: formatTime(resolvedSlot.start, resolvedCalendarTimezone), timezone: resolvedCalendarTimezone })}
                   </span>
                 </div>
               ) : null}
-              <div className="flex items-center gap-2 text-gray-500 dark:text-slate-400">
-                <Clock className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
-                <span className="truncate">UTC: {formatUtcConfirmation(resolvedSlot.start)}</span>
-              </div>
+              {resolvedSlot ? (
+                <div className="flex items-center gap-2 text-gray-500 dark:text-slate-400">
+                  <Clock className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+                  <span className="truncate">{t('form.utcTime', { time: formatUtc(resolvedSlot.start) })}</span>
+                </div>
+              ) : null}
             </div>
           </div>
         </div>
       </div>
 
+      <SlotHoldNotice hold={resolvedSlotHold} />
+
+      {isQueuedOffline ? (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mx-4 mt-4 p-3 sm:p-4 bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-900/40 rounded-xl"
+          role="status"
+        >
+          <div className="flex items-start gap-3">
+            <WifiOff className="w-5 h-5 text-amber-500 flex-shrink-0 mt-0.5" />
+            <div className="flex-1 min-w-0">
+              <p className="font-medium text-amber-800 dark:text-amber-200 text-sm sm:text-base">
+                {t('form.offline.title')}
+              </p>
+              <p className="text-sm text-amber-700 dark:text-amber-100 mt-1">
+                {t('form.offline.description')}
+              </p>
+              <button
+                type="button"
+                onClick={handleDiscardQueuedBooking}
+                className="text-sm text-amber-800 dark:text-amber-200 hover:underline mt-2 font-medium"
+              >
+                {t('form.offline.discard')}
+              </button>
+            </div>
+          </div>
+        </motion.div>
+      ) : null}
+
       {(resolvedError || inlineError) ? (
         <motion.div
           initial={{ opacity: 0, y: -10 }}
@@ -1167,7 +1359,7 @@ export function BookingForm({
 
               {hasTemplateFallbackSuggestions ? (
                 <p className="text-xs text-red-700 mt-1">
-                  Pick a recommended fallback template or continue with the standard form.
+                  {t('form.templates.fallbackHint')}
                 </p>
               ) : null}
 
@@ -1177,7 +1369,7 @@ export function BookingForm({
                   onClick={() => setShowAlternatives((previous) => !previous)}
                   className="text-sm text-primary-600 hover:text-primary-700 mt-2 font-medium"
                 >
-                  {showAlternatives ? 'Hide' : 'Show'} alternative times
+                  {showAlternatives ? t('form.hideAlternatives') : t('form.showAlternatives')}
                 </button>
               ) : null}
             </div>
@@ -1185,23 +1377,23 @@ export function BookingForm({
 
           {hasTemplateFallbackSuggestions ? (
             <div className="mt-3 space-y-2">
-              <p className="text-sm text-gray-600 dark:text-slate-300">Recommended templates:</p>
+              <p className="text-sm text-gray-600 dark:text-slate-300">{t('form.templates.recommended')}</p>
               {resolvedTemplateFallbackSuggestions.slice(0, 3).map((template, index) => (
                 <button
                   key={template.id || index}
                   type="button"
                   onClick={() => applyFallbackTemplate(template)}
-                  className="w-full text-left p-2 bg-white dark:bg-slate-900 rounded-lg border border-gray-200 dark:border-slate-700 hover:border-primary-300 dark:hover:border-primary-600 transition-colors"
+                  className="w-full text-start p-2 bg-white dark:bg-slate-900 rounded-lg border border-gray-200 dark:border-slate-700 hover:border-primary-300 dark:hover:border-primary-600 transition-colors"
                 >
                   <div className="flex items-center justify-between gap-2">
                     <p className="text-sm font-medium text-neutral-dark dark:text-slate-100">
-                      {template.template_name || template.event_type_name || 'Recommended template'}
+                      {template.template_name || template.event_type_name || t('form.templates.recommendedFallback')}
                     </p>
-                    <span className="text-xs font-medium text-primary-600 dark:text-primary-300">Use template</span>
+                    <span className="text-xs font-medium text-primary-600 dark:text-primary-300">{t('form.templates.use')}</span>
                   </div>
                   <p className="text-xs text-gray-500 dark:text-slate-400 mt-1">
-                    {template.event_type_name || resolvedEventType?.name || 'Meeting'}
-                    {template.duration_minutes ? ` • ${template.duration_minutes} min` : ''}
+                    {template.event_type_name || resolvedEventType?.name || t('common.meeting')}
+                    {template.duration_minutes ? ` • ${t('common.minutes', { count: template.duration_minutes })}` : ''}
                   </p>
                 </button>
               ))}
@@ -1216,19 +1408,19 @@ export function BookingForm({
                 exit={{ opacity: 0, height: 0 }}
                 className="mt-3 space-y-2"
               >
-                <p className="text-sm text-gray-600 dark:text-slate-300">Available alternatives:</p>
+                <p className="text-sm text-gray-600 dark:text-slate-300">{t('form.availableAlternatives')}</p>
                 {resolvedAlternatives.map((alternativeSlot, index) => (
                   <button
                     key={`${alternativeSlot.start}-${index}`}
                     type="button"
                     onClick={() => selectAlternativeSlot(alternativeSlot)}
-                    className="w-full text-left p-2 bg-white dark:bg-slate-900 rounded-lg border border-gray-200 dark:border-slate-700 hover:border-primary-300 dark:hover:border-primary-600 transition-colors"
+                    className="w-full text-start p-2 bg-white dark:bg-slate-900 rounded-lg border border-gray-200 dark:border-slate-700 hover:border-primary-300 dark:hover:border-primary-600 transition-colors"
                   >
                     <p className="text-sm font-medium text-neutral-dark dark:text-slate-100">
-                      {formatDateShortInZone(alternativeSlot.start, resolvedUserTimezone)}
+                      {formatDateShort(alternativeSlot.start, resolvedUserTimezone)}
                     </p>
                     <p className="text-xs text-gray-500 dark:text-slate-400">
-                      {formatTimeInZone(alternativeSlot.start, resolvedUserTimezone)} - {formatTimeInZone(alternativeSlot.end, resolvedUserTimezone)}
+                      {formatTime(alternativeSlot.start, resolvedUserTimezone)} - {formatTime(alternativeSlot.end, resolvedUserTimezone)}
                     </p>
                   </button>
                 ))}
@@ -1254,8 +1446,8 @@ export function BookingForm({
           <div className="p-3 bg-primary-50 dark:bg-primary-900/20 border border-primary-100 dark:border-primary-900/40 rounded-xl space-y-3">
             <div className="flex items-center justify-between gap-3">
               <div>
-                <p className="text-sm font-medium text-primary-700 dark:text-primary-200">Book same as last time</p>
-                <p className="text-xs text-primary-600 dark:text-primary-300">Reuse your previous booking details, then edit anything you want.</p>
+                <p className="text-sm font-medium text-primary-700 dark:text-primary-200">{t('form.templates.title')}</p>
+                <p className="text-xs text-primary-600 dark:text-primary-300">{t('form.templates.description')}</p>
               </div>
               <Sparkles className="w-4 h-4 text-primary-500 flex-shrink-0" />
             </div>
@@ -1266,11 +1458,11 @@ export function BookingForm({
                 onChange={(event) => handleTemplateChange(event.target.value)}
                 className="flex-1 px-3 py-2 border border-primary-200 rounded-lg bg-white dark:bg-slate-900 text-sm text-neutral-dark dark:text-slate-100"
               >
-                <option value="">Use standard form</option>
+                <option value="">{t('form.templates.standardForm')}</option>
                 {resolvedTemplateOptions.map((template) => (
                   <option key={template.id} value={template.id}>
                     {template.template_name}
-                    {template.is_default ? ' (Default)' : ''}
+                    {template.is_default ? ` ${t('form.templates.defaultSuffix')}` : ''}
                   </option>
                 ))}
               </select>
@@ -1281,7 +1473,7 @@ export function BookingForm({
                 onClick={handleClearPreferences}
                 disabled={isClearingPreferences}
               >
-                {isClearingPreferences ? 'Clearing...' : 'Forget preferences'}
+                {isClearingPreferences ? t('form.templates.clearing') : t('form.templates.forget')}
               </Button>
             </div>
 
@@ -1293,7 +1485,7 @@ export function BookingForm({
                     checked={savePreferencesConsent}
                     onChange={(event) => setSavePreferencesConsent(event.target.checked)}
                   />
-                  Save updates to my booking preferences
+                  {t('form.templates.saveUpdates')}
                 </label>
 
                 <label className="flex items-center gap-2 text-xs text-primary-700 dark:text-primary-200">
@@ -1308,13 +1500,13 @@ export function BookingForm({
                       }
                     }}
                   />
-                  Set as default for next time
+                  {t('form.templates.setDefault')}
                 </label>
 
                 <p className="text-xs text-primary-700 dark:text-primary-200 flex items-center gap-1">
                   <Check className="w-3.5 h-3.5" />
-                  This booking uses your saved template.
-                  {templateModified ? ' Updated before confirm.' : ''}
+                  {t('form.templates.inUse')}
+                  {templateModified ? ` ${t('form.templates.updated')}` : ''}
                 </p>
               </>
             ) : null}
@@ -1326,60 +1518,102 @@ export function BookingForm({
         ) : null}
 
         <Input
-          label="Your Name"
+          label={t('form.name')}
           value={name}
           onChange={(event) => {
             setName(event.target.value);
             markTemplateEdited();
           }}
-          placeholder="John Smith"
+          placeholder={t('form.namePlaceholder')}
           icon={User}
           error={fieldErrors.name}
+          readOnly={lockedFields.includes('name')}
           required
         />
 
         <Input
           type="email"
-          label="Email Address"
+          label={t('form.email')}
           value={email}
           onChange={(event) => {
             setEmail(event.target.value);
             markTemplateEdited();
           }}
-          placeholder="john@example.com"
+          placeholder={t('form.emailPlaceholder')}
           icon={Mail}
           error={fieldErrors.email}
+          readOnly={lockedFields.includes('email')}
           required
-          helperText="Confirmation will be sent to this email"
+          helperText={t('form.emailHelper')}
         />
 
         <Input
           type="tel"
-          label="Phone Number (optional)"
+          label={t('form.phone')}
           value={phone}
           onChange={(event) => {
             setPhone(event.target.value);
             markTemplateEdited();
           }}
-          placeholder="+1 (555) 123-4567"
+          placeholder={t('form.phonePlaceholder')}
           icon={Phone}
+          readOnly={lockedFields.includes('phone')}
+        />
+
+        {maxPartySize > 1 ? (
+          <div>
+            <label
+              htmlFor="calemly-party-size"
+              className="block text-sm font-medium text-gray-700 dark:text-slate-200 mb-2"
+            >
+              {t('form.partySize')}
+            </label>
+            <div className="relative">
+              <Users className="absolute start-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400 pointer-events-none" />
+              <select
+                id="calemly-party-size"
+                value={resolvedPartySize}
+                onChange={(event) => handlePartySizeChange(Number(event.target.value))}
+                className="w-full ps-11 pe-4 py-2.5 rounded-lg border border-gray-300 dark:border-slate-700 text-sm text-neutral-dark dark:bg-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {Array.from({ length: Math.max(maxPartySize, resolvedPartySize) }, (_, index) => index + 1).map((size) => (
+                  <option key={size} value={size} disabled={size > maxPartySize}>
+                    {t('form.people', { count: size })}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {fieldErrors.partySize ? (
+              <p className="mt-1.5 text-sm text-error" role="alert">{fieldErrors.partySize}</p>
+            ) : seatsLabel ? (
+              <p className="mt-1.5 text-sm text-gray-500 dark:text-slate-400">{seatsLabel}</p>
+            ) : null}
+          </div>
+        ) : null}
+
+        <GuestListEditor
+          guests={guests}
+          limit={guestLimit}
+          onChange={setGuests}
+          errors={fieldErrors}
         />
 
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-slate-200 mb-2">
-            Additional Notes (optional)
+            {t('form.notes')}
           </label>
           <div className="relative">
-            <MessageSquare className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+            <MessageSquare className="absolute start-3 top-3 w-5 h-5 text-gray-400" />
             <textarea
               value={notes}
               onChange={(event) => {
                 setNotes(event.target.value);
                 markTemplateEdited();
               }}
-              placeholder="Any additional information or questions..."
+              placeholder={t('form.notesPlaceholder')}
               rows={3}
-              className="w-full pl-11 pr-4 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent resize-none text-sm sm:text-base dark:bg-slate-900 dark:text-slate-100"
+              readOnly={lockedFields.includes('notes')}
+              className="w-full ps-11 pe-4 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent resize-none text-sm sm:text-base dark:bg-slate-900 dark:text-slate-100"
             />
           </div>
         </div>
@@ -1390,6 +1624,7 @@ export function BookingForm({
             answers={answers}
             onChange={handleAnswersChange}
             errors={fieldErrors}
+            readOnlyFields={lockedAnswers}
           />
         ) : null}
 
@@ -1408,29 +1643,29 @@ export function BookingForm({
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-2">
                   <DollarSign className="w-5 h-5 text-primary-600 dark:text-primary-300" />
-                  <span className="font-medium text-neutral-dark dark:text-slate-100">Payment Required</span>
+                  <span className="font-medium text-neutral-dark dark:text-slate-100">{t('form.paymentRequired')}</span>
                 </div>
                 <span className="text-xl font-bold text-primary-600 dark:text-primary-300">
-                  {formatPrice(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD')}
+                  {formatCurrency(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD')}
                 </span>
               </div>
               {resolvedEventType?.refund_policy && resolvedEventType.refund_policy !== 'none' ? (
                 <p className="text-xs text-primary-600 dark:text-primary-300 mt-2">
-                  {resolvedEventType.refund_policy === 'flexible' ? 'Full refund available up to 24 hours before.' : null}
-                  {resolvedEventType.refund_policy === 'moderate' ? 'Full refund available up to 5 days before.' : null}
-                  {resolvedEventType.refund_policy === 'strict' ? '50% refund available up to 7 days before.' : null}
+                  {['flexible', 'moderate', 'strict'].includes(resolvedEventType.refund_policy)
+                    ? t(`form.refundPolicies.${resolvedEventType.refund_policy}`)
+                    : null}
                 </p>
               ) : null}
             </div>
 
             {isLoadingPaymentInfo ? (
-              <p className="text-xs text-gray-500 dark:text-slate-400">Loading payment methods...</p>
+              <p className="text-xs text-gray-500 dark:text-slate-400">{t('form.loadingPaymentMethods')}</p>
             ) : null}
 
             {paymentInfo?.providers?.stripe && paymentInfo?.providers?.paypal ? (
               <div className="p-4 bg-gray-50 dark:bg-slate-800 border border-gray-200 dark:border-slate-700 rounded-xl">
                 <label className="block text-sm font-medium text-gray-700 dark:text-slate-200 mb-3">
-                  Choose payment method
+                  {t('form.choosePaymentMethod')}
                 </label>
                 <div className="grid grid-cols-2 gap-3">
                   <button
@@ -1438,7 +1673,7 @@ export function BookingForm({
                     onClick={() => setSelectedProvider('stripe')}
                     className={`rounded-xl border-2 px-3 py-2 text-sm font-medium transition-colors ${selectedProvider === 'stripe' ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-200' : 'border-gray-200 dark:border-slate-700 text-gray-700 dark:text-slate-200 hover:border-gray-300 dark:hover:border-slate-600'}`}
                   >
-                    Card (Stripe)
+                    {t('form.cardStripe')}
                   </button>
                   <button
                     type="button"
@@ -1456,32 +1691,40 @@ export function BookingForm({
         <div className="flex items-start gap-2 p-3 bg-gray-50 dark:bg-slate-800 rounded-lg">
           <Shield className="w-4 h-4 text-gray-400 dark:text-slate-400 flex-shrink-0 mt-0.5" />
           <p className="text-xs text-gray-500 dark:text-slate-400">
-            Your information is secure and is only shared with the meeting host.
+            {t('form.privacy')}
           </p>
         </div>
 
         <div className="pt-2 flex flex-col sm:flex-row gap-2 sm:justify-end">
           <Button type="button" variant="outline" onClick={onBack || actions?.goBack}>
-            Back
+            {t('common.back')}
           </Button>
           <Button
             type="submit"
-            disabled={!isValid || resolvedIsLoading || isCreatingPayment || (isPaidEvent && isLoadingPaymentInfo)}
+            disabled={
+              !isValid
+              || resolvedIsLoading
+              || isCreatingPayment
+              || isQueuedOffline
+              || (isPaidEvent && isLoadingPaymentInfo)
+            }
             isLoading={resolvedIsLoading || isCreatingPayment}
           >
-            {isCreatingPayment
-              ? (selectedProvider === 'paypal' ? 'Redirecting to PayPal...' : 'Preparing Payment...')
-              : resolvedIsLoading
-                ? 'Booking...'
-                : hasBrief
-                  ? (isPaidEvent
-                    ? `Review Brief & Pay ${formatPrice(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD')}`
-                    : 'Review Brief')
-                  : isPaidEvent
-                    ? (selectedProvider === 'paypal'
-                      ? `Pay with PayPal ${formatPrice(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD')}`
-                      : `Pay ${formatPrice(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD')}`)
-                    : 'Confirm Booking'}
+            {isQueuedOffline
+              ? t('form.waitingForConnection')
+              : isCreatingPayment
+                ? (selectedProvider === 'paypal' ? t('form.redirectingToPaypal') : t('form.preparingPayment'))
+                : resolvedIsLoading
+                  ? t('form.booking')
+                  : hasBrief
+                    ? (isPaidEvent
+                      ? t('form.reviewBriefAndPay', { amount: formatCurrency(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD') })
+                      : t('form.reviewBrief'))
+                    : isPaidEvent
+                      ? (selectedProvider === 'paypal'
+                        ? t('form.payWithPaypal', { amount: formatCurrency(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD') })
+                        : t('payment.pay', { amount: formatCurrency(resolvedEventType?.price_cents, resolvedEventType?.currency || 'USD') }))
+                      : t('form.submit')}
           </Button>
         </div>
       </form>
@@ -1493,8 +1736,8 @@ export function BookingForm({
           clientSecret={paymentClientSecret}
           amount={resolvedEventType?.price_cents || 0}
           currency={resolvedEventType?.currency || 'USD'}
-          eventName={resolvedEventType?.name || 'Meeting'}
-          organizerName={resolvedEventType?.orgName || state?.organization?.name || 'Organizer'}
+          eventName={resolvedEventType?.name || t('common.meeting')}
+          organizerName={resolvedEventType?.orgName || state?.organization?.name || t('payment.organizer')}
           refundPolicy={resolvedEventType?.refund_policy}
           stripePublishableKey={stripePublishableKey}
         />
@@ -8,20 +8,42 @@ import {
   Clock,
   Copy,
   CreditCard,
+  History,
   Mail,
+  Repeat,
   Share2,
+  ShoppingCart,
   User,
+  Users,
   Video,
 } from 'lucide-react';
 import { useOptionalSchedulerContext } from '../context/SchedulerContext';
-import { formatDateInZone, formatTimeInZone } from '../utils/time';
+import { useI18n } from '../hooks/useI18n';
 import { canJoinMeeting, getMeetingJoinUrl, isMeetingEnded, parseMeetingPayload } from '../utils/meeting';
 import { Button } from './common/Button';
 import { Spinner } from './common/Spinner';
 
-export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
+export function BookingSuccess({
+  booking,
+  eventType,
+  userTimezone,
+  rescheduledFrom,
+  onDone,
+}) {
   const scheduler = useOptionalSchedulerContext();
   const actions = scheduler?.actions;
+  const {
+    t,
+    dir,
+    formatCurrency,
+    formatDate,
+    formatDateShort,
+    formatTime,
+  } = useI18n();
+  const resolvedUserTimezone = userTimezone
+    || scheduler?.state?.userTimezone
+    || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const previousBooking = rescheduledFrom !== undefined ? rescheduledFrom : scheduler?.state?.rescheduledFrom || null;
 
   const [showShareOptions, setShowShareOptions] = useState(false);
   const [showSubmittedDetails, setShowSubmittedDetails] = useState(false);
@@ -89,6 +111,24 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
     };
   }, [actions, booking.guest_email, booking.id, hasMeetingPending, meetingUrl]);
 
+  const additionalGuests = Array.isArray(booking.guests) ? booking.guests.filter((guest) => guest?.email) : [];
+  const guestSummary = additionalGuests
+    .map((guest) => (guest.name ? `${guest.name} (${guest.email})` : guest.email))
+    .join(', ');
+
+  const seriesBookings = Array.isArray(booking.series) && booking.series.length > 1 ? booking.series : [];
+  const seriesSummary = seriesBookings
+    .map((item) => `${formatDateShort(item.start_time, resolvedUserTimezone)}, ${formatTime(item.start_time, resolvedUserTimezone)}`)
+    .join('; ');
+
+  const cartBookings = Array.isArray(booking.cart) && booking.cart.length > 1 ? booking.cart : [];
+  const cartSummary = cartBookings
+    .map((item) => `${item.event_type_name} (${formatDateShort(item.start_time, resolvedUserTimezone)}, ${formatTime(item.start_time, resolvedUserTimezone)})`)
+    .join('; ');
+  const eventTitle = cartBookings.length > 0
+    ? cartBookings.map((item) => item.event_type_name).join(' + ')
+    : eventType?.name || booking.title;
+
   const durationMinutes = booking.duration_minutes || eventType?.duration || 30;
   const isPaidBooking = Boolean(
     booking.payment_status === 'paid'
@@ -110,11 +150,6 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
     || Boolean(booking.invitee_answers && Object.keys(booking.invitee_answers).length > 0)
     || Boolean(sourceSummary);
 
-  const formatPrice = (amountCents, currencyCode = 'USD') => new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: currencyCode,
-  }).format((amountCents || 0) / 100);
-
   const copyToClipboard = (text) => {
     if (typeof navigator !== 'undefined' && navigator.clipboard) {
       navigator.clipboard.writeText(text).catch(() => {});
@@ -122,36 +157,58 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
   };
 
   const handleShareEmail = () => {
-    const subject = encodeURIComponent(`Meeting Scheduled: ${eventType?.name || booking.title}`);
+    const subject = encodeURIComponent(t('success.share.subject', { title: eventTitle }));
     const body = encodeURIComponent(
-      `A meeting has been scheduled:\n\n`
-      + `${eventType?.name || booking.title}\n`
-      + `Date: ${formatDateInZone(booking.start_time, userTimezone)}\n`
-      + `Time: ${formatTimeInZone(booking.start_time, userTimezone)} - ${formatTimeInZone(booking.end_time, userTimezone)}\n`
-      + `Guest: ${booking.guest_name}`
+      `${t('success.share.intro')}\n\n`
+      + `${eventTitle}\n`
+      + `${t('success.share.date', { value: formatDate(booking.start_time, resolvedUserTimezone) })}\n`
+      + `${t('success.share.time', { value: `${formatTime(booking.start_time, resolvedUserTimezone)} - ${formatTime(booking.end_time, resolvedUserTimezone)}` })}\n`
+      + t('success.share.guest', { value: booking.guest_name })
+      + (guestSummary ? `\n${t('success.share.additionalGuests', { value: guestSummary })}` : '')
+      + (seriesSummary ? `\n${t('success.share.sessions', { value: seriesSummary })}` : '')
+      + (cartSummary ? `\n${t('success.share.events', { value: cartSummary })}` : '')
     );
     window.location.href = `mailto:?subject=${subject}&body=${body}`;
   };
 
   const handleCopyDetails = () => {
-    let details = `${eventType?.name || booking.title}\n`
-      + `Date: ${formatDateInZone(booking.start_time, userTimezone)}\n`
-      + `Time: ${formatTimeInZone(booking.start_time, userTimezone)} - ${formatTimeInZone(booking.end_time, userTimezone)}\n`
-      + `Guest: ${booking.guest_name} (${booking.guest_email})`;
+    let details = `${eventTitle}\n`
+      + `${t('success.share.date', { value: formatDate(booking.start_time, resolvedUserTimezone) })}\n`
+      + `${t('success.share.time', { value: `${formatTime(booking.start_time, resolvedUserTimezone)} - ${formatTime(booking.end_time, resolvedUserTimezone)}` })}\n`
+      + t('success.share.guest', { value: `${booking.guest_name} (${booking.guest_email})` });
+
+    if (guestSummary) {
+      details += `\n${t('success.share.additionalGuests', { value: guestSummary })}`;
+    }
+
+    if (seriesSummary) {
+      details += `\n${t('success.share.sessions', { value: seriesSummary })}`;
+    }
+
+    if (cartSummary) {
+      details += `\n${t('success.share.events', { value: cartSummary })}`;
+    }
+
+    if (previousBooking) {
+      details += `\n${t('success.share.previously', {
+        value: `${formatDate(previousBooking.start_time, resolvedUserTimezone)}, `
+          + `${formatTime(previousBooking.start_time, resolvedUserTimezone)} - ${formatTime(previousBooking.end_time, resolvedUserTimezone)}`,
+      })}`;
+    }
 
     if (isPaidBooking && paymentAmount > 0) {
-      details += `\nAmount Paid: ${formatPrice(paymentAmount, paymentCurrency)}`;
+      details += `\n${t('success.share.amountPaid', { value: formatCurrency(paymentAmount, paymentCurrency) })}`;
     }
 
     if (meetingUrl) {
-      details += `\nMeeting Link: ${meetingUrl}`;
+      details += `\n${t('success.share.meetingLink', { value: meetingUrl })}`;
     }
 
     copyToClipboard(details);
   };
 
   return (
-    <div className="calemly-sdk">
+    <div className="calemly-sdk" dir={dir}>
       <motion.div
         initial={{ opacity: 0, scale: 0.95 }}
         animate={{ opacity: 1, scale: 1 }}
@@ -166,43 +223,103 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
         >
           <Check className="w-8 h-8 text-primary-500" />
         </motion.div>
-        <h2 className="text-xl font-bold text-white">Booking Confirmed!</h2>
-        <p className="text-primary-100 mt-1">A confirmation email has been sent</p>
+        <h2 className="text-xl font-bold text-white">
+          {previousBooking ? t('success.rescheduledTitle') : t('success.title')}
+        </h2>
+        <p className="text-primary-100 mt-1">
+          {previousBooking ? t('success.rescheduledEmailSent') : t('success.emailSent')}
+        </p>
       </div>
 
       <div className="p-5 space-y-3">
         <div className="text-center pb-4 border-b border-gray-100 dark:border-slate-700">
           <h3 className="font-semibold text-lg text-neutral-dark dark:text-slate-100">
-            {eventType?.name || booking.title || 'Meeting'}
+            {eventTitle || t('common.meeting')}
           </h3>
-          <p className="text-gray-500 dark:text-slate-400">{durationMinutes} minutes</p>
+          <p className="text-gray-500 dark:text-slate-400">{t('slotPicker.minutesLong', { count: durationMinutes })}</p>
           <div className="mt-3 inline-flex items-center gap-2 px-2.5 py-1 rounded-full bg-indigo-50 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-200 text-xs font-medium">
             <Clock className="w-3.5 h-3.5" />
-            Source: {sourceLabel}
+            {t('success.source', { source: sourceLabel })}
           </div>
           {booking.template_used ? (
             <div className="mt-2 inline-flex items-center gap-2 px-2.5 py-1 rounded-full bg-green-50 dark:bg-green-900/40 text-green-700 dark:text-green-200 text-xs font-medium">
               <Check className="w-3.5 h-3.5" />
-              Booked using Same as last time
+              {t('success.templateUsed')}
             </div>
           ) : null}
         </div>
 
+        {previousBooking ? (
+          <div className="flex items-start gap-3">
+            <div className="w-10 h-10 rounded-lg bg-gray-100 dark:bg-slate-800 text-gray-500 dark:text-slate-300 flex items-center justify-center flex-shrink-0">
+              <History className="w-5 h-5" />
+            </div>
+            <div>
+              <p className="text-xs font-medium text-gray-500 dark:text-slate-400 uppercase">{t('success.previously')}</p>
+              <p className="text-gray-500 dark:text-slate-400 line-through">
+                {formatDate(previousBooking.start_time, resolvedUserTimezone)}
+              </p>
+              <p className="text-gray-400 dark:text-slate-500 line-through text-sm">
+                {formatTime(previousBooking.start_time, resolvedUserTimezone)} - {formatTime(previousBooking.end_time, resolvedUserTimezone)}
+              </p>
+            </div>
+          </div>
+        ) : null}
+
         <div className="flex items-start gap-3">
           <div className="w-10 h-10 rounded-lg bg-primary-100 dark:bg-primary-900/40 text-primary-600 dark:text-primary-300 flex items-center justify-center flex-shrink-0">
             <Calendar className="w-5 h-5" />
           </div>
           <div>
+            {previousBooking ? (
+              <p className="text-xs font-medium text-primary-600 dark:text-primary-300 uppercase">{t('reschedule.newTime')}</p>
+            ) : null}
             <p className="font-medium text-neutral-dark dark:text-slate-100">
-              {formatDateInZone(booking.start_time, userTimezone)}
+              {formatDate(booking.start_time, resolvedUserTimezone)}
             </p>
             <p className="text-gray-500 dark:text-slate-400">
-              {formatTimeInZone(booking.start_time, userTimezone)} - {formatTimeInZone(booking.end_time, userTimezone)}
+              {formatTime(booking.start_time, resolvedUserTimezone)} - {formatTime(booking.end_time, resolvedUserTimezone)}
             </p>
-            <p className="text-xs text-gray-400 dark:text-slate-500 mt-1">{userTimezone}</p>
+            <p className="text-xs text-gray-400 dark:text-slate-500 mt-1">{resolvedUserTimezone}</p>
           </div>
         </div>
 
+        {seriesBookings.length > 0 ? (
+          <div className="flex items-start gap-3">
+            <div className="w-10 h-10 rounded-lg bg-primary-100 dark:bg-primary-900/40 text-primary-600 dark:text-primary-300 flex items-center justify-center flex-shrink-0">
+              <Repeat className="w-5 h-5" />
+            </div>
+            <div>
+              <p className="font-medium text-neutral-dark dark:text-slate-100">{t('success.sessionsBooked', { count: seriesBookings.length })}</p>
+              <ul className="text-gray-500 dark:text-slate-400 text-sm">
+                {seriesBookings.map((item) => (
+                  <li key={item.id || item.start_time}>
+                    {formatDateShort(item.start_time, resolvedUserTimezone)} • {formatTime(item.start_time, resolvedUserTimezone)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        ) : null}
+
+        {cartBookings.length > 0 ? (
+          <div className="flex items-start gap-3">
+            <div className="w-10 h-10 rounded-lg bg-primary-100 dark:bg-primary-900/40 text-primary-600 dark:text-primary-300 flex items-center justify-center flex-shrink-0">
+              <ShoppingCart className="w-5 h-5" />
+            </div>
+            <div>
+              <p className="font-medium text-neutral-dark dark:text-slate-100">{t('success.eventsBooked', { count: cartBookings.length })}</p>
+              <ul className="text-gray-500 dark:text-slate-400 text-sm">
+                {cartBookings.map((item) => (
+                  <li key={item.id || `${item.event_type_id}:${item.start_time}`}>
+                    {item.event_type_name} • {formatDateShort(item.start_time, resolvedUserTimezone)} • {formatTime(item.start_time, resolvedUserTimezone)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        ) : null}
+
         <div className="flex items-start gap-3">
           <div className="w-10 h-10 rounded-lg bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-slate-200 flex items-center justify-center flex-shrink-0">
             <User className="w-5 h-5" />
@@ -214,6 +331,25 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
           </div>
         </div>
 
+        {additionalGuests.length > 0 ? (
+          <div className="flex items-start gap-3">
+            <div className="w-10 h-10 rounded-lg bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-slate-200 flex items-center justify-center flex-shrink-0">
+              <Users className="w-5 h-5" />
+            </div>
+            <div>
+              <p className="font-medium text-neutral-dark dark:text-slate-100">{t('success.additionalGuests')}</p>
+              <ul className="text-gray-500 dark:text-slate-400 text-sm">
+                {additionalGuests.map((guest) => (
+                  <li key={guest.email}>
+                    {guest.name ? `${guest.name} (${guest.email})` : guest.email}
+                    {guest.timezone ? <span className="text-xs text-gray-400 dark:text-slate-500"> • {guest.timezone}</span> : null}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        ) : null}
+
         {meetingUrl ? (
           <div className="bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-900/40 rounded-xl p-4">
             <div className="flex items-center gap-3 mb-3">
@@ -221,15 +357,15 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
                 <Video className="w-5 h-5 text-blue-600 dark:text-blue-300" />
               </div>
               <div>
-                <p className="font-medium text-blue-800 dark:text-blue-200">Video Conference</p>
-                <p className="text-xs text-blue-600 dark:text-blue-300">{booking.conferencing_provider || 'Meeting link available'}</p>
+                <p className="font-medium text-blue-800 dark:text-blue-200">{t('success.videoConference')}</p>
+                <p className="text-xs text-blue-600 dark:text-blue-300">{booking.conferencing_provider || t('success.meetingLinkAvailable')}</p>
               </div>
             </div>
 
             {meetingInProgress ? (
               <div className="inline-flex items-center gap-2 px-2 py-1 rounded-full bg-green-100 dark:bg-green-900/50 text-green-700 dark:text-green-200 text-xs font-medium mb-3">
                 <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse" />
-                Meeting in progress
+                {t('success.meetingInProgress')}
               </div>
             ) : null}
 
@@ -244,12 +380,12 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
               disabled={!canJoin}
               className="bg-blue-600 hover:bg-blue-700"
             >
-              <Video className="w-4 h-4 mr-2" />
-              {canJoin ? 'Join Meeting' : 'Meeting Ended'}
+              <Video className="w-4 h-4 me-2" />
+              {canJoin ? t('success.joinMeeting') : t('success.meetingEnded')}
             </Button>
 
             {!canJoin && meetingEnded ? (
-              <p className="text-xs text-blue-700 dark:text-blue-300 mt-2">This meeting has already ended.</p>
+              <p className="text-xs text-blue-700 dark:text-blue-300 mt-2">{t('success.meetingAlreadyEnded')}</p>
             ) : null}
 
             <div className="flex items-center gap-2 mt-3 pt-3 border-t border-blue-200 dark:border-blue-900/40">
@@ -264,7 +400,7 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
                 }}
                 disabled={!canJoin}
                 className={`p-1.5 rounded transition-colors flex-shrink-0 ${canJoin ? 'text-blue-500 hover:text-blue-700 hover:bg-blue-100 dark:hover:bg-blue-900/40' : 'text-blue-300 cursor-not-allowed'}`}
-                aria-label="Copy meeting link"
+                aria-label={t('success.copyMeetingLink')}
               >
                 <Copy className="w-4 h-4" />
               </button>
@@ -283,11 +419,11 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
                 )}
               </div>
               <div>
-                <p className="font-medium text-blue-800 dark:text-blue-200">Video Conference</p>
+                <p className="font-medium text-blue-800 dark:text-blue-200">{t('success.videoConference')}</p>
                 <p className="text-xs text-blue-600 dark:text-blue-300">
                   {meetingLoading
-                    ? 'Creating your meeting link...'
-                    : 'Your meeting link will be sent via email shortly.'}
+                    ? t('success.creatingMeetingLink')
+                    : t('success.meetingLinkByEmail')}
                 </p>
               </div>
             </div>
@@ -301,7 +437,7 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
               onClick={() => setShowSubmittedDetails((previous) => !previous)}
               className="w-full px-3 py-2.5 bg-gray-50 dark:bg-slate-800 hover:bg-gray-100 dark:hover:bg-slate-700 transition-colors flex items-center justify-between"
             >
-              <span className="text-sm font-medium text-neutral-dark dark:text-slate-100">Submitted details</span>
+              <span className="text-sm font-medium text-neutral-dark dark:text-slate-100">{t('success.submittedDetails')}</span>
               {showSubmittedDetails ? (
                 <ChevronUp className="w-4 h-4 text-gray-500 dark:text-slate-300" />
               ) : (
@@ -313,14 +449,14 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
               <div className="px-3 pb-3 pt-2 bg-white dark:bg-slate-900 border-t border-gray-100 dark:border-slate-700 space-y-3">
                 {booking.guest_notes ? (
                   <div className="bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-900/40 rounded-lg p-2.5">
-                    <p className="text-xs font-medium text-amber-800 dark:text-amber-200 mb-1">Notes</p>
+                    <p className="text-xs font-medium text-amber-800 dark:text-amber-200 mb-1">{t('success.notes')}</p>
                     <p className="text-sm text-amber-900 dark:text-amber-100">{booking.guest_notes}</p>
                   </div>
                 ) : null}
 
                 {booking.invitee_answers && Object.keys(booking.invitee_answers).length > 0 ? (
                   <div className="bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-900/40 rounded-lg p-2.5">
-                    <p className="text-xs font-medium text-blue-800 dark:text-blue-200 mb-2">Form responses</p>
+                    <p className="text-xs font-medium text-blue-800 dark:text-blue-200 mb-2">{t('success.formResponses')}</p>
                     <div className="space-y-2">
                       {Object.entries(booking.invitee_answers).map(([fieldId, answer]) => {
                         if (!answer) return null;
@@ -356,16 +492,16 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
                 <CreditCard className="w-4 h-4 text-green-600 dark:text-green-300" />
               </div>
               <div>
-                <p className="font-medium text-green-800 dark:text-green-200">Payment Confirmed</p>
+                <p className="font-medium text-green-800 dark:text-green-200">{t('success.paymentConfirmed')}</p>
                 <p className="text-xs text-green-700 dark:text-green-300">
-                  {booking.payment_provider === 'paypal' ? 'Paid via PayPal' : 'Paid via Stripe'}
+                  {t('success.paidVia', { provider: booking.payment_provider === 'paypal' ? 'PayPal' : 'Stripe' })}
                 </p>
               </div>
             </div>
             <div className="flex items-center justify-between pt-3 border-t border-green-200 dark:border-green-900/50">
-              <span className="text-sm text-green-700 dark:text-green-300">Amount Paid</span>
+              <span className="text-sm text-green-700 dark:text-green-300">{t('success.amountPaid')}</span>
               <span className="text-lg font-bold text-green-700 dark:text-green-200">
-                {formatPrice(paymentAmount, paymentCurrency)}
+                {formatCurrency(paymentAmount, paymentCurrency)}
               </span>
             </div>
           </div>
@@ -373,7 +509,7 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
 
         <div className="inline-flex items-center gap-2 text-xs text-gray-500 dark:text-slate-400">
           <Clock className="w-3.5 h-3.5" />
-          Keep this confirmation for your records.
+          {t('success.keepConfirmation')}
         </div>
       </div>
 
@@ -384,15 +520,15 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
             fullWidth
             onClick={() => setShowShareOptions((previous) => !previous)}
           >
-            <Share2 className="w-4 h-4 mr-2" />
-            Share Details
+            <Share2 className="w-4 h-4 me-2" />
+            {t('success.shareDetails')}
           </Button>
 
           {showShareOptions ? (
             <motion.div
               initial={{ opacity: 0, y: -10 }}
               animate={{ opacity: 1, y: 0 }}
-              className="absolute bottom-full left-0 right-0 mb-2 bg-white dark:bg-slate-900 rounded-lg shadow-lg border border-gray-200 dark:border-slate-700 overflow-hidden"
+              className="absolute bottom-full start-0 end-0 mb-2 bg-white dark:bg-slate-900 rounded-lg shadow-lg border border-gray-200 dark:border-slate-700 overflow-hidden"
             >
               <button
                 type="button"
@@ -400,7 +536,7 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
                 className="w-full flex items-center gap-3 px-4 py-3 hover:bg-gray-50 dark:hover:bg-slate-800 transition-colors"
               >
                 <Mail className="w-4 h-4 text-gray-500 dark:text-slate-300" />
-                <span className="text-sm text-neutral-dark dark:text-slate-100">Share via Email</span>
+                <span className="text-sm text-neutral-dark dark:text-slate-100">{t('success.shareViaEmail')}</span>
               </button>
               <button
                 type="button"
@@ -408,14 +544,14 @@ export function BookingSuccess({ booking, eventType, userTimezone, onDone }) {
                 className="w-full flex items-center gap-3 px-4 py-3 hover:bg-gray-50 dark:hover:bg-slate-800 transition-colors border-t border-gray-100 dark:border-slate-700"
               >
                 <Copy className="w-4 h-4 text-gray-500 dark:text-slate-300" />
-                <span className="text-sm text-neutral-dark dark:text-slate-100">Copy Details</span>
+                <span className="text-sm text-neutral-dark dark:text-slate-100">{t('success.copyDetails')}</span>
               </button>
             </motion.div>
           ) : null}
         </div>
 
         <Button onClick={onDone} fullWidth>
-          Done
+          {t('common.done')}
         </Button>
         </div>
       </motion.div>
@@ -0,0 +1,353 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  AlertCircle,
+  Calendar,
+  Check,
+  CreditCard,
+  Mail,
+  MessageSquare,
+  XCircle,
+} from 'lucide-react';
+import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { useI18n } from '../hooks/useI18n';
+import { formatRefundNotice, resolveRefundPreview } from '../utils/refunds';
+import { isValidEmail } from '../utils/validation';
+import { Button } from './common/Button';
+import { Input } from './common/Input';
+import { InlineSpinner } from './common/Spinner';
+
+export function CancelBooking({
+  bookingId,
+  email,
+  token,
+  eventType,
+  userTimezone,
+  onCancelled,
+  onClose,
+}) {
+  const scheduler = useOptionalSchedulerContext();
+  const state = scheduler?.state;
+  const actions = scheduler?.actions;
+  const {
+    t,
+    dir,
+    formatCurrency,
+    formatDate,
+    formatTime,
+  } = useI18n();
+
+  const resolvedUserTimezone =
+    userTimezone
+    || state?.userTimezone
+    || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const [emailInput, setEmailInput] = useState('');
+  const [verifiedEmail, setVerifiedEmail] = useState(null);
+  const [booking, setBooking] = useState(null);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  const [lookupError, setLookupError] = useState('');
+  const [reason, setReason] = useState('');
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [cancelError, setCancelError] = useState('');
+  const [cancelResult, setCancelResult] = useState(null);
+
+  const credentials = useMemo(() => {
+    if (email || token) {
+      return { email, token };
+    }
+
+    return verifiedEmail ? { email: verifiedEmail } : null;
+  }, [email, token, verifiedEmail]);
+
+  useEffect(() => {
+    if (!bookingId || !credentials || typeof actions?.getPublicBooking !== 'function') {
+      return undefined;
+    }
+
+    let active = true;
+    setIsLookingUp(true);
+    setLookupError('');
+
+    actions.getPublicBooking({ bookingId, ...credentials })
+      .then((result) => {
+        if (!active) {
+          return;
+        }
+
+        if (!result?.booking) {
+          setLookupError(t('cancel.notFound'));
+          return;
+        }
+
+        setBooking(result.booking);
+      })
+      .catch((requestError) => {
+        if (active) {
+          setLookupError(
+            requestError?.status === 404 || requestError?.status === 403
+              ? t('cancel.notFound')
+              : requestError?.message || t('cancel.loadFailed')
+          );
+        }
+      })
+      .finally(() => {
+        if (active) {
+          setIsLookingUp(false);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [actions, bookingId, credentials, t]);
+
+  const bookingEventType = booking?.event_type && typeof booking.event_type === 'object'
+    ? booking.event_type
+    : null;
+  const resolvedEventType = eventType
+    || bookingEventType
+    || (state?.eventType?.id && state.eventType.id === booking?.event_type_id ? state.eventType : null);
+  const paidCents = booking?.amount_paid_cents || 0;
+  const isPaidBooking = Boolean(booking?.payment_status === 'paid' || paidCents > 0);
+  const currency = booking?.currency || resolvedEventType?.currency || 'USD';
+  const refundPreview = isPaidBooking
+    ? resolveRefundPreview({
+      refundPolicy: booking?.refund_policy || resolvedEventType?.refund_policy,
+      startTime: booking.start_time,
+      amountCents: paidCents,
+    })
+    : null;
+
+  const handleVerify = (event) => {
+    event.preventDefault();
+    if (!isValidEmail(emailInput)) {
+      setLookupError(t('cancel.emailRequired'));
+      return;
+    }
+
+    setLookupError('');
+    setVerifiedEmail(emailInput.trim().toLowerCase());
+  };
+
+  const handleCancel = async (event) => {
+    event.preventDefault();
+
+    if (typeof actions?.cancelBooking !== 'function') {
+      setCancelError(t('cancel.unavailable'));
+      return;
+    }
+
+    setIsCancelling(true);
+    setCancelError('');
+
+    const result = await actions.cancelBooking({
+      bookingId,
+      ...credentials,
+      reason,
+      eventTypeId: booking?.event_type_id || resolvedEventType?.id || null,
+    });
+
+    setIsCancelling(false);
+
+    if (!result?.ok) {
+      setCancelError(result?.error?.message || t('errors.cancelFailed'));
+      return;
+    }
+
+    setCancelResult(result);
+    if (typeof onCancelled === 'function') {
+      onCancelled(result.booking || booking, {
+        reason: reason.trim() || null,
+        refund: result.refund,
+      });
+    }
+  };
+
+  const renderRefundPreview = () => {
+    if (!refundPreview) {
+      return null;
+    }
+
+    let message = t('cancel.nonRefundable');
+    if (refundPreview.isEligible) {
+      message = t('cancel.refundEligible', {
+        amount: formatCurrency(refundPreview.amountCents, currency),
+        percent: refundPreview.percent,
+        policy: t(`cancel.policyNames.${refundPreview.policy}`),
+      });
+    } else if (refundPreview.noticeHours) {
+      message = t('cancel.refundIneligible', {
+        policy: t(`cancel.policyNames.${refundPreview.policy}`),
+        notice: formatRefundNotice(refundPreview.noticeHours, t),
+      });
+    }
+
+    return (
+      <div className="p-3 rounded-xl border border-gray-200 dark:border-slate-700 bg-gray-50 dark:bg-slate-800 flex items-start gap-3">
+        <CreditCard className="w-5 h-5 text-gray-500 dark:text-slate-300 flex-shrink-0 mt-0.5" />
+        <div>
+          <p className="text-sm font-medium text-neutral-dark dark:text-slate-100">
+            {t('cancel.paid', { amount: formatCurrency(paidCents, currency) })}
+          </p>
+          <p className="text-sm text-gray-600 dark:text-slate-300 mt-0.5">{message}</p>
+        </div>
+      </div>
+    );
+  };
+
+  const renderBody = () => {
+    if (cancelResult) {
+      const refundedCents = cancelResult.refund?.amount_cents ?? refundPreview?.amountCents ?? 0;
+
+      return (
+        <div className="p-6 text-center space-y-3" role="status">
+          <div className="w-12 h-12 rounded-full bg-gray-100 dark:bg-slate-800 flex items-center justify-center mx-auto">
+            <Check className="w-6 h-6 text-gray-600 dark:text-slate-200" />
+          </div>
+          <h3 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">{t('cancel.cancelledTitle')}</h3>
+          <p className="text-sm text-gray-500 dark:text-slate-400">
+            {t('cancel.cancelledDescription')}
+          </p>
+          {refundedCents > 0 ? (
+            <p className="text-sm text-green-700 dark:text-green-300">
+              {t('cancel.refundIssued', { amount: formatCurrency(refundedCents, currency) })}
+            </p>
+          ) : null}
+          {typeof onClose === 'function' ? (
+            <Button variant="outline" onClick={onClose}>{t('common.close')}</Button>
+          ) : null}
+        </div>
+      );
+    }
+
+    if (!credentials) {
+      return (
+        <form onSubmit={handleVerify} className="p-4 space-y-4">
+          <p className="text-sm text-gray-600 dark:text-slate-300">
+            {t('cancel.verifyDescription')}
+          </p>
+          <Input
+            label={t('form.email')}
+            type="email"
+            value={emailInput}
+            onChange={(event) => setEmailInput(event.target.value)}
+            placeholder={t('cancel.emailPlaceholder')}
+            icon={Mail}
+            error={lookupError || undefined}
+          />
+          <div className="flex justify-end">
+            <Button type="submit">{t('cancel.findBooking')}</Button>
+          </div>
+        </form>
+      );
+    }
+
+    if (isLookingUp) {
+      return (
+        <div className="p-4">
+          <InlineSpinner text={t('cancel.loading')} />
+        </div>
+      );
+    }
+
+    if (lookupError || !booking) {
+      return (
+        <div className="p-4 space-y-3">
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-xl flex items-start gap-3" role="alert">
+            <AlertCircle className="w-5 h-5 text-error flex-shrink-0 mt-0.5" />
+            <p className="text-sm font-medium">{lookupError || t('cancel.loadFailed')}</p>
+          </div>
+          {!email && !token ? (
+            <Button variant="outline" onClick={() => setVerifiedEmail(null)}>{t('cancel.tryAnotherEmail')}</Button>
+          ) : null}
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleCancel} className="p-4 space-y-4">
+        <div className="flex items-start gap-3">
+          <div className="w-10 h-10 rounded-lg bg-primary-100 dark:bg-primary-900/40 text-primary-600 dark:text-primary-300 flex items-center justify-center flex-shrink-0">
+            <Calendar className="w-5 h-5" />
+          </div>
+          <div>
+            <p className="font-medium text-neutral-dark dark:text-slate-100">
+              {resolvedEventType?.name || booking.title || t('common.meeting')}
+            </p>
+            <p className="text-sm text-gray-600 dark:text-slate-300">
+              {formatDate(booking.start_time, resolvedUserTimezone)}
+            </p>
+            <p className="text-sm text-gray-500 dark:text-slate-400">
+              {formatTime(booking.start_time, resolvedUserTimezone)} - {formatTime(booking.end_time, resolvedUserTimezone)}
+              {' '}
+              ({resolvedUserTimezone})
+            </p>
+          </div>
+        </div>
+
+        {renderRefundPreview()}
+
+        <div>
+          <label
+            htmlFor="calemly-cancel-reason"
+            className="block text-sm font-medium text-gray-700 dark:text-slate-200 mb-2"
+          >
+            {t('cancel.reason')}
+          </label>
+          <div className="relative">
+            <MessageSquare className="absolute start-3 top-3 w-5 h-5 text-gray-400" />
+            <textarea
+              id="calemly-cancel-reason"
+              value={reason}
+              onChange={(event) => setReason(event.target.value)}
+              placeholder={t('cancel.reasonPlaceholder')}
+              rows={3}
+              className="w-full ps-11 pe-4 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent resize-none text-sm sm:text-base dark:bg-slate-900 dark:text-slate-100"
+            />
+          </div>
+        </div>
+
+        {cancelError ? (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-xl flex items-start gap-3"
+            role="alert"
+          >
+            <AlertCircle className="w-5 h-5 text-error flex-shrink-0 mt-0.5" />
+            <p className="text-sm font-medium">{cancelError}</p>
+          </motion.div>
+        ) : null}
+
+        <div className="pt-2 flex flex-col sm:flex-row gap-2 sm:justify-end">
+          {typeof onClose === 'function' ? (
+            <Button type="button" variant="outline" onClick={onClose}>
+              {t('cancel.keepBooking')}
+            </Button>
+          ) : null}
+          <Button
+            type="submit"
+            disabled={isCancelling}
+            isLoading={isCancelling}
+            className="bg-red-600 hover:bg-red-700"
+          >
+            {isCancelling ? t('cancel.submitting') : t('cancel.title')}
+          </Button>
+        </div>
+      </form>
+    );
+  };
+
+  return (
+    <div className="calemly-sdk" dir={dir}>
+      <div className="w-full max-w-xl mx-auto bg-white dark:bg-slate-900 rounded-2xl shadow-card overflow-hidden border border-transparent dark:border-slate-700">
+        <div className="flex items-center gap-3 p-4 border-b border-gray-100 dark:border-slate-700">
+          <XCircle className="w-5 h-5 text-red-500" />
+          <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">{t('cancel.title')}</h2>
+        </div>
+        {renderBody()}
+      </div>
+    </div>
+  );
+}
@@ -13,16 +13,12 @@ import {
   ArrowRight,
   X,
 } from 'lucide-react';
-import dayjs from 'dayjs';
-import utc from 'dayjs/plugin/utc.js';
-import timezone from 'dayjs/plugin/timezone.js';
 import clsx from 'clsx';
+import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { useI18n } from '../hooks/useI18n';
 import { Button } from './common/Button';
 import { Spinner } from './common/Spinner';
 
-dayjs.extend(utc);
-dayjs.extend(timezone);
-
 const containerVariants = {
   hidden: { opacity: 0, y: 20 },
   visible: {
@@ -41,7 +37,7 @@ const containerVariants = {
 };
 
 const itemVariants = {
-  hidden: { opacity: 0, x: -20 },
+  hidden: (slideDirection) => ({ opacity: 0, x: -20 * slideDirection }),
   visible: {
     opacity: 1,
     x: 0,
@@ -71,14 +67,21 @@ export function ConflictResolver({
   bestSuggestion,
   onSelectSuggestion,
   onAutoSelect,
-  userTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+  userTimezone,
   isLoading = false,
 }) {
+  const scheduler = useOptionalSchedulerContext();
+  const i18n = useI18n();
+  const { t, dir } = i18n;
+  const resolvedUserTimezone = userTimezone
+    || scheduler?.state?.userTimezone
+    || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const slideDirection = dir === 'rtl' ? -1 : 1;
   const [selectedIndex, setSelectedIndex] = useState(null);
   const [showExplanation, setShowExplanation] = useState(null);
 
-  const formatTime = (isoString) => dayjs(isoString).tz(userTimezone).format('h:mm A');
-  const formatDate = (isoString) => dayjs(isoString).tz(userTimezone).format('ddd, MMM D');
+  const formatTime = (isoString) => i18n.formatTime(isoString, resolvedUserTimezone);
+  const formatDate = (isoString) => i18n.formatDateShort(isoString, resolvedUserTimezone);
 
   const handleSelectSuggestion = (suggestion, index) => {
     setSelectedIndex(index);
@@ -94,7 +97,7 @@ export function ConflictResolver({
   }
 
   return (
-    <div className="calemly-sdk">
+    <div className="calemly-sdk" dir={dir}>
       <AnimatePresence>
         <motion.div
           variants={containerVariants}
@@ -103,7 +106,7 @@ export function ConflictResolver({
           exit="exit"
           className="bg-white dark:bg-slate-900 rounded-2xl shadow-card overflow-hidden border border-gray-100 dark:border-slate-700"
         >
-        <div className="p-4 sm:p-5 border-b border-gray-100 dark:border-slate-700 bg-gradient-to-r from-amber-50 to-orange-50 dark:from-amber-900/30 dark:to-orange-900/20">
+        <div className="p-4 sm:p-5 border-b border-gray-100 dark:border-slate-700 bg-gradient-to-r rtl:bg-gradient-to-l from-amber-50 to-orange-50 dark:from-amber-900/30 dark:to-orange-900/20">
           <div className="flex items-start justify-between gap-3">
             <div className="flex items-start gap-3">
               <motion.div
@@ -116,16 +119,17 @@ export function ConflictResolver({
               </motion.div>
               <div>
                 <h3 className="font-semibold text-neutral-dark dark:text-slate-100 text-base sm:text-lg">
-                  Time Slot Unavailable
+                  {t('conflict.title')}
                 </h3>
                 <p className="text-sm text-gray-600 dark:text-slate-300 mt-0.5">
-                  {conflictDetails?.message || 'This slot was just booked by someone else.'}
+                  {conflictDetails?.message || t('conflict.description')}
                 </p>
               </div>
             </div>
             <button
               type="button"
               onClick={onClose}
+              aria-label={t('common.close')}
               className="p-2 text-gray-400 dark:text-slate-400 hover:text-gray-600 dark:hover:text-slate-100 hover:bg-white/50 dark:hover:bg-slate-800 rounded-lg transition-colors"
             >
               <X className="w-5 h-5" />
@@ -144,9 +148,9 @@ export function ConflictResolver({
                   <Sparkles className="w-4 h-4 sm:w-5 sm:h-5" />
                 </div>
                 <div>
-                  <p className="text-xs text-gray-500 dark:text-slate-400 uppercase tracking-wide font-medium">AI Suggestion</p>
+                  <p className="text-xs text-gray-500 dark:text-slate-400 uppercase tracking-wide font-medium">{t('conflict.suggestion')}</p>
                   <p className="font-semibold text-neutral-dark dark:text-slate-100 text-sm sm:text-base">
-                    We found {suggestions.length} alternative{suggestions.length !== 1 ? 's' : ''}
+                    {t('conflict.found', { count: suggestions.length })}
                   </p>
                 </div>
               </div>
@@ -156,9 +160,9 @@ export function ConflictResolver({
                   size="sm"
                   className="w-full sm:w-auto"
                 >
-                  <Zap className="w-4 h-4 mr-1.5" />
-                  <span className="hidden sm:inline">Auto-select Best Time</span>
-                  <span className="sm:hidden">Auto-select Best</span>
+                  <Zap className="w-4 h-4 me-1.5" />
+                  <span className="hidden sm:inline">{t('conflict.autoSelect')}</span>
+                  <span className="sm:hidden">{t('conflict.autoSelectShort')}</span>
                 </Button>
               ) : null}
             </div>
@@ -169,7 +173,7 @@ export function ConflictResolver({
           {isLoading ? (
             <div className="flex flex-col items-center justify-center py-8">
               <Spinner size="md" showLogo={false} className="w-10 h-10" text="" />
-              <p className="text-sm text-gray-500 dark:text-slate-400 mt-3">Finding best alternatives...</p>
+              <p className="text-sm text-gray-500 dark:text-slate-400 mt-3">{t('conflict.loading')}</p>
             </div>
           ) : suggestions.length > 0 ? (
             <div className="space-y-3">
@@ -181,10 +185,11 @@ export function ConflictResolver({
                   <motion.button
                     key={`${suggestion.start}-${index}`}
                     variants={itemVariants}
+                    custom={slideDirection}
                     type="button"
                     onClick={() => handleSelectSuggestion(suggestion, index)}
                     className={clsx(
-                      'w-full text-left p-3 sm:p-4 rounded-xl border-2 transition-all relative overflow-hidden',
+                      'w-full text-start p-3 sm:p-4 rounded-xl border-2 transition-all relative overflow-hidden',
                       isSelected
                         ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/30 ring-2 ring-primary-200 dark:ring-primary-700/40'
                         : isBest
@@ -193,9 +198,9 @@ export function ConflictResolver({
                     )}
                   >
                     {isBest ? (
-                      <div className="absolute top-0 right-0">
-                        <div className="bg-primary-500 text-white text-[10px] sm:text-xs font-semibold px-2 py-0.5 rounded-bl-lg">
-                          BEST MATCH
+                      <div className="absolute top-0 end-0">
+                        <div className="bg-primary-500 text-white text-[10px] sm:text-xs font-semibold px-2 py-0.5 rounded-es-lg">
+                          {t('conflict.bestMatch')}
                         </div>
                       </div>
                     ) : null}
@@ -223,7 +228,7 @@ export function ConflictResolver({
                         </div>
                       </div>
 
-                      <div className="flex flex-wrap items-center gap-2 pl-[3.25rem] sm:pl-0">
+                      <div className="flex flex-wrap items-center gap-2 ps-[3.25rem] sm:ps-0">
                         <div className={clsx('px-2 py-1 rounded-full text-xs font-medium flex items-center gap-1', getConfidenceColor(suggestion.confidenceScore || 0))}>
                           <TrendingUp className="w-3 h-3" />
                           {suggestion.confidenceScore || 0}%
@@ -244,7 +249,7 @@ export function ConflictResolver({
                             }
                           }}
                           className="p-1.5 text-gray-400 dark:text-slate-400 hover:text-gray-600 dark:hover:text-slate-100 hover:bg-gray-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
-                          aria-label="Show explanation"
+                          aria-label={t('conflict.showExplanation')}
                         >
                           <Info className="w-4 h-4" />
                         </span>
@@ -259,7 +264,7 @@ export function ConflictResolver({
                           </motion.div>
                         ) : null}
 
-                        <ChevronRight className={clsx('w-5 h-5 transition-colors hidden sm:block', isSelected ? 'text-primary-500' : 'text-gray-300 dark:text-slate-600')} />
+                        <ChevronRight className={clsx('w-5 h-5 rtl:-scale-x-100 transition-colors hidden sm:block', isSelected ? 'text-primary-500' : 'text-gray-300 dark:text-slate-600')} />
                       </div>
                     </div>
 
@@ -274,7 +279,7 @@ export function ConflictResolver({
                           <div className="mt-3 pt-3 border-t border-gray-200 dark:border-slate-700">
                             <div className="flex items-start gap-2 text-sm text-gray-600 dark:text-slate-300">
                               <Sparkles className="w-4 h-4 text-primary-500 flex-shrink-0 mt-0.5" />
-                              <p>{suggestion.explanation || 'Available time slot'}</p>
+                              <p>{suggestion.explanation || t('conflict.defaultExplanation')}</p>
                             </div>
                           </div>
                         </motion.div>
@@ -289,28 +294,28 @@ export function ConflictResolver({
               <div className="w-16 h-16 bg-gray-100 dark:bg-slate-800 rounded-full flex items-center justify-center mx-auto mb-4">
                 <Calendar className="w-8 h-8 text-gray-400 dark:text-slate-500" />
               </div>
-              <p className="text-gray-600 dark:text-slate-300 font-medium">No alternatives found</p>
-              <p className="text-sm text-gray-500 dark:text-slate-400 mt-1">Please try selecting a different date.</p>
+              <p className="text-gray-600 dark:text-slate-300 font-medium">{t('conflict.empty')}</p>
+              <p className="text-sm text-gray-500 dark:text-slate-400 mt-1">{t('conflict.emptyHint')}</p>
             </div>
           )}
         </div>
 
         <div className="p-4 sm:p-5 bg-gray-50 dark:bg-slate-800 border-t border-gray-100 dark:border-slate-700">
           <div className="flex flex-col sm:flex-row items-center justify-between gap-3">
-            <p className="text-xs sm:text-sm text-gray-500 dark:text-slate-400 text-center sm:text-left">
-              <Sparkles className="w-3.5 h-3.5 inline-block mr-1 text-primary-500" />
-              Suggestions powered by booking analytics
+            <p className="text-xs sm:text-sm text-gray-500 dark:text-slate-400 text-center sm:text-start">
+              <Sparkles className="w-3.5 h-3.5 inline-block me-1 text-primary-500" />
+              {t('conflict.footer')}
             </p>
             <div className="flex gap-2 w-full sm:w-auto">
-              <Button variant="outline" size="sm" onClick={onClose} className="flex-1 sm:flex-none">Cancel</Button>
+              <Button variant="outline" size="sm" onClick={onClose} className="flex-1 sm:flex-none">{t('common.cancel')}</Button>
               {selectedIndex !== null && suggestions[selectedIndex] ? (
                 <Button
                   size="sm"
                   onClick={() => onSelectSuggestion(suggestions[selectedIndex])}
                   className="flex-1 sm:flex-none"
                 >
-                  Confirm Selection
-                  <ArrowRight className="w-4 h-4 ml-1.5" />
+                  {t('conflict.confirm')}
+                  <ArrowRight className="w-4 h-4 ms-1.5 rtl:-scale-x-100" />
                 </Button>
               ) : null}
             </div>
@@ -12,6 +12,8 @@ import {
   AlertCircle,
 } from 'lucide-react';
 import clsx from 'clsx';
+import { useI18n } from '../hooks/useI18n';
+import { DEFAULT_I18N } from '../utils/i18n';
 
 const FIELD_TYPES = [
   { id: 'short_text', icon: Type },
@@ -70,7 +72,7 @@ const isFieldVisible = (field, answers) => {
   });
 };
 
-export function validateFormAnswers(formSchema, answers) {
+export function validateFormAnswers(formSchema, answers, { t = DEFAULT_I18N.t } = {}) {
   const fields = formSchema?.fields || [];
   const errors = {};
 
@@ -82,7 +84,7 @@ export function validateFormAnswers(formSchema, answers) {
     const value = answers?.[field.id];
 
     if (field.required && (!value || (Array.isArray(value) && value.length === 0) || value === '')) {
-      errors[field.id] = 'This field is required';
+      errors[field.id] = t('validation.required');
       return;
     }
 
@@ -93,7 +95,7 @@ export function validateFormAnswers(formSchema, answers) {
     if (field.type === 'email') {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!emailRegex.test(value)) {
-        errors[field.id] = 'Please enter a valid email address';
+        errors[field.id] = t('validation.email');
       }
     }
 
@@ -101,14 +103,14 @@ export function validateFormAnswers(formSchema, answers) {
       try {
         new URL(value);
       } catch (_error) {
-        errors[field.id] = 'Please enter a valid URL';
+        errors[field.id] = t('validation.url');
       }
     }
 
     if (field.type === 'phone') {
       const phoneRegex = /^[\d\s\-+()]+$/;
       if (!phoneRegex.test(value)) {
-        errors[field.id] = 'Please enter a valid phone number';
+        errors[field.id] = t('validation.phone');
       }
     }
   });
@@ -119,7 +121,15 @@ export function validateFormAnswers(formSchema, answers) {
   };
 }
 
-export function CustomFormRenderer({ formSchema, answers, onChange, errors, className = '' }) {
+export function CustomFormRenderer({
+  formSchema,
+  answers,
+  onChange,
+  errors,
+  readOnlyFields,
+  className = '',
+}) {
+  const { t, dir } = useI18n();
   const [localAnswers, setLocalAnswers] = useState(answers || {});
   const fields = formSchema?.fields || [];
 
@@ -144,6 +154,7 @@ export function CustomFormRenderer({ formSchema, answers, onChange, errors, clas
     const Icon = iconEntry?.icon || Type;
     const value = localAnswers[field.id];
     const error = errors?.[field.id];
+    const isReadOnly = Boolean(readOnlyFields?.includes(field.id));
 
     return (
       <motion.div
@@ -158,19 +169,19 @@ export function CustomFormRenderer({ formSchema, answers, onChange, errors, clas
           <Icon className="w-4 h-4 mt-0.5 text-primary-600 dark:text-primary-300 flex-shrink-0" />
           <span>
             {field.label}
-            {field.required ? <span className="text-red-500 ml-1">*</span> : null}
+            {field.required ? <span className="text-red-500 ms-1">*</span> : null}
           </span>
         </label>
 
         {field.description ? (
-          <p className="text-sm text-gray-500 dark:text-slate-400 ml-6">{field.description}</p>
+          <p className="text-sm text-gray-500 dark:text-slate-400 ms-6">{field.description}</p>
         ) : null}
 
-        <div className="ml-6">
+        <fieldset className="ms-6" disabled={isReadOnly}>
           {field.type === 'short_text' ? (
             <input
               type="text"
-              placeholder={field.placeholder || 'Enter your answer...'}
+              placeholder={field.placeholder || t('customForm.answerPlaceholder')}
               value={value || ''}
               onChange={(event) => handleChange(field.id, event.target.value)}
               className={clsx(
@@ -185,7 +196,7 @@ export function CustomFormRenderer({ formSchema, answers, onChange, errors, clas
           {field.type === 'long_text' ? (
             <textarea
               rows={4}
-              placeholder={field.placeholder || 'Enter your answer...'}
+              placeholder={field.placeholder || t('customForm.answerPlaceholder')}
               value={value || ''}
               onChange={(event) => handleChange(field.id, event.target.value)}
               className={clsx(
@@ -238,7 +249,7 @@ export function CustomFormRenderer({ formSchema, answers, onChange, errors, clas
                 error ? 'border-red-500 bg-red-50 dark:bg-red-950/30' : 'border-gray-300 dark:border-slate-700 bg-white'
               )}
             >
-              <option value="">Select an option...</option>
+              <option value="">{t('customForm.selectOption')}</option>
               {(field.options || []).map((option, index) => (
                 <option key={`${field.id}-option-${index}`} value={option}>{option}</option>
               ))}
@@ -343,7 +354,7 @@ export function CustomFormRenderer({ formSchema, answers, onChange, errors, clas
               <span>{error}</span>
             </motion.div>
           ) : null}
-        </div>
+        </fieldset>
       </motion.div>
     );
   };
@@ -355,10 +366,10 @@ export function CustomFormRenderer({ formSchema, answers, onChange, errors, clas
   const visibleFields = fields.filter((field) => isFieldVisible(field, localAnswers));
 
   return (
-    <div className="calemly-sdk">
+    <div className="calemly-sdk" dir={dir}>
       <div className={clsx('space-y-6', className)}>
         <div className="border-t border-gray-100 dark:border-slate-700 pt-6">
-          <h3 className="text-lg font-semibold text-gray-900 dark:text-slate-100 mb-4">Additional Information</h3>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-slate-100 mb-4">{t('customForm.title')}</h3>
           <AnimatePresence mode="wait">
             <div className="space-y-6">
               {visibleFields.map((field) => renderField(field))}
@@ -0,0 +1,243 @@
+import React, { useMemo, useState } from 'react';
+import clsx from 'clsx';
+import {
+  Check,
+  Clock,
+  CreditCard,
+  ExternalLink,
+  MapPin,
+  Phone,
+  Pin,
+  Search,
+  Video,
+} from 'lucide-react';
+import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { useI18n } from '../hooks/useI18n';
+import {
+  buildEventTypeFilters,
+  filterEventTypes,
+  formatEventPrice,
+  formatLocationType,
+  getEventCategories,
+  getEventLocationType,
+  isPinnedEventType,
+  orderEventTypes,
+} from '../utils/eventTypes';
+import { Input } from './common/Input';
+
+const EMPTY_FILTERS = {
+  query: '',
+  duration: null,
+  price: null,
+  locationType: null,
+  category: null,
+};
+
+const EMPTY_SETTINGS = {};
+
+const LOCATION_ICONS = {
+  video: Video,
+  phone: Phone,
+};
+
+function FilterChips({
+  label,
+  options,
+  value,
+  onChange,
+}) {
+  if (options.length < 2) {
+    return null;
+  }
+
+  return (
+    <div role="group" aria-label={label} className="flex flex-wrap items-center gap-1.5">
+      <span className="text-xs font-medium text-gray-500 dark:text-slate-400 me-1">{label}</span>
+      {options.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          aria-pressed={value === option.value}
+          onClick={() => onChange(value === option.value ? null : option.value)}
+          className={clsx(
+            'px-2.5 py-1 rounded-full text-xs font-medium border transition-colors',
+            value === option.value
+              ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-200'
+              : 'border-gray-200 dark:border-slate-700 text-gray-600 dark:text-slate-300 hover:border-primary-300 dark:hover:border-primary-500'
+          )}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export function EventTypeList({
+  eventTypes,
+  embedSettings,
+  onSelect,
+  className = '',
+}) {
+  const scheduler = useOptionalSchedulerContext();
+  const state = scheduler?.state;
+  const actions = scheduler?.actions;
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  const resolvedEmbedSettings = embedSettings || state?.embedSettings || EMPTY_SETTINGS;
+  const orderedEventTypes = useMemo(
+    () => orderEventTypes(eventTypes || state?.eventTypes || [], resolvedEmbedSettings),
+    [eventTypes, resolvedEmbedSettings, state?.eventTypes]
+  );
+  const cartEventTypeIds = new Set((state?.cart || []).map((item) => item.eventType.id));
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const availableFilters = useMemo(() => buildEventTypeFilters(orderedEventTypes), [orderedEventTypes]);
+  const visibleEventTypes = useMemo(() => filterEventTypes(orderedEventTypes, filters), [filters, orderedEventTypes]);
+  const hasActiveFilters = Object.keys(EMPTY_FILTERS).some((key) => filters[key] !== EMPTY_FILTERS[key]);
+
+  const updateFilter = (key, value) => {
+    setFilters((previous) => ({ ...previous, [key]: value }));
+  };
+
+  const handleSelect = (eventType) => {
+    if (typeof onSelect === 'function') {
+      onSelect(eventType);
+      return;
+    }
+    actions?.selectEventType?.(eventType);
+  };
+
+  if (orderedEventTypes.length === 0) {
+    return (
+      <div className="bg-gray-50 dark:bg-slate-800 border border-gray-200 dark:border-slate-700 text-sm text-gray-500 dark:text-slate-400 rounded-xl p-6">
+        {t('eventList.empty')}
+      </div>
+    );
+  }
+
+  return (
+    <div className={clsx('space-y-4', className)}>
+      {orderedEventTypes.length > 1 ? (
+        <div className="space-y-2">
+          <Input
+            id="calemly-event-search"
+            type="search"
+            icon={Search}
+            placeholder={t('eventList.search')}
+            aria-label={t('eventList.search')}
+            value={filters.query}
+            onChange={(event) => updateFilter('query', event.target.value)}
+          />
+          <FilterChips
+            label={t('eventList.duration')}
+            options={availableFilters.durations.map((duration) => ({ value: duration, label: t('common.minutes', { count: duration }) }))}
+            value={filters.duration}
+            onChange={(value) => updateFilter('duration', value)}
+          />
+          <FilterChips
+            label={t('eventList.price')}
+            options={availableFilters.prices.map((price) => ({ value: price, label: price === 'paid' ? t('eventList.paid') : t('common.free') }))}
+            value={filters.price}
+            onChange={(value) => updateFilter('price', value)}
+          />
+          <FilterChips
+            label={t('eventList.location')}
+            options={availableFilters.locationTypes.map((locationType) => ({ value: locationType, label: formatLocationType(locationType, t) }))}
+            value={filters.locationType}
+            onChange={(value) => updateFilter('locationType', value)}
+          />
+          <FilterChips
+            label={t('eventList.category')}
+            options={availableFilters.categories.map((category) => ({ value: category, label: category }))}
+            value={filters.category}
+            onChange={(value) => updateFilter('category', value)}
+          />
+        </div>
+      ) : null}
+
+      {visibleEventTypes.length === 0 ? (
+        <div className="bg-gray-50 dark:bg-slate-800 border border-gray-200 dark:border-slate-700 text-sm text-gray-500 dark:text-slate-400 rounded-xl p-6 text-center">
+          <p>{t('eventList.noMatches')}</p>
+          {hasActiveFilters ? (
+            <button
+              type="button"
+              onClick={() => setFilters(EMPTY_FILTERS)}
+              className="mt-2 text-primary-600 dark:text-primary-300 font-medium hover:underline"
+            >
+              {t('eventList.clearFilters')}
+            </button>
+          ) : null}
+        </div>
+      ) : (
+        <div className="grid gap-3 sm:grid-cols-2">
+          {visibleEventTypes.map((eventItem) => {
+            const locationType = getEventLocationType(eventItem);
+            const LocationIcon = LOCATION_ICONS[locationType] || MapPin;
+            const categories = getEventCategories(eventItem);
+            const isPinned = isPinnedEventType(eventItem, resolvedEmbedSettings);
+
+            return (
+              <button
+                key={eventItem.id}
+                type="button"
+                onClick={() => handleSelect(eventItem)}
+                className="text-start p-4 border border-gray-200 dark:border-slate-700 rounded-xl hover:border-primary-300 dark:hover:border-primary-500 hover:bg-primary-50 dark:hover:bg-primary-900/20 transition-colors"
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <p className="font-semibold text-neutral-dark dark:text-slate-100 flex items-center gap-1.5">
+                    {isPinned ? <Pin className="w-3.5 h-3.5 text-primary-500 flex-shrink-0" aria-label={t('eventList.pinned')} /> : null}
+                    {eventItem.name}
+                  </p>
+                  {cartEventTypeIds.has(eventItem.id) ? (
+                    <span className="text-xs font-medium text-primary-600 dark:text-primary-300 flex items-center gap-1 flex-shrink-0">
+                      <Check className="w-3.5 h-3.5" />
+                      {t('eventList.inCart')}
+                    </span>
+                  ) : (
+                    <ExternalLink className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                  )}
+                </div>
+
+                <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-sm text-gray-500 dark:text-slate-400">
+                  <span className="flex items-center gap-1">
+                    <Clock className="w-3.5 h-3.5" />
+                    {t('common.minutes', { count: eventItem.duration })}
+                  </span>
+                  <span className="flex items-center gap-1">
+                    <CreditCard className="w-3.5 h-3.5" />
+                    {formatEventPrice(eventItem, i18n)}
+                  </span>
+                  {locationType ? (
+                    <span className="flex items-center gap-1">
+                      <LocationIcon className="w-3.5 h-3.5" />
+                      {eventItem.location_label || formatLocationType(locationType, t)}
+                    </span>
+                  ) : null}
+                </div>
+
+                {eventItem.description ? (
+                  <p className="text-sm text-gray-500 dark:text-slate-400 mt-3 line-clamp-2">{eventItem.description}</p>
+                ) : null}
+
+                {categories.length > 0 ? (
+                  <div className="mt-3 flex flex-wrap gap-1.5">
+                    {categories.map((category) => (
+                      <span
+                        key={category}
+                        className="px-2 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-slate-300"
+                      >
+                        {category}
+                      </span>
+                    ))}
+                  </div>
+                ) : null}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useMemo } from 'react';
+import { Mail, Plus, User, Users, X } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { DEFAULT_I18N } from '../utils/i18n';
+import { listTimezones } from '../utils/time';
+import { isValidEmail, normalizeEmail } from '../utils/validation';
+import { Input } from './common/Input';
+
+let nextGuestKey = 0;
+
+export const createGuest = () => {
+  nextGuestKey += 1;
+  return {
+    key: `guest-${nextGuestKey}`,
+    name: '',
+    email: '',
+    timezone: '',
+  };
+};
+
+export const resolveGuestLimit = (eventType) => {
+  const limit = Number(eventType?.max_guests ?? eventType?.maxGuests);
+  return Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : 0;
+};
+
+export const toGuestPayload = (guests) => (guests || []).map((guest) => ({
+  name: guest.name.trim(),
+  email: normalizeEmail(guest.email),
+  timezone: guest.timezone || undefined,
+}));
+
+export function validateGuests(guests, { primaryEmail = '', limit = Infinity, t = DEFAULT_I18N.t } = {}) {
+  const errors = {};
+  const seenEmails = new Set([normalizeEmail(primaryEmail)].filter(Boolean));
+
+  if ((guests || []).length > limit) {
+    errors.guests = t('guests.limit', { count: limit });
+  }
+
+  (guests || []).forEach((guest) => {
+    const email = normalizeEmail(guest.email);
+
+    if (!guest.name.trim()) {
+      errors[`${guest.key}:name`] = t('validation.nameRequired');
+    }
+
+    if (!isValidEmail(email)) {
+      errors[`${guest.key}:email`] = t('validation.email');
+      return;
+    }
+
+    if (seenEmails.has(email)) {
+      errors[`${guest.key}:email`] = t('guests.duplicateEmail');
+      return;
+    }
+
+    seenEmails.add(email);
+  });
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+export function GuestListEditor({
+  guests,
+  limit,
+  onChange,
+  errors = {},
+}) {
+  const { t } = useI18n();
+  const timezones = useMemo(() => listTimezones(), []);
+
+  if (!limit) {
+    return null;
+  }
+
+  const updateGuest = (key, field, value) => {
+    onChange(guests.map((guest) => (guest.key === key ? { ...guest, [field]: value } : guest)));
+  };
+
+  const removeGuest = (key) => {
+    onChange(guests.filter((guest) => guest.key !== key));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-medium text-gray-700 dark:text-slate-200 flex items-center gap-2">
+          <Users className="w-4 h-4 text-gray-400" />
+          {t('guests.title')}
+          <span className="text-xs font-normal text-gray-400 dark:text-slate-500">
+            ({guests.length}/{limit})
+          </span>
+        </p>
+        <button
+          type="button"
+          onClick={() => onChange([...guests, createGuest()])}
+          disabled={guests.length >= limit}
+          className="text-sm font-medium text-primary-600 hover:text-primary-700 disabled:text-gray-400 disabled:cursor-not-allowed flex items-center gap-1"
+        >
+          <Plus className="w-4 h-4" />
+          {t('guests.add')}
+        </button>
+      </div>
+
+      {guests.map((guest, index) => (
+        <div
+          key={guest.key}
+          className="p-3 rounded-xl border border-gray-200 dark:border-slate-700 space-y-3"
+          role="group"
+          aria-label={t('guests.guest', { number: index + 1 })}
+        >
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-medium text-gray-500 dark:text-slate-400 uppercase">{t('guests.guest', { number: index + 1 })}</p>
+            <button
+              type="button"
+              onClick={() => removeGuest(guest.key)}
+              className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-slate-200 rounded"
+              aria-label={t('guests.remove', { number: index + 1 })}
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <Input
+            id={`calemly-${guest.key}-name`}
+            label={t('guests.name')}
+            value={guest.name}
+            onChange={(event) => updateGuest(guest.key, 'name', event.target.value)}
+            placeholder={t('guests.namePlaceholder')}
+            icon={User}
+            error={errors[`${guest.key}:name`]}
+          />
+
+          <Input
+            id={`calemly-${guest.key}-email`}
+            type="email"
+            label={t('guests.email')}
+            value={guest.email}
+            onChange={(event) => updateGuest(guest.key, 'email', event.target.value)}
+            placeholder={t('guests.emailPlaceholder')}
+            icon={Mail}
+            error={errors[`${guest.key}:email`]}
+          />
+
+          <div>
+            <label
+              htmlFor={`calemly-${guest.key}-timezone`}
+              className="block text-sm font-medium text-neutral-dark mb-1.5 dark:text-slate-100"
+            >
+              {t('guests.timezone')}
+            </label>
+            {timezones.length > 0 ? (
+              <select
+                id={`calemly-${guest.key}-timezone`}
+                value={guest.timezone}
+                onChange={(event) => updateGuest(guest.key, 'timezone', event.target.value)}
+                className="w-full px-4 py-2.5 rounded-lg border border-gray-300 dark:border-slate-700 text-sm text-neutral-dark dark:bg-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">{t('guests.sameTimezone')}</option>
+                {timezones.map((zone) => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                id={`calemly-${guest.key}-timezone`}
+                value={guest.timezone}
+                onChange={(event) => updateGuest(guest.key, 'timezone', event.target.value)}
+                placeholder={t('guests.timezonePlaceholder')}
+                className="w-full px-4 py-2.5 rounded-lg border border-gray-300 dark:border-slate-700 text-sm text-neutral-dark dark:bg-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            )}
+          </div>
+        </div>
+      ))}
+
+      {errors.guests ? (
+        <p className="text-sm text-error">{errors.guests}</p>
+      ) : null}
+    </div>
+  );
+}
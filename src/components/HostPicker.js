@@ -0,0 +1,112 @@
+import React from 'react';
+import clsx from 'clsx';
+import { Check, Languages, Users } from 'lucide-react';
+import { ANY_AVAILABLE_HOST } from '../constants';
+import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { useI18n } from '../hooks/useI18n';
+import { getEventHosts } from '../utils/hosts';
+
+function HostOption({
+  isSelected,
+  onClick,
+  avatar,
+  title,
+  description,
+}) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={isSelected}
+      className={clsx(
+        'w-full text-start p-4 border rounded-xl transition-colors flex items-center gap-3',
+        isSelected
+          ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+          : 'border-gray-200 dark:border-slate-700 hover:border-primary-300 dark:hover:border-primary-500 hover:bg-primary-50 dark:hover:bg-primary-900/20'
+      )}
+    >
+      {avatar}
+      <div className="min-w-0 flex-1">
+        <p className="font-semibold text-neutral-dark dark:text-slate-100 truncate">{title}</p>
+        {description ? (
+          <p className="text-sm text-gray-500 dark:text-slate-400 mt-0.5">{description}</p>
+        ) : null}
+      </div>
+      {isSelected ? <Check className="w-5 h-5 text-primary-500 flex-shrink-0" /> : null}
+    </button>
+  );
+}
+
+export function HostPicker({
+  eventType,
+  hosts,
+  selectedHostId,
+  onSelectHost,
+  className = '',
+}) {
+  const scheduler = useOptionalSchedulerContext();
+  const state = scheduler?.state;
+  const actions = scheduler?.actions;
+  const { t, dir } = useI18n();
+
+  const resolvedEventType = eventType || state?.eventType;
+  const resolvedHosts = hosts || getEventHosts(resolvedEventType, t);
+  const resolvedSelectedHostId = selectedHostId !== undefined ? selectedHostId : state?.selectedHostId || null;
+
+  const handleSelectHost = (hostId) => {
+    if (typeof onSelectHost === 'function') {
+      onSelectHost(hostId);
+      return;
+    }
+    actions?.selectHost?.(hostId);
+  };
+
+  return (
+    <div className={clsx('calemly-sdk space-y-4', className)} dir={dir}>
+      <div className="space-y-1">
+        <h3 className="font-semibold text-neutral-dark dark:text-slate-100">{t('hostPicker.title')}</h3>
+        <p className="text-sm text-gray-500 dark:text-slate-400">{t('hostPicker.subtitle')}</p>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-2">
+        <HostOption
+          isSelected={resolvedSelectedHostId === ANY_AVAILABLE_HOST}
+          onClick={() => handleSelectHost(ANY_AVAILABLE_HOST)}
+          avatar={(
+            <div className="w-12 h-12 rounded-lg bg-primary-100 dark:bg-primary-900/40 text-primary-600 dark:text-primary-300 flex items-center justify-center flex-shrink-0">
+              <Users className="w-5 h-5" />
+            </div>
+          )}
+          title={t('hostPicker.anyHost')}
+          description={t('hostPicker.anyHostDescription')}
+        />
+
+        {resolvedHosts.map((host) => (
+          <HostOption
+            key={host.id}
+            isSelected={resolvedSelectedHostId === host.id}
+            onClick={() => handleSelectHost(host.id)}
+            avatar={host.avatarUrl ? (
+              <img
+                src={host.avatarUrl}
+                alt={host.name}
+                className="w-12 h-12 rounded-lg object-cover border border-gray-200 dark:border-slate-700 flex-shrink-0"
+              />
+            ) : (
+              <div className="w-12 h-12 rounded-lg bg-primary-100 text-primary-600 flex items-center justify-center flex-shrink-0 font-semibold">
+                {host.name.charAt(0).toUpperCase()}
+              </div>
+            )}
+            title={host.name}
+            description={host.languages.length > 0 ? (
+              <span className="flex items-center gap-1.5">
+                <Languages className="w-3.5 h-3.5 flex-shrink-0" />
+                <span className="truncate">{host.languages.join(', ')}</span>
+              </span>
+            ) : null}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
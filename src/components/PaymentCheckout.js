@@ -3,6 +3,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { loadStripe } from '@stripe/stripe-js';
 import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
 import { CreditCard, Lock, X, Shield, CheckCircle, AlertCircle } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
 import { Button } from './common/Button';
 import { Spinner } from './common/Spinner';
 
@@ -48,6 +49,7 @@ function PaymentForm({
   isProcessing,
   setIsProcessing,
 }) {
+  const { t, formatCurrency } = useI18n();
   const stripe = useStripe();
   const elements = useElements();
   const [cardError, setCardError] = useState(null);
@@ -82,14 +84,14 @@ function PaymentForm({
           onSuccess(paymentIntent);
         }
       } else {
-        const fallbackError = { message: 'Payment was not completed. Please try again.' };
+        const fallbackError = { message: t('payment.notCompleted') };
         setCardError(fallbackError.message);
         if (typeof onError === 'function') {
           onError(fallbackError);
         }
       }
     } catch (_error) {
-      const fallbackError = { message: 'An unexpected error occurred. Please try again.' };
+      const fallbackError = { message: t('payment.unexpectedError') };
       setCardError(fallbackError.message);
       if (typeof onError === 'function') {
         onError(fallbackError);
@@ -108,16 +110,13 @@ function PaymentForm({
     setCardError(null);
   };
 
-  const formattedAmount = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency,
-  }).format((amount || 0) / 100);
+  const formattedAmount = formatCurrency(amount, currency);
 
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       <div>
         <label className="block text-sm font-medium text-neutral-dark dark:text-slate-200 mb-2">
-          Card Information
+          {t('payment.cardInformation')}
         </label>
         <div className="p-4 border border-gray-300 dark:border-slate-700 rounded-lg focus-within:border-primary-500 focus-within:ring-2 focus-within:ring-primary-200 transition-all bg-white dark:bg-slate-900">
           <CardElement options={cardElementOptions} onChange={handleCardChange} />
@@ -141,13 +140,13 @@ function PaymentForm({
         isLoading={isProcessing}
         size="lg"
       >
-        <Lock className="w-4 h-4 mr-2" />
-        Pay {formattedAmount}
+        <Lock className="w-4 h-4 me-2" />
+        {t('payment.pay', { amount: formattedAmount })}
       </Button>
 
       <div className="flex items-center justify-center gap-2 text-sm text-gray-500 dark:text-slate-400">
         <Shield className="w-4 h-4" />
-        <span>Secured by Stripe</span>
+        <span>{t('payment.securedByStripe')}</span>
       </div>
     </form>
   );
@@ -165,6 +164,7 @@ export function PaymentCheckout({
   refundPolicy,
   stripePublishableKey,
 }) {
+  const { t, dir, language, formatCurrency } = useI18n();
   const [isProcessing, setIsProcessing] = useState(false);
   const [paymentSuccess, setPaymentSuccess] = useState(false);
 
@@ -173,24 +173,17 @@ export function PaymentCheckout({
     [stripePublishableKey]
   );
 
-  const formattedAmount = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency,
-  }).format((amount || 0) / 100);
-
-  const refundPolicyText = {
-    flexible: 'Full refund available up to 24 hours before the event.',
-    moderate: 'Full refund available up to 5 days before the event.',
-    strict: '50% refund available up to 7 days before the event.',
-    none: 'This booking is non-refundable.',
-  };
+  const formattedAmount = formatCurrency(amount, currency);
+  const refundPolicyKey = ['flexible', 'moderate', 'strict', 'none'].includes(refundPolicy)
+    ? `payment.refundPolicies.${refundPolicy}`
+    : 'payment.refundPolicies.unknown';
 
   if (!isOpen) {
     return null;
   }
 
   return (
-    <div className="calemly-sdk">
+    <div className="calemly-sdk" dir={dir}>
       <AnimatePresence>
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
           <motion.div
@@ -213,14 +206,15 @@ export function PaymentCheckout({
                 <CreditCard className="w-5 h-5 text-primary-600 dark:text-primary-300" />
               </div>
               <div>
-                <h2 className="font-semibold text-neutral-dark dark:text-slate-100">Complete Payment</h2>
-                <p className="text-sm text-gray-500 dark:text-slate-400">{organizerName || 'Organizer'}</p>
+                <h2 className="font-semibold text-neutral-dark dark:text-slate-100">{t('payment.title')}</h2>
+                <p className="text-sm text-gray-500 dark:text-slate-400">{organizerName || t('payment.organizer')}</p>
               </div>
             </div>
             {!isProcessing ? (
               <button
                 type="button"
                 onClick={onClose}
+                aria-label={t('common.close')}
                 className="p-2 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
               >
                 <X className="w-5 h-5 text-gray-500 dark:text-slate-400" />
@@ -238,19 +232,19 @@ export function PaymentCheckout({
                 <div className="w-16 h-16 rounded-full bg-green-100 dark:bg-green-900/40 flex items-center justify-center mx-auto mb-4">
                   <CheckCircle className="w-8 h-8 text-green-600 dark:text-green-300" />
                 </div>
-                <h3 className="text-xl font-semibold text-neutral-dark dark:text-slate-100 mb-2">Payment Successful!</h3>
-                <p className="text-gray-500 dark:text-slate-400">Your booking is being confirmed...</p>
+                <h3 className="text-xl font-semibold text-neutral-dark dark:text-slate-100 mb-2">{t('payment.success')}</h3>
+                <p className="text-gray-500 dark:text-slate-400">{t('payment.confirming')}</p>
               </motion.div>
             ) : !clientSecret ? (
               <div className="py-12 text-center">
-                <Spinner size="lg" text="Loading payment form..." />
+                <Spinner size="lg" text={t('payment.loading')} />
               </div>
             ) : (
               <>
                 <div className="mb-6 p-4 bg-gray-50 dark:bg-slate-800 rounded-xl">
-                  <h3 className="font-medium text-neutral-dark dark:text-slate-100 mb-2">{eventName || 'Meeting'}</h3>
+                  <h3 className="font-medium text-neutral-dark dark:text-slate-100 mb-2">{eventName || t('common.meeting')}</h3>
                   <div className="flex items-center justify-between">
-                    <span className="text-gray-500 dark:text-slate-400">Total</span>
+                    <span className="text-gray-500 dark:text-slate-400">{t('payment.total')}</span>
                     <span className="text-xl font-bold text-neutral-dark dark:text-slate-100">{formattedAmount}</span>
                   </div>
                 </div>
@@ -259,6 +253,7 @@ export function PaymentCheckout({
                   stripe={stripePromise}
                   options={{
                     clientSecret,
+                    locale: language,
                     appearance: {
                       theme: 'stripe',
                       variables: {
@@ -297,8 +292,8 @@ export function PaymentCheckout({
                 {refundPolicy ? (
                   <div className="mt-4 p-3 bg-blue-50 dark:bg-blue-900/30 border border-blue-100 dark:border-blue-900/40 rounded-lg">
                     <p className="text-xs text-blue-700 dark:text-blue-200">
-                      <span className="font-medium">Refund Policy:</span>{' '}
-                      {refundPolicyText[refundPolicy] || 'Contact organizer for refund policy.'}
+                      <span className="font-medium">{t('payment.refundPolicy')}</span>{' '}
+                      {t(refundPolicyKey)}
                     </p>
                   </div>
                 ) : null}
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  AlertCircle,
+  ArrowDown,
+  ArrowLeft,
+  Calendar,
+  Globe,
+  MessageSquare,
+} from 'lucide-react';
+import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { useI18n } from '../hooks/useI18n';
+import { Button } from './common/Button';
+import { SlotHoldNotice } from './common/SlotHoldNotice';
+
+export function RescheduleForm({
+  eventType,
+  slot,
+  originalBooking,
+  userTimezone,
+  isLoading,
+  error,
+  onSubmit,
+  onBack,
+  slotHold,
+}) {
+  const scheduler = useOptionalSchedulerContext();
+  const state = scheduler?.state;
+  const actions = scheduler?.actions;
+  const { t, dir, formatDate, formatTime } = useI18n();
+
+  const resolvedEventType = eventType || state?.eventType;
+  const resolvedSlot = slot || state?.selectedSlot;
+  const resolvedOriginalBooking = originalBooking || state?.originalBooking;
+  const resolvedUserTimezone =
+    userTimezone
+    || state?.userTimezone
+    || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const resolvedIsLoading = typeof isLoading === 'boolean' ? isLoading : Boolean(state?.isSubmitting);
+  const resolvedError = typeof error === 'string' ? error : state?.error || '';
+  const resolvedSlotHold = slotHold !== undefined ? slotHold : state?.slotHold || null;
+
+  const [reason, setReason] = useState('');
+  const [inlineError, setInlineError] = useState('');
+
+  const handleBack = onBack || actions?.goBack;
+
+  const handleHoldActivity = () => {
+    if (resolvedSlotHold) {
+      actions?.touchSlotHold?.();
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setInlineError('');
+
+    const payload = { reason };
+    const result = typeof onSubmit === 'function'
+      ? await onSubmit(payload)
+      : await actions?.rescheduleBooking?.(payload);
+
+    if (result?.ok === false && result.error?.message) {
+      setInlineError(result.error.message);
+    }
+  };
+
+  if (!resolvedSlot || !resolvedOriginalBooking) {
+    return null;
+  }
+
+  return (
+    <div className="calemly-sdk" dir={dir} onKeyDown={handleHoldActivity} onPointerDown={handleHoldActivity}>
+      <div className="w-full max-w-xl mx-auto bg-white dark:bg-slate-900 rounded-2xl shadow-card overflow-hidden border border-transparent dark:border-slate-700">
+        <div className="flex items-center justify-between p-4 border-b border-gray-100 dark:border-slate-700">
+          <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">{t('reschedule.title')}</h2>
+          <button
+            type="button"
+            onClick={handleBack}
+            className="p-2 text-gray-400 hover:text-gray-600 dark:text-slate-400 dark:hover:text-slate-200 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
+            aria-label={t('common.goBack')}
+          >
+            <ArrowLeft className="w-5 h-5 rtl:-scale-x-100" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-2 border-b border-gray-100 dark:border-slate-700">
+          <p className="font-semibold text-neutral-dark dark:text-slate-100">
+            {resolvedEventType?.name || resolvedOriginalBooking.title || t('common.meeting')}
+          </p>
+
+          <div className="p-3 rounded-xl bg-gray-50 dark:bg-slate-800 text-sm">
+            <p className="text-xs font-medium text-gray-500 dark:text-slate-400 uppercase">{t('reschedule.currentTime')}</p>
+            <p className="text-gray-500 dark:text-slate-400 line-through mt-1">
+              {formatDate(resolvedOriginalBooking.start_time, resolvedUserTimezone)}
+              {' • '}
+              {formatTime(resolvedOriginalBooking.start_time, resolvedUserTimezone)}
+              {' - '}
+              {formatTime(resolvedOriginalBooking.end_time, resolvedUserTimezone)}
+            </p>
+          </div>
+
+          <div className="flex justify-center text-gray-400 dark:text-slate-500">
+            <ArrowDown className="w-4 h-4" />
+          </div>
+
+          <div className="p-3 rounded-xl bg-primary-50 dark:bg-primary-900/20 border border-primary-100 dark:border-primary-900/40 text-sm">
+            <p className="text-xs font-medium text-primary-600 dark:text-primary-300 uppercase">{t('reschedule.newTime')}</p>
+            <p className="text-primary-700 dark:text-primary-200 font-medium mt-1 flex items-center gap-2">
+              <Calendar className="w-4 h-4 flex-shrink-0" />
+              {formatDate(resolvedSlot.start, resolvedUserTimezone)}
+              {' • '}
+              {formatTime(resolvedSlot.start, resolvedUserTimezone)}
+              {' - '}
+              {formatTime(resolvedSlot.end, resolvedUserTimezone)}
+            </p>
+          </div>
+
+          <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-slate-400">
+            <Globe className="w-3.5 h-3.5" />
+            <span className="truncate">{resolvedUserTimezone}</span>
+          </div>
+        </div>
+
+        <SlotHoldNotice hold={resolvedSlotHold} />
+
+        {(resolvedError || inlineError) ? (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mx-4 mt-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-xl flex items-start gap-3"
+            role="alert"
+          >
+            <AlertCircle className="w-5 h-5 text-error flex-shrink-0 mt-0.5" />
+            <p className="font-medium text-error text-sm">{resolvedError || inlineError}</p>
+          </motion.div>
+        ) : null}
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          <div>
+            <label
+              htmlFor="calemly-reschedule-reason"
+              className="block text-sm font-medium text-gray-700 dark:text-slate-200 mb-2"
+            >
+              {t('reschedule.reason')}
+            </label>
+            <div className="relative">
+              <MessageSquare className="absolute start-3 top-3 w-5 h-5 text-gray-400" />
+              <textarea
+                id="calemly-reschedule-reason"
+                value={reason}
+                onChange={(event) => setReason(event.target.value)}
+                placeholder={t('reschedule.reasonPlaceholder')}
+                rows={3}
+                className="w-full ps-11 pe-4 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent resize-none text-sm sm:text-base dark:bg-slate-900 dark:text-slate-100"
+              />
+            </div>
+          </div>
+
+          <div className="pt-2 flex flex-col sm:flex-row gap-2 sm:justify-end">
+            <Button type="button" variant="outline" onClick={handleBack}>
+              {t('common.back')}
+            </Button>
+            <Button type="submit" disabled={resolvedIsLoading} isLoading={resolvedIsLoading}>
+              {resolvedIsLoading ? t('reschedule.submitting') : t('reschedule.submit')}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
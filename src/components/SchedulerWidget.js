@@ -1,16 +1,22 @@
 import React, { useMemo, useState } from 'react';
 import clsx from 'clsx';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ArrowLeft, ExternalLink, AlertCircle, User, X } from 'lucide-react';
+import { ArrowLeft, AlertCircle, Languages, User, X } from 'lucide-react';
 import { SchedulerProvider } from '../provider/SchedulerProvider';
 import { useOptionalSchedulerContext } from '../context/SchedulerContext';
 import { useBooking } from '../hooks/useBooking';
+import { useI18n } from '../hooks/useI18n';
 import { Button } from './common/Button';
 import { Spinner, InlineSpinner } from './common/Spinner';
 import { LogoIcon, PoweredByCalemly } from './common/Logo';
+import { findEventHost, hasHostChoice } from '../utils/hosts';
+import { EventTypeList } from './EventTypeList';
+import { HostPicker } from './HostPicker';
+import { BookingCart } from './BookingCart';
 import { SlotPicker } from './SlotPicker';
 import { BookingForm } from './BookingForm';
 import { BookingSuccess } from './BookingSuccess';
+import { RescheduleForm } from './RescheduleForm';
 
 const PROVIDER_PROP_KEYS = [
   'apiBaseUrl',
@@ -28,8 +34,32 @@ const PROVIDER_PROP_KEYS = [
   'onBookingError',
   'onBeforeBook',
   'cacheTtlMs',
+  'cacheMaxStaleMs',
+  'cache',
   'slotWindowDays',
+  'slotChunkDays',
   'stripePublishableKey',
+  'transport',
+  'interceptors',
+  'requestTimeouts',
+  'circuitBreaker',
+  'offlineQueue',
+  'slotHolds',
+  'slotHoldMaxLifetimeMs',
+  'cart',
+  'urlSync',
+  'prefill',
+  'locale',
+  'messages',
+  'dir',
+  'timeFormat',
+  'weekStart',
+  'rememberPreferences',
+  'rescheduleBookingId',
+  'rescheduleToken',
+  'rescheduleEmail',
+  'initialData',
+  'availabilitySubscription',
 ];
 
 const resolveTheme = (theme) => {
@@ -58,7 +88,10 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
     eventType,
     slots,
     selectedSlot,
+    selectedHostId,
     confirmedBooking,
+    originalBooking,
+    rescheduledFrom,
     error,
     alternatives,
     templateOptions,
@@ -68,29 +101,41 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
     isLoadingSlots,
     isFetchingEvent,
     isSubmitting,
+    isDegraded,
     userTimezone,
     selectEventType,
+    selectHost,
     selectSlot,
     confirmSelectedSlot,
+    addToCart,
     selectAlternativeSlot,
     useRecentTemplate,
     autoFindBestSlot,
     goBack,
     restartAfterSuccess,
+    refreshScheduler,
     config,
     steps,
   } = useBooking();
+  const { t } = useI18n();
+  const slideDirection = config.dir === 'rtl' ? -1 : 1;
 
   const [isWidgetOpen, setIsWidgetOpen] = useState(config.mode !== 'modal');
   const resolvedTheme = useMemo(() => resolveTheme(config.theme), [config.theme]);
 
-  const hostMeta = eventType?.hostAvatar
+  const hasTeamHosts = hasHostChoice(eventType);
+  const selectedHost = findEventHost(eventType, selectedHostId, t);
+  const canChangeHost = step === steps.SELECT_TIME && hasTeamHosts && !originalBooking;
+  const showCart = config.cart && (step === steps.SELECT_EVENT || step === steps.SELECT_HOST || step === steps.SELECT_TIME);
+  const canChangeEvent = step !== steps.SELECT_EVENT && embedSettings.selection_mode !== 'single' && !originalBooking;
+
+  const hostMeta = !hasTeamHosts && (eventType?.hostAvatar
     || eventType?.hostName
     || eventType?.hostBio
     || eventType?.hostJobTitle
     || eventType?.hostLocation
     || eventType?.hostPhone
-    || eventType?.hostWebsite;
+    || eventType?.hostWebsite);
 
   const wrapperClass = clsx(
     'min-h-screen p-4 sm:p-6',
@@ -109,17 +154,17 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
             )}
           </div>
           <div>
-            <p className="text-sm text-gray-500 dark:text-slate-400">Scheduling for</p>
+            <p className="text-sm text-gray-500 dark:text-slate-400">{t('widget.schedulingFor')}</p>
             <h1 className="text-xl font-semibold text-neutral-dark dark:text-slate-100">
-              {organization?.name || eventType?.orgName || 'Organization'}
+              {organization?.name || eventType?.orgName || t('widget.organization')}
             </h1>
           </div>
         </div>
 
-        {step !== steps.SELECT_EVENT && embedSettings.selection_mode !== 'single' ? (
+        {canChangeHost || canChangeEvent ? (
           <Button variant="ghost" onClick={goBack} className="self-start">
-            <ArrowLeft className="w-4 h-4 mr-2" />
-            Change event
+            <ArrowLeft className="w-4 h-4 me-2 rtl:-scale-x-100" />
+            {canChangeHost ? t('widget.changeHost') : t('widget.changeEvent')}
           </Button>
         ) : null}
       </div>
@@ -132,9 +177,28 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
           </div>
         ) : null}
 
+        {isDegraded ? (
+          <div
+            className="mb-4 bg-amber-50 border border-amber-200 text-amber-800 dark:bg-amber-900/20 dark:border-amber-800 dark:text-amber-200 text-sm rounded-xl p-4 flex items-center justify-between gap-3"
+            role="status"
+          >
+            <div className="flex items-center gap-3">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              <span>{t('widget.degraded')}</span>
+            </div>
+            <Button variant="ghost" size="sm" onClick={refreshScheduler} className="flex-shrink-0">
+              {t('common.tryAgain')}
+            </Button>
+          </div>
+        ) : null}
+
+        {!loadError && !isInitializing && showCart ? (
+          <BookingCart className="mb-4" />
+        ) : null}
+
         {!loadError && isInitializing ? (
           <div className="py-2">
-            <InlineSpinner text="Loading booking widget..." />
+            <InlineSpinner text={t('widget.loading')} />
           </div>
         ) : null}
 
@@ -149,62 +213,79 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
                 className="space-y-4"
               >
                 <div className="space-y-1">
-                  <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">Choose an event</h2>
-                  <p className="text-sm text-gray-500 dark:text-slate-400">Pick the meeting type you want to book.</p>
+                  <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">{t('widget.chooseEvent')}</h2>
+                  <p className="text-sm text-gray-500 dark:text-slate-400">{t('widget.chooseEventDescription')}</p>
                 </div>
 
-                {eventTypes.length === 0 ? (
-                  <div className="bg-gray-50 dark:bg-slate-800 border border-gray-200 dark:border-slate-700 text-sm text-gray-500 dark:text-slate-400 rounded-xl p-6">
-                    No event types available.
-                  </div>
-                ) : (
-                  <div className="grid gap-3 sm:grid-cols-2">
-                    {eventTypes.map((eventItem) => (
-                      <button
-                        key={eventItem.id}
-                        type="button"
-                        onClick={() => selectEventType(eventItem)}
-                        className="text-left p-4 border border-gray-200 dark:border-slate-700 rounded-xl hover:border-primary-300 dark:hover:border-primary-500 hover:bg-primary-50 dark:hover:bg-primary-900/20 transition-colors"
-                      >
-                        <div className="flex items-center justify-between gap-3">
-                          <div>
-                            <p className="font-semibold text-neutral-dark dark:text-slate-100">{eventItem.name}</p>
-                            <p className="text-sm text-gray-500 dark:text-slate-400 mt-1">{eventItem.duration} min</p>
-                          </div>
-                          <ExternalLink className="w-4 h-4 text-gray-400" />
-                        </div>
-                        {eventItem.description ? (
-                          <p className="text-sm text-gray-500 dark:text-slate-400 mt-3 line-clamp-2">{eventItem.description}</p>
-                        ) : null}
-                      </button>
-                    ))}
-                  </div>
-                )}
+                <EventTypeList eventTypes={eventTypes} embedSettings={embedSettings} onSelect={selectEventType} />
+              </motion.div>
+            ) : null}
+
+            {step === steps.SELECT_HOST ? (
+              <motion.div
+                key="select-host"
+                initial={{ opacity: 0, x: 10 * slideDirection }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: -10 * slideDirection }}
+                className="space-y-4"
+              >
+                <div>
+                  <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">{eventType?.name}</h2>
+                  <p className="text-sm text-gray-500 dark:text-slate-400">{t('common.minutes', { count: eventType?.duration || 30 })}</p>
+                </div>
+                <HostPicker eventType={eventType} selectedHostId={selectedHostId} onSelectHost={selectHost} />
               </motion.div>
             ) : null}
 
             {step === steps.SELECT_TIME ? (
               <motion.div
                 key="select-time"
-                initial={{ opacity: 0, x: 10 }}
+                initial={{ opacity: 0, x: 10 * slideDirection }}
                 animate={{ opacity: 1, x: 0 }}
-                exit={{ opacity: 0, x: -10 }}
+                exit={{ opacity: 0, x: -10 * slideDirection }}
                 className="space-y-4"
               >
                 <div className="flex items-center justify-between gap-4">
                   <div>
                     <h2 className="text-lg font-semibold text-neutral-dark dark:text-slate-100">{eventType?.name}</h2>
-                    <p className="text-sm text-gray-500 dark:text-slate-400">Pick a time that works for you.</p>
+                    <p className="text-sm text-gray-500 dark:text-slate-400">
+                      {originalBooking ? t('widget.pickNewTime') : t('widget.pickTime')}
+                    </p>
                   </div>
                   {isFetchingEvent ? <Spinner size="sm" showLogo={false} className="w-5 h-5 py-0" text="" /> : null}
                 </div>
 
+                {selectedHost ? (
+                  <div className="p-3 rounded-xl border border-gray-200 dark:border-slate-700 bg-gray-50 dark:bg-slate-800 flex items-center gap-3">
+                    {selectedHost.avatarUrl ? (
+                      <img
+                        src={selectedHost.avatarUrl}
+                        alt={selectedHost.name}
+                        className="w-12 h-12 rounded-lg object-cover border border-gray-200 dark:border-slate-700 flex-shrink-0"
+                      />
+                    ) : (
+                      <div className="w-12 h-12 rounded-lg bg-primary-100 text-primary-600 flex items-center justify-center flex-shrink-0">
+                        {selectedHost.name.charAt(0).toUpperCase()}
+                      </div>
+                    )}
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-neutral-dark dark:text-slate-100 truncate">{selectedHost.name}</p>
+                      {selectedHost.languages.length > 0 ? (
+                        <p className="text-xs text-gray-500 dark:text-slate-400 truncate flex items-center gap-1">
+                          <Languages className="w-3.5 h-3.5 flex-shrink-0" />
+                          {selectedHost.languages.join(', ')}
+                        </p>
+                      ) : null}
+                    </div>
+                  </div>
+                ) : null}
+
                 {hostMeta ? (
                   <div className="p-3 rounded-xl border border-gray-200 dark:border-slate-700 bg-gray-50 dark:bg-slate-800 flex items-start gap-3">
                     {eventType?.hostAvatar ? (
                       <img
                         src={eventType.hostAvatar}
-                        alt={eventType.hostName || 'Host'}
+                        alt={eventType.hostName || t('widget.host')}
                         className="w-12 h-12 rounded-lg object-cover border border-gray-200 dark:border-slate-700 flex-shrink-0"
                       />
                     ) : (
@@ -214,7 +295,7 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
                     )}
                     <div className="min-w-0">
                       <p className="text-sm font-medium text-neutral-dark dark:text-slate-100 truncate">
-                        {eventType?.hostName || organization?.name || 'Host'}
+                        {eventType?.hostName || organization?.name || t('widget.host')}
                       </p>
                       {(eventType?.hostJobTitle || eventType?.hostLocation) ? (
                         <p className="text-xs text-gray-500 dark:text-slate-400 truncate">
@@ -243,13 +324,13 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
                   slots={slots}
                   selectedSlot={selectedSlot}
                   onSelectSlot={selectSlot}
-                  onConfirm={confirmSelectedSlot}
+                  onConfirm={config.cart ? addToCart : confirmSelectedSlot}
                   duration={eventType?.duration || 30}
                   calendarTimezone={eventType?.calendarTimezone || eventType?.calendar_timezone || 'UTC'}
                   userTimezone={userTimezone}
                   isLoading={isLoadingSlots}
                   onAutoFind={autoFindBestSlot}
-                  hasRecentTemplate={templateOptions.length > 0}
+                  hasRecentTemplate={!originalBooking && templateOptions.length > 0}
                   onUseRecentTemplate={useRecentTemplate}
                 />
               </motion.div>
@@ -258,21 +339,33 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
             {step === steps.CONFIRM ? (
               <motion.div
                 key="confirm"
-                initial={{ opacity: 0, x: 10 }}
+                initial={{ opacity: 0, x: 10 * slideDirection }}
                 animate={{ opacity: 1, x: 0 }}
-                exit={{ opacity: 0, x: -10 }}
+                exit={{ opacity: 0, x: -10 * slideDirection }}
               >
-                <BookingForm
-                  eventType={eventType}
-                  slot={selectedSlot}
-                  calendarTimezone={eventType?.calendarTimezone || eventType?.calendar_timezone || 'UTC'}
-                  userTimezone={userTimezone}
-                  isLoading={isSubmitting}
-                  error={error}
-                  alternatives={alternatives}
-                  onBack={goBack}
-                  onPickAlternative={selectAlternativeSlot}
-                />
+                {originalBooking ? (
+                  <RescheduleForm
+                    eventType={eventType}
+                    slot={selectedSlot}
+                    originalBooking={originalBooking}
+                    userTimezone={userTimezone}
+                    isLoading={isSubmitting}
+                    error={error}
+                    onBack={goBack}
+                  />
+                ) : (
+                  <BookingForm
+                    eventType={eventType}
+                    slot={selectedSlot}
+                    calendarTimezone={eventType?.calendarTimezone || eventType?.calendar_timezone || 'UTC'}
+                    userTimezone={userTimezone}
+                    isLoading={isSubmitting}
+                    error={error}
+                    alternatives={alternatives}
+                    onBack={goBack}
+                    onPickAlternative={selectAlternativeSlot}
+                  />
+                )}
               </motion.div>
             ) : null}
 
@@ -287,6 +380,7 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
                   booking={confirmedBooking}
                   eventType={eventType}
                   userTimezone={userTimezone}
+                  rescheduledFrom={rescheduledFrom}
                   onDone={restartAfterSuccess}
                 />
               </motion.div>
@@ -299,10 +393,10 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
 
   if (config.mode === 'modal') {
     return (
-      <div className="calemly-sdk">
+      <div className="calemly-sdk" lang={config.locale} dir={config.dir}>
         <div className={wrapperClass}>
           <div className="min-h-[180px] flex items-center justify-center bg-transparent p-4">
-            <Button onClick={() => setIsWidgetOpen(true)}>{ctaLabel || embedSettings.cta_label || 'Book time'}</Button>
+            <Button onClick={() => setIsWidgetOpen(true)}>{ctaLabel || embedSettings.cta_label || t('widget.bookTime')}</Button>
 
             <AnimatePresence>
               {isWidgetOpen ? (
@@ -320,8 +414,8 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
                   >
                     <div className="flex justify-end mb-3">
                       <Button variant="ghost" onClick={() => setIsWidgetOpen(false)}>
-                        <X className="w-4 h-4 mr-2" />
-                        Close
+                        <X className="w-4 h-4 me-2" />
+                        {t('common.close')}
                       </Button>
                     </div>
                     {content}
@@ -336,7 +430,7 @@ function SchedulerWidgetInner({ className = '', ctaLabel, showPoweredBy = true }
   }
 
   return (
-    <div className="calemly-sdk">
+    <div className="calemly-sdk" lang={config.locale} dir={config.dir}>
       <div className={wrapperClass}>
         <div className="max-w-4xl mx-auto">
           {content}
@@ -0,0 +1,139 @@
+import React from 'react';
+import clsx from 'clsx';
+import {
+  AlertTriangle,
+  Check,
+  Loader2,
+  Repeat,
+} from 'lucide-react';
+import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { useI18n } from '../hooks/useI18n';
+import { RECURRENCE_FREQUENCIES, resolveMaxOccurrences } from '../utils/recurrence';
+
+const selectClassName = 'px-3 py-1.5 rounded-lg border border-gray-300 dark:border-slate-700 text-sm text-neutral-dark dark:bg-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+export function SeriesPlanner({
+  eventType,
+  recurrence,
+  occurrences,
+  userTimezone,
+  onChangeRecurrence,
+  onSelectAlternative,
+}) {
+  const scheduler = useOptionalSchedulerContext();
+  const state = scheduler?.state;
+  const actions = scheduler?.actions;
+  const { t, formatDateTime } = useI18n();
+
+  const resolvedEventType = eventType || state?.eventType;
+  const resolvedRecurrence = recurrence !== undefined ? recurrence : state?.recurrence || null;
+  const resolvedOccurrences = occurrences || state?.seriesOccurrences || [];
+  const resolvedUserTimezone = userTimezone || state?.userTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const maxOccurrences = resolveMaxOccurrences(resolvedEventType);
+
+  const handleChange = (nextRecurrence) => {
+    if (typeof onChangeRecurrence === 'function') {
+      onChangeRecurrence(nextRecurrence);
+      return;
+    }
+    actions?.setRecurrence?.(nextRecurrence);
+  };
+
+  const handleSelectAlternative = (index, suggestion) => {
+    if (typeof onSelectAlternative === 'function') {
+      onSelectAlternative(index, suggestion);
+      return;
+    }
+    actions?.selectSeriesAlternative?.(index, suggestion);
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-primary-100 dark:border-primary-900/40 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-slate-200">
+        <Repeat className="w-4 h-4 text-gray-400" />
+        <label htmlFor="calemly-recurrence">{t('series.repeat')}</label>
+        <select
+          id="calemly-recurrence"
+          value={resolvedRecurrence?.frequency || ''}
+          onChange={(event) => handleChange(
+            event.target.value
+              ? { frequency: event.target.value, count: resolvedRecurrence?.count || 4 }
+              : null
+          )}
+          className={selectClassName}
+        >
+          <option value="">{t('series.doesNotRepeat')}</option>
+          {Object.keys(RECURRENCE_FREQUENCIES).map((value) => (
+            <option key={value} value={value}>{t(`series.frequencies.${value}`)}</option>
+          ))}
+        </select>
+
+        {resolvedRecurrence ? (
+          <>
+            <label htmlFor="calemly-recurrence-count">{t('series.sessions')}</label>
+            <select
+              id="calemly-recurrence-count"
+              value={resolvedRecurrence.count}
+              onChange={(event) => handleChange({ ...resolvedRecurrence, count: Number(event.target.value) })}
+              className={selectClassName}
+            >
+              {Array.from({ length: maxOccurrences - 1 }, (_, index) => index + 2).map((count) => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+          </>
+        ) : null}
+      </div>
+
+      {resolvedRecurrence && resolvedOccurrences.length > 0 ? (
+        <ul className="space-y-1.5" aria-label={t('series.sessionsLabel')}>
+          {resolvedOccurrences.map((occurrence) => (
+            <li key={occurrence.index} className="text-sm">
+              <div className="flex items-center gap-2">
+                {occurrence.status === 'checking' ? (
+                  <Loader2 className="w-4 h-4 animate-spin text-gray-400" aria-hidden="true" />
+                ) : occurrence.status === 'conflict' || occurrence.status === 'failed' ? (
+                  <AlertTriangle className="w-4 h-4 text-amber-500" aria-hidden="true" />
+                ) : (
+                  <Check className="w-4 h-4 text-green-600" aria-hidden="true" />
+                )}
+                <span
+                  className={clsx(
+                    occurrence.status === 'conflict'
+                      ? 'text-gray-400 dark:text-slate-500 line-through'
+                      : 'text-neutral-dark dark:text-slate-100'
+                  )}
+                >
+                  {formatDateTime(occurrence.start, resolvedUserTimezone)}
+                </span>
+                {occurrence.status === 'conflict' ? (
+                  <span className="text-xs font-medium text-amber-700 dark:text-amber-300">{t('series.unavailable')}</span>
+                ) : null}
+                {occurrence.status === 'failed' ? (
+                  <span className="text-xs font-medium text-amber-700 dark:text-amber-300">{t('series.notBooked')}</span>
+                ) : null}
+              </div>
+
+              {occurrence.status === 'conflict' ? (
+                <div className="ms-6 mt-1 flex flex-wrap gap-1.5">
+                  {occurrence.alternatives.length > 0 ? occurrence.alternatives.map((suggestion) => (
+                    <button
+                      key={suggestion.start}
+                      type="button"
+                      onClick={() => handleSelectAlternative(occurrence.index, suggestion)}
+                      className="px-2 py-1 rounded-lg text-xs font-medium bg-white dark:bg-slate-800 border border-primary-200 dark:border-primary-900/40 text-primary-700 dark:text-primary-200 hover:bg-primary-100 dark:hover:bg-primary-900/40"
+                    >
+                      {formatDateTime(suggestion.start, resolvedUserTimezone)}
+                    </button>
+                  )) : (
+                    <span className="text-xs text-gray-500 dark:text-slate-400">{t('series.noAlternatives')}</span>
+                  )}
+                </div>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   ChevronLeft,
@@ -11,18 +11,167 @@ import {
   Grid3X3,
   Check,
   History,
+  Loader2,
+  Search,
 } from 'lucide-react';
 import clsx from 'clsx';
-import { dayjs } from '../utils/time';
+import { TIME_FORMATS } from '../utils/displayPreferences';
+import { allowsRecurrence } from '../utils/recurrence';
+import { filterSlotsByPartySize, formatSeatsRemaining } from '../utils/seats';
+import {
+  dayjs,
+  isValidTimezone,
+  listTimezones,
+  resolveUserTimezone,
+} from '../utils/time';
 import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { useI18n } from '../hooks/useI18n';
 import { Button } from './common/Button';
+import { Input } from './common/Input';
 import { InlineSpinner } from './common/Spinner';
+import { SeriesPlanner } from './SeriesPlanner';
+
+const formatSlotHosts = (slot, t) => (
+  Array.isArray(slot.hosts) && slot.hosts.length > 0
+    ? t('slotPicker.availableWith', { names: slot.hosts.map((host) => host.name).join(', ') })
+    : undefined
+);
 
 const VIEWS = {
   CALENDAR: 'calendar',
   LIST: 'list',
 };
 
+const CLOCK_LABEL_KEYS = {
+  '12h': 'slotPicker.clock12',
+  '24h': 'slotPicker.clock24',
+};
+
+const MAX_TIMEZONE_MATCHES = 50;
+
+const DAY_KEY_OFFSETS = {
+  ArrowLeft: -1,
+  ArrowRight: 1,
+  ArrowUp: -7,
+  ArrowDown: 7,
+  PageUp: -7,
+  PageDown: 7,
+};
+
+const LISTBOX_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'];
+
+const moveListboxFocus = (event, direction) => {
+  if (!LISTBOX_KEYS.includes(event.key)) {
+    return;
+  }
+
+  const options = Array.from(event.currentTarget.querySelectorAll('[role="option"]:not(:disabled)'));
+  if (options.length === 0) {
+    return;
+  }
+
+  event.preventDefault();
+  const index = options.indexOf(event.target.closest('[role="option"]'));
+  const steps = {
+    ArrowUp: -1,
+    ArrowDown: 1,
+    ArrowLeft: -direction,
+    ArrowRight: direction,
+  };
+  const nextIndex = event.key === 'Home'
+    ? 0
+    : event.key === 'End'
+      ? options.length - 1
+      : Math.min(options.length - 1, Math.max(0, index + steps[event.key]));
+  options[nextIndex].focus();
+};
+
+function TimezonePicker({
+  value,
+  calendarTimezone,
+  onChange,
+}) {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const timezones = useMemo(() => listTimezones(), []);
+
+  const matches = useMemo(() => {
+    const search = query.trim().toLowerCase().replace(/\s+/g, '_');
+    const zones = Array.from(new Set([value, calendarTimezone, resolveUserTimezone(), ...timezones]));
+    const filtered = search ? zones.filter((zone) => zone.toLowerCase().includes(search)) : zones;
+
+    if (filtered.length === 0 && isValidTimezone(query.trim())) {
+      return [query.trim()];
+    }
+    return filtered.slice(0, MAX_TIMEZONE_MATCHES);
+  }, [calendarTimezone, query, timezones, value]);
+
+  const choose = (zone) => {
+    setIsOpen(false);
+    setQuery('');
+    onChange(zone);
+  };
+
+  return (
+    <div
+      onKeyDown={(event) => {
+        if (event.key === 'Escape') {
+          setIsOpen(false);
+        }
+      }}
+    >
+      <button
+        type="button"
+        onClick={() => setIsOpen((previous) => !previous)}
+        aria-expanded={isOpen}
+        className="text-sm text-gray-600 dark:text-slate-300 hover:text-primary-600 dark:hover:text-primary-200 transition-colors"
+      >
+        {value}
+        <span className="text-gray-400 dark:text-slate-500 ms-1">
+          ({value === calendarTimezone ? t('slotPicker.calendarTime') : t('slotPicker.yourTime')})
+        </span>
+      </button>
+
+      {isOpen ? (
+        <div className="mt-2 w-72 max-w-full p-2 space-y-2 bg-white dark:bg-slate-900 rounded-xl shadow-card border border-gray-200 dark:border-slate-700">
+          <Input
+            id="calemly-timezone-search"
+            type="search"
+            icon={Search}
+            placeholder={t('slotPicker.searchTimezones')}
+            aria-label={t('slotPicker.searchTimezones')}
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+          />
+          {matches.length > 0 ? (
+            <div role="group" aria-label={t('slotPicker.timezone')} className="max-h-56 overflow-y-auto">
+              {matches.map((zone) => (
+                <button
+                  key={zone}
+                  type="button"
+                  onClick={() => choose(zone)}
+                  aria-current={zone === value ? 'true' : undefined}
+                  className={clsx(
+                    'w-full text-start px-3 py-1.5 rounded-lg text-sm transition-colors',
+                    zone === value
+                      ? 'bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-200 font-medium'
+                      : 'text-gray-700 dark:text-slate-200 hover:bg-gray-50 dark:hover:bg-slate-800'
+                  )}
+                >
+                  {zone}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="px-3 py-2 text-sm text-gray-500 dark:text-slate-400">{t('slotPicker.noTimezones')}</p>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
 export function SlotPicker({
   slots,
   selectedSlot,
@@ -35,14 +184,32 @@ export function SlotPicker({
   onAutoFind,
   hasRecentTemplate,
   onUseRecentTemplate,
+  currentBooking,
+  partySize,
+  onTimezoneChange,
+  onTimeFormatChange,
+  onWeekStartChange,
   className = '',
 }) {
   const scheduler = useOptionalSchedulerContext();
   const state = scheduler?.state;
   const actions = scheduler?.actions;
+  const i18n = useI18n();
+  const { t, dir } = i18n;
+  const slideDirection = dir === 'rtl' ? -1 : 1;
+  const dateFormats = i18n.dateLocale.formats;
 
-  const resolvedSlots = slots || state?.slots || {};
+  const resolvedPartySize = partySize || state?.partySize || 1;
+  const resolvedSlots = useMemo(
+    () => filterSlotsByPartySize(slots || state?.slots || {}, resolvedPartySize),
+    [resolvedPartySize, slots, state?.slots]
+  );
   const resolvedSelectedSlot = selectedSlot || state?.selectedSlot || null;
+  const expiredHoldStart = state?.expiredHoldSlot?.start || null;
+  const resolvedCurrentBooking = currentBooking !== undefined ? currentBooking : state?.originalBooking || null;
+  const currentBookingStart = resolvedCurrentBooking?.start_time
+    ? dayjs(resolvedCurrentBooking.start_time).valueOf()
+    : null;
   const resolvedDuration = duration || state?.eventType?.duration || 30;
   const resolvedCalendarTimezone =
     calendarTimezone
@@ -54,21 +221,70 @@ export function SlotPicker({
   const resolvedIsLoading = typeof isLoading === 'boolean'
     ? isLoading
     : Boolean(state?.isLoadingSlots);
+  const isCartMode = Boolean(scheduler?.config?.cart);
+  const canRepeat = allowsRecurrence(state?.eventType)
+    && !resolvedCurrentBooking
+    && !isCartMode
+    && typeof actions?.setRecurrence === 'function';
+  const isSeriesBlocked = canRepeat && Boolean(state?.recurrence) && (state?.seriesOccurrences || []).some(
+    (occurrence) => occurrence.status === 'conflict' || occurrence.status === 'checking'
+  );
   const resolvedHasRecentTemplate = typeof hasRecentTemplate === 'boolean'
     ? hasRecentTemplate
     : Boolean((state?.templateOptions || []).length > 0);
 
-  const [currentDate, setCurrentDate] = useState(dayjs());
+  const storedDate = state?.selectedDate || null;
+  const [currentDate, setCurrentDate] = useState(() => (storedDate ? dayjs(storedDate) : dayjs()));
   const [viewMode, setViewMode] = useState(VIEWS.CALENDAR);
-  const [showTimezone, setShowTimezone] = useState('local');
-  const [selectedDate, setSelectedDate] = useState(null);
+  const [localTimezone, setLocalTimezone] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(() => (storedDate ? dayjs(storedDate) : null));
+  const [focusedDate, setFocusedDate] = useState(null);
+  const [focusedSlotStart, setFocusedSlotStart] = useState(null);
+  const dayGridRef = useRef(null);
+  const shouldFocusDayRef = useRef(false);
 
-  const displayTimezone = showTimezone === 'local' ? resolvedUserTimezone : resolvedCalendarTimezone;
+  useEffect(() => {
+    if (!storedDate) {
+      return;
+    }
+
+    setSelectedDate((previous) => (previous?.format('YYYY-MM-DD') === storedDate ? previous : dayjs(storedDate)));
+    setCurrentDate((previous) => (
+      i18n.startOfWeek(previous).isSame(i18n.startOfWeek(storedDate), 'day') ? previous : dayjs(storedDate)
+    ));
+  }, [i18n, storedDate]);
+
+  const chooseDate = (date) => {
+    setSelectedDate(date);
+    actions?.selectDate?.(date ? date.format('YYYY-MM-DD') : null);
+  };
+
+  const displayTimezone = localTimezone || resolvedUserTimezone;
+  const canChangeTimeFormat = typeof onTimeFormatChange === 'function' || typeof actions?.setTimeFormat === 'function';
+  const canChangeWeekStart = typeof onWeekStartChange === 'function' || typeof actions?.setWeekStart === 'function';
 
   const weekDays = useMemo(() => {
-    const start = currentDate.startOf('week');
+    const start = i18n.startOfWeek(currentDate);
     return Array.from({ length: 7 }, (_, index) => start.add(index, 'day'));
-  }, [currentDate]);
+  }, [currentDate, i18n]);
+
+  const weekStartOptions = useMemo(
+    () => Array.from({ length: 7 }, (_, day) => ({ value: day, label: i18n.day().day(day).format('dddd') })),
+    [i18n]
+  );
+
+  const eventTypeId = state?.eventType?.id;
+  const slotTimezone = state?.userTimezone;
+  const loadSlotRange = actions?.loadSlotRange;
+  const loadsProviderSlots = typeof loadSlotRange === 'function' && (!slots || slots === state?.slots);
+
+  useEffect(() => {
+    if (!loadsProviderSlots || !eventTypeId) {
+      return;
+    }
+
+    loadSlotRange(weekDays[0], weekDays[6].add(1, 'week'));
+  }, [eventTypeId, loadSlotRange, loadsProviderSlots, slotTimezone, weekDays]);
 
   const dateSlots = useMemo(() => {
     if (!selectedDate) return [];
@@ -86,25 +302,112 @@ export function SlotPicker({
     return result.sort((a, b) => new Date(a.start) - new Date(b.start));
   }, [resolvedSlots]);
 
-  const hasSlots = (date) => {
-    const dateStr = date.format('YYYY-MM-DD');
-    return (resolvedSlots[dateStr]?.length || 0) > 0;
+  const countSlots = (date) => resolvedSlots[date.format('YYYY-MM-DD')]?.length || 0;
+
+  const hasSlots = (date) => countSlots(date) > 0;
+
+  const activeDay = [focusedDate, selectedDate, dayjs()]
+    .map((date) => date && weekDays.find((day) => day.isSame(date, 'day')))
+    .find(Boolean) || weekDays[0];
+  const activeDayKey = activeDay.format('YYYY-MM-DD');
+
+  useEffect(() => {
+    if (!shouldFocusDayRef.current) {
+      return;
+    }
+
+    shouldFocusDayRef.current = false;
+    dayGridRef.current?.querySelector(`[data-date="${activeDayKey}"]`)?.focus();
+  }, [activeDayKey]);
+
+  const isSlotUnavailable = (slot) => (
+    (Boolean(slot.isPending) && resolvedSelectedSlot?.start !== slot.start)
+    || currentBookingStart === dayjs(slot.start).valueOf()
+  );
+
+  const resolveActiveSlotStart = (slotList) => {
+    const starts = slotList.filter((slot) => !isSlotUnavailable(slot)).map((slot) => slot.start);
+    return [focusedSlotStart, resolvedSelectedSlot?.start].find((start) => starts.includes(start)) || starts[0] || null;
   };
 
-  const formatTime = (isoString) => dayjs(isoString).tz(displayTimezone).format('h:mm A');
+  const activeDateSlotStart = resolveActiveSlotStart(dateSlots);
+  const activeListSlotStart = resolveActiveSlotStart(allSlots.slice(0, 20));
+
+  let slotCountAnnouncement = '';
+  if (selectedDate && !resolvedIsLoading) {
+    const date = selectedDate.format(dateFormats.date);
+    slotCountAnnouncement = dateSlots.length > 0
+      ? t('slotPicker.slotsOnDate', { count: dateSlots.length, date })
+      : t('slotPicker.noSlotsOnDate', { date });
+  }
 
-  const formatFullTime = (isoString) => dayjs(isoString).tz(displayTimezone).format('ddd, MMM D • h:mm A');
+  const formatTime = (isoString) => i18n.formatTime(isoString, displayTimezone);
+
+  const formatFullTime = (isoString) => i18n.formatDateTime(isoString, displayTimezone);
 
   const handlePrevWeek = () => setCurrentDate((prev) => prev.subtract(1, 'week'));
   const handleNextWeek = () => setCurrentDate((prev) => prev.add(1, 'week'));
   const handleToday = () => {
     setCurrentDate(dayjs());
-    setSelectedDate(dayjs());
+    chooseDate(dayjs());
+  };
+
+  const handleTimezoneChange = (timezone) => {
+    if (typeof onTimezoneChange === 'function') {
+      onTimezoneChange(timezone);
+      return;
+    }
+
+    if (typeof actions?.setUserTimezone === 'function') {
+      setLocalTimezone(null);
+      actions.setUserTimezone(timezone);
+      return;
+    }
+    setLocalTimezone(timezone);
+  };
+
+  const handleTimeFormatChange = (timeFormat) => {
+    if (typeof onTimeFormatChange === 'function') {
+      onTimeFormatChange(timeFormat);
+      return;
+    }
+    actions?.setTimeFormat?.(timeFormat);
+  };
+
+  const handleWeekStartChange = (weekStart) => {
+    if (typeof onWeekStartChange === 'function') {
+      onWeekStartChange(weekStart);
+      return;
+    }
+    actions?.setWeekStart?.(weekStart);
   };
 
   const handleDateClick = (date) => {
-    if (hasSlots(date)) {
-      setSelectedDate(date);
+    if (hasSlots(date) && !date.isBefore(dayjs(), 'day')) {
+      chooseDate(date);
+    }
+  };
+
+  const handleDayGridKeyDown = (event) => {
+    let nextDay = null;
+    if (Object.prototype.hasOwnProperty.call(DAY_KEY_OFFSETS, event.key)) {
+      const isHorizontal = event.key === 'ArrowLeft' || event.key === 'ArrowRight';
+      nextDay = activeDay.add(DAY_KEY_OFFSETS[event.key] * (isHorizontal ? slideDirection : 1), 'day');
+    } else if (event.key === 'Home') {
+      nextDay = weekDays[0];
+    } else if (event.key === 'End') {
+      nextDay = weekDays[6];
+    }
+
+    if (!nextDay) {
+      return;
+    }
+
+    event.preventDefault();
+    shouldFocusDayRef.current = true;
+    setFocusedDate(nextDay);
+    if (!weekDays.some((day) => day.isSame(nextDay, 'day'))) {
+      setCurrentDate(nextDay);
     }
   };
 
@@ -121,6 +424,11 @@ export function SlotPicker({
       onConfirm();
       return;
     }
+
+    if (isCartMode) {
+      actions?.addToCart?.();
+      return;
+    }
     actions?.confirmSelectedSlot?.();
   };
 
@@ -141,13 +449,13 @@ export function SlotPicker({
   };
 
   return (
-    <div className="calemly-sdk">
+    <div className="calemly-sdk" dir={dir}>
       <div className={clsx('bg-white dark:bg-slate-900 rounded-xl shadow-card overflow-hidden border border-transparent dark:border-slate-700', className)}>
         <div className="p-4 border-b border-gray-100 dark:border-slate-700">
           <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
             <div>
-              <h3 className="font-semibold text-neutral-dark dark:text-slate-100">Select a Time</h3>
-              <p className="text-sm text-gray-500 dark:text-slate-400">{resolvedDuration} minute meeting</p>
+              <h3 className="font-semibold text-neutral-dark dark:text-slate-100">{t('slotPicker.title')}</h3>
+              <p className="text-sm text-gray-500 dark:text-slate-400">{t('slotPicker.meetingLength', { count: resolvedDuration })}</p>
             </div>
 
             <div className="flex items-center gap-2 flex-wrap">
@@ -158,8 +466,8 @@ export function SlotPicker({
                   onClick={handleAutoFind}
                   disabled={resolvedIsLoading}
                 >
-                  <Sparkles className="w-4 h-4 mr-1" />
-                  Auto-find
+                  <Sparkles className="w-4 h-4 me-1" />
+                  {t('slotPicker.autoFind')}
                 </Button>
               ) : null}
 
@@ -169,10 +477,10 @@ export function SlotPicker({
                   size="sm"
                   onClick={handleUseRecentTemplate}
                   disabled={resolvedIsLoading || !resolvedSelectedSlot}
-                  title={resolvedSelectedSlot ? 'Reuse your previous booking details' : 'Select a time first'}
+                  title={resolvedSelectedSlot ? t('slotPicker.reuseDetails') : t('slotPicker.selectTimeFirst')}
                 >
-                  <History className="w-4 h-4 mr-1" />
-                  Same as last time
+                  <History className="w-4 h-4 me-1" />
+                  {t('slotPicker.sameAsLastTime')}
                 </Button>
               ) : null}
 
@@ -186,7 +494,7 @@ export function SlotPicker({
                       ? 'bg-white dark:bg-slate-700 shadow-sm text-primary-600 dark:text-primary-200'
                       : 'text-gray-500 dark:text-slate-300 hover:text-gray-700 dark:hover:text-slate-100'
                   )}
-                  aria-label="Calendar view"
+                  aria-label={t('slotPicker.calendarView')}
                 >
                   <Grid3X3 className="w-4 h-4" />
                 </button>
@@ -199,7 +507,7 @@ export function SlotPicker({
                       ? 'bg-white dark:bg-slate-700 shadow-sm text-primary-600 dark:text-primary-200'
                       : 'text-gray-500 dark:text-slate-300 hover:text-gray-700 dark:hover:text-slate-100'
                   )}
-                  aria-label="List view"
+                  aria-label={t('slotPicker.listView')}
                 >
                   <List className="w-4 h-4" />
                 </button>
@@ -207,190 +515,316 @@ export function SlotPicker({
             </div>
           </div>
 
-          <div className="flex items-center gap-2 mt-3">
-            <Globe className="w-4 h-4 text-gray-400 dark:text-slate-400" />
-            <button
-              type="button"
-              onClick={() => setShowTimezone((prev) => (prev === 'local' ? 'calendar' : 'local'))}
-              className="text-sm text-gray-600 dark:text-slate-300 hover:text-primary-600 dark:hover:text-primary-200 transition-colors"
-            >
-              {displayTimezone}
-              <span className="text-gray-400 dark:text-slate-500 ml-1">
-                ({showTimezone === 'local' ? 'Your time' : 'Calendar time'})
-              </span>
-            </button>
-          </div>
-        </div>
-
-      {resolvedIsLoading ? (
-        <div className="py-2 px-4">
-          <InlineSpinner text="Loading available times..." />
-        </div>
-      ) : (
-        <AnimatePresence mode="wait">
-          {viewMode === VIEWS.CALENDAR ? (
-            <motion.div
-              key="calendar"
-              initial={{ opacity: 0, x: -20 }}
-              animate={{ opacity: 1, x: 0 }}
-              exit={{ opacity: 0, x: 20 }}
-            >
-              <div className="flex items-center justify-between p-4 border-b border-gray-100 dark:border-slate-700">
-                <button
-                  type="button"
-                  onClick={handlePrevWeek}
-                  className="p-2 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
-                  aria-label="Previous week"
-                >
-                  <ChevronLeft className="w-5 h-5 text-gray-600 dark:text-slate-300" />
-                </button>
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3">
+            <div className="flex items-start gap-2">
+              <Globe className="w-4 h-4 mt-0.5 text-gray-400 dark:text-slate-400" />
+              <TimezonePicker
+                value={displayTimezone}
+                calendarTimezone={resolvedCalendarTimezone}
+                onChange={handleTimezoneChange}
+              />
+            </div>
 
-                <div className="flex items-center gap-2">
-                  <span className="font-medium text-neutral-dark dark:text-slate-100 text-sm sm:text-base">
-                    {weekDays[0].format('MMM D')} - {weekDays[6].format('MMM D, YYYY')}
-                  </span>
+            {canChangeTimeFormat ? (
+              <div role="group" aria-label={t('slotPicker.clockFormat')} className="flex bg-gray-100 dark:bg-slate-800 rounded-lg p-1">
+                {TIME_FORMATS.map((timeFormat) => (
                   <button
+                    key={timeFormat}
                     type="button"
-                    onClick={handleToday}
-                    className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+                    onClick={() => handleTimeFormatChange(timeFormat)}
+                    aria-pressed={i18n.timeFormat === timeFormat}
+                    className={clsx(
+                      'px-2 py-0.5 rounded text-xs font-medium transition-colors',
+                      i18n.timeFormat === timeFormat
+                        ? 'bg-white dark:bg-slate-700 shadow-sm text-primary-600 dark:text-primary-200'
+                        : 'text-gray-500 dark:text-slate-300 hover:text-gray-700 dark:hover:text-slate-100'
+                    )}
                   >
-                    Today
+                    {t(CLOCK_LABEL_KEYS[timeFormat])}
                   </button>
-                </div>
+                ))}
+              </div>
+            ) : null}
 
-                <button
-                  type="button"
-                  onClick={handleNextWeek}
-                  className="p-2 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
-                  aria-label="Next week"
+            {canChangeWeekStart ? (
+              <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-slate-300">
+                {t('slotPicker.weekStart')}
+                <select
+                  value={i18n.weekStart}
+                  onChange={(event) => handleWeekStartChange(Number(event.target.value))}
+                  className="px-2 py-1 rounded-lg border border-gray-300 dark:border-slate-700 text-sm text-neutral-dark dark:bg-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
                 >
-                  <ChevronRight className="w-5 h-5 text-gray-600 dark:text-slate-300" />
-                </button>
-              </div>
+                  {weekStartOptions.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            ) : null}
+          </div>
 
-              <div className="grid grid-cols-7 border-b border-gray-100 dark:border-slate-700">
-                {weekDays.map((day) => {
-                  const isToday = day.isSame(dayjs(), 'day');
-                  const isSelected = selectedDate?.isSame(day, 'day');
-                  const isPast = day.isBefore(dayjs(), 'day');
-                  const available = hasSlots(day);
+          {resolvedCurrentBooking ? (
+            <div className="flex items-center gap-2 mt-2 text-sm text-gray-600 dark:text-slate-300">
+              <History className="w-4 h-4 text-gray-400 dark:text-slate-400" />
+              <span>
+                {t('slotPicker.currentlyBooked')}
+                {' '}
+                <span className="font-medium">{formatFullTime(resolvedCurrentBooking.start_time)}</span>
+              </span>
+            </div>
+          ) : null}
+        </div>
 
-                  return (
+        <p className="sr-only" role="status" aria-live="polite">{slotCountAnnouncement}</p>
+
+        {resolvedIsLoading ? (
+          <div className="py-2 px-4">
+            <InlineSpinner text={t('slotPicker.loading')} />
+          </div>
+        ) : (
+          <AnimatePresence mode="wait">
+            {viewMode === VIEWS.CALENDAR ? (
+              <motion.div
+                key="calendar"
+                initial={{ opacity: 0, x: -20 * slideDirection }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 * slideDirection }}
+              >
+                <div className="flex items-center justify-between p-4 border-b border-gray-100 dark:border-slate-700">
+                  <button
+                    type="button"
+                    onClick={handlePrevWeek}
+                    className="p-2 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
+                    aria-label={t('slotPicker.previousWeek')}
+                  >
+                    <ChevronLeft className="w-5 h-5 rtl:-scale-x-100 text-gray-600 dark:text-slate-300" />
+                  </button>
+
+                  <div className="flex items-center gap-2">
+                    {loadsProviderSlots && state?.isPrefetchingSlots ? (
+                      <Loader2 className="w-4 h-4 animate-spin text-primary-500" aria-label={t('slotPicker.loadingMore')} />
+                    ) : null}
+                    <span className="font-medium text-neutral-dark dark:text-slate-100 text-sm sm:text-base">
+                      {weekDays[0].format(dateFormats.monthDay)} - {weekDays[6].format(dateFormats.monthDayYear)}
+                    </span>
                     <button
-                      key={day.format('YYYY-MM-DD')}
                       type="button"
-                      onClick={() => handleDateClick(day)}
-                      disabled={isPast || !available}
-                      className={clsx(
-                        'p-3 text-center transition-colors border-r border-gray-100 dark:border-slate-700 last:border-r-0',
-                        isSelected && 'bg-primary-50 dark:bg-primary-900/30',
-                        !isPast && available && 'hover:bg-gray-50 dark:hover:bg-slate-800 cursor-pointer',
-                        (isPast || !available) && 'opacity-50 cursor-not-allowed'
-                      )}
+                      onClick={handleToday}
+                      className="text-xs text-primary-600 hover:text-primary-700 font-medium"
                     >
-                      <p className="text-xs text-gray-500 dark:text-slate-400 uppercase">{day.format('ddd')}</p>
-                      <p className={clsx(
-                        'text-lg font-semibold mt-1',
-                        (isToday || isSelected) && 'text-primary-600 dark:text-primary-200',
-                        !isToday && !isSelected && 'text-neutral-dark dark:text-slate-100'
-                      )}
-                      >
-                        {day.format('D')}
-                      </p>
-                      {available ? (
-                        <div className="w-1.5 h-1.5 rounded-full bg-primary-500 mx-auto mt-1" />
-                      ) : null}
+                      {t('slotPicker.today')}
                     </button>
-                  );
-                })}
-              </div>
+                  </div>
 
-              <div className="p-4 max-h-64 overflow-y-auto">
-                {selectedDate ? (
-                  dateSlots.length > 0 ? (
-                    <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
-                      {dateSlots.map((slot, index) => {
-                        const isSelected = resolvedSelectedSlot?.start === slot.start;
-                        return (
-                          <button
-                            key={`${slot.start}-${index}`}
-                            type="button"
-                            onClick={() => handleSelectSlot(slot)}
-                            className={clsx(
-                              'px-3 py-2 rounded-lg text-sm font-medium transition-all',
-                              isSelected
-                                ? 'bg-primary-500 text-white ring-2 ring-primary-300'
-                                : 'bg-gray-100 dark:bg-slate-800 text-gray-700 dark:text-slate-100 hover:bg-primary-100 dark:hover:bg-primary-900/40 hover:text-primary-700 dark:hover:text-primary-200'
-                            )}
+                  <button
+                    type="button"
+                    onClick={handleNextWeek}
+                    className="p-2 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-lg transition-colors"
+                    aria-label={t('slotPicker.nextWeek')}
+                  >
+                    <ChevronRight className="w-5 h-5 rtl:-scale-x-100 text-gray-600 dark:text-slate-300" />
+                  </button>
+                </div>
+
+                <div
+                  ref={dayGridRef}
+                  role="grid"
+                  aria-label={t('slotPicker.dateGrid', {
+                    range: `${weekDays[0].format(dateFormats.monthDay)} - ${weekDays[6].format(dateFormats.monthDayYear)}`,
+                  })}
+                  onKeyDown={handleDayGridKeyDown}
+                  className="border-b border-gray-100 dark:border-slate-700"
+                >
+                  <div role="row" className="grid grid-cols-7">
+                    {weekDays.map((day) => {
+                      const dayKey = day.format('YYYY-MM-DD');
+                      const isToday = day.isSame(dayjs(), 'day');
+                      const isSelected = Boolean(selectedDate?.isSame(day, 'day'));
+                      const isPast = day.isBefore(dayjs(), 'day');
+                      const slotCount = countSlots(day);
+                      const available = slotCount > 0;
+                      const dayLabel = day.format(dateFormats.date);
+
+                      return (
+                        <button
+                          key={dayKey}
+                          type="button"
+                          role="gridcell"
+                          data-date={dayKey}
+                          tabIndex={dayKey === activeDayKey ? 0 : -1}
+                          onClick={() => handleDateClick(day)}
+                          onFocus={() => setFocusedDate(day)}
+                          aria-selected={isSelected}
+                          aria-disabled={isPast || !available}
+                          aria-current={isToday ? 'date' : undefined}
+                          aria-label={available && !isPast
+                            ? t('slotPicker.dayAvailable', { date: dayLabel, count: slotCount })
+                            : t('slotPicker.dayUnavailable', { date: dayLabel })}
+                          className={clsx(
+                            'p-3 text-center transition-colors border-e border-gray-100 dark:border-slate-700 last:border-e-0',
+                            isSelected && 'bg-primary-50 dark:bg-primary-900/30',
+                            !isPast && available && 'hover:bg-gray-50 dark:hover:bg-slate-800 cursor-pointer',
+                            (isPast || !available) && 'opacity-50 cursor-not-allowed'
+                          )}
+                        >
+                          <p className="text-xs text-gray-500 dark:text-slate-400 uppercase">{day.format(dateFormats.weekday)}</p>
+                          <p className={clsx(
+                            'text-lg font-semibold mt-1',
+                            (isToday || isSelected) && 'text-primary-600 dark:text-primary-200',
+                            !isToday && !isSelected && 'text-neutral-dark dark:text-slate-100'
+                          )}
                           >
-                            {formatTime(slot.start)}
-                          </button>
-                        );
-                      })}
-                    </div>
+                            {day.format('D')}
+                          </p>
+                          {available ? (
+                            <div className="w-1.5 h-1.5 rounded-full bg-primary-500 mx-auto mt-1" />
+                          ) : null}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                <div className="p-4 max-h-64 overflow-y-auto">
+                  {selectedDate ? (
+                    dateSlots.length > 0 ? (
+                      <div
+                        role="listbox"
+                        aria-label={t('slotPicker.timesOnDate', { date: selectedDate.format(dateFormats.date) })}
+                        onKeyDown={(event) => moveListboxFocus(event, slideDirection)}
+                        className="grid grid-cols-3 sm:grid-cols-4 gap-2"
+                      >
+                        {dateSlots.map((slot, index) => {
+                          const isSelected = resolvedSelectedSlot?.start === slot.start;
+                          const isHeld = Boolean(slot.isPending) && !isSelected;
+                          const isHoldExpired = expiredHoldStart === slot.start;
+                          const isCurrent = currentBookingStart === dayjs(slot.start).valueOf();
+                          const seatsLabel = formatSeatsRemaining(slot, { short: true, t });
+                          return (
+                            <button
+                              key={`${slot.start}-${index}`}
+                              type="button"
+                              role="option"
+                              tabIndex={slot.start === activeDateSlotStart ? 0 : -1}
+                              onClick={() => handleSelectSlot(slot)}
+                              onFocus={() => setFocusedSlotStart(slot.start)}
+                              aria-selected={isSelected}
+                              aria-disabled={isHeld || isCurrent}
+                              disabled={isHeld || isCurrent}
+                              title={
+                                isCurrent
+                                  ? t('slotPicker.currentBooking')
+                                  : isHeld
+                                    ? t('slotPicker.heldByOther')
+                                    : isHoldExpired
+                                      ? t('slotPicker.holdExpired')
+                                      : formatSlotHosts(slot, t)
+                              }
+                              className={clsx(
+                                'px-3 py-2 rounded-lg text-sm font-medium transition-all',
+                                isSelected
+                                  ? 'bg-primary-500 text-white ring-2 ring-primary-300'
+                                  : 'bg-gray-100 dark:bg-slate-800 text-gray-700 dark:text-slate-100 hover:bg-primary-100 dark:hover:bg-primary-900/40 hover:text-primary-700 dark:hover:text-primary-200',
+                                isHeld && 'opacity-50 line-through cursor-not-allowed',
+                                isHoldExpired && 'ring-2 ring-amber-400',
+                                isCurrent && 'opacity-60 cursor-not-allowed border border-dashed border-gray-400'
+                              )}
+                            >
+                              {formatTime(slot.start)}
+                              {seatsLabel ? (
+                                <span className={clsx('block text-xs font-normal', isSelected ? 'text-primary-100' : 'text-gray-500 dark:text-slate-400')}>
+                                  {seatsLabel}
+                                </span>
+                              ) : null}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    ) : (
+                      <p className="text-center text-gray-500 dark:text-slate-400 py-8">
+                        {t('slotPicker.noSlotsForDate')}
+                      </p>
+                    )
                   ) : (
                     <p className="text-center text-gray-500 dark:text-slate-400 py-8">
-                      No available slots for this date
+                      {t('slotPicker.selectDate')}
                     </p>
-                  )
+                  )}
+                </div>
+              </motion.div>
+            ) : (
+              <motion.div
+                key="list"
+                initial={{ opacity: 0, x: 20 * slideDirection }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: -20 * slideDirection }}
+                className="p-4 max-h-96 overflow-y-auto"
+                role="listbox"
+                aria-label={t('slotPicker.availableSlots')}
+                onKeyDown={(event) => moveListboxFocus(event, slideDirection)}
+              >
+                {allSlots.length > 0 ? (
+                  <div className="space-y-2">
+                    {allSlots.slice(0, 20).map((slot, index) => {
+                      const isSelected = resolvedSelectedSlot?.start === slot.start;
+                      const isHeld = Boolean(slot.isPending) && !isSelected;
+                      const isCurrent = currentBookingStart === dayjs(slot.start).valueOf();
+                      const seatsLabel = formatSeatsRemaining(slot, { t });
+                      const hostsLabel = formatSlotHosts(slot, t);
+                      return (
+                        <button
+                          key={`${slot.start}-${index}`}
+                          type="button"
+                          onClick={() => handleSelectSlot(slot)}
+                          onFocus={() => setFocusedSlotStart(slot.start)}
+                          role="option"
+                          tabIndex={slot.start === activeListSlotStart ? 0 : -1}
+                          aria-selected={isSelected}
+                          aria-disabled={isHeld || isCurrent}
+                          disabled={isHeld || isCurrent}
+                          title={
+                            isCurrent
+                              ? t('slotPicker.currentBooking')
+                              : isHeld
+                                ? t('slotPicker.heldByOther')
+                                : hostsLabel
+                          }
+                          className={clsx(
+                            'w-full flex items-center justify-between p-3 rounded-xl transition-all text-start',
+                            isSelected
+                              ? 'bg-primary-500 text-white'
+                              : 'bg-gray-50 dark:bg-slate-800 hover:bg-primary-50 dark:hover:bg-primary-900/40 text-neutral-dark dark:text-slate-100',
+                            (isHeld || isCurrent) && 'opacity-50 cursor-not-allowed'
+                          )}
+                        >
+                          <div className="flex items-center gap-3">
+                            <Calendar className={clsx('w-5 h-5', isSelected ? 'text-white' : 'text-gray-400')} />
+                            <div>
+                              <p className="font-medium">{formatFullTime(slot.start)}</p>
+                              <p className={clsx('text-sm', isSelected ? 'text-primary-100' : 'text-gray-500 dark:text-slate-400')}>
+                                {t('slotPicker.minutesLong', { count: resolvedDuration })}
+                                {seatsLabel ? ` • ${seatsLabel}` : ''}
+                              </p>
+                              {hostsLabel ? (
+                                <p className={clsx('text-xs', isSelected ? 'text-primary-100' : 'text-gray-400 dark:text-slate-500')}>
+                                  {hostsLabel}
+                                </p>
+                              ) : null}
+                            </div>
+                          </div>
+                          {isSelected ? <Check className="w-5 h-5" /> : null}
+                        </button>
+                      );
+                    })}
+                  </div>
                 ) : (
                   <p className="text-center text-gray-500 dark:text-slate-400 py-8">
-                    Select a date to see available times
+                    {t('slotPicker.noSlots')}
                   </p>
                 )}
-              </div>
-            </motion.div>
-          ) : (
-            <motion.div
-              key="list"
-              initial={{ opacity: 0, x: 20 }}
-              animate={{ opacity: 1, x: 0 }}
-              exit={{ opacity: 0, x: -20 }}
-              className="p-4 max-h-96 overflow-y-auto"
-              role="listbox"
-              aria-label="Available time slots"
-            >
-              {allSlots.length > 0 ? (
-                <div className="space-y-2">
-                  {allSlots.slice(0, 20).map((slot, index) => {
-                    const isSelected = resolvedSelectedSlot?.start === slot.start;
-                    return (
-                      <button
-                        key={`${slot.start}-${index}`}
-                        type="button"
-                        onClick={() => handleSelectSlot(slot)}
-                        role="option"
-                        aria-selected={isSelected}
-                        className={clsx(
-                          'w-full flex items-center justify-between p-3 rounded-xl transition-all text-left',
-                          isSelected
-                            ? 'bg-primary-500 text-white'
-                            : 'bg-gray-50 dark:bg-slate-800 hover:bg-primary-50 dark:hover:bg-primary-900/40 text-neutral-dark dark:text-slate-100'
-                        )}
-                      >
-                        <div className="flex items-center gap-3">
-                          <Calendar className={clsx('w-5 h-5', isSelected ? 'text-white' : 'text-gray-400')} />
-                          <div>
-                            <p className="font-medium">{formatFullTime(slot.start)}</p>
-                            <p className={clsx('text-sm', isSelected ? 'text-primary-100' : 'text-gray-500 dark:text-slate-400')}>
-                              {resolvedDuration} minutes
-                            </p>
-                          </div>
-                        </div>
-                        {isSelected ? <Check className="w-5 h-5" /> : null}
-                      </button>
-                    );
-                  })}
-                </div>
-              ) : (
-                <p className="text-center text-gray-500 dark:text-slate-400 py-8">
-                  No available slots found
-                </p>
-              )}
-            </motion.div>
-          )}
-        </AnimatePresence>
-      )}
+              </motion.div>
+            )}
+          </AnimatePresence>
+        )}
 
         <AnimatePresence>
           {resolvedSelectedSlot ? (
@@ -410,12 +844,15 @@ export function SlotPicker({
                       {formatFullTime(resolvedSelectedSlot.start)}
                     </p>
                     <p className="text-sm text-gray-500 dark:text-slate-400">
-                      {resolvedDuration} min • {displayTimezone}
+                      {t('common.minutes', { count: resolvedDuration })} • {displayTimezone}
                     </p>
                   </div>
                 </div>
-                <Button onClick={handleConfirm}>Confirm</Button>
+                <Button onClick={handleConfirm} disabled={isSeriesBlocked}>
+                  {isCartMode ? t('slotPicker.addToCart') : t('slotPicker.confirm')}
+                </Button>
               </div>
+              {canRepeat ? <SeriesPlanner userTimezone={displayTimezone} /> : null}
             </motion.div>
           ) : null}
         </AnimatePresence>
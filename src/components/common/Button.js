@@ -44,7 +44,7 @@ export function Button({
       )}
       {...props}
     >
-      {isLoading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" aria-hidden="true" /> : null}
+      {isLoading ? <Loader2 className="w-4 h-4 me-2 animate-spin" aria-hidden="true" /> : null}
       {children}
     </button>
   );
@@ -28,7 +28,7 @@ export const Input = forwardRef(function Input({
 
       <div className="relative">
         {hasIcon && iconPosition === 'left' ? (
-          <div className="absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none">
+          <div className="absolute start-3 top-1/2 -translate-y-1/2 pointer-events-none">
             <Icon className={clsx('w-5 h-5', error ? 'text-error' : 'text-gray-400')} />
           </div>
         ) : null}
@@ -41,8 +41,8 @@ export const Input = forwardRef(function Input({
             'w-full py-2.5 rounded-lg border transition-colors',
             'focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent',
             'placeholder:text-gray-400 dark:placeholder:text-slate-500 dark:bg-slate-900 dark:text-slate-100',
-            hasIcon && iconPosition === 'left' && 'pl-10 pr-4',
-            hasIcon && iconPosition === 'right' && 'pl-4 pr-10',
+            hasIcon && iconPosition === 'left' && 'ps-10 pe-4',
+            hasIcon && iconPosition === 'right' && 'ps-4 pe-10',
             !hasIcon && 'px-4',
             error
               ? 'border-error text-error focus:ring-error'
@@ -54,7 +54,7 @@ export const Input = forwardRef(function Input({
         />
 
         {hasIcon && iconPosition === 'right' ? (
-          <div className="absolute right-3 top-1/2 -translate-y-1/2 pointer-events-none">
+          <div className="absolute end-3 top-1/2 -translate-y-1/2 pointer-events-none">
             <Icon className={clsx('w-5 h-5', error ? 'text-error' : 'text-gray-400')} />
           </div>
         ) : null}
@@ -1,4 +1,5 @@
 import React from 'react';
+import { useI18n } from '../../hooks/useI18n';
 
 const SIZES = {
   sm: { icon: 24, text: 'text-base' },
@@ -46,10 +47,12 @@ export function LogoIcon({ size = 32, className = '' }) {
 }
 
 export function PoweredByCalemly({ className = '' }) {
+  const { t } = useI18n();
+
   return (
     <div className={`inline-flex items-center gap-2 text-xs text-gray-400 dark:text-slate-400 ${className}`}>
       <LogoIcon size={14} />
-      <span>Powered by Calemly</span>
+      <span>{t('common.poweredBy')}</span>
     </div>
   );
 }
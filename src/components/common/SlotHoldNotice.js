@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from 'react';
+import clsx from 'clsx';
+import { Clock } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
+
+const formatCountdown = (remainingMs) => {
+  const totalSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+export function SlotHoldNotice({ hold }) {
+  const { t } = useI18n();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!hold?.expiresAt) {
+      return undefined;
+    }
+
+    setNow(Date.now());
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      clearInterval(intervalId);
+    };
+  }, [hold?.expiresAt]);
+
+  if (!hold) {
+    return null;
+  }
+
+  const remainingMs = Date.parse(hold.expiresAt) - now;
+
+  return (
+    <div
+      className={clsx(
+        'px-4 py-2 flex items-center gap-2 text-sm border-b',
+        remainingMs <= 60000
+          ? 'bg-amber-50 dark:bg-amber-900/30 border-amber-200 dark:border-amber-900/40 text-amber-800 dark:text-amber-200'
+          : 'bg-gray-50 dark:bg-slate-800 border-gray-100 dark:border-slate-700 text-gray-600 dark:text-slate-300'
+      )}
+      role="timer"
+      aria-live={remainingMs <= 60000 ? 'polite' : 'off'}
+    >
+      <Clock className="w-4 h-4 flex-shrink-0" />
+      <span>
+        {t('form.holdNotice')}
+        {' '}
+        <span className="font-semibold tabular-nums">{formatCountdown(remainingMs)}</span>
+      </span>
+    </div>
+  );
+}
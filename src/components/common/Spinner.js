@@ -1,18 +1,23 @@
 import React from 'react';
 import clsx from 'clsx';
 import { Loader2 } from 'lucide-react';
+import { useI18n } from '../../hooks/useI18n';
 import { LogoIcon } from './Logo';
 
-export function InlineSpinner({ text = 'Loading...' }) {
+export function InlineSpinner({ text }) {
+  const { t } = useI18n();
+
   return (
     <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-slate-300" role="status" aria-live="polite">
       <Loader2 className="w-4 h-4 animate-spin text-primary-500" />
-      <span>{text}</span>
+      <span>{text === undefined ? t('common.loading') : text}</span>
     </div>
   );
 }
 
-export function Spinner({ size = 'md', text = 'Loading...', showLogo = true, className = '' }) {
+export function Spinner({ size = 'md', text, showLogo = true, className = '' }) {
+  const { t } = useI18n();
+  const resolvedText = text === undefined ? t('common.loading') : text;
   const sizeClasses = {
     sm: 'w-8 h-8',
     md: 'w-12 h-12',
@@ -30,7 +35,7 @@ export function Spinner({ size = 'md', text = 'Loading...', showLogo = true, cla
           </div>
         ) : null}
       </div>
-      {text ? <p className="mt-3 text-sm text-gray-600 dark:text-slate-300">{text}</p> : null}
+      {resolvedText ? <p className="mt-3 text-sm text-gray-600 dark:text-slate-300">{resolvedText}</p> : null}
     </div>
   );
 }
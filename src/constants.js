@@ -1,14 +1,41 @@
 export const BOOKING_STEPS = {
   SELECT_EVENT: 'select_event',
+  SELECT_HOST: 'select_host',
   SELECT_TIME: 'select_time',
   CONFIRM: 'confirm',
   SUCCESS: 'success',
 };
 
+export const ANY_AVAILABLE_HOST = 'any';
+
 export const DEFAULT_API_BASE_URL = 'http://localhost:5000/api';
 
 export const DEFAULT_SLOT_WINDOW_DAYS = 90;
 
+export const DEFAULT_SLOT_CHUNK_DAYS = 14;
+
 export const DEFAULT_CACHE_TTL_MS = 45000;
 
+export const DEFAULT_CACHE_MAX_STALE_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_REQUEST_TIMEOUT_MS = 15000;
+
+export const DEFAULT_CIRCUIT_FAILURE_THRESHOLD = 5;
+
+export const DEFAULT_CIRCUIT_COOLDOWN_MS = 30000;
+
+export const SLOT_HOLD_RECHECK_MS = 1000;
+
+export const DEFAULT_SLOT_HOLD_MAX_LIFETIME_MS = 30 * 60 * 1000;
+
 export const PAYPAL_PENDING_BOOKING_STORAGE_KEY = 'calemly-sdk:pending-booking';
+
+export const OFFLINE_BOOKING_QUEUE_STORAGE_KEY = 'calemly-sdk:offline-booking-queue';
+
+export const OFFLINE_BOOKING_QUEUE_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const PERSISTENT_CACHE_STORAGE_PREFIX = 'calemly-sdk:cache:';
+
+export const PERSISTENT_CACHE_DB_NAME = 'calemly-sdk-cache';
+
+export const DISPLAY_PREFERENCES_STORAGE_KEY = 'calemly-sdk:display-preferences';
@@ -0,0 +1,107 @@
+import { BOOKING_STEPS } from '../constants';
+import { toHostScope } from '../utils/hosts';
+
+export const createAvailabilitySubscriptionActions = ({
+  getState,
+  setState,
+  getOptions,
+  getEmbedContext,
+  getI18n,
+  isStarted,
+  refreshLoadedSlots,
+  markSlotPending,
+  revertPendingSlot,
+  removeBookedSlot,
+  addAvailableSlot,
+}) => {
+  let activeSubscription = null;
+
+  const handleAvailabilityEvent = (eventTypeId, event) => {
+    if (!event?.type || getState().eventType?.id !== eventTypeId) {
+      return;
+    }
+
+    if (event.eventTypeId && event.eventTypeId !== eventTypeId) {
+      return;
+    }
+
+    if (event.type === 'resync' || event.type === 'invalidate') {
+      refreshLoadedSlots();
+      return;
+    }
+
+    const slot = event.slot;
+    if (!slot?.start) {
+      return;
+    }
+
+    if (event.type === 'slot_added' || event.type === 'slot_released') {
+      if (event.type === 'slot_released') {
+        revertPendingSlot(slot);
+      }
+      addAvailableSlot(slot);
+      return;
+    }
+
+    if (event.type === 'slot_pending') {
+      markSlotPending(slot);
+      return;
+    }
+
+    if (event.type === 'slot_removed') {
+      removeBookedSlot(slot);
+
+      if (getState().selectedSlot?.start === slot.start && !getState().isSubmitting) {
+        setState({
+          selectedSlot: getState().step === BOOKING_STEPS.SELECT_TIME ? null : getState().selectedSlot,
+          error: getI18n().t('errors.slotTaken'),
+        });
+      }
+    }
+  };
+
+  const syncAvailabilitySubscription = () => {
+    const eventTypeId = getState().eventType?.id || null;
+    const adapter = getOptions().availabilitySubscription;
+    const shouldSubscribe = isStarted() && eventTypeId && typeof adapter?.subscribe === 'function';
+    const hostId = toHostScope(getState().selectedHostId);
+    const nextKey = shouldSubscribe ? [eventTypeId, getState().userTimezone, hostId].join('|') : null;
+
+    if (activeSubscription && activeSubscription.key === nextKey) {
+      return;
+    }
+
+    if (activeSubscription) {
+      try {
+        activeSubscription.unsubscribe?.();
+      } catch (_error) {
+        // no-op
+      }
+      activeSubscription = null;
+    }
+
+    if (!shouldSubscribe) {
+      return;
+    }
+
+    try {
+      const unsubscribe = adapter.subscribe({
+        eventTypeId,
+        timezone: getState().userTimezone,
+        hostId,
+        embedContext: getEmbedContext(),
+      }, (event) => handleAvailabilityEvent(eventTypeId, event));
+
+      activeSubscription = {
+        key: nextKey,
+        unsubscribe,
+      };
+    } catch (_error) {
+      activeSubscription = null;
+    }
+  };
+
+  return {
+    syncAvailabilitySubscription,
+  };
+};
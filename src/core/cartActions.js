@@ -0,0 +1,266 @@
+import { BookingCancelledError, SchedulerApiError } from '../api/errors';
+import { BOOKING_STEPS } from '../constants';
+import { getOrCreateClientRequestId } from '../utils/bookingSource';
+import { findCartCurrencyConflict, findCartOverlap } from '../utils/cart';
+import { toHostScope } from '../utils/hosts';
+
+export const createCartActions = ({
+  getState,
+  setState,
+  getOptions,
+  getApi,
+  getEmbedContext,
+  getI18n,
+  getLifecycleSignal,
+  clearBookingError,
+  invalidateAvailability,
+  resolveSubmissionMeta,
+  reportBookingError,
+}) => {
+  const completeCartBooking = ({ items, bookings, payload }) => {
+    const entries = items.map((item, index) => ({
+      event_type_id: item.eventType.id,
+      event_type_name: item.eventType.name,
+      start_time: item.slot.start,
+      end_time: item.slot.end,
+      ...bookings[index],
+    }));
+
+    setState({
+      cart: [],
+      isCartCheckout: false,
+      confirmedBooking: { ...entries[0], cart: entries },
+      eventType: items[0].eventType,
+      selectedSlot: null,
+      activeTemplate: null,
+      templateFallbackSuggestions: [],
+      step: BOOKING_STEPS.SUCCESS,
+    });
+    items.forEach((item) => invalidateAvailability(item.eventType.id));
+
+    if (typeof getOptions().onBookingSuccess === 'function') {
+      getOptions().onBookingSuccess(entries[0], {
+        payload,
+        eventType: items[0].eventType,
+        cart: entries,
+      });
+    }
+
+    return entries;
+  };
+
+  const createCartBookingsForContext = async ({
+    guestData,
+    items = getState().cart,
+    timezone = getState().userTimezone,
+  }) => {
+
+    if (items.length === 0) {
+      return {
+        ok: false,
+        error: new SchedulerApiError(getI18n().t('errors.cartEmpty'), {
+          code: 'CART_EMPTY',
+        }),
+      };
+    }
+
+    setState({ isSubmitting: true });
+    clearBookingError();
+
+    const guestEmail = (guestData?.guest_email || '').trim().toLowerCase();
+    const {
+      payment_intent_id: paymentIntentId,
+      paypal_order_id: paypalOrderId,
+      paypal_capture_id: paypalCaptureId,
+      host_id: _hostId,
+      party_size: _partySize,
+      ...sharedGuestData
+    } = guestData || {};
+    let payload = null;
+
+    try {
+      const bookingPayloads = [];
+      for (const item of items) {
+        const itemPayload = {
+          ...sharedGuestData,
+          event_type_id: item.eventType.id,
+          start_time: item.slot.start,
+          end_time: item.slot.end,
+          timezone,
+          ...(item.hostId ? { host_id: item.hostId } : {}),
+          ...(item.partySize > 1 ? { party_size: item.partySize } : {}),
+        };
+        const submissionMeta = await resolveSubmissionMeta({
+          guestData: itemPayload,
+          slot: item.slot,
+          eventTypeOverride: item.eventType,
+        });
+        bookingPayloads.push({ ...itemPayload, ...submissionMeta });
+      }
+
+      payload = {
+        client_request_id: getOrCreateClientRequestId([
+          'sdk',
+          'cart',
+          ...items.map((item) => `${item.eventType.id}@${item.slot.start}`),
+          guestEmail || 'anonymous',
+        ].join(':')),
+        bookings: bookingPayloads,
+        ...(paymentIntentId ? { payment_intent_id: paymentIntentId } : {}),
+        ...(paypalOrderId ? { paypal_order_id: paypalOrderId } : {}),
+        ...(paypalCaptureId ? { paypal_capture_id: paypalCaptureId } : {}),
+      };
+
+      if (typeof getOptions().onBeforeBook === 'function') {
+        const beforeResult = await getOptions().onBeforeBook(payload, {
+          eventType: items[0].eventType,
+          slot: items[0].slot,
+          cart: items,
+        });
+
+        if (beforeResult === false) {
+          throw new BookingCancelledError(getI18n().t('errors.bookingCancelled'));
+        }
+
+        if (beforeResult && typeof beforeResult === 'object' && !Array.isArray(beforeResult)) {
+          payload = {
+            ...payload,
+            ...beforeResult,
+          };
+        }
+      }
+
+      const result = await getApi().createBookingBatch(payload, getEmbedContext(), { signal: getLifecycleSignal() });
+      const bookings = completeCartBooking({
+        items,
+        bookings: Array.isArray(result?.bookings) ? result.bookings : [],
+        payload,
+      });
+
+      return {
+        ok: true,
+        booking: bookings[0],
+        bookings,
+        payload,
+      };
+    } catch (requestError) {
+      if (requestError?.code === 'ABORTED') {
+        return {
+          ok: false,
+          error: requestError,
+        };
+      }
+
+      const normalized = reportBookingError(requestError, {
+        eventType: items[0].eventType,
+        slot: items[0].slot,
+        cart: items,
+      });
+
+      return {
+        ok: false,
+        error: normalized,
+      };
+    } finally {
+      setState({ isSubmitting: false });
+    }
+  };
+
+  const addToCart = () => {
+    const { eventType, selectedSlot } = getState();
+
+    if (!selectedSlot || !eventType?.id) {
+      return {
+        ok: false,
+        error: new SchedulerApiError(getI18n().t('errors.cartSlotRequired'), {
+          code: 'SLOT_REQUIRED',
+        }),
+      };
+    }
+
+    const item = {
+      eventType,
+      slot: {
+        start: selectedSlot.start,
+        end: selectedSlot.end,
+        startLocal: selectedSlot.startLocal,
+        endLocal: selectedSlot.endLocal,
+      },
+      hostId: toHostScope(getState().selectedHostId),
+      partySize: getState().partySize,
+    };
+
+    const overlapping = findCartOverlap(getState().cart, item);
+    if (overlapping) {
+      const error = new SchedulerApiError(getI18n().t('errors.cartOverlap', { name: overlapping.eventType.name }), {
+        code: 'CART_OVERLAP',
+      });
+      setState({ error: error.message });
+      return { ok: false, error };
+    }
+
+    const conflicting = findCartCurrencyConflict(getState().cart, item);
+    if (conflicting) {
+      const error = new SchedulerApiError(getI18n().t('errors.cartCurrencyMismatch', {
+        name: conflicting.eventType.name,
+        currency: conflicting.eventType.currency || 'USD',
+      }), {
+        code: 'CART_CURRENCY_MISMATCH',
+      });
+      setState({ error: error.message });
+      return { ok: false, error };
+    }
+
+    setState((previous) => ({
+      cart: [...previous.cart.filter((entry) => entry.eventType.id !== eventType.id), item]
+        .sort((first, second) => Date.parse(first.slot.start) - Date.parse(second.slot.start)),
+      step: BOOKING_STEPS.SELECT_EVENT,
+      eventType: null,
+      selectedHostId: null,
+      recurrence: null,
+      selectedDate: null,
+      slots: {},
+      selectedSlot: null,
+      activeTemplate: null,
+    }));
+    clearBookingError();
+
+    return { ok: true, item };
+  };
+
+  const removeFromCart = (eventTypeId) => {
+    setState((previous) => {
+      const cart = previous.cart.filter((item) => item.eventType.id !== eventTypeId);
+
+      return cart.length === 0 && previous.isCartCheckout
+        ? { cart, isCartCheckout: false, step: BOOKING_STEPS.SELECT_EVENT }
+        : { cart };
+    });
+  };
+
+  const startCartCheckout = () => {
+    if (getState().cart.length === 0) {
+      return;
+    }
+
+    setState({
+      isCartCheckout: true,
+      step: BOOKING_STEPS.CONFIRM,
+      eventType: null,
+      selectedHostId: null,
+      recurrence: null,
+      selectedDate: null,
+      slots: {},
+      selectedSlot: null,
+      activeTemplate: null,
+    });
+    clearBookingError();
+  };
+
+  return {
+    createCartBookingsForContext,
+    addToCart,
+    removeFromCart,
+    startCartCheckout,
+  };
+};
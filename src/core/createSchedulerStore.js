@@ -0,0 +1,2340 @@
+import { createSchedulerApi, resolveApiBaseUrl } from '../api/client';
+import { BookingCancelledError, SchedulerApiError, toSchedulerError } from '../api/errors';
+import {
+  BOOKING_STEPS,
+  DEFAULT_CACHE_MAX_STALE_MS,
+  DEFAULT_CACHE_TTL_MS,
+  DEFAULT_SLOT_HOLD_MAX_LIFETIME_MS,
+  PAYPAL_PENDING_BOOKING_STORAGE_KEY,
+  DEFAULT_SLOT_CHUNK_DAYS,
+  DEFAULT_SLOT_WINDOW_DAYS,
+} from '../constants';
+import {
+  buildWidgetBookingSource,
+  getOrCreateClientRequestId,
+  getOrCreateContactToken,
+  getOrCreateTrackingSessionId,
+  resolveEmbedOrigin,
+} from '../utils/bookingSource';
+import { createMemoryCache } from '../utils/cacheAdapters';
+import {
+  TIME_FORMATS,
+  isValidWeekStart,
+  readDisplayPreferences,
+  writeDisplayPreferences,
+} from '../utils/displayPreferences';
+import { hasHostChoice, toHostScope } from '../utils/hosts';
+import { isBrowserOffline, readOfflineQueue } from '../utils/offlineQueue';
+import { findLoadedSlot } from '../utils/recurrence';
+import { createI18n } from '../utils/i18n';
+import { resolvePrefill } from '../utils/prefill';
+import { getSeatsRemaining, slotFitsParty } from '../utils/seats';
+import { isValidTimezone, resolveUserTimezone } from '../utils/time';
+import {
+  STEP_ORDER,
+  normalizeUrlSync,
+  readHistoryIndex,
+  readUrlState,
+  writeUrlState,
+} from '../utils/urlSync';
+import { createAvailabilitySubscriptionActions } from './availabilitySubscriptionActions';
+import { createCartActions } from './cartActions';
+import { createHostActions } from './hostActions';
+import { createOfflineQueueActions } from './offlineQueueActions';
+import { createSeriesActions } from './seriesActions';
+import { createSlotChunkActions } from './slotChunkActions';
+import { createSlotHoldActions } from './slotHoldActions';
+
+export const normalizeOrgIdentifier = (org) => {
+  if (!org) {
+    return null;
+  }
+
+  if (typeof org === 'string') {
+    return org;
+  }
+
+  return org.id || org.slug || null;
+};
+
+const normalizeBookingError = (error, t) => {
+  if (error?.code === 'OFFLINE') {
+    return toSchedulerError(error, {
+      message: t('errors.offline'),
+      alternatives: [],
+    });
+  }
+
+  if (error?.status === 429) {
+    const retrySeconds = Number.isFinite(error?.retryAfter)
+      ? error.retryAfter
+      : Number.parseInt(error?.retryAfter, 10);
+
+    return toSchedulerError(error, {
+      message: Number.isFinite(retrySeconds) && retrySeconds > 0
+        ? t('errors.rateLimitedWait', { count: retrySeconds })
+        : t('errors.rateLimited'),
+      retryAfter: Number.isFinite(retrySeconds) ? retrySeconds : null,
+      alternatives: [],
+    });
+  }
+
+  if (error?.code === 'SLOT_CONFLICT') {
+    return toSchedulerError(error, {
+      message: t('errors.slotConflict'),
+      alternatives: Array.isArray(error?.alternatives) ? error.alternatives : [],
+    });
+  }
+
+  if (error?.code === 'SLOT_LOCKED') {
+    return toSchedulerError(error, {
+      message: t('errors.slotLocked'),
+      alternatives: [],
+    });
+  }
+
+  if (error?.code === 'TEMPLATE_INVALID') {
+    return toSchedulerError(error, {
+      message: error.message || t('errors.templateInvalid'),
+      alternatives: [],
+      suggestions: Array.isArray(error?.suggestions) ? error.suggestions : [],
+    });
+  }
+
+  if (error?.code === 'NO_SAVED_TEMPLATE') {
+    return toSchedulerError(error, {
+      message: t('errors.noSavedTemplate'),
+      alternatives: [],
+    });
+  }
+
+  return toSchedulerError(error, {
+    message: error?.message || t('errors.bookingFailed'),
+    alternatives: Array.isArray(error?.alternatives) ? error.alternatives : [],
+  });
+};
+
+const mergeSubmissionMeta = (fallbackMeta, tokenMeta) => {
+  if (!tokenMeta) {
+    return fallbackMeta;
+  }
+
+  if (typeof tokenMeta === 'string') {
+    return {
+      ...fallbackMeta,
+      signed_widget_token: tokenMeta,
+    };
+  }
+
+  const sourceDetails = {
+    ...fallbackMeta.source_details,
+    ...(tokenMeta.source_details || {}),
+    client_request_id: fallbackMeta.client_request_id,
+    tracking_session_id: fallbackMeta.source_details?.tracking_session_id,
+    contact_token: fallbackMeta.source_details?.contact_token,
+  };
+
+  return {
+    ...fallbackMeta,
+    source: tokenMeta.source || fallbackMeta.source,
+    source_client: tokenMeta.source_client || fallbackMeta.source_client,
+    source_details: sourceDetails,
+    signed_widget_token:
+      tokenMeta.signed_widget_token
+      || tokenMeta.token
+      || fallbackMeta.signed_widget_token
+      || undefined,
+  };
+};
+
+const pickPreferredTemplate = (templates) => {
+  if (!Array.isArray(templates) || templates.length === 0) {
+    return null;
+  }
+
+  return templates.find((template) => template.is_default) || templates[0];
+};
+
+const parsePayPalReturnContext = () => {
+  if (typeof window === 'undefined' || typeof URLSearchParams === 'undefined') {
+    return {
+      hasReturnParams: false,
+      token: null,
+      payerId: null,
+      cancelled: false,
+    };
+  }
+
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('token');
+  const payerId = params.get('PayerID');
+  const cancelled = params.get('cancelled') === 'true';
+
+  return {
+    hasReturnParams: Boolean(token || payerId || cancelled),
+    token,
+    payerId,
+    cancelled,
+  };
+};
+
+const clearPayPalReturnParams = () => {
+  if (typeof window === 'undefined' || typeof URL === 'undefined') {
+    return;
+  }
+
+  try {
+    const nextUrl = new URL(window.location.href);
+    nextUrl.searchParams.delete('token');
+    nextUrl.searchParams.delete('PayerID');
+    nextUrl.searchParams.delete('cancelled');
+    const replacement = `${nextUrl.pathname}${nextUrl.search}${nextUrl.hash}`;
+    window.history.replaceState(window.history.state, '', replacement);
+  } catch (_error) {
+    // no-op
+  }
+};
+
+const readPendingPayPalBooking = () => {
+  if (typeof sessionStorage === 'undefined') {
+    return null;
+  }
+
+  try {
+    const raw = sessionStorage.getItem(PAYPAL_PENDING_BOOKING_STORAGE_KEY);
+    if (!raw) {
+      return null;
+    }
+
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object') {
+      return null;
+    }
+
+    return parsed;
+  } catch (_error) {
+    return null;
+  }
+};
+
+const clearPendingPayPalBooking = () => {
+  if (typeof sessionStorage === 'undefined') {
+    return;
+  }
+
+  try {
+    sessionStorage.removeItem(PAYPAL_PENDING_BOOKING_STORAGE_KEY);
+  } catch (_error) {
+    // no-op
+  }
+};
+
+const INIT_OPTION_KEYS = [
+  'apiBaseUrl',
+  'embedKey',
+  'eventSlug',
+  'eventType',
+  'rescheduleBookingId',
+  'rescheduleToken',
+  'rescheduleEmail',
+];
+
+const CONFIG_OPTION_KEYS = [
+  'apiBaseUrl',
+  'mode',
+  'theme',
+  'embedKey',
+  'eventSlug',
+  'slotWindowDays',
+  'slotChunkDays',
+  'cacheTtlMs',
+  'cacheMaxStaleMs',
+  'stripePublishableKey',
+  'offlineQueue',
+  'slotHolds',
+  'cart',
+];
+
+const normalizeOptions = (options = {}) => ({
+  ...options,
+  apiBaseUrl: resolveApiBaseUrl(options.apiBaseUrl),
+  embedKey: options.embedKey || null,
+  embedOrigin: options.embedOrigin || null,
+  mode: options.mode || 'inline',
+  theme: options.theme || 'light',
+  eventSlug: options.eventSlug || null,
+  org: options.org || null,
+  eventType: options.eventType || null,
+  autoSignedWidgetToken: options.autoSignedWidgetToken !== false,
+  cacheTtlMs: Number.isFinite(options.cacheTtlMs) ? options.cacheTtlMs : DEFAULT_CACHE_TTL_MS,
+  cacheMaxStaleMs: Number.isFinite(options.cacheMaxStaleMs) ? options.cacheMaxStaleMs : DEFAULT_CACHE_MAX_STALE_MS,
+  cache: options.cache || null,
+  slotWindowDays: Number.isFinite(options.slotWindowDays) ? options.slotWindowDays : DEFAULT_SLOT_WINDOW_DAYS,
+  slotChunkDays: Number.isFinite(options.slotChunkDays) ? options.slotChunkDays : DEFAULT_SLOT_CHUNK_DAYS,
+  stripePublishableKey: options.stripePublishableKey || null,
+  offlineQueue: Boolean(options.offlineQueue),
+  availabilitySubscription: options.availabilitySubscription || null,
+  slotHolds: Boolean(options.slotHolds),
+  slotHoldMaxLifetimeMs: Number.isFinite(options.slotHoldMaxLifetimeMs)
+    ? options.slotHoldMaxLifetimeMs
+    : DEFAULT_SLOT_HOLD_MAX_LIFETIME_MS,
+  cart: Boolean(options.cart),
+  urlSync: normalizeUrlSync(options.urlSync),
+  rescheduleBookingId: options.rescheduleBookingId || null,
+  rescheduleToken: options.rescheduleToken || null,
+  rescheduleEmail: options.rescheduleEmail || null,
+  initialData: options.initialData || null,
+});
+
+const resolveEventStep = (eventType) => (
+  hasHostChoice(eventType) ? BOOKING_STEPS.SELECT_HOST : BOOKING_STEPS.SELECT_TIME
+);
+
+const resolveInitialStep = ({
+  eventType,
+  eventSlug,
+  initialData,
+  rescheduleBookingId,
+}) => {
+  if (rescheduleBookingId) {
+    return BOOKING_STEPS.SELECT_TIME;
+  }
+
+  if (eventType || initialData?.eventType) {
+    return resolveEventStep(eventType || initialData.eventType);
+  }
+
+  if (initialData) {
+    return BOOKING_STEPS.SELECT_EVENT;
+  }
+
+  return eventSlug ? BOOKING_STEPS.SELECT_TIME : BOOKING_STEPS.SELECT_EVENT;
+};
+
+const withDerivedState = (rawState) => ({
+  ...rawState,
+  isLoading: rawState.isInitializing || rawState.isLoadingSlots,
+  isDegraded: rawState.apiHealth.status !== 'closed',
+  calendarTimezone: rawState.eventType?.calendarTimezone || rawState.eventType?.calendar_timezone || 'UTC',
+});
+
+export const createSchedulerStore = (initialOptions = {}) => {
+  let options = normalizeOptions(initialOptions);
+  const { initialData } = options;
+  let orgIdentifier = normalizeOrgIdentifier(options.org);
+  let resolvedEmbedOrigin = options.embedOrigin || resolveEmbedOrigin();
+  let embedContext = {
+    key: options.embedKey,
+    origin: resolvedEmbedOrigin || null,
+  };
+
+  const trackingSessionId = getOrCreateTrackingSessionId();
+  const contactToken = getOrCreateContactToken();
+  const listeners = new Set();
+  const memoryCache = createMemoryCache();
+
+  let rawState = {
+    organization: initialData?.organization || null,
+    embedSettings: initialData?.embedSettings || {},
+    eventTypes: initialData?.eventTypes || [],
+    eventType: options.eventType || initialData?.eventType || null,
+    slots: initialData?.slots || {},
+    selectedSlot: null,
+    selectedDate: null,
+    selectedHostId: null,
+    partySize: 1,
+    recurrence: null,
+    seriesOccurrences: [],
+    cart: [],
+    isCartCheckout: false,
+    confirmedBooking: null,
+    originalBooking: null,
+    rescheduledFrom: null,
+    step: resolveInitialStep(options),
+    loadError: null,
+    error: null,
+    alternatives: [],
+    templateOptions: [],
+    activeTemplate: null,
+    templateFallbackSuggestions: [],
+    isInitializing: !initialData,
+    isLoadingSlots: false,
+    isPrefetchingSlots: false,
+    isFetchingEvent: false,
+    isSubmitting: false,
+    isPaymentInProgress: false,
+    isAutoFinding: false,
+    queuedBooking: null,
+    prefill: resolvePrefill(options.prefill, { readUrl: false }),
+    slotHold: null,
+    expiredHoldSlot: null,
+    apiHealth: { status: 'closed', failures: 0, openUntil: null },
+    userTimezone: resolveUserTimezone(options.timezone || initialData?.timezone),
+    contactToken,
+    trackingSessionId,
+  };
+  let snapshot = withDerivedState(rawState);
+
+  const getCache = () => options.cache || memoryCache;
+
+  const readCached = async (key) => {
+    let entry = null;
+    try {
+      entry = await getCache().get(key);
+    } catch (_error) {
+      return null;
+    }
+
+    if (!entry || !Number.isFinite(entry.storedAt)) {
+      return null;
+    }
+
+    const age = Date.now() - entry.storedAt;
+    if (age > options.cacheTtlMs + options.cacheMaxStaleMs) {
+      deleteCached(key);
+      return null;
+    }
+
+    return {
+      value: entry.value,
+      isFresh: age <= options.cacheTtlMs,
+    };
+  };
+
+  const writeCached = (key, value) => Promise.resolve()
+    .then(() => getCache().set(key, { value, storedAt: Date.now() }))
+    .catch(() => {});
+
+  const deleteCached = (key) => Promise.resolve()
+    .then(() => getCache().delete(key))
+    .catch(() => {});
+
+  const buildSlotsCacheKey = (eventTypeId, startDate, endDate, timezone, hostId = null) => (
+    ['slots', eventTypeId, startDate, endDate, timezone, hostId].filter(Boolean).join(':')
+  );
+
+  let displayPreferences = {};
+  const buildI18n = () => createI18n({
+    ...options,
+    timeFormat: displayPreferences.timeFormat || options.timeFormat,
+    weekStart: displayPreferences.weekStart ?? options.weekStart,
+  });
+  let i18n = buildI18n();
+  const buildConfig = () => ({
+    apiBaseUrl: options.apiBaseUrl,
+    mode: options.mode,
+    theme: options.theme,
+    embedKey: options.embedKey,
+    embedOrigin: resolvedEmbedOrigin,
+    embedContext,
+    orgIdentifier,
+    eventSlug: options.eventSlug,
+    slotWindowDays: options.slotWindowDays,
+    slotChunkDays: options.slotChunkDays,
+    cacheTtlMs: options.cacheTtlMs,
+    cacheMaxStaleMs: options.cacheMaxStaleMs,
+    stripePublishableKey: options.stripePublishableKey,
+    offlineQueue: options.offlineQueue,
+    slotHolds: options.slotHolds,
+    cart: options.cart,
+    locale: i18n.locale,
+    dir: i18n.dir,
+    timeFormat: i18n.timeFormat,
+    weekStart: i18n.weekStart,
+    i18n,
+  });
+  let config = buildConfig();
+
+  let started = false;
+  let lifecycleController = null;
+  let eventScopeController = null;
+  let initController = null;
+  let initRequestId = 0;
+  let contextGeneration = 0;
+  let reactionsScheduled = false;
+  let lastEventTypeId;
+  let lastSlotScope;
+  let lastAvailabilityKey = null;
+  let urlRestore = null;
+  let lastUrlKey = null;
+  let lastUrlStep = null;
+  let historyIndex = 0;
+  let isPoppingHistory = false;
+  let historyListenerAttached = false;
+  let paypalReturnHandled = false;
+  let initialDataPending = Boolean(initialData);
+
+  const notify = () => {
+    listeners.forEach((listener) => listener());
+  };
+
+  const buildSlotScope = () => [
+    rawState.eventType?.id || null,
+    rawState.userTimezone,
+    rawState.selectedHostId,
+  ].join('|');
+
+  const runReactions = () => {
+    reactionsScheduled = false;
+    if (!started) {
+      return;
+    }
+
+    const eventTypeId = rawState.eventType?.id || null;
+    if (eventTypeId !== lastEventTypeId) {
+      lastEventTypeId = eventTypeId;
+      eventScopeController?.abort();
+      eventScopeController = new AbortController();
+
+      setState({
+        slots: {},
+        selectedSlot: null,
+        activeTemplate: null,
+        templateFallbackSuggestions: [],
+        isLoadingSlots: false,
+        error: null,
+        alternatives: [],
+      });
+    }
+
+    const slotScope = buildSlotScope();
+    if (slotScope !== lastSlotScope) {
+      lastSlotScope = slotScope;
+      resetLoadedSlotChunks();
+      setState({ slots: {} });
+    }
+
+    syncAvailabilitySubscription();
+    syncSlotHold();
+    syncSeriesCheck();
+    syncUrlState();
+
+    const availabilityKey = [
+      eventTypeId,
+      rawState.step,
+      rawState.userTimezone,
+      rawState.selectedHostId,
+      options.slotWindowDays,
+      options.slotChunkDays,
+      contextGeneration,
+    ].join('|');
+
+    if (availabilityKey === lastAvailabilityKey) {
+      return;
+    }
+
+    lastAvailabilityKey = availabilityKey;
+
+    const returnContext = parsePayPalReturnContext();
+    if (returnContext.hasReturnParams && readPendingPayPalBooking()) {
+      return;
+    }
+
+    if (!eventTypeId || rawState.step !== BOOKING_STEPS.SELECT_TIME) {
+      return;
+    }
+
+    loadSlots();
+    loadRecentTemplates();
+  };
+
+  const scheduleReactions = () => {
+    if (reactionsScheduled || !started) {
+      return;
+    }
+
+    reactionsScheduled = true;
+    Promise.resolve().then(runReactions);
+  };
+
+  const setState = (update) => {
+    const partial = typeof update === 'function' ? update(rawState) : update;
+    if (!partial) {
+      return;
+    }
+
+    const changed = Object.keys(partial).some((key) => !Object.is(rawState[key], partial[key]));
+    if (!changed) {
+      return;
+    }
+
+    rawState = {
+      ...rawState,
+      ...partial,
+    };
+    snapshot = withDerivedState(rawState);
+    notify();
+    scheduleReactions();
+  };
+
+  const createApi = () => createSchedulerApi({
+    baseUrl: options.apiBaseUrl,
+    transport: (url, init) => (
+      typeof options.transport === 'function' ? options.transport(url, init) : fetch(url, init)
+    ),
+    interceptors: () => options.interceptors,
+    timeouts: () => options.requestTimeouts,
+    circuitBreaker: () => options.circuitBreaker,
+    onCircuitChange: (apiHealth) => setState({ apiHealth }),
+    t: (key, values) => i18n.t(key, values),
+  });
+  let api = createApi();
+
+  const getLifecycleSignal = () => lifecycleController?.signal || null;
+  const getEventScopeSignal = () => eventScopeController?.signal || getLifecycleSignal();
+
+  const clearBookingError = () => {
+    setState({
+      error: null,
+      alternatives: [],
+      templateFallbackSuggestions: [],
+    });
+  };
+
+  const invalidateAvailability = async (eventTypeId = null) => {
+    const prefix = eventTypeId ? `slots:${eventTypeId}:` : 'slots:';
+
+    try {
+      const keys = await getCache().keys();
+      await Promise.all(keys.filter((key) => key.startsWith(prefix)).map(deleteCached));
+    } catch (_error) {
+      // no-op
+    }
+  };
+
+  const mutateSlotState = (slot, mutateFn) => {
+    if (!slot?.start) {
+      return;
+    }
+
+    const dateStr = slot.date || slot.start.split('T')[0];
+
+    setState((previous) => ({
+      slots: {
+        ...previous.slots,
+        [dateStr]: mutateFn(previous.slots[dateStr] || []),
+      },
+    }));
+  };
+
+  const markSlotPending = (slot) => {
+    mutateSlotState(slot, (daySlots) => daySlots.map((item) => (
+      item.start === slot.start ? { ...item, isPending: true } : item
+    )));
+  };
+
+  const revertPendingSlot = (slot) => {
+    mutateSlotState(slot, (daySlots) => daySlots.map((item) => (
+      item.start === slot.start ? { ...item, isPending: false } : item
+    )));
+  };
+
+  const removeBookedSlot = (slot, seatsTaken = null) => {
+    mutateSlotState(slot, (daySlots) => daySlots.flatMap((item) => {
+      if (item.start !== slot.start) {
+        return [item];
+      }
+
+      const remaining = getSeatsRemaining(item);
+      if (seatsTaken === null || remaining === null || remaining - seatsTaken <= 0) {
+        return [];
+      }
+
+      return [{ ...item, seats_remaining: remaining - seatsTaken, isPending: false }];
+    }));
+  };
+
+  const addAvailableSlot = (slot) => {
+    mutateSlotState(slot, (daySlots) => (
+      daySlots.some((item) => item.start === slot.start)
+        ? daySlots
+        : [...daySlots, slot].sort((a, b) => new Date(a.start) - new Date(b.start))
+    ));
+  };
+
+  const requestEventType = async (slug, scopedOrg, signal, cacheKey) => {
+    const data = await api.getEventType({ slug, org: scopedOrg }, embedContext, { signal });
+    const loaded = data?.eventType || null;
+
+    if (loaded) {
+      writeCached(cacheKey, loaded);
+    }
+
+    return loaded;
+  };
+
+  const fetchEventTypeBySlug = async (slug, orgOverride = null, signal = getLifecycleSignal()) => {
+    const scopedOrg = orgOverride || orgIdentifier || null;
+    const cacheKey = ['eventType', options.embedKey || 'public', scopedOrg || '', slug].join(':');
+    const cached = await readCached(cacheKey);
+
+    if (!cached) {
+      return requestEventType(slug, scopedOrg, signal, cacheKey);
+    }
+
+    if (!cached.isFresh) {
+      requestEventType(slug, scopedOrg, getLifecycleSignal(), cacheKey)
+        .then((loaded) => {
+          if (loaded && rawState.eventType?.id === loaded.id) {
+            setState({ eventType: loaded });
+          }
+        })
+        .catch(() => {});
+    }
+
+    return cached.value;
+  };
+
+  const fetchEmbedEventTypes = async (signal) => {
+    const cacheKey = ['eventTypes', options.embedKey].join(':');
+    const cached = await readCached(cacheKey);
+
+    if (cached?.isFresh) {
+      return cached.value;
+    }
+
+    const request = api.getEmbedEventTypes(embedContext, { signal: cached ? getLifecycleSignal() : signal })
+      .then((data) => {
+        writeCached(cacheKey, data);
+        return data;
+      });
+
+    if (!cached) {
+      return request;
+    }
+
+    request
+      .then((data) => {
+        if (cacheKey === ['eventTypes', options.embedKey].join(':')) {
+          setState({
+            organization: data?.organization || null,
+            embedSettings: data?.embed || {},
+            eventTypes: data?.eventTypes || [],
+          });
+        }
+      })
+      .catch(() => {});
+
+    return cached.value;
+  };
+
+  const selectEventType = async (selected, selectOptions = {}) => {
+    if (!selected) {
+      return null;
+    }
+
+    clearBookingError();
+    setState({
+      templateOptions: [],
+      activeTemplate: null,
+      selectedHostId: null,
+      partySize: 1,
+      recurrence: null,
+      selectedDate: null,
+    });
+
+    const hasDetails = Boolean(selected.calendarTimezone || selected.form_schema || selected.orgName);
+    if (hasDetails) {
+      setState({
+        eventType: selected,
+        step: resolveEventStep(selected),
+      });
+      return selected;
+    }
+
+    if (!selected.slug) {
+      setState({ loadError: i18n.t('errors.eventSlugMissing') });
+      return null;
+    }
+
+    setState({ isFetchingEvent: true });
+    try {
+      const loaded = await fetchEventTypeBySlug(
+        selected.slug,
+        selectOptions.org || rawState.organization?.id || orgIdentifier
+      );
+      setState({
+        eventType: loaded,
+        step: resolveEventStep(loaded),
+      });
+      return loaded;
+    } catch (requestError) {
+      if (requestError?.code !== 'ABORTED') {
+        setState({ loadError: requestError.message || i18n.t('errors.eventDetailsFailed') });
+      }
+      return null;
+    } finally {
+      setState({ isFetchingEvent: false });
+    }
+  };
+
+  const loadRecentTemplates = async () => {
+    const eventTypeId = rawState.eventType?.id;
+    if (!eventTypeId) {
+      setState({
+        templateOptions: [],
+        activeTemplate: null,
+      });
+      return;
+    }
+
+    try {
+      const result = await api.getRecentTemplates({
+        event_type_id: eventTypeId,
+        contact_token: contactToken,
+        top_n: 3,
+      }, embedContext, { signal: getEventScopeSignal() });
+
+      const templates = result?.templates || [];
+      setState((previous) => ({
+        templateOptions: templates,
+        activeTemplate: !previous.activeTemplate && templates.length > 0
+          ? pickPreferredTemplate(templates)
+          : previous.activeTemplate,
+      }));
+    } catch (_error) {
+      setState({
+        templateOptions: [],
+        activeTemplate: null,
+      });
+    }
+  };
+
+  const resolveSubmissionMeta = async ({
+    guestData,
+    slot,
+    eventTypeOverride = null,
+  }) => {
+    const scopedEventType = eventTypeOverride || rawState.eventType;
+
+    if (!scopedEventType?.id || !slot?.start || !slot?.end) {
+      return {};
+    }
+
+    const { embedKey, tokenProvider } = options;
+    const guestEmail = (guestData?.guest_email || '').trim().toLowerCase();
+    const requestScope = [
+      'sdk',
+      embedKey || 'public',
+      scopedEventType.id,
+      slot.start,
+      slot.end,
+      guestEmail || 'anonymous',
+    ].join(':');
+
+    const clientRequestId = getOrCreateClientRequestId(requestScope);
+    const landingPageUrl =
+      (typeof document !== 'undefined' && document.referrer)
+        || (typeof window !== 'undefined' ? window.location.href : null);
+
+    const baseSource = buildWidgetBookingSource({
+      widgetId: embedKey,
+      embedOrigin: resolvedEmbedOrigin,
+      trackingSessionId,
+      pageId: scopedEventType.id,
+      pageSlug: scopedEventType.slug || null,
+      landingPageUrl,
+      contactToken,
+    });
+
+    const fallbackMeta = {
+      client_request_id: clientRequestId,
+      source: baseSource.source,
+      source_client: baseSource.source_client,
+      source_details: {
+        ...baseSource.source_details,
+        client_request_id: clientRequestId,
+        tracking_session_id: trackingSessionId,
+        contact_token: contactToken,
+      },
+    };
+
+    if (typeof tokenProvider === 'function') {
+      try {
+        const tokenMeta = await tokenProvider({
+          guestData,
+          slot,
+          eventType: scopedEventType,
+          embedContext,
+          fallbackMeta,
+        });
+
+        return mergeSubmissionMeta(fallbackMeta, tokenMeta);
+      } catch (_error) {
+        return fallbackMeta;
+      }
+    }
+
+    if (!embedKey || options.autoSignedWidgetToken === false) {
+      return fallbackMeta;
+    }
+
+    try {
+      const signedMeta = await api.getSignedWidgetToken({
+        ...fallbackMeta.source_details,
+        source_client: baseSource.source_client,
+      }, embedContext, { signal: getLifecycleSignal() });
+
+      return mergeSubmissionMeta(fallbackMeta, signedMeta);
+    } catch (_error) {
+      return fallbackMeta;
+    }
+  };
+
+  const completeBooking = ({
+    booking,
+    payload,
+    slot,
+    eventType: scopedEventType,
+    rescheduledFrom = null,
+    series = null,
+    showSuccess = true,
+  }) => {
+    if (showSuccess) {
+      removeBookedSlot(slot, payload?.party_size || rescheduledFrom?.party_size || 1);
+      forgetSlotHold();
+      setState((previous) => ({
+        slotHold: null,
+        recurrence: null,
+        confirmedBooking: booking ? { ...booking, ...(series ? { series } : {}) } : null,
+        originalBooking: rescheduledFrom ? booking : previous.originalBooking,
+        rescheduledFrom,
+        selectedSlot: null,
+        eventType: previous.eventType || scopedEventType,
+        activeTemplate: null,
+        templateFallbackSuggestions: [],
+        step: BOOKING_STEPS.SUCCESS,
+      }));
+    }
+    invalidateAvailability(scopedEventType.id);
+
+    if (typeof options.onBookingSuccess === 'function') {
+      options.onBookingSuccess(booking, {
+        payload,
+        eventType: scopedEventType,
+        ...(rescheduledFrom ? { rescheduledFrom } : {}),
+        ...(series ? { series } : {}),
+      });
+    }
+  };
+
+  const reportBookingError = (requestError, context) => {
+    const normalized = normalizeBookingError(requestError, i18n.t);
+
+    setState({
+      error: normalized.message,
+      alternatives: normalized.alternatives || [],
+      templateFallbackSuggestions: Array.isArray(normalized.suggestions) && normalized.suggestions.length > 0
+        ? normalized.suggestions
+        : [],
+    });
+
+    if (typeof options.onBookingError === 'function') {
+      options.onBookingError(normalized, context);
+    }
+
+    return normalized;
+  };
+
+  const createBookingForContext = async ({
+    guestData,
+    slot: slotOverride = null,
+    eventTypeOverride = null,
+  }) => {
+    const scopedSlot = slotOverride || rawState.selectedSlot;
+    const scopedEventType = eventTypeOverride || rawState.eventType;
+
+    if (!scopedSlot || !scopedEventType?.id) {
+      return {
+        ok: false,
+        error: new SchedulerApiError(i18n.t('errors.slotRequired'), {
+          code: 'SLOT_REQUIRED',
+        }),
+      };
+    }
+
+    setState({ isSubmitting: true });
+    clearBookingError();
+    markSlotPending(scopedSlot);
+
+    let payload = null;
+
+    try {
+      const activeHold = rawState.slotHold?.slot.start === scopedSlot.start ? rawState.slotHold : null;
+      payload = {
+        event_type_id: scopedEventType.id,
+        start_time: scopedSlot.start,
+        end_time: scopedSlot.end,
+        timezone: rawState.userTimezone,
+        ...(activeHold ? { slot_hold_id: activeHold.id } : {}),
+        ...(toHostScope(rawState.selectedHostId) ? { host_id: rawState.selectedHostId } : {}),
+        ...guestData,
+      };
+
+      const submissionMeta = await resolveSubmissionMeta({
+        guestData: payload,
+        slot: scopedSlot,
+        eventTypeOverride: scopedEventType,
+      });
+
+      payload = {
+        ...payload,
+        ...submissionMeta,
+      };
+
+      if (typeof options.onBeforeBook === 'function') {
+        const beforeResult = await options.onBeforeBook(payload, {
+          eventType: scopedEventType,
+          slot: scopedSlot,
+        });
+
+        if (beforeResult === false) {
+          throw new BookingCancelledError(i18n.t('errors.bookingCancelled'));
+        }
+
+        if (beforeResult && typeof beforeResult === 'object' && !Array.isArray(beforeResult)) {
+          payload = {
+            ...payload,
+            ...beforeResult,
+          };
+        }
+      }
+
+      if (options.offlineQueue && isBrowserOffline() && payload.client_request_id) {
+        revertPendingSlot(scopedSlot);
+        return queueOfflineBooking({ payload, slot: scopedSlot, eventType: scopedEventType });
+      }
+
+      const result = await api.createBooking(payload, embedContext, { signal: getLifecycleSignal() });
+      const booking = result?.booking;
+
+      completeBooking({
+        booking,
+        payload,
+        slot: scopedSlot,
+        eventType: scopedEventType,
+      });
+
+      return {
+        ok: true,
+        booking,
+        payload,
+      };
+    } catch (requestError) {
+      if (requestError?.code === 'ABORTED') {
+        return {
+          ok: false,
+          error: requestError,
+        };
+      }
+
+      revertPendingSlot(scopedSlot);
+
+      if (options.offlineQueue && requestError?.code === 'OFFLINE' && payload?.client_request_id) {
+        return queueOfflineBooking({ payload, slot: scopedSlot, eventType: scopedEventType });
+      }
+
+      const normalized = reportBookingError(requestError, {
+        eventType: scopedEventType,
+        slot: scopedSlot,
+      });
+
+      return {
+        ok: false,
+        error: normalized,
+      };
+    } finally {
+      setState({ isSubmitting: false });
+    }
+  };
+
+  const submitBooking = async (data) => {
+    const hiddenFields = { ...(rawState.prefill?.hidden || {}), ...(data?.hidden_fields || {}) };
+    const guestData = Object.keys(hiddenFields).length > 0 ? { ...data, hidden_fields: hiddenFields } : data;
+
+    if (rawState.isCartCheckout) {
+      return createCartBookingsForContext({ guestData });
+    }
+
+    return rawState.recurrence && rawState.seriesOccurrences.length > 1
+      ? createSeriesForContext({ guestData })
+      : createBookingForContext({ guestData });
+  };
+
+  const rescheduleBooking = async ({ reason = '' } = {}) => {
+    const booking = rawState.originalBooking;
+    const scopedSlot = rawState.selectedSlot;
+    const scopedEventType = rawState.eventType;
+
+    if (!booking?.id || !scopedSlot || !scopedEventType?.id) {
+      return {
+        ok: false,
+        error: new SchedulerApiError(i18n.t('errors.rescheduleSlotRequired'), {
+          code: 'SLOT_REQUIRED',
+        }),
+      };
+    }
+
+    setState({ isSubmitting: true });
+    clearBookingError();
+    markSlotPending(scopedSlot);
+
+    const activeHold = rawState.slotHold?.slot.start === scopedSlot.start ? rawState.slotHold : null;
+    const payload = {
+      start_time: scopedSlot.start,
+      end_time: scopedSlot.end,
+      timezone: rawState.userTimezone,
+      reason: reason.trim() || undefined,
+      email: options.rescheduleEmail || undefined,
+      token: options.rescheduleToken || undefined,
+      client_request_id: getOrCreateClientRequestId(
+        ['sdk', 'reschedule', booking.id, scopedSlot.start, scopedSlot.end].join(':')
+      ),
+      ...(activeHold ? { slot_hold_id: activeHold.id } : {}),
+    };
+
+    try {
+      const result = await api.rescheduleBooking(booking.id, payload, embedContext, {
+        signal: getLifecycleSignal(),
+      });
+      const rescheduled = {
+        ...booking,
+        start_time: scopedSlot.start,
+        end_time: scopedSlot.end,
+        ...(result?.booking || {}),
+      };
+
+      completeBooking({
+        booking: rescheduled,
+        payload,
+        slot: scopedSlot,
+        eventType: scopedEventType,
+        rescheduledFrom: booking,
+      });
+
+      return {
+        ok: true,
+        booking: rescheduled,
+        payload,
+      };
+    } catch (requestError) {
+      if (requestError?.code === 'ABORTED') {
+        return {
+          ok: false,
+          error: requestError,
+        };
+      }
+
+      revertPendingSlot(scopedSlot);
+      const normalized = reportBookingError(requestError, {
+        eventType: scopedEventType,
+        slot: scopedSlot,
+        booking,
+      });
+
+      return {
+        ok: false,
+        error: normalized,
+      };
+    } finally {
+      setState({ isSubmitting: false });
+    }
+  };
+
+  const selectSlot = (slot) => {
+    urlRestore = null;
+    setState({ selectedSlot: slot || null });
+    clearBookingError();
+  };
+
+  const selectDate = (date) => {
+    setState({ selectedDate: date || null });
+  };
+
+  const rememberDisplayPreference = (preference) => {
+    displayPreferences = { ...displayPreferences, ...preference };
+    if (options.rememberPreferences !== false) {
+      writeDisplayPreferences(displayPreferences);
+    }
+  };
+
+  const setUserTimezone = (timezone) => {
+    if (!isValidTimezone(timezone)) {
+      return;
+    }
+
+    rememberDisplayPreference({ timezone });
+    setState({ userTimezone: timezone });
+  };
+
+  const applyDisplayPreference = (preference) => {
+    rememberDisplayPreference(preference);
+    i18n = buildI18n();
+    config = buildConfig();
+    notify();
+  };
+
+  const setTimeFormat = (timeFormat) => {
+    if (TIME_FORMATS.includes(timeFormat)) {
+      applyDisplayPreference({ timeFormat });
+    }
+  };
+
+  const setWeekStart = (weekStart) => {
+    if (isValidWeekStart(weekStart)) {
+      applyDisplayPreference({ weekStart });
+    }
+  };
+
+  const applyUrlRestore = () => {
+    const restore = urlRestore;
+
+    if (rawState.isInitializing || rawState.isFetchingEvent) {
+      return false;
+    }
+
+    if (restore.event && rawState.eventType?.slug !== restore.event) {
+      const match = rawState.step === BOOKING_STEPS.SELECT_EVENT && !restore.eventRequested
+        ? rawState.eventTypes.find((eventType) => eventType.slug === restore.event)
+        : null;
+
+      if (match) {
+        restore.eventRequested = true;
+        selectEventType(match);
+        return false;
+      }
+
+      urlRestore = null;
+      return true;
+    }
+
+    if (restore.date && !restore.dateApplied) {
+      restore.dateApplied = true;
+      setState({ selectedDate: restore.date });
+    }
+
+    if (!restore.slot || rawState.step !== BOOKING_STEPS.SELECT_TIME) {
+      urlRestore = null;
+      return true;
+    }
+
+    const slot = findLoadedSlot(rawState.slots, restore.slot);
+    if (!slot && !restore.slotRequested) {
+      restore.slotRequested = true;
+      loadSlotRange(restore.slot).finally(() => {
+        restore.slotLoaded = true;
+        scheduleReactions();
+      });
+      return false;
+    }
+
+    if (!slot && (!restore.slotLoaded || rawState.isLoadingSlots || rawState.isPrefetchingSlots)) {
+      return false;
+    }
+
+    urlRestore = null;
+    if (slot) {
+      selectSlot(slot);
+      if (restore.step === BOOKING_STEPS.CONFIRM) {
+        confirmSelectedSlot();
+      }
+    }
+    return true;
+  };
+
+  const syncUrlState = () => {
+    const { urlSync } = options;
+    if (!urlSync || rawState.isInitializing) {
+      return;
+    }
+
+    if (urlRestore && !applyUrlRestore()) {
+      return;
+    }
+
+    const { step } = rawState;
+    const values = {
+      step,
+      event: step === BOOKING_STEPS.SELECT_EVENT ? null : rawState.eventType?.slug || null,
+      date: rawState.selectedDate,
+      slot: step === BOOKING_STEPS.SELECT_TIME || step === BOOKING_STEPS.CONFIRM
+        ? rawState.selectedSlot?.start || null
+        : null,
+    };
+    const urlKey = JSON.stringify(values);
+    if (urlKey === lastUrlKey) {
+      return;
+    }
+
+    const push = !isPoppingHistory
+      && lastUrlStep !== null
+      && STEP_ORDER.indexOf(step) > STEP_ORDER.indexOf(lastUrlStep);
+    if (push) {
+      historyIndex += 1;
+    }
+
+    writeUrlState(urlSync, values, { push, index: historyIndex });
+    lastUrlKey = urlKey;
+    lastUrlStep = step;
+    isPoppingHistory = false;
+  };
+
+  const rewindToUrlState = (restore) => {
+    const canSelectEvent = rawState.embedSettings.selection_mode !== 'single' && !rawState.originalBooking;
+    const isOtherEvent = Boolean(restore.event) && restore.event !== rawState.eventType?.slug;
+
+    if (canSelectEvent && (isOtherEvent || restore.step === BOOKING_STEPS.SELECT_EVENT)) {
+      setState({
+        step: BOOKING_STEPS.SELECT_EVENT,
+        isCartCheckout: false,
+        eventType: null,
+        selectedHostId: null,
+        recurrence: null,
+        selectedDate: null,
+        slots: {},
+        selectedSlot: null,
+        activeTemplate: null,
+      });
+    } else if (restore.step === BOOKING_STEPS.SELECT_HOST && hasHostChoice(rawState.eventType)) {
+      setState({
+        step: BOOKING_STEPS.SELECT_HOST,
+        selectedSlot: null,
+      });
+    } else if (restore.step === BOOKING_STEPS.SELECT_TIME || restore.step === BOOKING_STEPS.CONFIRM) {
+      setState({
+        step: BOOKING_STEPS.SELECT_TIME,
+        selectedSlot: null,
+      });
+    }
+    clearBookingError();
+  };
+
+  const handlePopState = (event) => {
+    const { urlSync } = options;
+    const index = urlSync ? event?.state?.[urlSync.prefix]?.index : null;
+    const restore = Number.isInteger(index) ? readUrlState(urlSync) : null;
+    if (!restore) {
+      return;
+    }
+
+    historyIndex = index;
+    isPoppingHistory = true;
+    lastUrlKey = null;
+    urlRestore = restore;
+    rewindToUrlState(restore);
+    scheduleReactions();
+  };
+
+  const setPartySize = (size) => {
+    const partySize = Math.max(1, Math.floor(Number(size)) || 1);
+    const keepSelection = rawState.step !== BOOKING_STEPS.SELECT_TIME
+      || slotFitsParty(rawState.selectedSlot, partySize);
+
+    setState({
+      partySize,
+      selectedSlot: keepSelection ? rawState.selectedSlot : null,
+    });
+  };
+
+  const confirmSelectedSlot = () => {
+    if (!rawState.selectedSlot) {
+      return;
+    }
+
+    if (rawState.recurrence && rawState.seriesOccurrences.some(
+      (occurrence) => occurrence.status === 'conflict' || occurrence.status === 'checking'
+    )) {
+      setState({ error: i18n.t('errors.seriesConflictContinue') });
+      return;
+    }
+
+    setState({ step: BOOKING_STEPS.CONFIRM });
+    clearBookingError();
+  };
+
+  const selectAlternativeSlot = (alternativeSlot) => {
+    if (!alternativeSlot) {
+      return;
+    }
+
+    setState({
+      selectedSlot: {
+        start: alternativeSlot.start,
+        end: alternativeSlot.end,
+        startLocal: alternativeSlot.startLocal,
+        endLocal: alternativeSlot.endLocal,
+      },
+    });
+    clearBookingError();
+  };
+
+  const useRecentTemplate = () => {
+    if (!rawState.selectedSlot) {
+      return null;
+    }
+
+    const preferred = pickPreferredTemplate(rawState.templateOptions);
+    if (!preferred) {
+      return null;
+    }
+
+    setState({
+      activeTemplate: preferred,
+      step: BOOKING_STEPS.CONFIRM,
+    });
+    clearBookingError();
+    return preferred;
+  };
+
+  const applyTemplateSuggestion = (template) => {
+    if (!template) {
+      return;
+    }
+
+    setState({
+      activeTemplate: template,
+      templateFallbackSuggestions: [],
+    });
+    clearBookingError();
+  };
+
+  const autoFindBestSlot = async () => {
+    const eventTypeId = rawState.eventType?.id;
+    if (!eventTypeId) {
+      return null;
+    }
+
+    setState({ isAutoFinding: true });
+    clearBookingError();
+
+    try {
+      const result = await api.autoSuggest({
+        eventTypeId,
+        timezone: rawState.userTimezone,
+        partySize: rawState.partySize > 1 ? rawState.partySize : undefined,
+        hostId: toHostScope(rawState.selectedHostId) || undefined,
+      }, embedContext, { signal: getEventScopeSignal() });
+
+      if (result?.bestSlot) {
+        setState({
+          selectedSlot: {
+            start: result.bestSlot.start,
+            end: result.bestSlot.end,
+            startLocal: result.bestSlot.startLocal,
+            endLocal: result.bestSlot.endLocal,
+          },
+        });
+        return result.bestSlot;
+      }
+
+      setState({ error: i18n.t('errors.noSlotsFound') });
+      return null;
+    } catch (requestError) {
+      if (requestError?.code !== 'ABORTED') {
+        setState({ error: requestError.message || i18n.t('errors.autoFindFailed') });
+      }
+      return null;
+    } finally {
+      setState({ isAutoFinding: false });
+    }
+  };
+
+  const getConflictSuggestions = async ({
+    originalStart,
+    duration,
+    count = 5,
+  }) => {
+    const { eventType } = rawState;
+    if (!eventType?.id || !originalStart) {
+      return [];
+    }
+
+    const result = await api.getSuggestions({
+      calendarId: eventType.calendarId || eventType.calendar_id || null,
+      eventTypeId: eventType.id,
+      originalStart,
+      duration: duration || eventType.duration,
+      timezone: rawState.userTimezone,
+      count,
+    }, embedContext, { signal: getEventScopeSignal() });
+
+    return result?.suggestions || [];
+  };
+
+  const submitSuggestionFeedback = async ({
+    originalSlot,
+    suggestedSlot,
+    accepted = true,
+    confidenceScore,
+  }) => {
+    const { eventType } = rawState;
+    if (!eventType?.id || !originalSlot?.start || !suggestedSlot?.start) {
+      return null;
+    }
+
+    return api.submitSuggestionFeedback({
+      calendar_id: eventType.calendarId || eventType.calendar_id || null,
+      event_type_id: eventType.id,
+      original_slot_start: originalSlot.start,
+      original_slot_end: originalSlot.end || null,
+      suggested_slot_start: suggestedSlot.start,
+      suggested_slot_end: suggestedSlot.end || null,
+      was_accepted: accepted,
+      confidence_score: Number.isFinite(confidenceScore) ? confidenceScore : undefined,
+      guest_timezone: rawState.userTimezone,
+    }, embedContext);
+  };
+
+  const saveInviteePreferences = async ({
+    eventTypeId,
+    email,
+    phone,
+    name,
+    timezone: preferredTimezone,
+    templateId,
+    consent = true,
+  }) => {
+    if (!eventTypeId || (!email && !phone)) {
+      return null;
+    }
+
+    return api.savePreferences({
+      event_type_id: eventTypeId,
+      email,
+      phone,
+      name,
+      timezone: preferredTimezone,
+      template_id: templateId,
+      consent,
+    }, embedContext);
+  };
+
+  const clearSavedPreferences = async ({
+    eventTypeId,
+    email,
+    phone,
+  }) => {
+    if (!eventTypeId || (!email && !phone)) {
+      return null;
+    }
+
+    return api.clearPreferences({
+      event_type_id: eventTypeId,
+      email,
+      phone,
+    }, embedContext);
+  };
+
+  const getEventPaymentInfo = async (eventTypeId) => {
+    if (!eventTypeId) {
+      return null;
+    }
+
+    return api.getEventPaymentInfo(eventTypeId, embedContext);
+  };
+
+  const getPublicMeeting = async ({ bookingId, email }) => {
+    if (!bookingId || !email) {
+      return null;
+    }
+
+    return api.getPublicMeeting(bookingId, email, embedContext);
+  };
+
+  const getPublicBooking = async ({ bookingId, email, token }) => {
+    if (!bookingId || (!email && !token)) {
+      return null;
+    }
+
+    return api.getPublicBooking({ bookingId, email, token }, embedContext);
+  };
+
+  const cancelBooking = async ({
+    bookingId,
+    email,
+    token,
+    reason = '',
+    eventTypeId = null,
+  }) => {
+    if (!bookingId || (!email && !token)) {
+      return {
+        ok: false,
+        error: new SchedulerApiError(i18n.t('errors.cancelDetailsRequired'), {
+          code: 'BOOKING_LOOKUP_REQUIRED',
+        }),
+      };
+    }
+
+    try {
+      const result = await api.cancelBooking(bookingId, {
+        email: email || undefined,
+        token: token || undefined,
+        reason: reason.trim() || undefined,
+      }, embedContext, { signal: getLifecycleSignal() });
+
+      const freedEventTypeId = eventTypeId || result?.booking?.event_type_id || null;
+      if (started && freedEventTypeId && freedEventTypeId === rawState.eventType?.id) {
+        await refreshLoadedSlots();
+      } else {
+        await invalidateAvailability(freedEventTypeId);
+      }
+
+      return {
+        ok: true,
+        booking: result?.booking || null,
+        refund: result?.refund || null,
+      };
+    } catch (requestError) {
+      return {
+        ok: false,
+        error: toSchedulerError(requestError, {
+          message: requestError?.message || i18n.t('errors.cancelFailed'),
+        }),
+      };
+    }
+  };
+
+  const createPaymentIntent = async ({
+    eventTypeId,
+    eventTypeIds,
+    guestEmail,
+    guestName,
+  }) => {
+    if ((!eventTypeId && !eventTypeIds?.length) || !guestEmail || !guestName) {
+      return null;
+    }
+
+    return api.createPaymentIntent({
+      event_type_id: eventTypeId || undefined,
+      event_type_ids: eventTypeIds?.length ? eventTypeIds : undefined,
+      guest_email: guestEmail,
+      guest_name: guestName,
+    }, embedContext);
+  };
+
+  const createPayPalOrder = async ({
+    eventTypeId,
+    eventTypeIds,
+    guestEmail,
+    guestName,
+  }) => {
+    if ((!eventTypeId && !eventTypeIds?.length) || !guestEmail || !guestName) {
+      return null;
+    }
+
+    return api.createPayPalOrder({
+      event_type_id: eventTypeId || undefined,
+      event_type_ids: eventTypeIds?.length ? eventTypeIds : undefined,
+      guest_email: guestEmail,
+      guest_name: guestName,
+    }, embedContext);
+  };
+
+  const capturePayPalOrder = async ({ orderId, payerId }) => {
+    if (!orderId) {
+      return null;
+    }
+
+    return api.capturePayPalOrder({
+      order_id: orderId,
+      payer_id: payerId || undefined,
+    }, embedContext, { signal: getLifecycleSignal() });
+  };
+
+  const completePayPalBooking = async ({
+    pendingBooking,
+    payerId,
+  }) => {
+    const orderId = pendingBooking?.orderId || pendingBooking?.order_id;
+    const guestPayload = pendingBooking?.payload;
+    const pendingCart = Array.isArray(pendingBooking?.cart) ? pendingBooking.cart : null;
+    const pendingSlot = pendingCart ? pendingCart[0]?.slot : pendingBooking?.slot;
+    const pendingEventType = pendingCart ? pendingCart[0]?.eventType : pendingBooking?.eventType;
+    const hasValidCart = !pendingCart || pendingCart.every((item) => (
+      item?.eventType?.id && item.slot?.start && item.slot?.end
+    ));
+
+    if (
+      !orderId
+      || !guestPayload
+      || !hasValidCart
+      || !pendingSlot?.start
+      || !pendingSlot?.end
+      || !pendingEventType?.id
+    ) {
+      return {
+        ok: false,
+        error: new SchedulerApiError(i18n.t('errors.paypalContextInvalid'), {
+          code: 'PAYPAL_CONTEXT_INVALID',
+        }),
+      };
+    }
+
+    try {
+      const captureResult = await capturePayPalOrder({
+        orderId,
+        payerId,
+      });
+
+      const captureId = captureResult?.captureId || captureResult?.capture_id || captureResult?.id;
+      if (!captureId && captureResult?.success === false) {
+        throw new SchedulerApiError(captureResult.error || i18n.t('errors.paypalCaptureFailed'), {
+          code: 'PAYMENT_CAPTURE_FAILED',
+          details: captureResult,
+        });
+      }
+
+      const timezone = guestPayload.timezone || pendingBooking?.userTimezone || rawState.userTimezone;
+      const guestData = {
+        ...guestPayload,
+        timezone,
+        paypal_order_id: orderId,
+        paypal_capture_id: captureId || undefined,
+      };
+      const result = pendingCart
+        ? await createCartBookingsForContext({ guestData, items: pendingCart, timezone })
+        : await createBookingForContext({
+          guestData,
+          slot: pendingSlot,
+          eventTypeOverride: pendingEventType,
+        });
+
+      if (result.ok) {
+        clearPendingPayPalBooking();
+      }
+
+      return result;
+    } catch (error) {
+      const normalized = reportBookingError(error, {
+        eventType: pendingEventType,
+        slot: pendingSlot,
+      });
+
+      return {
+        ok: false,
+        error: normalized,
+      };
+    }
+  };
+
+  const handlePayPalReturn = () => {
+    if (paypalReturnHandled) {
+      return;
+    }
+
+    const returnContext = parsePayPalReturnContext();
+    if (!returnContext.hasReturnParams) {
+      return;
+    }
+
+    paypalReturnHandled = true;
+    const pendingBooking = readPendingPayPalBooking();
+
+    if (returnContext.cancelled) {
+      clearPendingPayPalBooking();
+      setState({ error: i18n.t('errors.paymentCancelled') });
+      clearPayPalReturnParams();
+      return;
+    }
+
+    if (!pendingBooking) {
+      setState({ error: i18n.t('errors.sessionExpired') });
+      clearPayPalReturnParams();
+      return;
+    }
+
+    if (!returnContext.token || !returnContext.payerId) {
+      setState({ error: i18n.t('errors.paymentReturnMissing') });
+      clearPayPalReturnParams();
+      return;
+    }
+
+    completePayPalBooking({
+      pendingBooking,
+      payerId: returnContext.payerId,
+    }).then((result) => {
+      if (!started) {
+        return;
+      }
+
+      if (!result.ok && result.error?.message) {
+        setState({ error: result.error.message });
+      }
+
+      clearPayPalReturnParams();
+    });
+  };
+
+  const goBack = () => {
+    if (rawState.step === BOOKING_STEPS.CONFIRM && rawState.isCartCheckout) {
+      setState({
+        step: BOOKING_STEPS.SELECT_EVENT,
+        isCartCheckout: false,
+      });
+      clearBookingError();
+      return;
+    }
+
+    if (rawState.step === BOOKING_STEPS.CONFIRM) {
+      setState({ step: BOOKING_STEPS.SELECT_TIME });
+      clearBookingError();
+      return;
+    }
+
+    if (
+      rawState.step === BOOKING_STEPS.SELECT_TIME
+      && hasHostChoice(rawState.eventType)
+      && !rawState.originalBooking
+    ) {
+      setState({
+        step: BOOKING_STEPS.SELECT_HOST,
+        selectedSlot: null,
+      });
+      clearBookingError();
+      return;
+    }
+
+    if (
+      (rawState.step === BOOKING_STEPS.SELECT_TIME || rawState.step === BOOKING_STEPS.SELECT_HOST)
+      && rawState.embedSettings.selection_mode !== 'single'
+      && !rawState.originalBooking
+    ) {
+      setState({
+        step: BOOKING_STEPS.SELECT_EVENT,
+        eventType: null,
+        selectedHostId: null,
+        recurrence: null,
+        selectedDate: null,
+        slots: {},
+        selectedSlot: null,
+        activeTemplate: null,
+      });
+      clearBookingError();
+    }
+  };
+
+  const restartAfterSuccess = () => {
+    setState({
+      confirmedBooking: null,
+      rescheduledFrom: null,
+      selectedSlot: null,
+      activeTemplate: null,
+    });
+    clearBookingError();
+
+    if (
+      rawState.embedSettings.selection_mode === 'single'
+      || options.eventSlug
+      || options.eventType
+      || rawState.originalBooking
+    ) {
+      setState({ step: BOOKING_STEPS.SELECT_TIME });
+      loadSlots({ force: true });
+      return;
+    }
+
+    setState({
+      step: BOOKING_STEPS.SELECT_EVENT,
+      eventType: null,
+    });
+  };
+
+  const storeContext = {
+    getState: () => rawState,
+    setState,
+    getOptions: () => options,
+    getApi: () => api,
+    getEmbedContext: () => embedContext,
+    getI18n: () => i18n,
+    isStarted: () => started,
+    getEventScopeSignal,
+    getLifecycleSignal,
+    clearBookingError,
+    invalidateAvailability,
+  };
+
+  const {
+    loadSlots,
+    refreshLoadedSlots,
+    loadSlotRange,
+    resetLoadedSlotChunks,
+    markSlotChunkLoaded,
+  } = createSlotChunkActions({
+    ...storeContext,
+    readCached,
+    writeCached,
+    buildSlotsCacheKey,
+  });
+
+  if (initialData?.slots && rawState.eventType?.id && initialData.startDate && initialData.endDate) {
+    markSlotChunkLoaded(
+      buildSlotsCacheKey(rawState.eventType.id, initialData.startDate, initialData.endDate, rawState.userTimezone),
+      initialData.slots
+    );
+  }
+
+  const {
+    syncSlotHold,
+    releaseSlotHold,
+    forgetSlotHold,
+    touchSlotHold,
+    setPaymentInProgress,
+  } = createSlotHoldActions({
+    ...storeContext,
+    contactToken,
+    markSlotPending,
+  });
+
+  const {
+    queueOfflineBooking,
+    flushOfflineQueue,
+    discardQueuedBooking,
+    syncOnlineListener,
+  } = createOfflineQueueActions({
+    ...storeContext,
+    resolveSubmissionMeta,
+    completeBooking,
+    reportBookingError,
+  });
+
+  const {
+    createSeriesForContext,
+    syncSeriesCheck,
+    setRecurrence,
+    selectSeriesAlternative,
+  } = createSeriesActions({
+    ...storeContext,
+    removeBookedSlot,
+    resolveSubmissionMeta,
+    completeBooking,
+    reportBookingError,
+    loadSlotRange,
+    getConflictSuggestions,
+  });
+
+  const {
+    createCartBookingsForContext,
+    addToCart,
+    removeFromCart,
+    startCartCheckout,
+  } = createCartActions({
+    ...storeContext,
+    resolveSubmissionMeta,
+    reportBookingError,
+  });
+
+  const { selectHost } = createHostActions(storeContext);
+
+  const { syncAvailabilitySubscription } = createAvailabilitySubscriptionActions({
+    ...storeContext,
+    refreshLoadedSlots,
+    markSlotPending,
+    revertPendingSlot,
+    removeBookedSlot,
+    addAvailableSlot,
+  });
+
+  const initialize = async () => {
+    initController?.abort();
+    const controller = new AbortController();
+    initController = controller;
+    initRequestId += 1;
+    const currentRequestId = initRequestId;
+    const isStale = () => controller.signal.aborted || initRequestId !== currentRequestId;
+
+    setState({
+      isInitializing: true,
+      loadError: null,
+    });
+    clearBookingError();
+
+    const {
+      eventType: providedEventType,
+      eventSlug,
+      embedKey,
+      rescheduleBookingId,
+    } = options;
+
+    try {
+      const returnContext = parsePayPalReturnContext();
+      if (returnContext.hasReturnParams && readPendingPayPalBooking()) {
+        setState({ isInitializing: false });
+        return;
+      }
+
+      if (rescheduleBookingId) {
+        if (!options.rescheduleToken && !options.rescheduleEmail) {
+          setState({ loadError: i18n.t('errors.rescheduleDetailsRequired') });
+          return;
+        }
+
+        const data = await api.getPublicBooking({
+          bookingId: rescheduleBookingId,
+          email: options.rescheduleEmail,
+          token: options.rescheduleToken,
+        }, embedContext, { signal: controller.signal });
+        if (isStale()) {
+          return;
+        }
+
+        const booking = data?.booking || null;
+        const bookingEventSlug = booking?.event_type?.slug || booking?.event_type_slug || null;
+        const bookingEventType = providedEventType || (
+          bookingEventSlug
+            ? await fetchEventTypeBySlug(bookingEventSlug, booking?.org_id || orgIdentifier, controller.signal)
+            : booking?.event_type || null
+        );
+        if (isStale()) {
+          return;
+        }
+
+        if (!booking?.id || !bookingEventType) {
+          setState({ loadError: i18n.t('errors.rescheduleLoadFailed') });
+          return;
+        }
+
+        setState({
+          organization: {
+            id: bookingEventType.orgId || bookingEventType.org_id || null,
+            name: bookingEventType.orgName || bookingEventType.org_name || i18n.t('common.organization'),
+            logo_url: bookingEventType.orgLogo || bookingEventType.org_logo || null,
+          },
+          originalBooking: booking,
+          rescheduledFrom: null,
+          eventType: bookingEventType,
+          eventTypes: [],
+          step: BOOKING_STEPS.SELECT_TIME,
+        });
+        return;
+      }
+
+      setState({
+        originalBooking: null,
+        rescheduledFrom: null,
+        selectedHostId: null,
+      });
+
+      if (providedEventType) {
+        setState((previous) => ({
+          organization: previous.organization || {
+            id: providedEventType.orgId || providedEventType.org_id || null,
+            name: providedEventType.orgName || providedEventType.org_name || i18n.t('common.organization'),
+            logo_url: providedEventType.orgLogo || providedEventType.org_logo || null,
+          },
+          eventType: providedEventType,
+          eventTypes: [],
+          step: resolveEventStep(providedEventType),
+        }));
+        return;
+      }
+
+      if (eventSlug) {
+        const loaded = await fetchEventTypeBySlug(eventSlug, orgIdentifier, controller.signal);
+        if (isStale()) {
+          return;
+        }
+
+        if (!loaded) {
+          setState({ loadError: i18n.t('errors.eventLoadFailed') });
+          return;
+        }
+
+        setState({
+          organization: {
+            id: loaded.orgId,
+            name: loaded.orgName,
+            logo_url: loaded.orgLogo,
+          },
+          eventType: loaded,
+          eventTypes: [],
+          step: resolveEventStep(loaded),
+        });
+        return;
+      }
+
+      if (embedKey) {
+        const data = await fetchEmbedEventTypes(controller.signal);
+        if (isStale()) {
+          return;
+        }
+
+        const loadedEventTypes = data?.eventTypes || [];
+
+        setState({
+          organization: data?.organization || null,
+          embedSettings: data?.embed || {},
+          eventTypes: loadedEventTypes,
+        });
+
+        if (loadedEventTypes.length === 0) {
+          setState({ step: BOOKING_STEPS.SELECT_EVENT });
+          return;
+        }
+
+        const shouldAutoSelect =
+          (data?.embed?.selection_mode === 'single' && loadedEventTypes.length === 1)
+          || loadedEventTypes.length === 1;
+
+        if (!shouldAutoSelect) {
+          setState({ step: BOOKING_STEPS.SELECT_EVENT });
+          return;
+        }
+
+        const firstEvent = loadedEventTypes[0];
+
+        if (firstEvent?.slug) {
+          const loadedEventType = await fetchEventTypeBySlug(
+            firstEvent.slug,
+            data?.organization?.id || orgIdentifier,
+            controller.signal
+          );
+          if (isStale()) {
+            return;
+          }
+          setState({
+            eventType: loadedEventType,
+            step: resolveEventStep(loadedEventType),
+          });
+          return;
+        }
+
+        setState({
+          eventType: firstEvent,
+          step: resolveEventStep(firstEvent),
+        });
+        return;
+      }
+
+      setState({ loadError: i18n.t('errors.setupInvalid') });
+    } catch (requestError) {
+      if (!isStale()) {
+        setState({ loadError: requestError.message || i18n.t('errors.loadFailed') });
+      }
+    } finally {
+      if (!isStale()) {
+        setState({ isInitializing: false });
+      }
+    }
+  };
+
+  const syncHistoryListener = () => {
+    const shouldListen = started && Boolean(options.urlSync) && typeof window !== 'undefined';
+
+    if (shouldListen && !historyListenerAttached) {
+      window.addEventListener('popstate', handlePopState);
+      historyListenerAttached = true;
+      return;
+    }
+
+    if (!shouldListen && historyListenerAttached) {
+      window.removeEventListener('popstate', handlePopState);
+      historyListenerAttached = false;
+    }
+  };
+
+  const start = () => {
+    if (started) {
+      return;
+    }
+
+    started = true;
+    lifecycleController = new AbortController();
+    eventScopeController = new AbortController();
+    lastEventTypeId = rawState.eventType?.id || null;
+    lastSlotScope = buildSlotScope();
+    lastAvailabilityKey = null;
+
+    displayPreferences = options.rememberPreferences === false ? {} : readDisplayPreferences();
+    if (displayPreferences.timeFormat || displayPreferences.weekStart !== undefined) {
+      i18n = buildI18n();
+      config = buildConfig();
+      notify();
+    }
+
+    setState({
+      userTimezone: resolveUserTimezone(displayPreferences.timezone || options.timezone || initialData?.timezone),
+      queuedBooking: options.offlineQueue ? readOfflineQueue()[0] || null : null,
+      prefill: resolvePrefill(options.prefill),
+    });
+
+    if (options.urlSync) {
+      historyIndex = readHistoryIndex(options.urlSync);
+      lastUrlKey = null;
+      lastUrlStep = null;
+      urlRestore = parsePayPalReturnContext().hasReturnParams ? null : readUrlState(options.urlSync);
+    }
+
+    handlePayPalReturn();
+    if (initialDataPending) {
+      initialDataPending = false;
+    } else {
+      initialize();
+    }
+    syncOnlineListener();
+    syncHistoryListener();
+    scheduleReactions();
+  };
+
+  const destroy = () => {
+    if (!started) {
+      return;
+    }
+
+    started = false;
+    initController?.abort();
+    eventScopeController?.abort();
+    lifecycleController?.abort();
+    syncOnlineListener();
+    syncHistoryListener();
+    syncAvailabilitySubscription();
+    syncSlotHold();
+  };
+
+  const setOptions = (nextOptions = {}) => {
+    const previous = options;
+    options = normalizeOptions(nextOptions);
+
+    const nextOrgIdentifier = normalizeOrgIdentifier(options.org);
+    const nextEmbedOrigin = options.embedOrigin || (
+      previous.embedOrigin === options.embedOrigin ? resolvedEmbedOrigin : resolveEmbedOrigin()
+    );
+    const embedContextChanged = previous.embedKey !== options.embedKey || nextEmbedOrigin !== resolvedEmbedOrigin;
+    const orgChanged = nextOrgIdentifier !== orgIdentifier;
+
+    orgIdentifier = nextOrgIdentifier;
+    resolvedEmbedOrigin = nextEmbedOrigin;
+
+    if (embedContextChanged) {
+      embedContext = {
+        key: options.embedKey,
+        origin: resolvedEmbedOrigin || null,
+      };
+    }
+
+    if (previous.apiBaseUrl !== options.apiBaseUrl) {
+      api = createApi();
+    }
+
+    const needsInit = orgChanged
+      || embedContextChanged
+      || INIT_OPTION_KEYS.some((key) => previous[key] !== options[key]);
+    const i18nChanged = previous.locale !== options.locale
+      || previous.dir !== options.dir
+      || previous.timeFormat !== options.timeFormat
+      || previous.weekStart !== options.weekStart
+      || JSON.stringify(previous.messages || null) !== JSON.stringify(options.messages || null);
+    const configChanged = orgChanged
+      || embedContextChanged
+      || i18nChanged
+      || CONFIG_OPTION_KEYS.some((key) => previous[key] !== options[key]);
+
+    if (i18nChanged) {
+      i18n = buildI18n();
+    }
+
+    if (needsInit) {
+      contextGeneration += 1;
+    }
+
+    if (configChanged) {
+      config = buildConfig();
+      notify();
+    }
+
+    const nextPrefill = resolvePrefill(options.prefill, { readUrl: started });
+    if (JSON.stringify(nextPrefill) !== JSON.stringify(rawState.prefill)) {
+      setState({ prefill: nextPrefill });
+    }
+
+    if (previous.timezone !== options.timezone) {
+      setState({ userTimezone: resolveUserTimezone(options.timezone) });
+    }
+    syncOnlineListener();
+    syncHistoryListener();
+
+    if (started && needsInit) {
+      initialize();
+    }
+
+    if (
+      previous.slotWindowDays !== options.slotWindowDays
+      || previous.slotChunkDays !== options.slotChunkDays
+      || previous.availabilitySubscription !== options.availabilitySubscription
+    ) {
+      scheduleReactions();
+    }
+  };
+
+  const actions = {
+    clearBookingError,
+    invalidateAvailability,
+    selectEventType,
+    selectSlot,
+    selectDate,
+    setUserTimezone,
+    setTimeFormat,
+    setWeekStart,
+    selectHost,
+    setPartySize,
+    setRecurrence,
+    selectSeriesAlternative,
+    confirmSelectedSlot,
+    addToCart,
+    removeFromCart,
+    startCartCheckout,
+    selectAlternativeSlot,
+    loadSlots,
+    loadSlotRange,
+    autoFindBestSlot,
+    getConflictSuggestions,
+    submitSuggestionFeedback,
+    saveInviteePreferences,
+    clearSavedPreferences,
+    getEventPaymentInfo,
+    getPublicMeeting,
+    getPublicBooking,
+    cancelBooking,
+    createPaymentIntent,
+    createPayPalOrder,
+    capturePayPalOrder,
+    completePayPalBooking,
+    submitBooking,
+    rescheduleBooking,
+    flushOfflineQueue,
+    discardQueuedBooking,
+    touchSlotHold,
+    releaseSlotHold,
+    setPaymentInProgress,
+    goBack,
+    restartAfterSuccess,
+    setStep: (step) => setState((previous) => ({
+      step: typeof step === 'function' ? step(previous.step) : step,
+    })),
+    setActiveTemplate: (template) => setState((previous) => ({
+      activeTemplate: typeof template === 'function' ? template(previous.activeTemplate) : template,
+    })),
+    useRecentTemplate,
+    applyTemplateSuggestion,
+    refreshTemplates: loadRecentTemplates,
+    refreshScheduler: () => {
+      if (started) {
+        initialize();
+      }
+    },
+  };
+
+  return {
+    getState: () => snapshot,
+    getConfig: () => config,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    setOptions,
+    start,
+    destroy,
+    actions,
+  };
+};
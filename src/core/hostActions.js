@@ -0,0 +1,19 @@
+import { ANY_AVAILABLE_HOST, BOOKING_STEPS } from '../constants';
+
+export const createHostActions = ({
+  setState,
+  clearBookingError,
+}) => {
+  const selectHost = (hostId) => {
+    setState({
+      selectedHostId: hostId || ANY_AVAILABLE_HOST,
+      selectedSlot: null,
+      step: BOOKING_STEPS.SELECT_TIME,
+    });
+    clearBookingError();
+  };
+
+  return {
+    selectHost,
+  };
+};
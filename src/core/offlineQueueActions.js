@@ -0,0 +1,162 @@
+import {
+  enqueueOfflineBooking,
+  isBrowserOffline,
+  isFinalReplayError,
+  readOfflineQueue,
+  removeOfflineBooking,
+} from '../utils/offlineQueue';
+
+export const createOfflineQueueActions = ({
+  getState,
+  setState,
+  getOptions,
+  getApi,
+  getEmbedContext,
+  isStarted,
+  getLifecycleSignal,
+  resolveSubmissionMeta,
+  completeBooking,
+  reportBookingError,
+}) => {
+  let isFlushingQueue = false;
+  let onlineListenerAttached = false;
+
+  const queueOfflineBooking = ({ payload, slot, eventType: scopedEventType }) => {
+    const entry = enqueueOfflineBooking({
+      id: payload.client_request_id,
+      payload,
+      slot: {
+        start: slot.start,
+        end: slot.end,
+        startLocal: slot.startLocal,
+        endLocal: slot.endLocal,
+      },
+      eventType: {
+        id: scopedEventType.id,
+        name: scopedEventType.name,
+        slug: scopedEventType.slug,
+        duration: scopedEventType.duration,
+        calendarId: scopedEventType.calendarId || scopedEventType.calendar_id,
+      },
+      queuedAt: new Date().toISOString(),
+    });
+
+    setState({ queuedBooking: entry });
+    return {
+      ok: false,
+      queued: true,
+      payload,
+    };
+  };
+
+  const flushOfflineQueue = async () => {
+    if (isFlushingQueue || isBrowserOffline()) {
+      return [];
+    }
+
+    const entries = readOfflineQueue();
+    if (entries.length === 0) {
+      setState({ queuedBooking: null });
+      return [];
+    }
+
+    isFlushingQueue = true;
+    setState({ isSubmitting: true });
+    const results = [];
+
+    try {
+      for (const entry of entries) {
+        try {
+          const submissionMeta = await resolveSubmissionMeta({
+            guestData: entry.payload,
+            slot: entry.slot,
+            eventTypeOverride: entry.eventType,
+          });
+
+          const payload = {
+            ...entry.payload,
+            ...submissionMeta,
+            client_request_id: entry.id,
+            source_details: {
+              ...(submissionMeta.source_details || entry.payload.source_details),
+              client_request_id: entry.id,
+            },
+          };
+
+          const result = await getApi().createBooking(payload, getEmbedContext(), { signal: getLifecycleSignal() });
+          removeOfflineBooking(entry.id);
+          completeBooking({
+            booking: result?.booking,
+            payload,
+            slot: entry.slot,
+            eventType: entry.eventType,
+            showSuccess: entry.eventType.id === getState().eventType?.id
+              && entry.slot.start === getState().selectedSlot?.start,
+          });
+          results.push({ ok: true, booking: result?.booking, payload });
+        } catch (requestError) {
+          if (!isFinalReplayError(requestError)) {
+            break;
+          }
+
+          removeOfflineBooking(entry.id);
+          results.push({
+            ok: false,
+            error: reportBookingError(requestError, {
+              eventType: entry.eventType,
+              slot: entry.slot,
+            }),
+          });
+        }
+      }
+    } finally {
+      isFlushingQueue = false;
+      setState({
+        isSubmitting: false,
+        queuedBooking: readOfflineQueue()[0] || null,
+      });
+    }
+
+    return results;
+  };
+
+  const discardQueuedBooking = (entryId = null) => {
+    const targetId = entryId || getState().queuedBooking?.id;
+    if (!targetId) {
+      return;
+    }
+
+    removeOfflineBooking(targetId);
+    setState({ queuedBooking: readOfflineQueue()[0] || null });
+  };
+
+  const handleOnline = () => {
+    flushOfflineQueue();
+  };
+
+  const syncOnlineListener = () => {
+    const shouldListen = isStarted() && getOptions().offlineQueue && typeof window !== 'undefined';
+
+    if (shouldListen && !onlineListenerAttached) {
+      window.addEventListener('online', handleOnline);
+      onlineListenerAttached = true;
+
+      if (!isBrowserOffline() && readOfflineQueue().length > 0) {
+        flushOfflineQueue();
+      }
+      return;
+    }
+
+    if (!shouldListen && onlineListenerAttached) {
+      window.removeEventListener('online', handleOnline);
+      onlineListenerAttached = false;
+    }
+  };
+
+  return {
+    queueOfflineBooking,
+    flushOfflineQueue,
+    discardQueuedBooking,
+    syncOnlineListener,
+  };
+};
@@ -0,0 +1,108 @@
+import { createSchedulerApi, resolveApiBaseUrl } from '../api/client';
+import { SchedulerApiError } from '../api/errors';
+import { DEFAULT_SLOT_CHUNK_DAYS, DEFAULT_SLOT_WINDOW_DAYS } from '../constants';
+import { createI18n } from '../utils/i18n';
+import { buildSlotChunks } from '../utils/time';
+import { normalizeOrgIdentifier } from './createSchedulerStore';
+
+const toOrganization = (eventType, t) => ({
+  id: eventType.orgId || eventType.org_id || null,
+  name: eventType.orgName || eventType.org_name || t('common.organization'),
+  logo_url: eventType.orgLogo || eventType.org_logo || null,
+});
+
+export const prefetchSchedulerData = async ({
+  apiBaseUrl,
+  embedKey = null,
+  embedOrigin = null,
+  eventSlug = null,
+  org = null,
+  timezone = 'UTC',
+  slotWindowDays = DEFAULT_SLOT_WINDOW_DAYS,
+  slotChunkDays = DEFAULT_SLOT_CHUNK_DAYS,
+  transport = null,
+  interceptors = null,
+  requestTimeouts = null,
+  signal = null,
+  locale = null,
+  messages = null,
+} = {}) => {
+  const { t } = createI18n({ locale, messages });
+
+  if (!embedKey && !eventSlug) {
+    throw new SchedulerApiError(t('errors.setupInvalid'), {
+      code: 'SETUP_INVALID',
+    });
+  }
+
+  const api = createSchedulerApi({
+    baseUrl: resolveApiBaseUrl(apiBaseUrl),
+    transport,
+    interceptors: interceptors || [],
+    timeouts: requestTimeouts,
+    circuitBreaker: false,
+    t,
+  });
+  const embedContext = {
+    key: embedKey,
+    origin: embedOrigin,
+  };
+  const orgIdentifier = normalizeOrgIdentifier(org);
+
+  const fetchEventTypeBySlug = async (slug, scopedOrg) => {
+    const data = await api.getEventType({ slug, org: scopedOrg || null }, embedContext, { signal });
+    return data?.eventType || null;
+  };
+
+  let organization = null;
+  let embedSettings = {};
+  let eventTypes = [];
+  let eventType = null;
+
+  if (eventSlug) {
+    eventType = await fetchEventTypeBySlug(eventSlug, orgIdentifier);
+    if (!eventType) {
+      throw new SchedulerApiError(t('errors.eventLoadFailed'), {
+        status: 404,
+        code: 'EVENT_NOT_FOUND',
+      });
+    }
+
+    organization = toOrganization(eventType, t);
+  } else {
+    const data = await api.getEmbedEventTypes(embedContext, { signal });
+    organization = data?.organization || null;
+    embedSettings = data?.embed || {};
+    eventTypes = data?.eventTypes || [];
+
+    if (eventTypes.length === 1) {
+      eventType = eventTypes[0]?.slug
+        ? await fetchEventTypeBySlug(eventTypes[0].slug, organization?.id || orgIdentifier)
+        : eventTypes[0];
+    }
+  }
+
+  const [{ startDate, endDate }] = buildSlotChunks({ slotWindowDays, slotChunkDays });
+  let slots = {};
+
+  if (eventType?.id) {
+    const response = await api.getSlots({
+      eventTypeId: eventType.id,
+      startDate,
+      endDate,
+      timezone,
+    }, embedContext, { signal });
+    slots = response?.slots || {};
+  }
+
+  return {
+    organization,
+    embedSettings,
+    eventTypes,
+    eventType,
+    slots,
+    timezone,
+    startDate,
+    endDate,
+  };
+};
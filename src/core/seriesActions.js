@@ -0,0 +1,301 @@
+import { BookingCancelledError, SchedulerApiError } from '../api/errors';
+import { getOrCreateClientRequestId } from '../utils/bookingSource';
+import { toHostScope } from '../utils/hosts';
+import {
+  buildOccurrences,
+  findLoadedSlot,
+  normalizeRecurrence,
+  resolveMaxOccurrences,
+} from '../utils/recurrence';
+import { slotFitsParty } from '../utils/seats';
+
+export const createSeriesActions = ({
+  getState,
+  setState,
+  getOptions,
+  getApi,
+  getEmbedContext,
+  getI18n,
+  getLifecycleSignal,
+  clearBookingError,
+  removeBookedSlot,
+  resolveSubmissionMeta,
+  completeBooking,
+  reportBookingError,
+  loadSlotRange,
+  getConflictSuggestions,
+}) => {
+  let lastSeriesKey = null;
+
+  const createSeriesForContext = async ({ guestData }) => {
+    const scopedEventType = getState().eventType;
+    const { recurrence } = getState();
+    const occurrences = getState().seriesOccurrences;
+
+    if (!scopedEventType?.id || occurrences.length === 0) {
+      return {
+        ok: false,
+        error: new SchedulerApiError(getI18n().t('errors.slotRequired'), {
+          code: 'SLOT_REQUIRED',
+        }),
+      };
+    }
+
+    if (occurrences.some((occurrence) => occurrence.status === 'conflict' || occurrence.status === 'checking')) {
+      const error = new SchedulerApiError(getI18n().t('errors.seriesConflict'), {
+        code: 'SERIES_CONFLICT',
+      });
+      setState({ error: error.message });
+      return { ok: false, error };
+    }
+
+    setState({ isSubmitting: true });
+    clearBookingError();
+
+    const [firstOccurrence] = occurrences;
+    const guestEmail = (guestData?.guest_email || '').trim().toLowerCase();
+    const seriesId = getOrCreateClientRequestId([
+      'sdk',
+      'series',
+      scopedEventType.id,
+      firstOccurrence.start,
+      recurrence.frequency,
+      occurrences.length,
+      guestEmail || 'anonymous',
+    ].join(':'));
+    const activeHold = getState().slotHold?.slot.start === firstOccurrence.start ? getState().slotHold : null;
+    const basePayload = {
+      event_type_id: scopedEventType.id,
+      timezone: getState().userTimezone,
+      ...(toHostScope(getState().selectedHostId) ? { host_id: getState().selectedHostId } : {}),
+      ...guestData,
+      series_id: seriesId,
+      recurrence: {
+        frequency: recurrence.frequency,
+        count: occurrences.length,
+      },
+    };
+    const bookings = [];
+    let current = null;
+    let beforeOverrides = {};
+
+    try {
+      if (typeof getOptions().onBeforeBook === 'function') {
+        const beforeResult = await getOptions().onBeforeBook({
+          ...basePayload,
+          start_time: firstOccurrence.start,
+          end_time: firstOccurrence.end,
+        }, {
+          eventType: scopedEventType,
+          slot: firstOccurrence,
+          series: occurrences,
+        });
+
+        if (beforeResult === false) {
+          throw new BookingCancelledError(getI18n().t('errors.bookingCancelled'));
+        }
+
+        if (beforeResult && typeof beforeResult === 'object' && !Array.isArray(beforeResult)) {
+          beforeOverrides = beforeResult;
+        }
+      }
+
+      for (const occurrence of occurrences) {
+        current = occurrence;
+        let payload = {
+          ...basePayload,
+          start_time: occurrence.start,
+          end_time: occurrence.end,
+          series_index: occurrence.index,
+          ...(occurrence.index === 0 && activeHold ? { slot_hold_id: activeHold.id } : {}),
+        };
+        const submissionMeta = await resolveSubmissionMeta({
+          guestData: payload,
+          slot: occurrence,
+          eventTypeOverride: scopedEventType,
+        });
+        payload = {
+          ...payload,
+          ...submissionMeta,
+          ...beforeOverrides,
+        };
+
+        const result = await getApi().createBooking(payload, getEmbedContext(), { signal: getLifecycleSignal() });
+        bookings.push({
+          start_time: occurrence.start,
+          end_time: occurrence.end,
+          ...result?.booking,
+        });
+
+        if (occurrence.index > 0) {
+          removeBookedSlot(occurrence, payload.party_size || 1);
+        }
+        setState((previous) => ({
+          seriesOccurrences: previous.seriesOccurrences.map((item) => (
+            item.index === occurrence.index ? { ...item, status: 'booked' } : item
+          )),
+        }));
+      }
+
+      const payload = {
+        ...basePayload,
+        start_time: firstOccurrence.start,
+        end_time: firstOccurrence.end,
+      };
+
+      completeBooking({
+        booking: bookings[0],
+        payload,
+        slot: firstOccurrence,
+        eventType: scopedEventType,
+        series: bookings,
+      });
+
+      return {
+        ok: true,
+        booking: bookings[0],
+        bookings,
+        payload,
+      };
+    } catch (requestError) {
+      if (requestError?.code === 'ABORTED') {
+        return {
+          ok: false,
+          error: requestError,
+        };
+      }
+
+      setState((previous) => ({
+        seriesOccurrences: previous.seriesOccurrences.map((item) => (
+          item.index === current?.index ? { ...item, status: 'failed' } : item
+        )),
+      }));
+
+      const normalized = reportBookingError(requestError, {
+        eventType: scopedEventType,
+        slot: current,
+        series: occurrences,
+      });
+
+      return {
+        ok: false,
+        error: normalized,
+        bookings,
+      };
+    } finally {
+      setState({ isSubmitting: false });
+    }
+  };
+
+  const checkSeriesAvailability = async (checkKey) => {
+    const { selectedSlot, recurrence, userTimezone } = getState();
+    const occurrences = buildOccurrences(selectedSlot, recurrence, userTimezone);
+
+    setState({
+      seriesOccurrences: occurrences.map((occurrence) => ({
+        ...occurrence,
+        status: occurrence.index === 0 ? 'available' : 'checking',
+        alternatives: [],
+      })),
+    });
+
+    await loadSlotRange(occurrences[1].start, occurrences[occurrences.length - 1].start);
+    if (checkKey !== lastSeriesKey) {
+      return;
+    }
+
+    const checked = occurrences.map((occurrence) => {
+      const loaded = occurrence.index === 0 ? selectedSlot : findLoadedSlot(getState().slots, occurrence.start);
+      return {
+        ...occurrence,
+        status: loaded && !loaded.isPending && slotFitsParty(loaded, getState().partySize) ? 'available' : 'conflict',
+        alternatives: [],
+      };
+    });
+    setState({ seriesOccurrences: checked });
+
+    const withAlternatives = await Promise.all(checked.map(async (occurrence) => {
+      if (occurrence.status !== 'conflict') {
+        return occurrence;
+      }
+
+      try {
+        return {
+          ...occurrence,
+          alternatives: await getConflictSuggestions({ originalStart: occurrence.start, count: 3 }),
+        };
+      } catch (_error) {
+        return occurrence;
+      }
+    }));
+
+    if (checkKey === lastSeriesKey) {
+      setState({ seriesOccurrences: withAlternatives });
+    }
+  };
+
+  const syncSeriesCheck = () => {
+    const { selectedSlot, recurrence } = getState();
+    const nextKey = recurrence && selectedSlot?.start
+      ? [
+        getState().eventType?.id,
+        selectedSlot.start,
+        recurrence.frequency,
+        recurrence.count,
+        getState().userTimezone,
+        getState().selectedHostId,
+        getState().partySize,
+      ].join('|')
+      : null;
+
+    if (nextKey === lastSeriesKey) {
+      return;
+    }
+
+    lastSeriesKey = nextKey;
+    if (!nextKey) {
+      if (getState().seriesOccurrences.length > 0) {
+        setState({ seriesOccurrences: [] });
+      }
+      return;
+    }
+
+    checkSeriesAvailability(nextKey);
+  };
+
+  const setRecurrence = (recurrence) => {
+    setState({
+      recurrence: normalizeRecurrence(recurrence, resolveMaxOccurrences(getState().eventType)),
+    });
+    clearBookingError();
+  };
+
+  const selectSeriesAlternative = (index, suggestion) => {
+    if (!suggestion?.start || !suggestion?.end) {
+      return;
+    }
+
+    setState((previous) => ({
+      seriesOccurrences: previous.seriesOccurrences.map((occurrence) => (
+        occurrence.index === index
+          ? {
+            ...occurrence,
+            start: suggestion.start,
+            end: suggestion.end,
+            status: 'available',
+            alternatives: [],
+            isAlternative: true,
+          }
+          : occurrence
+      )),
+    }));
+    clearBookingError();
+  };
+
+  return {
+    createSeriesForContext,
+    syncSeriesCheck,
+    setRecurrence,
+    selectSeriesAlternative,
+  };
+};
@@ -0,0 +1,193 @@
+import { annotateSlotHosts, getEventHosts, toHostScope } from '../utils/hosts';
+import { buildSlotChunks, dayjs } from '../utils/time';
+
+const mergeSlotChunk = (slots, chunkSlots, { startDate, endDate }) => {
+  const merged = Object.fromEntries(
+    Object.entries(slots).filter(([date]) => date < startDate || date > endDate)
+  );
+
+  return {
+    ...merged,
+    ...chunkSlots,
+  };
+};
+
+export const createSlotChunkActions = ({
+  getState,
+  setState,
+  getOptions,
+  getApi,
+  getEmbedContext,
+  getI18n,
+  getEventScopeSignal,
+  invalidateAvailability,
+  readCached,
+  writeCached,
+  buildSlotsCacheKey,
+}) => {
+  const loadedSlotChunks = new Set();
+  let pendingChunkLoads = 0;
+
+  const getSlotChunks = () => buildSlotChunks({
+    slotWindowDays: getOptions().slotWindowDays,
+    slotChunkDays: getOptions().slotChunkDays,
+  });
+
+  const setChunkLoading = (isInitialChunk, delta) => {
+    if (isInitialChunk) {
+      setState({ isLoadingSlots: delta > 0 });
+      return;
+    }
+
+    pendingChunkLoads = Math.max(0, pendingChunkLoads + delta);
+    setState({ isPrefetchingSlots: pendingChunkLoads > 0 });
+  };
+
+  const loadSlotChunk = async (chunk, { force = false, isInitialChunk = false, silent = false } = {}) => {
+    const eventType = getState().eventType;
+    if (!eventType?.id) {
+      return;
+    }
+
+    const { userTimezone } = getState();
+    const hostId = toHostScope(getState().selectedHostId);
+    const cacheKey = buildSlotsCacheKey(eventType.id, chunk.startDate, chunk.endDate, userTimezone, hostId);
+    const signal = getEventScopeSignal();
+    const isOutOfScope = () => (
+      signal?.aborted
+      || getState().eventType?.id !== eventType.id
+      || getState().userTimezone !== userTimezone
+      || toHostScope(getState().selectedHostId) !== hostId
+    );
+    const applySlots = (chunkSlots) => {
+      const scopedSlots = hostId ? chunkSlots || {} : annotateSlotHosts(chunkSlots || {}, getEventHosts(eventType, getI18n().t));
+      setState((previous) => ({ slots: mergeSlotChunk(previous.slots, scopedSlots, chunk) }));
+    };
+    let isRevalidating = silent;
+
+    loadedSlotChunks.add(cacheKey);
+
+    if (!force) {
+      const cached = await readCached(cacheKey);
+      if (isOutOfScope()) {
+        return;
+      }
+
+      if (cached) {
+        applySlots(cached.value);
+        if (cached.isFresh) {
+          return;
+        }
+        isRevalidating = true;
+      }
+    }
+
+    if (!isRevalidating) {
+      setChunkLoading(isInitialChunk, 1);
+    }
+
+    try {
+      const response = await getApi().getSlots({
+        eventTypeId: eventType.id,
+        startDate: chunk.startDate,
+        endDate: chunk.endDate,
+        timezone: userTimezone,
+        hostId,
+      }, getEmbedContext(), { signal });
+
+      if (isOutOfScope()) {
+        return;
+      }
+
+      applySlots(response?.slots);
+      writeCached(cacheKey, response?.slots || {});
+    } catch (requestError) {
+      if (!isRevalidating) {
+        loadedSlotChunks.delete(cacheKey);
+      }
+
+      if (requestError?.code !== 'ABORTED' && !isRevalidating && isInitialChunk) {
+        setState({ error: requestError.message || getI18n().t('errors.slotsLoadFailed') });
+      }
+    } finally {
+      if (!isRevalidating && (!isInitialChunk || !signal?.aborted)) {
+        setChunkLoading(isInitialChunk, -1);
+      }
+    }
+  };
+
+  const loadSlots = async ({ force = false } = {}) => {
+    if (!getState().eventType?.id) {
+      return;
+    }
+
+    if (force) {
+      loadedSlotChunks.clear();
+    }
+
+    const [initialChunk] = getSlotChunks();
+    await loadSlotChunk(initialChunk, { force, isInitialChunk: true });
+  };
+
+  const refreshLoadedSlots = async () => {
+    const eventTypeId = getState().eventType?.id;
+    if (!eventTypeId) {
+      return;
+    }
+
+    await invalidateAvailability(eventTypeId);
+    await Promise.all(getSlotChunks()
+      .filter((chunk) => loadedSlotChunks.has(
+        buildSlotsCacheKey(
+          eventTypeId,
+          chunk.startDate,
+          chunk.endDate,
+          getState().userTimezone,
+          toHostScope(getState().selectedHostId)
+        )
+      ))
+      .map((chunk) => loadSlotChunk(chunk, { force: true, silent: true })));
+  };
+
+  const loadSlotRange = async (rangeStart, rangeEnd = rangeStart) => {
+    const eventTypeId = getState().eventType?.id;
+    if (!eventTypeId) {
+      return;
+    }
+
+    const startDate = dayjs(rangeStart).format('YYYY-MM-DD');
+    const endDate = dayjs(rangeEnd).format('YYYY-MM-DD');
+    const chunks = getSlotChunks();
+
+    await Promise.all(chunks
+      .map((chunk, index) => ({ chunk, isInitialChunk: index === 0 }))
+      .filter(({ chunk }) => chunk.endDate >= startDate && chunk.startDate <= endDate)
+      .filter(({ chunk }) => !loadedSlotChunks.has(
+        buildSlotsCacheKey(
+          eventTypeId,
+          chunk.startDate,
+          chunk.endDate,
+          getState().userTimezone,
+          toHostScope(getState().selectedHostId)
+        )
+      ))
+      .map(({ chunk, isInitialChunk }) => loadSlotChunk(chunk, { isInitialChunk })));
+  };
+
+  const resetLoadedSlotChunks = () => {
+    loadedSlotChunks.clear();
+  };
+
+  const markSlotChunkLoaded = (cacheKey, chunkSlots) => {
+    loadedSlotChunks.add(cacheKey);
+    writeCached(cacheKey, chunkSlots);
+  };
+
+  return {
+    loadSlots,
+    refreshLoadedSlots,
+    loadSlotRange,
+    resetLoadedSlotChunks,
+    markSlotChunkLoaded,
+  };
+};
@@ -0,0 +1,227 @@
+import { BOOKING_STEPS, SLOT_HOLD_RECHECK_MS } from '../constants';
+import { toHostScope } from '../utils/hosts';
+
+export const createSlotHoldActions = ({
+  getState,
+  setState,
+  getOptions,
+  getApi,
+  getEmbedContext,
+  getI18n,
+  isStarted,
+  getEventScopeSignal,
+  contactToken,
+  markSlotPending,
+}) => {
+  let holdRequest = null;
+  let holdRenewal = null;
+  let holdExpiryTimer = null;
+  let holdRenewalTimer = null;
+  let holdCreatedAt = 0;
+  let hasHoldActivity = false;
+
+  const clearHoldTimer = () => {
+    clearTimeout(holdExpiryTimer);
+    clearTimeout(holdRenewalTimer);
+    holdExpiryTimer = null;
+    holdRenewalTimer = null;
+  };
+
+  const toSlotHold = (result, slot, previousHold = null) => {
+    const hold = result?.hold || result;
+    const expiresAt = hold?.expiresAt || hold?.expires_at;
+    const id = hold?.id || previousHold?.id;
+
+    if (!id || !expiresAt || !Number.isFinite(Date.parse(expiresAt))) {
+      return null;
+    }
+
+    return {
+      id,
+      expiresAt,
+      durationMs: previousHold?.durationMs || Math.max(0, Date.parse(expiresAt) - Date.now()),
+      slot: {
+        start: slot.start,
+        end: slot.end,
+      },
+    };
+  };
+
+  const expireSlotHold = (holdId) => {
+    const hold = getState().slotHold;
+    if (!hold || hold.id !== holdId) {
+      return;
+    }
+
+    if (getState().isSubmitting || getState().isPaymentInProgress) {
+      renewSlotHold();
+      clearTimeout(holdExpiryTimer);
+      holdExpiryTimer = setTimeout(() => expireSlotHold(holdId), SLOT_HOLD_RECHECK_MS);
+      return;
+    }
+
+    clearHoldTimer();
+    setState({
+      slotHold: null,
+      expiredHoldSlot: hold.slot,
+      step: getState().step === BOOKING_STEPS.CONFIRM ? BOOKING_STEPS.SELECT_TIME : getState().step,
+      error: getI18n().t('errors.holdExpired'),
+    });
+  };
+
+  const applySlotHold = (hold) => {
+    setState({
+      slotHold: hold,
+      expiredHoldSlot: null,
+    });
+
+    clearHoldTimer();
+    const remainingMs = Date.parse(hold.expiresAt) - Date.now();
+    holdExpiryTimer = setTimeout(() => expireSlotHold(hold.id), Math.max(0, remainingMs));
+    holdRenewalTimer = setTimeout(renewActiveSlotHold, Math.max(0, remainingMs - hold.durationMs / 2));
+  };
+
+  const releaseSlotHold = () => {
+    holdRequest = null;
+    clearHoldTimer();
+
+    const hold = getState().slotHold;
+    if (!hold) {
+      return;
+    }
+
+    setState({ slotHold: null });
+    getApi().releaseSlotHold(hold.id, getEmbedContext()).catch(() => {});
+  };
+
+  const holdSlot = async (slot) => {
+    const eventType = getState().eventType;
+    if (!eventType?.id || !slot?.start || !slot?.end) {
+      return;
+    }
+
+    const request = { slotStart: slot.start };
+    holdRequest = request;
+
+    try {
+      const result = await getApi().createSlotHold({
+        event_type_id: eventType.id,
+        start_time: slot.start,
+        end_time: slot.end,
+        timezone: getState().userTimezone,
+        contact_token: contactToken,
+        host_id: toHostScope(getState().selectedHostId) || undefined,
+      }, getEmbedContext(), { signal: getEventScopeSignal() });
+      const hold = toSlotHold(result, slot);
+
+      if (holdRequest !== request) {
+        if (hold) {
+          getApi().releaseSlotHold(hold.id, getEmbedContext()).catch(() => {});
+        }
+        return;
+      }
+
+      holdRequest = null;
+      if (hold) {
+        holdCreatedAt = Date.now();
+        hasHoldActivity = false;
+        applySlotHold(hold);
+      }
+    } catch (requestError) {
+      if (holdRequest !== request) {
+        return;
+      }
+
+      holdRequest = null;
+      if (requestError?.code === 'SLOT_LOCKED' || requestError?.code === 'SLOT_CONFLICT') {
+        markSlotPending(slot);
+        setState({
+          step: BOOKING_STEPS.SELECT_TIME,
+          selectedSlot: null,
+          error: getI18n().t('errors.slotHeld'),
+        });
+      }
+    }
+  };
+
+  const setPaymentInProgress = (isPaymentInProgress) => {
+    setState({ isPaymentInProgress: Boolean(isPaymentInProgress) });
+  };
+
+  const renewSlotHold = () => {
+    const hold = getState().slotHold;
+    if (!hold || holdRenewal || Date.now() - holdCreatedAt >= getOptions().slotHoldMaxLifetimeMs) {
+      return holdRenewal;
+    }
+
+    hasHoldActivity = false;
+    holdRenewal = getApi().renewSlotHold(hold.id, getEmbedContext(), { signal: getEventScopeSignal() })
+      .then((result) => {
+        const renewed = toSlotHold(result, hold.slot, hold);
+        if (renewed && getState().slotHold?.id === hold.id) {
+          applySlotHold(renewed);
+        }
+      })
+      .catch(() => {})
+      .finally(() => {
+        holdRenewal = null;
+      });
+
+    return holdRenewal;
+  };
+
+  const renewActiveSlotHold = () => {
+    if (hasHoldActivity || getState().isSubmitting || getState().isPaymentInProgress) {
+      renewSlotHold();
+    }
+  };
+
+  const touchSlotHold = async () => {
+    const hold = getState().slotHold;
+    if (hold) {
+      hasHoldActivity = true;
+    }
+
+    if (!hold || holdRenewal) {
+      return holdRenewal;
+    }
+
+    const remainingMs = Date.parse(hold.expiresAt) - Date.now();
+    if (remainingMs > hold.durationMs / 2) {
+      return null;
+    }
+
+    return renewSlotHold();
+  };
+
+  const syncSlotHold = () => {
+    const desiredStart = isStarted()
+      && getOptions().slotHolds
+      && getState().step === BOOKING_STEPS.CONFIRM
+      && getState().selectedSlot?.start
+      ? getState().selectedSlot.start
+      : null;
+    const currentStart = getState().slotHold?.slot.start || holdRequest?.slotStart || null;
+
+    if (currentStart && currentStart !== desiredStart) {
+      releaseSlotHold();
+    }
+
+    if (desiredStart && currentStart !== desiredStart) {
+      holdSlot(getState().selectedSlot);
+    }
+  };
+
+  const forgetSlotHold = () => {
+    holdRequest = null;
+    clearHoldTimer();
+  };
+
+  return {
+    syncSlotHold,
+    releaseSlotHold,
+    forgetSlotHold,
+    touchSlotHold,
+    setPaymentInProgress,
+  };
+};
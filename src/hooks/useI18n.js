@@ -0,0 +1,4 @@
+import { useOptionalSchedulerContext } from '../context/SchedulerContext';
+import { DEFAULT_I18N } from '../utils/i18n';
+
+export const useI18n = () => useOptionalSchedulerContext()?.config?.i18n || DEFAULT_I18N;
@@ -2,9 +2,30 @@ export { SchedulerProvider } from './provider/SchedulerProvider';
 export { SchedulerWidget } from './components/SchedulerWidget';
 export { SchedulerContext } from './context/SchedulerContext';
 export { useBooking, BOOKING_STEPS } from './hooks/useBooking';
+export { useI18n } from './hooks/useI18n';
+export { ANY_AVAILABLE_HOST } from './constants';
+export { EventTypeList } from './components/EventTypeList';
 export { SlotPicker } from './components/SlotPicker';
+export { HostPicker } from './components/HostPicker';
+export { BookingCart } from './components/BookingCart';
 export { BookingForm } from './components/BookingForm';
 export { BookingSuccess } from './components/BookingSuccess';
+export { RescheduleForm } from './components/RescheduleForm';
+export { CancelBooking } from './components/CancelBooking';
 export { CustomFormRenderer, validateFormAnswers } from './components/CustomFormRenderer';
 export { ConflictResolver } from './components/ConflictResolver';
 export { PaymentCheckout } from './components/PaymentCheckout';
+export {
+  SchedulerApiError,
+  SlotConflictError,
+  SlotLockedError,
+  RateLimitError,
+  OfflineError,
+  TemplateInvalidError,
+  BookingCancelledError,
+} from './api/errors';
+export { createSchedulerStore } from './core/createSchedulerStore';
+export { prefetchSchedulerData } from './core/prefetchSchedulerData';
+export { BUILT_IN_LOCALES } from './utils/i18n';
+export { createMemoryCache, createLocalStorageCache, createIndexedDbCache } from './utils/cacheAdapters';
+export { createEventSourceSubscription, createWebSocketSubscription } from './api/availabilitySubscription';
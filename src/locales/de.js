@@ -0,0 +1,418 @@
+export const de = {
+  formats: {
+    time: 'HH:mm',
+    date: 'dddd, D. MMMM YYYY',
+    dateShort: 'ddd, D. MMM',
+    dateTime: 'ddd, D. MMM • HH:mm',
+    utc: 'ddd, D. MMM YYYY [um] HH:mm [UTC]',
+    monthDay: 'D. MMM',
+    monthDayYear: 'D. MMM YYYY',
+    weekday: 'ddd',
+  },
+  common: {
+    back: 'Zurück',
+    cancel: 'Abbrechen',
+    close: 'Schließen',
+    done: 'Fertig',
+    free: 'Kostenlos',
+    goBack: 'Zurückgehen',
+    host: 'Gastgeber',
+    loading: 'Wird geladen...',
+    meeting: 'Termin',
+    minutes: '{count} Min.',
+    organization: 'Organisation',
+    poweredBy: 'Bereitgestellt von Calemly',
+    tryAgain: 'Erneut versuchen',
+  },
+  errors: {
+    offline: 'Du scheinst offline zu sein. Stelle die Internetverbindung wieder her und versuche es erneut.',
+    rateLimitedWait: 'Zu viele Buchungsversuche. Bitte warte etwa {count} Sekunden und versuche es erneut.',
+    rateLimited: 'Zu viele Buchungsversuche. Bitte warte einen Moment und versuche es erneut.',
+    slotConflict: 'Dieser Termin wurde gerade gebucht. Bitte wähle eine andere verfügbare Zeit.',
+    slotLocked: 'Dieser Termin wird gerade reserviert. Versuche es in ein paar Sekunden erneut.',
+    templateInvalid: 'Deine gespeicherte Vorlage ist für diesen Termin nicht mehr gültig.',
+    noSavedTemplate: 'Es wurden keine gespeicherten Einstellungen gefunden. Fahre mit dem Standardformular fort.',
+    bookingFailed: 'Die Buchung konnte nicht erstellt werden. Bitte versuche es erneut.',
+    slotsLoadFailed: 'Die verfügbaren Zeiten konnten nicht geladen werden.',
+    slotRequired: 'Wähle eine Zeit aus, bevor du das Buchungsformular absendest.',
+    seriesConflict: 'Wähle für die nicht verfügbaren Sitzungen eine andere Zeit, bevor du die Serie buchst.',
+    seriesConflictContinue: 'Wähle für die nicht verfügbaren Sitzungen eine andere Zeit, bevor du fortfährst.',
+    cartEmpty: 'Füge mindestens eine Zeit hinzu, bevor du zur Kasse gehst.',
+    cartSlotRequired: 'Wähle eine Zeit aus, bevor du sie in den Warenkorb legst.',
+    cartOverlap: 'Diese Zeit überschneidet sich mit {name}. Bitte wähle eine andere Zeit.',
+    cartCurrencyMismatch: 'Dieser Termin wird in einer anderen Währung als {name} ({currency}) berechnet. Bitte buche ihn separat.',
+    rescheduleSlotRequired: 'Wähle eine neue Zeit aus, bevor du die Buchung verschiebst.',
+    noSlotsFound: 'Derzeit sind keine freien Zeiten verfügbar.',
+    autoFindFailed: 'Die nächste beste Zeit konnte nicht gefunden werden.',
+    cancelFailed: 'Die Buchung konnte nicht storniert werden. Bitte versuche es erneut.',
+    paypalContextInvalid: 'Die gespeicherten PayPal-Buchungsdaten sind ungültig. Bitte buche erneut.',
+    paypalCaptureFailed: 'Die PayPal-Zahlung konnte nicht abgeschlossen werden.',
+    paymentCancelled: 'Die Zahlung wurde abgebrochen. Es wurde nichts belastet.',
+    sessionExpired: 'Die Buchungssitzung ist abgelaufen. Bitte buche erneut.',
+    paymentReturnMissing: 'Die Rückgabedaten der Zahlung fehlen. Bitte buche erneut.',
+    holdExpired: 'Deine reservierte Zeit ist abgelaufen. Wähle sie erneut aus, um mit der Buchung fortzufahren.',
+    slotHeld: 'Jemand anderes bucht diese Zeit gerade. Bitte wähle eine andere Zeit.',
+    slotTaken: 'Diese Zeit wurde gerade von jemand anderem gebucht. Bitte wähle eine andere Zeit.',
+    rescheduleLoadFailed: 'Die zu verschiebende Buchung konnte nicht geladen werden.',
+    eventLoadFailed: 'Der angefragte Termin konnte nicht geladen werden.',
+    loadFailed: 'Die Kalenderdaten konnten nicht geladen werden.',
+    eventSlugMissing: 'Dem ausgewählten Termintyp fehlt ein Slug, daher können die Details nicht geladen werden.',
+    eventDetailsFailed: 'Termindetails konnten nicht geladen werden',
+    bookingCancelled: 'Buchung wurde vor dem Absenden abgebrochen.',
+    cancelDetailsRequired: 'Gib eine Buchungs-ID mit einem Gast-Token oder einer E-Mail-Adresse an, um eine Buchung zu stornieren.',
+    rescheduleDetailsRequired: 'Gib ein Gast-Token oder eine E-Mail-Adresse an, um eine Buchung zu verschieben.',
+    setupInvalid: 'Die Scheduler-Konfiguration fehlt. Gib einen Embed-Schlüssel oder einen Termin-Slug an.',
+    serviceUnavailable: 'Der Buchungsdienst ist vorübergehend nicht erreichbar. Bitte versuche es gleich noch einmal.',
+    tooManyRequests: 'Zu viele Anfragen. Bitte versuche es gleich noch einmal.',
+    requestCancelled: 'Die Anfrage wurde abgebrochen.',
+    requestTimeout: 'Die Anfrage hat zu lange gedauert. Prüfe deine Verbindung und versuche es erneut.',
+    networkError: 'Die Netzwerkanfrage ist fehlgeschlagen. Prüfe deine Verbindung und versuche es erneut.',
+    requestOffline: 'Du scheinst offline zu sein. Prüfe deine Internetverbindung und versuche es erneut.',
+    requestFailed: 'Die Anfrage ist fehlgeschlagen. Bitte versuche es erneut.',
+  },
+  validation: {
+    required: 'Dieses Feld ist erforderlich',
+    email: 'Bitte gib eine gültige E-Mail-Adresse ein',
+    emailInvalid: 'Bitte gib eine gültige E-Mail-Adresse ein',
+    url: 'Bitte gib eine gültige URL ein',
+    phone: 'Bitte gib eine gültige Telefonnummer ein',
+    nameRequired: 'Bitte gib einen Namen ein',
+    nameMissing: 'Bitte gib deinen Namen ein',
+  },
+  eventList: {
+    empty: 'Keine Terminarten verfügbar.',
+    search: 'Termine durchsuchen',
+    duration: 'Dauer',
+    price: 'Preis',
+    paid: 'Kostenpflichtig',
+    location: 'Ort',
+    category: 'Kategorie',
+    noMatches: 'Keine Termine entsprechen deiner Suche.',
+    clearFilters: 'Filter zurücksetzen',
+    pinned: 'Angeheftet',
+    inCart: 'Im Warenkorb',
+    locations: {
+      video: 'Videoanruf',
+      phone: 'Telefonanruf',
+      in_person: 'Vor Ort',
+    },
+  },
+  hostPicker: {
+    title: 'Gastgeber wählen',
+    subtitle: 'Wähle, wen du treffen möchtest, oder lass uns dich mit einer freien Person verbinden.',
+    anyHost: 'Beliebiger verfügbarer Gastgeber',
+    anyHostDescription: 'Alle freien Zeiten des Teams anzeigen.',
+  },
+  slotPicker: {
+    title: 'Zeit auswählen',
+    meetingLength: '{count}-minütiger Termin',
+    autoFind: 'Automatisch finden',
+    reuseDetails: 'Angaben deiner letzten Buchung wiederverwenden',
+    selectTimeFirst: 'Wähle zuerst eine Zeit',
+    sameAsLastTime: 'Wie beim letzten Mal',
+    calendarView: 'Kalenderansicht',
+    listView: 'Listenansicht',
+    yourTime: 'Deine Zeit',
+    calendarTime: 'Kalenderzeit',
+    timezone: 'Zeitzone',
+    searchTimezones: 'Zeitzonen durchsuchen',
+    noTimezones: 'Keine passende Zeitzone',
+    clockFormat: 'Uhrzeitformat',
+    clock12: '12 Std.',
+    clock24: '24 Std.',
+    weekStart: 'Woche beginnt am',
+    currentlyBooked: 'Aktuell gebucht für',
+    loading: 'Verfügbare Zeiten werden geladen...',
+    previousWeek: 'Vorherige Woche',
+    loadingMore: 'Weitere Zeiten werden geladen',
+    today: 'Heute',
+    nextWeek: 'Nächste Woche',
+    currentBooking: 'Deine aktuelle Buchung',
+    heldByOther: 'Jemand anderes bucht diese Zeit gerade',
+    holdExpired: 'Deine Reservierung für diese Zeit ist abgelaufen',
+    availableWith: 'Verfügbar mit {names}',
+    noSlotsForDate: 'Keine freien Zeiten an diesem Datum',
+    selectDate: 'Wähle ein Datum, um freie Zeiten zu sehen',
+    availableSlots: 'Verfügbare Zeiten',
+    dateGrid: 'Termine {range}',
+    dayAvailable: { one: '{date}, {count} freie Zeit', other: '{date}, {count} freie Zeiten' },
+    dayUnavailable: '{date}, keine freien Zeiten',
+    slotsOnDate: { one: '{count} freie Zeit am {date}', other: '{count} freie Zeiten am {date}' },
+    noSlotsOnDate: 'Keine freien Zeiten am {date}',
+    timesOnDate: 'Freie Zeiten am {date}',
+    minutesLong: { one: '{count} Minute', other: '{count} Minuten' },
+    noSlots: 'Keine freien Zeiten gefunden',
+    addToCart: 'In den Warenkorb',
+    confirm: 'Bestätigen',
+  },
+  series: {
+    repeat: 'Wiederholen',
+    doesNotRepeat: 'Keine Wiederholung',
+    frequencies: {
+      weekly: 'Wöchentlich',
+      biweekly: 'Alle 2 Wochen',
+    },
+    summaries: {
+      weekly: 'Wiederholt sich wöchentlich • {count} Sitzungen',
+      biweekly: 'Wiederholt sich alle 2 Wochen • {count} Sitzungen',
+    },
+    sessions: 'Sitzungen',
+    sessionsLabel: 'Sitzungen der Serie',
+    unavailable: 'Nicht verfügbar',
+    notBooked: 'Nicht gebucht',
+    noAlternatives: 'Für diese Woche wurden keine Alternativen gefunden.',
+  },
+  seats: {
+    leftShort: '{count} frei',
+    leftOfCapacity: '{count} von {capacity} Plätzen frei',
+    left: { one: '{count} Platz frei', other: '{count} Plätze frei' },
+    onlyLeft: 'Zu dieser Zeit sind nur noch {count} Plätze frei',
+  },
+  cart: {
+    title: 'Deine Auswahl',
+    selectedEvents: 'Ausgewählte Termine',
+    remove: '{name} entfernen',
+    total: 'Summe:',
+    checkout: 'Zur Kasse ({count})',
+  },
+  guests: {
+    title: 'Weitere Gäste',
+    add: 'Gast hinzufügen',
+    guest: 'Gast {number}',
+    remove: 'Gast {number} entfernen',
+    name: 'Name des Gastes',
+    email: 'E-Mail des Gastes',
+    timezone: 'Zeitzone des Gastes (optional)',
+    sameTimezone: 'Wie meine',
+    limit: { one: 'Du kannst bis zu {count} Gast hinzufügen.', other: 'Du kannst bis zu {count} Gäste hinzufügen.' },
+    duplicateEmail: 'Diese E-Mail-Adresse ist bereits Teil der Buchung',
+    namePlaceholder: 'Erika Mustermann',
+    emailPlaceholder: 'erika@beispiel.de',
+    timezonePlaceholder: 'Europe/Berlin',
+  },
+  customForm: {
+    title: 'Zusätzliche Informationen',
+    answerPlaceholder: 'Deine Antwort...',
+    selectOption: 'Option auswählen...',
+  },
+  conflict: {
+    title: 'Zeit nicht verfügbar',
+    description: 'Diese Zeit wurde gerade von jemand anderem gebucht.',
+    suggestion: 'KI-Vorschlag',
+    found: { one: 'Wir haben {count} Alternative gefunden', other: 'Wir haben {count} Alternativen gefunden' },
+    autoSelect: 'Beste Zeit automatisch wählen',
+    autoSelectShort: 'Beste wählen',
+    loading: 'Die besten Alternativen werden gesucht...',
+    bestMatch: 'BESTE WAHL',
+    showExplanation: 'Erklärung anzeigen',
+    defaultExplanation: 'Verfügbare Zeit',
+    empty: 'Keine Alternativen gefunden',
+    emptyHint: 'Bitte wähle ein anderes Datum.',
+    footer: 'Vorschläge auf Basis von Buchungsanalysen',
+    confirm: 'Auswahl bestätigen',
+  },
+  payment: {
+    title: 'Zahlung abschließen',
+    organizer: 'Veranstalter',
+    cardInformation: 'Kartendaten',
+    pay: '{amount} bezahlen',
+    securedByStripe: 'Gesichert durch Stripe',
+    success: 'Zahlung erfolgreich!',
+    confirming: 'Deine Buchung wird bestätigt...',
+    loading: 'Zahlungsformular wird geladen...',
+    total: 'Summe',
+    refundPolicy: 'Erstattungsrichtlinie:',
+    refundPolicies: {
+      flexible: 'Volle Erstattung bis 24 Stunden vor dem Termin.',
+      moderate: 'Volle Erstattung bis 5 Tage vor dem Termin.',
+      strict: '50 % Erstattung bis 7 Tage vor dem Termin.',
+      none: 'Diese Buchung ist nicht erstattungsfähig.',
+      unknown: 'Wende dich für die Erstattungsrichtlinie an den Veranstalter.',
+    },
+    notCompleted: 'Die Zahlung wurde nicht abgeschlossen. Bitte versuche es erneut.',
+    unexpectedError: 'Ein unerwarteter Fehler ist aufgetreten. Bitte versuche es erneut.',
+    paypalInitFailed: 'Der PayPal-Bezahlvorgang konnte nicht gestartet werden. Bitte versuche es erneut.',
+    initFailed: 'Die Zahlung konnte nicht gestartet werden. Bitte versuche es erneut.',
+    setupFailed: 'Die Zahlung konnte nicht vorbereitet werden. Bitte versuche es erneut.',
+  },
+  form: {
+    title: 'Angaben bestätigen',
+    eventsToBook: 'Zu buchende Termine',
+    hostTime: 'Gastgeber: {time} ({timezone})',
+    utcTime: 'UTC: {time}',
+    holdNotice: 'Wir halten diese Zeit für dich frei für',
+    offline: {
+      title: 'Du bist offline',
+      description: 'Deine Buchung ist auf diesem Gerät gespeichert und wird gesendet, sobald du wieder online bist.',
+      discard: 'Wartende Buchung verwerfen',
+    },
+    showAlternatives: 'Alternative Zeiten anzeigen',
+    hideAlternatives: 'Alternative Zeiten ausblenden',
+    availableAlternatives: 'Verfügbare Alternativen:',
+    alternativeExplanation: 'Verfügbare alternative Zeit',
+    templates: {
+      title: 'Wie beim letzten Mal buchen',
+      description: 'Übernimm die Angaben deiner letzten Buchung und passe sie nach Belieben an.',
+      standardForm: 'Standardformular verwenden',
+      defaultSuffix: '(Standard)',
+      clearing: 'Wird gelöscht...',
+      forget: 'Einstellungen vergessen',
+      saveUpdates: 'Änderungen in meinen Buchungseinstellungen speichern',
+      setDefault: 'Beim nächsten Mal als Standard verwenden',
+      inUse: 'Diese Buchung verwendet deine gespeicherte Vorlage.',
+      updated: 'Vor der Bestätigung geändert.',
+      fallbackHint: 'Wähle eine empfohlene Ersatzvorlage oder fahre mit dem Standardformular fort.',
+      recommended: 'Empfohlene Vorlagen:',
+      recommendedFallback: 'Empfohlene Vorlage',
+      use: 'Vorlage verwenden',
+      clearNeedsContact: 'Gib zuerst eine E-Mail-Adresse oder Telefonnummer an, um gespeicherte Einstellungen zu löschen.',
+      clearUnavailable: 'Das Löschen von Einstellungen ist hier nicht verfügbar.',
+      clearFailed: 'Die gespeicherten Einstellungen konnten nicht gelöscht werden.',
+    },
+    name: 'Dein Name',
+    namePlaceholder: 'Max Mustermann',
+    email: 'E-Mail-Adresse',
+    emailPlaceholder: 'max@beispiel.de',
+    emailHelper: 'Die Bestätigung wird an diese E-Mail-Adresse gesendet',
+    phone: 'Telefonnummer (optional)',
+    phonePlaceholder: '+49 151 23456789',
+    partySize: 'Anzahl der Personen',
+    people: { one: '{count} Person', other: '{count} Personen' },
+    notes: 'Weitere Hinweise (optional)',
+    notesPlaceholder: 'Zusätzliche Informationen oder Fragen...',
+    paymentRequired: 'Zahlung erforderlich',
+    refundPolicies: {
+      flexible: 'Volle Erstattung bis 24 Stunden vorher.',
+      moderate: 'Volle Erstattung bis 5 Tage vorher.',
+      strict: '50 % Erstattung bis 7 Tage vorher.',
+    },
+    loadingPaymentMethods: 'Zahlungsarten werden geladen...',
+    choosePaymentMethod: 'Zahlungsart wählen',
+    cardStripe: 'Karte (Stripe)',
+    privacy: 'Deine Daten sind sicher und werden nur mit dem Gastgeber geteilt.',
+    waitingForConnection: 'Warte auf Verbindung...',
+    redirectingToPaypal: 'Weiterleitung zu PayPal...',
+    preparingPayment: 'Zahlung wird vorbereitet...',
+    booking: 'Wird gebucht...',
+    reviewBrief: 'Übersicht prüfen',
+    reviewBriefAndPay: 'Übersicht prüfen und {amount} bezahlen',
+    payWithPaypal: 'Mit PayPal {amount} bezahlen',
+    submit: 'Buchung bestätigen',
+  },
+  brief: {
+    title: 'Vor der Buchung',
+    region: 'Buchungsübersicht',
+    backToForm: 'Zurück zum Formular',
+    close: 'Übersicht schließen',
+    checklist: 'Checkliste zur Vorbereitung',
+    cancellationPolicy: 'Stornierungsbedingungen',
+    importantNotes: 'Wichtige Hinweise',
+    faq: 'Häufige Fragen',
+    recordingConsent: 'Einwilligung zur Aufzeichnung',
+    required: 'Erforderlich',
+    recordingDescription: 'Diese Sitzung kann zu Qualitäts- und Schulungszwecken aufgezeichnet werden. Mit dem Ankreuzen stimmst du der Aufzeichnung zu.',
+    acknowledgements: 'Bestätigungen',
+    storedSecurely: 'Deine Bestätigungen werden sicher mit deiner Buchung gespeichert.',
+    acceptRequired: 'Bitte akzeptiere: „{label}“',
+    recordingRequired: 'Für diesen Termin ist eine Einwilligung zur Aufzeichnung erforderlich.',
+    acknowledge: 'Akzeptieren und bestätigen',
+    acknowledgeAndPay: 'Akzeptieren und {amount} bezahlen',
+  },
+  success: {
+    title: 'Buchung bestätigt!',
+    rescheduledTitle: 'Buchung verschoben!',
+    emailSent: 'Eine Bestätigungs-E-Mail wurde gesendet',
+    rescheduledEmailSent: 'Eine aktualisierte Bestätigungs-E-Mail wurde gesendet',
+    source: 'Quelle: {source}',
+    templateUsed: 'Gebucht mit „Wie beim letzten Mal“',
+    previously: 'Vorher',
+    sessionsBooked: { one: '{count} Sitzung gebucht', other: '{count} Sitzungen gebucht' },
+    eventsBooked: { one: '{count} Termin gebucht', other: '{count} Termine gebucht' },
+    additionalGuests: 'Weitere Gäste',
+    videoConference: 'Videokonferenz',
+    meetingLinkAvailable: 'Meeting-Link verfügbar',
+    meetingInProgress: 'Meeting läuft',
+    joinMeeting: 'Meeting beitreten',
+    meetingEnded: 'Meeting beendet',
+    meetingAlreadyEnded: 'Dieses Meeting ist bereits beendet.',
+    copyMeetingLink: 'Meeting-Link kopieren',
+    creatingMeetingLink: 'Dein Meeting-Link wird erstellt...',
+    meetingLinkByEmail: 'Dein Meeting-Link wird dir in Kürze per E-Mail zugesendet.',
+    submittedDetails: 'Übermittelte Angaben',
+    notes: 'Hinweise',
+    formResponses: 'Formularantworten',
+    paymentConfirmed: 'Zahlung bestätigt',
+    paidVia: 'Bezahlt über {provider}',
+    amountPaid: 'Bezahlter Betrag',
+    keepConfirmation: 'Bewahre diese Bestätigung für deine Unterlagen auf.',
+    shareDetails: 'Details teilen',
+    shareViaEmail: 'Per E-Mail teilen',
+    copyDetails: 'Details kopieren',
+    share: {
+      subject: 'Termin geplant: {title}',
+      intro: 'Ein Termin wurde geplant:',
+      date: 'Datum: {value}',
+      time: 'Uhrzeit: {value}',
+      guest: 'Gast: {value}',
+      additionalGuests: 'Weitere Gäste: {value}',
+      sessions: 'Sitzungen: {value}',
+      events: 'Termine: {value}',
+      previously: 'Vorher: {value}',
+      amountPaid: 'Bezahlter Betrag: {value}',
+      meetingLink: 'Meeting-Link: {value}',
+    },
+  },
+  reschedule: {
+    title: 'Buchung verschieben',
+    currentTime: 'Aktuelle Zeit',
+    newTime: 'Neue Zeit',
+    reason: 'Grund für die Verschiebung (optional)',
+    reasonPlaceholder: 'Teile dem Gastgeber mit, warum sich die Zeit ändert...',
+    submit: 'Neue Zeit bestätigen',
+    submitting: 'Wird verschoben...',
+  },
+  cancel: {
+    title: 'Buchung stornieren',
+    verifyDescription: 'Gib die E-Mail-Adresse ein, mit der du gebucht hast, damit wir deine Buchung finden.',
+    emailPlaceholder: 'du@beispiel.de',
+    emailRequired: 'Gib die E-Mail-Adresse der Buchung ein.',
+    findBooking: 'Buchung finden',
+    loading: 'Deine Buchung wird geladen...',
+    notFound: 'Wir konnten keine Buchung mit diesen Angaben finden.',
+    loadFailed: 'Die Buchung konnte nicht geladen werden.',
+    tryAnotherEmail: 'Andere E-Mail-Adresse versuchen',
+    unavailable: 'Die Stornierung ist hier nicht verfügbar.',
+    paid: '{amount} bezahlt',
+    nonRefundable: 'Diese Buchung ist nicht erstattungsfähig.',
+    refundEligible: 'Du erhältst {amount} ({percent} %) gemäß der {policy} Erstattungsrichtlinie zurück.',
+    refundIneligible: 'Es erfolgt keine Erstattung. Die {policy} Erstattungsrichtlinie erfordert eine Frist von mindestens {notice}.',
+    policyNames: {
+      flexible: 'flexiblen',
+      moderate: 'moderaten',
+      strict: 'strengen',
+    },
+    noticeDays: { one: '{count} Tag', other: '{count} Tagen' },
+    noticeHours: { one: '{count} Stunde', other: '{count} Stunden' },
+    reason: 'Grund für die Stornierung (optional)',
+    reasonPlaceholder: 'Teile dem Gastgeber mit, warum du stornierst...',
+    keepBooking: 'Buchung behalten',
+    submitting: 'Wird storniert...',
+    cancelledTitle: 'Buchung storniert',
+    cancelledDescription: 'Der Gastgeber wurde benachrichtigt und eine Bestätigungs-E-Mail ist unterwegs.',
+    refundIssued: 'Eine Erstattung von {amount} geht an deine ursprüngliche Zahlungsmethode zurück.',
+  },
+  widget: {
+    schedulingFor: 'Termin buchen bei',
+    organization: 'Organisation',
+    changeHost: 'Gastgeber ändern',
+    changeEvent: 'Termin ändern',
+    degraded: 'Der Buchungsdienst hat gerade Probleme. Wir haben die Anfragen pausiert und versuchen es in Kürze erneut.',
+    loading: 'Buchungs-Widget wird geladen...',
+    chooseEvent: 'Termin auswählen',
+    chooseEventDescription: 'Wähle die Art von Termin, die du buchen möchtest.',
+    pickNewTime: 'Wähle eine neue Zeit für deine Buchung.',
+    pickTime: 'Wähle eine Zeit, die dir passt.',
+    host: 'Gastgeber',
+    bookTime: 'Termin buchen',
+  },
+};
@@ -0,0 +1,418 @@
+export const en = {
+  formats: {
+    time: 'h:mm A',
+    date: 'dddd, MMMM D, YYYY',
+    dateShort: 'ddd, MMM D',
+    dateTime: 'ddd, MMM D • h:mm A',
+    utc: 'ddd, MMM D, YYYY [at] HH:mm [UTC]',
+    monthDay: 'MMM D',
+    monthDayYear: 'MMM D, YYYY',
+    weekday: 'ddd',
+  },
+  common: {
+    back: 'Back',
+    cancel: 'Cancel',
+    close: 'Close',
+    done: 'Done',
+    free: 'Free',
+    goBack: 'Go back',
+    host: 'Host',
+    loading: 'Loading...',
+    meeting: 'Meeting',
+    minutes: '{count} min',
+    organization: 'Organization',
+    poweredBy: 'Powered by Calemly',
+    tryAgain: 'Try again',
+  },
+  errors: {
+    offline: 'You appear to be offline. Reconnect to the internet and try booking again.',
+    rateLimitedWait: 'Too many booking attempts. Please wait about {count} seconds and try again.',
+    rateLimited: 'Too many booking attempts. Please wait a moment and try again.',
+    slotConflict: 'That slot was booked moments ago. Please choose another available time.',
+    slotLocked: 'That slot is currently being reserved. Try again in a few seconds.',
+    templateInvalid: 'Your saved template is no longer valid for this event.',
+    noSavedTemplate: 'Saved preferences were not found. Continue with the standard booking form.',
+    bookingFailed: 'Failed to create booking. Please try again.',
+    slotsLoadFailed: 'Failed to load available slots.',
+    slotRequired: 'Select an event time before submitting the booking form.',
+    seriesConflict: 'Pick another time for the unavailable sessions before booking the series.',
+    seriesConflictContinue: 'Pick another time for the unavailable sessions before continuing.',
+    cartEmpty: 'Add at least one event time before checking out.',
+    cartSlotRequired: 'Select an event time before adding it to the cart.',
+    cartOverlap: 'This time overlaps with {name}. Pick another time.',
+    cartCurrencyMismatch: 'This event is priced in a different currency than {name} ({currency}). Book it separately.',
+    rescheduleSlotRequired: 'Select a new time before rescheduling the booking.',
+    noSlotsFound: 'No available slots were found right now.',
+    autoFindFailed: 'Failed to find the next best slot.',
+    cancelFailed: 'Failed to cancel the booking. Please try again.',
+    paypalContextInvalid: 'Saved PayPal booking context is invalid. Please book again.',
+    paypalCaptureFailed: 'PayPal payment capture failed.',
+    paymentCancelled: 'Payment was cancelled. No charges were made.',
+    sessionExpired: 'Booking session expired. Please try booking again.',
+    paymentReturnMissing: 'Missing payment return details. Please try booking again.',
+    holdExpired: 'Your reserved time expired. Select it again to continue booking.',
+    slotHeld: 'Someone else is booking this time right now. Please choose another time.',
+    slotTaken: 'That time was just booked by someone else. Please choose another time.',
+    rescheduleLoadFailed: 'Unable to load the booking to reschedule.',
+    eventLoadFailed: 'Unable to load the requested event.',
+    loadFailed: 'Failed to load scheduler data.',
+    eventSlugMissing: 'Selected event type is missing a slug, so details cannot be loaded.',
+    eventDetailsFailed: 'Failed to load event details',
+    bookingCancelled: 'Booking cancelled before submit.',
+    cancelDetailsRequired: 'Pass a booking id with a guest token or email to cancel a booking.',
+    rescheduleDetailsRequired: 'Pass a guest token or email to reschedule a booking.',
+    setupInvalid: 'Missing scheduler setup. Pass an embed key or an event slug.',
+    serviceUnavailable: 'Booking service is temporarily unavailable. Please try again in a moment.',
+    tooManyRequests: 'Too many requests. Please try again in a moment.',
+    requestCancelled: 'Request was cancelled.',
+    requestTimeout: 'The request took too long. Check your connection and try again.',
+    networkError: 'Network request failed. Check your connection and try again.',
+    requestOffline: 'You appear to be offline. Check your internet connection and try again.',
+    requestFailed: 'Request failed. Please try again.',
+  },
+  validation: {
+    required: 'This field is required',
+    email: 'Please enter a valid email address',
+    emailInvalid: 'Please enter a valid email address',
+    url: 'Please enter a valid URL',
+    phone: 'Please enter a valid phone number',
+    nameRequired: 'Please enter a name',
+    nameMissing: 'Please enter your name',
+  },
+  eventList: {
+    empty: 'No event types available.',
+    search: 'Search events',
+    duration: 'Duration',
+    price: 'Price',
+    paid: 'Paid',
+    location: 'Location',
+    category: 'Category',
+    noMatches: 'No events match your search.',
+    clearFilters: 'Clear filters',
+    pinned: 'Pinned',
+    inCart: 'In cart',
+    locations: {
+      video: 'Video call',
+      phone: 'Phone call',
+      in_person: 'In person',
+    },
+  },
+  hostPicker: {
+    title: 'Choose a host',
+    subtitle: 'Pick who you\'d like to meet, or let us match you with whoever is free.',
+    anyHost: 'Any available host',
+    anyHostDescription: 'See every open time across the team.',
+  },
+  slotPicker: {
+    title: 'Select a Time',
+    meetingLength: '{count} minute meeting',
+    autoFind: 'Auto-find',
+    reuseDetails: 'Reuse your previous booking details',
+    selectTimeFirst: 'Select a time first',
+    sameAsLastTime: 'Same as last time',
+    calendarView: 'Calendar view',
+    listView: 'List view',
+    yourTime: 'Your time',
+    calendarTime: 'Calendar time',
+    timezone: 'Time zone',
+    searchTimezones: 'Search time zones',
+    noTimezones: 'No matching time zones',
+    clockFormat: 'Clock format',
+    clock12: '12h',
+    clock24: '24h',
+    weekStart: 'Week starts on',
+    currentlyBooked: 'Currently booked for',
+    loading: 'Loading available times...',
+    previousWeek: 'Previous week',
+    loadingMore: 'Loading more times',
+    today: 'Today',
+    nextWeek: 'Next week',
+    currentBooking: 'Your current booking',
+    heldByOther: 'Someone else is booking this time',
+    holdExpired: 'Your hold on this time expired',
+    availableWith: 'Available with {names}',
+    noSlotsForDate: 'No available slots for this date',
+    selectDate: 'Select a date to see available times',
+    availableSlots: 'Available time slots',
+    dateGrid: 'Dates for {range}',
+    dayAvailable: { one: '{date}, {count} time available', other: '{date}, {count} times available' },
+    dayUnavailable: '{date}, no available times',
+    slotsOnDate: { one: '{count} time available on {date}', other: '{count} times available on {date}' },
+    noSlotsOnDate: 'No available times on {date}',
+    timesOnDate: 'Available times on {date}',
+    minutesLong: { one: '{count} minute', other: '{count} minutes' },
+    noSlots: 'No available slots found',
+    addToCart: 'Add to cart',
+    confirm: 'Confirm',
+  },
+  series: {
+    repeat: 'Repeat',
+    doesNotRepeat: 'Does not repeat',
+    frequencies: {
+      weekly: 'Weekly',
+      biweekly: 'Every 2 weeks',
+    },
+    summaries: {
+      weekly: 'Repeats weekly • {count} sessions',
+      biweekly: 'Repeats every 2 weeks • {count} sessions',
+    },
+    sessions: 'Sessions',
+    sessionsLabel: 'Series sessions',
+    unavailable: 'Unavailable',
+    notBooked: 'Not booked',
+    noAlternatives: 'No alternatives found for this week.',
+  },
+  seats: {
+    leftShort: '{count} left',
+    leftOfCapacity: '{count} of {capacity} seats left',
+    left: { one: '{count} seat left', other: '{count} seats left' },
+    onlyLeft: 'Only {count} seats are left at this time',
+  },
+  cart: {
+    title: 'Your selections',
+    selectedEvents: 'Selected events',
+    remove: 'Remove {name}',
+    total: 'Total:',
+    checkout: 'Checkout ({count})',
+  },
+  guests: {
+    title: 'Additional guests',
+    add: 'Add guest',
+    guest: 'Guest {number}',
+    remove: 'Remove guest {number}',
+    name: 'Guest name',
+    email: 'Guest email',
+    timezone: 'Guest timezone (optional)',
+    sameTimezone: 'Same as mine',
+    limit: { one: 'You can add up to {count} guest.', other: 'You can add up to {count} guests.' },
+    duplicateEmail: 'This email is already on the booking',
+    namePlaceholder: 'Jane Doe',
+    emailPlaceholder: 'jane@example.com',
+    timezonePlaceholder: 'Europe/London',
+  },
+  customForm: {
+    title: 'Additional Information',
+    answerPlaceholder: 'Enter your answer...',
+    selectOption: 'Select an option...',
+  },
+  conflict: {
+    title: 'Time Slot Unavailable',
+    description: 'This slot was just booked by someone else.',
+    suggestion: 'AI Suggestion',
+    found: { one: 'We found {count} alternative', other: 'We found {count} alternatives' },
+    autoSelect: 'Auto-select Best Time',
+    autoSelectShort: 'Auto-select Best',
+    loading: 'Finding best alternatives...',
+    bestMatch: 'BEST MATCH',
+    showExplanation: 'Show explanation',
+    defaultExplanation: 'Available time slot',
+    empty: 'No alternatives found',
+    emptyHint: 'Please try selecting a different date.',
+    footer: 'Suggestions powered by booking analytics',
+    confirm: 'Confirm Selection',
+  },
+  payment: {
+    title: 'Complete Payment',
+    organizer: 'Organizer',
+    cardInformation: 'Card Information',
+    pay: 'Pay {amount}',
+    securedByStripe: 'Secured by Stripe',
+    success: 'Payment Successful!',
+    confirming: 'Your booking is being confirmed...',
+    loading: 'Loading payment form...',
+    total: 'Total',
+    refundPolicy: 'Refund Policy:',
+    refundPolicies: {
+      flexible: 'Full refund available up to 24 hours before the event.',
+      moderate: 'Full refund available up to 5 days before the event.',
+      strict: '50% refund available up to 7 days before the event.',
+      none: 'This booking is non-refundable.',
+      unknown: 'Contact organizer for refund policy.',
+    },
+    notCompleted: 'Payment was not completed. Please try again.',
+    unexpectedError: 'An unexpected error occurred. Please try again.',
+    paypalInitFailed: 'Unable to initialize PayPal checkout. Please try again.',
+    initFailed: 'Unable to initialize payment. Please try again.',
+    setupFailed: 'Failed to initialize payment. Please try again.',
+  },
+  form: {
+    title: 'Confirm Your Details',
+    eventsToBook: 'Events to book',
+    hostTime: 'Host: {time} ({timezone})',
+    utcTime: 'UTC: {time}',
+    holdNotice: 'We\'re holding this time for you for',
+    offline: {
+      title: 'You\'re offline',
+      description: 'Your booking is saved on this device and will submit when you\'re back online.',
+      discard: 'Cancel queued booking',
+    },
+    showAlternatives: 'Show alternative times',
+    hideAlternatives: 'Hide alternative times',
+    availableAlternatives: 'Available alternatives:',
+    alternativeExplanation: 'Available alternative slot',
+    templates: {
+      title: 'Book same as last time',
+      description: 'Reuse your previous booking details, then edit anything you want.',
+      standardForm: 'Use standard form',
+      defaultSuffix: '(Default)',
+      clearing: 'Clearing...',
+      forget: 'Forget preferences',
+      saveUpdates: 'Save updates to my booking preferences',
+      setDefault: 'Set as default for next time',
+      inUse: 'This booking uses your saved template.',
+      updated: 'Updated before confirm.',
+      fallbackHint: 'Pick a recommended fallback template or continue with the standard form.',
+      recommended: 'Recommended templates:',
+      recommendedFallback: 'Recommended template',
+      use: 'Use template',
+      clearNeedsContact: 'Add an email or phone first to clear saved preferences.',
+      clearUnavailable: 'Preference clearing is unavailable in this context.',
+      clearFailed: 'Failed to clear saved preferences.',
+    },
+    name: 'Your Name',
+    namePlaceholder: 'John Smith',
+    email: 'Email Address',
+    emailPlaceholder: 'john@example.com',
+    emailHelper: 'Confirmation will be sent to this email',
+    phone: 'Phone Number (optional)',
+    phonePlaceholder: '+1 (555) 123-4567',
+    partySize: 'Party size',
+    people: { one: '{count} person', other: '{count} people' },
+    notes: 'Additional Notes (optional)',
+    notesPlaceholder: 'Any additional information or questions...',
+    paymentRequired: 'Payment Required',
+    refundPolicies: {
+      flexible: 'Full refund available up to 24 hours before.',
+      moderate: 'Full refund available up to 5 days before.',
+      strict: '50% refund available up to 7 days before.',
+    },
+    loadingPaymentMethods: 'Loading payment methods...',
+    choosePaymentMethod: 'Choose payment method',
+    cardStripe: 'Card (Stripe)',
+    privacy: 'Your information is secure and is only shared with the meeting host.',
+    waitingForConnection: 'Waiting for connection...',
+    redirectingToPaypal: 'Redirecting to PayPal...',
+    preparingPayment: 'Preparing Payment...',
+    booking: 'Booking...',
+    reviewBrief: 'Review Brief',
+    reviewBriefAndPay: 'Review Brief & Pay {amount}',
+    payWithPaypal: 'Pay with PayPal {amount}',
+    submit: 'Confirm Booking',
+  },
+  brief: {
+    title: 'Before You Book',
+    region: 'Booking brief',
+    backToForm: 'Go back to form',
+    close: 'Close brief',
+    checklist: 'Preparation Checklist',
+    cancellationPolicy: 'Cancellation Policy',
+    importantNotes: 'Important Notes',
+    faq: 'Frequently Asked Questions',
+    recordingConsent: 'Recording Consent',
+    required: 'Required',
+    recordingDescription: 'This session may be recorded for quality and training purposes. By checking this box, you consent to the recording.',
+    acknowledgements: 'Acknowledgements',
+    storedSecurely: 'Your acknowledgements are stored securely with your booking.',
+    acceptRequired: 'Please accept: "{label}"',
+    recordingRequired: 'Recording consent is required for this meeting.',
+    acknowledge: 'Acknowledge & Confirm',
+    acknowledgeAndPay: 'Acknowledge & Pay {amount}',
+  },
+  success: {
+    title: 'Booking Confirmed!',
+    rescheduledTitle: 'Booking Rescheduled!',
+    emailSent: 'A confirmation email has been sent',
+    rescheduledEmailSent: 'An updated confirmation email has been sent',
+    source: 'Source: {source}',
+    templateUsed: 'Booked using Same as last time',
+    previously: 'Previously',
+    sessionsBooked: { one: '{count} session booked', other: '{count} sessions booked' },
+    eventsBooked: { one: '{count} event booked', other: '{count} events booked' },
+    additionalGuests: 'Additional guests',
+    videoConference: 'Video Conference',
+    meetingLinkAvailable: 'Meeting link available',
+    meetingInProgress: 'Meeting in progress',
+    joinMeeting: 'Join Meeting',
+    meetingEnded: 'Meeting Ended',
+    meetingAlreadyEnded: 'This meeting has already ended.',
+    copyMeetingLink: 'Copy meeting link',
+    creatingMeetingLink: 'Creating your meeting link...',
+    meetingLinkByEmail: 'Your meeting link will be sent via email shortly.',
+    submittedDetails: 'Submitted details',
+    notes: 'Notes',
+    formResponses: 'Form responses',
+    paymentConfirmed: 'Payment Confirmed',
+    paidVia: 'Paid via {provider}',
+    amountPaid: 'Amount Paid',
+    keepConfirmation: 'Keep this confirmation for your records.',
+    shareDetails: 'Share Details',
+    shareViaEmail: 'Share via Email',
+    copyDetails: 'Copy Details',
+    share: {
+      subject: 'Meeting Scheduled: {title}',
+      intro: 'A meeting has been scheduled:',
+      date: 'Date: {value}',
+      time: 'Time: {value}',
+      guest: 'Guest: {value}',
+      additionalGuests: 'Additional guests: {value}',
+      sessions: 'Sessions: {value}',
+      events: 'Events: {value}',
+      previously: 'Previously: {value}',
+      amountPaid: 'Amount Paid: {value}',
+      meetingLink: 'Meeting Link: {value}',
+    },
+  },
+  reschedule: {
+    title: 'Reschedule Booking',
+    currentTime: 'Current time',
+    newTime: 'New time',
+    reason: 'Reason for rescheduling (optional)',
+    reasonPlaceholder: 'Let the host know why the time is changing...',
+    submit: 'Confirm New Time',
+    submitting: 'Rescheduling...',
+  },
+  cancel: {
+    title: 'Cancel Booking',
+    verifyDescription: 'Enter the email address you used to book so we can find your booking.',
+    emailPlaceholder: 'you@example.com',
+    emailRequired: 'Enter the email address used for the booking.',
+    findBooking: 'Find booking',
+    loading: 'Loading your booking...',
+    notFound: 'We couldn\'t find a booking with those details.',
+    loadFailed: 'Failed to load the booking.',
+    tryAnotherEmail: 'Try another email',
+    unavailable: 'Cancellation is unavailable in this context.',
+    paid: 'Paid {amount}',
+    nonRefundable: 'This booking is non-refundable.',
+    refundEligible: 'You\'ll be refunded {amount} ({percent}%) under the {policy} refund policy.',
+    refundIneligible: 'No refund applies. The {policy} refund policy requires at least {notice} notice.',
+    policyNames: {
+      flexible: 'flexible',
+      moderate: 'moderate',
+      strict: 'strict',
+    },
+    noticeDays: { one: '{count} day', other: '{count} days' },
+    noticeHours: { one: '{count} hour', other: '{count} hours' },
+    reason: 'Reason for cancelling (optional)',
+    reasonPlaceholder: 'Let the host know why you\'re cancelling...',
+    keepBooking: 'Keep booking',
+    submitting: 'Cancelling...',
+    cancelledTitle: 'Booking cancelled',
+    cancelledDescription: 'The host has been notified and a confirmation email is on its way.',
+    refundIssued: 'A refund of {amount} will be returned to your original payment method.',
+  },
+  widget: {
+    schedulingFor: 'Scheduling for',
+    organization: 'Organization',
+    changeHost: 'Change host',
+    changeEvent: 'Change event',
+    degraded: 'Booking service is having trouble right now. We paused requests and will retry shortly.',
+    loading: 'Loading booking widget...',
+    chooseEvent: 'Choose an event',
+    chooseEventDescription: 'Pick the meeting type you want to book.',
+    pickNewTime: 'Pick a new time for your booking.',
+    pickTime: 'Pick a time that works for you.',
+    host: 'Host',
+    bookTime: 'Book time',
+  },
+};
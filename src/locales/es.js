@@ -0,0 +1,418 @@
+export const es = {
+  formats: {
+    time: 'H:mm',
+    date: 'dddd, D [de] MMMM [de] YYYY',
+    dateShort: 'ddd, D MMM',
+    dateTime: 'ddd, D MMM • H:mm',
+    utc: 'ddd, D MMM YYYY, HH:mm [UTC]',
+    monthDay: 'D MMM',
+    monthDayYear: 'D MMM YYYY',
+    weekday: 'ddd',
+  },
+  common: {
+    back: 'Atrás',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    done: 'Listo',
+    free: 'Gratis',
+    goBack: 'Volver',
+    host: 'Anfitrión',
+    loading: 'Cargando...',
+    meeting: 'Reunión',
+    minutes: '{count} min',
+    organization: 'Organización',
+    poweredBy: 'Con la tecnología de Calemly',
+    tryAgain: 'Reintentar',
+  },
+  errors: {
+    offline: 'Parece que no tienes conexión. Vuelve a conectarte a internet e intenta reservar de nuevo.',
+    rateLimitedWait: 'Demasiados intentos de reserva. Espera unos {count} segundos e inténtalo de nuevo.',
+    rateLimited: 'Demasiados intentos de reserva. Espera un momento e inténtalo de nuevo.',
+    slotConflict: 'Ese horario se acaba de reservar. Elige otro horario disponible.',
+    slotLocked: 'Ese horario se está reservando ahora mismo. Inténtalo de nuevo en unos segundos.',
+    templateInvalid: 'Tu plantilla guardada ya no es válida para este evento.',
+    noSavedTemplate: 'No se encontraron preferencias guardadas. Continúa con el formulario estándar.',
+    bookingFailed: 'No se pudo crear la reserva. Inténtalo de nuevo.',
+    slotsLoadFailed: 'No se pudieron cargar los horarios disponibles.',
+    slotRequired: 'Selecciona un horario antes de enviar el formulario de reserva.',
+    seriesConflict: 'Elige otro horario para las sesiones no disponibles antes de reservar la serie.',
+    seriesConflictContinue: 'Elige otro horario para las sesiones no disponibles antes de continuar.',
+    cartEmpty: 'Añade al menos un horario antes de pagar.',
+    cartSlotRequired: 'Selecciona un horario antes de añadirlo al carrito.',
+    cartOverlap: 'Este horario se solapa con {name}. Elige otro horario.',
+    cartCurrencyMismatch: 'Este evento tiene un precio en otra moneda que {name} ({currency}). Resérvalo por separado.',
+    rescheduleSlotRequired: 'Selecciona un nuevo horario antes de reprogramar la reserva.',
+    noSlotsFound: 'No hay horarios disponibles en este momento.',
+    autoFindFailed: 'No se pudo encontrar el mejor horario siguiente.',
+    cancelFailed: 'No se pudo cancelar la reserva. Inténtalo de nuevo.',
+    paypalContextInvalid: 'Los datos guardados de la reserva con PayPal no son válidos. Vuelve a reservar.',
+    paypalCaptureFailed: 'No se pudo completar el cobro con PayPal.',
+    paymentCancelled: 'El pago se canceló. No se ha realizado ningún cargo.',
+    sessionExpired: 'La sesión de reserva ha caducado. Intenta reservar de nuevo.',
+    paymentReturnMissing: 'Faltan los datos de retorno del pago. Intenta reservar de nuevo.',
+    holdExpired: 'Tu horario reservado ha caducado. Selecciónalo de nuevo para continuar.',
+    slotHeld: 'Otra persona está reservando este horario ahora mismo. Elige otro horario.',
+    slotTaken: 'Otra persona acaba de reservar ese horario. Elige otro horario.',
+    rescheduleLoadFailed: 'No se pudo cargar la reserva que quieres reprogramar.',
+    eventLoadFailed: 'No se pudo cargar el evento solicitado.',
+    loadFailed: 'No se pudieron cargar los datos del calendario.',
+    eventSlugMissing: 'Al tipo de evento seleccionado le falta el slug, así que no se pueden cargar sus detalles.',
+    eventDetailsFailed: 'No se pudieron cargar los detalles del evento',
+    bookingCancelled: 'La reserva se canceló antes de enviarse.',
+    cancelDetailsRequired: 'Indica un ID de reserva junto con un token o correo del invitado para cancelar una reserva.',
+    rescheduleDetailsRequired: 'Indica un token o correo del invitado para reprogramar una reserva.',
+    setupInvalid: 'Falta la configuración del programador. Indica una clave de inserción o un slug de evento.',
+    serviceUnavailable: 'El servicio de reservas no está disponible temporalmente. Inténtalo de nuevo en un momento.',
+    tooManyRequests: 'Demasiadas solicitudes. Inténtalo de nuevo en un momento.',
+    requestCancelled: 'La solicitud se canceló.',
+    requestTimeout: 'La solicitud tardó demasiado. Revisa tu conexión e inténtalo de nuevo.',
+    networkError: 'La solicitud de red falló. Revisa tu conexión e inténtalo de nuevo.',
+    requestOffline: 'Parece que no tienes conexión. Revisa tu conexión a Internet e inténtalo de nuevo.',
+    requestFailed: 'La solicitud falló. Inténtalo de nuevo.',
+  },
+  validation: {
+    required: 'Este campo es obligatorio',
+    email: 'Introduce un correo electrónico válido',
+    emailInvalid: 'Introduce un correo electrónico válido',
+    url: 'Introduce una URL válida',
+    phone: 'Introduce un número de teléfono válido',
+    nameRequired: 'Introduce un nombre',
+    nameMissing: 'Introduce tu nombre',
+  },
+  eventList: {
+    empty: 'No hay tipos de evento disponibles.',
+    search: 'Buscar eventos',
+    duration: 'Duración',
+    price: 'Precio',
+    paid: 'De pago',
+    location: 'Ubicación',
+    category: 'Categoría',
+    noMatches: 'Ningún evento coincide con tu búsqueda.',
+    clearFilters: 'Quitar filtros',
+    pinned: 'Fijado',
+    inCart: 'En el carrito',
+    locations: {
+      video: 'Videollamada',
+      phone: 'Llamada telefónica',
+      in_person: 'En persona',
+    },
+  },
+  hostPicker: {
+    title: 'Elige un anfitrión',
+    subtitle: 'Elige con quién quieres reunirte o deja que te asignemos a quien esté libre.',
+    anyHost: 'Cualquier anfitrión disponible',
+    anyHostDescription: 'Consulta todos los horarios libres del equipo.',
+  },
+  slotPicker: {
+    title: 'Selecciona un horario',
+    meetingLength: 'Reunión de {count} minutos',
+    autoFind: 'Buscar automáticamente',
+    reuseDetails: 'Reutiliza los datos de tu reserva anterior',
+    selectTimeFirst: 'Selecciona primero un horario',
+    sameAsLastTime: 'Igual que la última vez',
+    calendarView: 'Vista de calendario',
+    listView: 'Vista de lista',
+    yourTime: 'Tu hora',
+    calendarTime: 'Hora del calendario',
+    timezone: 'Zona horaria',
+    searchTimezones: 'Buscar zonas horarias',
+    noTimezones: 'No hay zonas horarias que coincidan',
+    clockFormat: 'Formato de hora',
+    clock12: '12 h',
+    clock24: '24 h',
+    weekStart: 'La semana empieza el',
+    currentlyBooked: 'Reservado actualmente para',
+    loading: 'Cargando horarios disponibles...',
+    previousWeek: 'Semana anterior',
+    loadingMore: 'Cargando más horarios',
+    today: 'Hoy',
+    nextWeek: 'Semana siguiente',
+    currentBooking: 'Tu reserva actual',
+    heldByOther: 'Otra persona está reservando este horario',
+    holdExpired: 'Tu reserva temporal de este horario ha caducado',
+    availableWith: 'Disponible con {names}',
+    noSlotsForDate: 'No hay horarios disponibles para esta fecha',
+    selectDate: 'Selecciona una fecha para ver los horarios disponibles',
+    availableSlots: 'Horarios disponibles',
+    dateGrid: 'Fechas del {range}',
+    dayAvailable: { one: '{date}, {count} horario disponible', other: '{date}, {count} horarios disponibles' },
+    dayUnavailable: '{date}, sin horarios disponibles',
+    slotsOnDate: { one: '{count} horario disponible el {date}', other: '{count} horarios disponibles el {date}' },
+    noSlotsOnDate: 'No hay horarios disponibles el {date}',
+    timesOnDate: 'Horarios disponibles el {date}',
+    minutesLong: { one: '{count} minuto', other: '{count} minutos' },
+    noSlots: 'No se encontraron horarios disponibles',
+    addToCart: 'Añadir al carrito',
+    confirm: 'Confirmar',
+  },
+  series: {
+    repeat: 'Repetir',
+    doesNotRepeat: 'No se repite',
+    frequencies: {
+      weekly: 'Semanal',
+      biweekly: 'Cada 2 semanas',
+    },
+    summaries: {
+      weekly: 'Se repite cada semana • {count} sesiones',
+      biweekly: 'Se repite cada 2 semanas • {count} sesiones',
+    },
+    sessions: 'Sesiones',
+    sessionsLabel: 'Sesiones de la serie',
+    unavailable: 'No disponible',
+    notBooked: 'Sin reservar',
+    noAlternatives: 'No se encontraron alternativas para esta semana.',
+  },
+  seats: {
+    leftShort: 'Quedan {count}',
+    leftOfCapacity: 'Quedan {count} de {capacity} plazas',
+    left: { one: 'Queda {count} plaza', other: 'Quedan {count} plazas' },
+    onlyLeft: 'Solo quedan {count} plazas en este horario',
+  },
+  cart: {
+    title: 'Tu selección',
+    selectedEvents: 'Eventos seleccionados',
+    remove: 'Quitar {name}',
+    total: 'Total:',
+    checkout: 'Pagar ({count})',
+  },
+  guests: {
+    title: 'Invitados adicionales',
+    add: 'Añadir invitado',
+    guest: 'Invitado {number}',
+    remove: 'Quitar invitado {number}',
+    name: 'Nombre del invitado',
+    email: 'Correo del invitado',
+    timezone: 'Zona horaria del invitado (opcional)',
+    sameTimezone: 'La misma que la mía',
+    limit: { one: 'Puedes añadir hasta {count} invitado.', other: 'Puedes añadir hasta {count} invitados.' },
+    duplicateEmail: 'Este correo ya está en la reserva',
+    namePlaceholder: 'Ana García',
+    emailPlaceholder: 'ana@ejemplo.com',
+    timezonePlaceholder: 'Europe/Madrid',
+  },
+  customForm: {
+    title: 'Información adicional',
+    answerPlaceholder: 'Escribe tu respuesta...',
+    selectOption: 'Selecciona una opción...',
+  },
+  conflict: {
+    title: 'Horario no disponible',
+    description: 'Otra persona acaba de reservar este horario.',
+    suggestion: 'Sugerencia de IA',
+    found: { one: 'Hemos encontrado {count} alternativa', other: 'Hemos encontrado {count} alternativas' },
+    autoSelect: 'Elegir el mejor horario',
+    autoSelectShort: 'Elegir el mejor',
+    loading: 'Buscando las mejores alternativas...',
+    bestMatch: 'MEJOR OPCIÓN',
+    showExplanation: 'Mostrar explicación',
+    defaultExplanation: 'Horario disponible',
+    empty: 'No se encontraron alternativas',
+    emptyHint: 'Prueba a seleccionar otra fecha.',
+    footer: 'Sugerencias basadas en el análisis de reservas',
+    confirm: 'Confirmar selección',
+  },
+  payment: {
+    title: 'Completar pago',
+    organizer: 'Organizador',
+    cardInformation: 'Datos de la tarjeta',
+    pay: 'Pagar {amount}',
+    securedByStripe: 'Protegido por Stripe',
+    success: '¡Pago realizado!',
+    confirming: 'Estamos confirmando tu reserva...',
+    loading: 'Cargando formulario de pago...',
+    total: 'Total',
+    refundPolicy: 'Política de reembolso:',
+    refundPolicies: {
+      flexible: 'Reembolso completo hasta 24 horas antes del evento.',
+      moderate: 'Reembolso completo hasta 5 días antes del evento.',
+      strict: 'Reembolso del 50 % hasta 7 días antes del evento.',
+      none: 'Esta reserva no es reembolsable.',
+      unknown: 'Consulta la política de reembolso con el organizador.',
+    },
+    notCompleted: 'El pago no se completó. Inténtalo de nuevo.',
+    unexpectedError: 'Se ha producido un error inesperado. Inténtalo de nuevo.',
+    paypalInitFailed: 'No se pudo iniciar el pago con PayPal. Inténtalo de nuevo.',
+    initFailed: 'No se pudo iniciar el pago. Inténtalo de nuevo.',
+    setupFailed: 'No se pudo preparar el pago. Inténtalo de nuevo.',
+  },
+  form: {
+    title: 'Confirma tus datos',
+    eventsToBook: 'Eventos para reservar',
+    hostTime: 'Anfitrión: {time} ({timezone})',
+    utcTime: 'UTC: {time}',
+    holdNotice: 'Te guardamos este horario durante',
+    offline: {
+      title: 'No tienes conexión',
+      description: 'Tu reserva se ha guardado en este dispositivo y se enviará cuando vuelvas a tener conexión.',
+      discard: 'Cancelar reserva pendiente',
+    },
+    showAlternatives: 'Mostrar horarios alternativos',
+    hideAlternatives: 'Ocultar horarios alternativos',
+    availableAlternatives: 'Alternativas disponibles:',
+    alternativeExplanation: 'Horario alternativo disponible',
+    templates: {
+      title: 'Reservar igual que la última vez',
+      description: 'Reutiliza los datos de tu reserva anterior y modifica lo que quieras.',
+      standardForm: 'Usar formulario estándar',
+      defaultSuffix: '(Predeterminada)',
+      clearing: 'Borrando...',
+      forget: 'Olvidar preferencias',
+      saveUpdates: 'Guardar los cambios en mis preferencias de reserva',
+      setDefault: 'Usar como predeterminada la próxima vez',
+      inUse: 'Esta reserva usa tu plantilla guardada.',
+      updated: 'Modificada antes de confirmar.',
+      fallbackHint: 'Elige una plantilla alternativa recomendada o continúa con el formulario estándar.',
+      recommended: 'Plantillas recomendadas:',
+      recommendedFallback: 'Plantilla recomendada',
+      use: 'Usar plantilla',
+      clearNeedsContact: 'Añade primero un correo o teléfono para borrar las preferencias guardadas.',
+      clearUnavailable: 'No se pueden borrar las preferencias en este contexto.',
+      clearFailed: 'No se pudieron borrar las preferencias guardadas.',
+    },
+    name: 'Tu nombre',
+    namePlaceholder: 'Juan Pérez',
+    email: 'Correo electrónico',
+    emailPlaceholder: 'juan@ejemplo.com',
+    emailHelper: 'Enviaremos la confirmación a este correo',
+    phone: 'Teléfono (opcional)',
+    phonePlaceholder: '+34 600 123 456',
+    partySize: 'Número de personas',
+    people: { one: '{count} persona', other: '{count} personas' },
+    notes: 'Notas adicionales (opcional)',
+    notesPlaceholder: 'Cualquier información adicional o pregunta...',
+    paymentRequired: 'Pago obligatorio',
+    refundPolicies: {
+      flexible: 'Reembolso completo hasta 24 horas antes.',
+      moderate: 'Reembolso completo hasta 5 días antes.',
+      strict: 'Reembolso del 50 % hasta 7 días antes.',
+    },
+    loadingPaymentMethods: 'Cargando métodos de pago...',
+    choosePaymentMethod: 'Elige un método de pago',
+    cardStripe: 'Tarjeta (Stripe)',
+    privacy: 'Tus datos están protegidos y solo se comparten con el anfitrión de la reunión.',
+    waitingForConnection: 'Esperando conexión...',
+    redirectingToPaypal: 'Redirigiendo a PayPal...',
+    preparingPayment: 'Preparando el pago...',
+    booking: 'Reservando...',
+    reviewBrief: 'Revisar resumen',
+    reviewBriefAndPay: 'Revisar resumen y pagar {amount}',
+    payWithPaypal: 'Pagar con PayPal {amount}',
+    submit: 'Confirmar reserva',
+  },
+  brief: {
+    title: 'Antes de reservar',
+    region: 'Resumen de la reserva',
+    backToForm: 'Volver al formulario',
+    close: 'Cerrar resumen',
+    checklist: 'Lista de preparación',
+    cancellationPolicy: 'Política de cancelación',
+    importantNotes: 'Notas importantes',
+    faq: 'Preguntas frecuentes',
+    recordingConsent: 'Consentimiento de grabación',
+    required: 'Obligatorio',
+    recordingDescription: 'Esta sesión puede grabarse con fines de calidad y formación. Al marcar esta casilla, aceptas la grabación.',
+    acknowledgements: 'Confirmaciones',
+    storedSecurely: 'Tus confirmaciones se guardan de forma segura con tu reserva.',
+    acceptRequired: 'Acepta: "{label}"',
+    recordingRequired: 'Esta reunión requiere consentimiento de grabación.',
+    acknowledge: 'Aceptar y confirmar',
+    acknowledgeAndPay: 'Aceptar y pagar {amount}',
+  },
+  success: {
+    title: '¡Reserva confirmada!',
+    rescheduledTitle: '¡Reserva reprogramada!',
+    emailSent: 'Te hemos enviado un correo de confirmación',
+    rescheduledEmailSent: 'Te hemos enviado un correo de confirmación actualizado',
+    source: 'Origen: {source}',
+    templateUsed: 'Reservado con «Igual que la última vez»',
+    previously: 'Antes',
+    sessionsBooked: { one: '{count} sesión reservada', other: '{count} sesiones reservadas' },
+    eventsBooked: { one: '{count} evento reservado', other: '{count} eventos reservados' },
+    additionalGuests: 'Invitados adicionales',
+    videoConference: 'Videoconferencia',
+    meetingLinkAvailable: 'Enlace de la reunión disponible',
+    meetingInProgress: 'Reunión en curso',
+    joinMeeting: 'Unirse a la reunión',
+    meetingEnded: 'Reunión finalizada',
+    meetingAlreadyEnded: 'Esta reunión ya ha terminado.',
+    copyMeetingLink: 'Copiar enlace de la reunión',
+    creatingMeetingLink: 'Creando el enlace de tu reunión...',
+    meetingLinkByEmail: 'En breve recibirás el enlace de la reunión por correo.',
+    submittedDetails: 'Datos enviados',
+    notes: 'Notas',
+    formResponses: 'Respuestas del formulario',
+    paymentConfirmed: 'Pago confirmado',
+    paidVia: 'Pagado con {provider}',
+    amountPaid: 'Importe pagado',
+    keepConfirmation: 'Guarda esta confirmación para tus registros.',
+    shareDetails: 'Compartir detalles',
+    shareViaEmail: 'Compartir por correo',
+    copyDetails: 'Copiar detalles',
+    share: {
+      subject: 'Reunión programada: {title}',
+      intro: 'Se ha programado una reunión:',
+      date: 'Fecha: {value}',
+      time: 'Hora: {value}',
+      guest: 'Invitado: {value}',
+      additionalGuests: 'Invitados adicionales: {value}',
+      sessions: 'Sesiones: {value}',
+      events: 'Eventos: {value}',
+      previously: 'Antes: {value}',
+      amountPaid: 'Importe pagado: {value}',
+      meetingLink: 'Enlace de la reunión: {value}',
+    },
+  },
+  reschedule: {
+    title: 'Reprogramar reserva',
+    currentTime: 'Horario actual',
+    newTime: 'Nuevo horario',
+    reason: 'Motivo del cambio (opcional)',
+    reasonPlaceholder: 'Cuéntale al anfitrión por qué cambia el horario...',
+    submit: 'Confirmar nuevo horario',
+    submitting: 'Reprogramando...',
+  },
+  cancel: {
+    title: 'Cancelar reserva',
+    verifyDescription: 'Introduce el correo que usaste al reservar para que podamos encontrar tu reserva.',
+    emailPlaceholder: 'tu@ejemplo.com',
+    emailRequired: 'Introduce el correo electrónico usado en la reserva.',
+    findBooking: 'Buscar reserva',
+    loading: 'Cargando tu reserva...',
+    notFound: 'No encontramos ninguna reserva con esos datos.',
+    loadFailed: 'No se pudo cargar la reserva.',
+    tryAnotherEmail: 'Probar con otro correo',
+    unavailable: 'La cancelación no está disponible en este contexto.',
+    paid: 'Pagado: {amount}',
+    nonRefundable: 'Esta reserva no es reembolsable.',
+    refundEligible: 'Se te reembolsarán {amount} ({percent} %) según la política de reembolso {policy}.',
+    refundIneligible: 'No corresponde reembolso. La política de reembolso {policy} exige un aviso de al menos {notice}.',
+    policyNames: {
+      flexible: 'flexible',
+      moderate: 'moderada',
+      strict: 'estricta',
+    },
+    noticeDays: { one: '{count} día', other: '{count} días' },
+    noticeHours: { one: '{count} hora', other: '{count} horas' },
+    reason: 'Motivo de la cancelación (opcional)',
+    reasonPlaceholder: 'Cuéntale al anfitrión por qué cancelas...',
+    keepBooking: 'Mantener reserva',
+    submitting: 'Cancelando...',
+    cancelledTitle: 'Reserva cancelada',
+    cancelledDescription: 'Hemos avisado al anfitrión y te enviaremos un correo de confirmación.',
+    refundIssued: 'Se devolverá un reembolso de {amount} a tu método de pago original.',
+  },
+  widget: {
+    schedulingFor: 'Reservar con',
+    organization: 'Organización',
+    changeHost: 'Cambiar anfitrión',
+    changeEvent: 'Cambiar evento',
+    degraded: 'El servicio de reservas tiene problemas en este momento. Hemos pausado las solicitudes y volveremos a intentarlo en breve.',
+    loading: 'Cargando el widget de reservas...',
+    chooseEvent: 'Elige un evento',
+    chooseEventDescription: 'Elige el tipo de reunión que quieres reservar.',
+    pickNewTime: 'Elige un nuevo horario para tu reserva.',
+    pickTime: 'Elige el horario que mejor te venga.',
+    host: 'Anfitrión',
+    bookTime: 'Reservar',
+  },
+};
@@ -0,0 +1,418 @@
+export const fr = {
+  formats: {
+    time: 'HH:mm',
+    date: 'dddd D MMMM YYYY',
+    dateShort: 'ddd D MMM',
+    dateTime: 'ddd D MMM • HH:mm',
+    utc: 'ddd D MMM YYYY [à] HH:mm [UTC]',
+    monthDay: 'D MMM',
+    monthDayYear: 'D MMM YYYY',
+    weekday: 'ddd',
+  },
+  common: {
+    back: 'Retour',
+    cancel: 'Annuler',
+    close: 'Fermer',
+    done: 'Terminé',
+    free: 'Gratuit',
+    goBack: 'Revenir en arrière',
+    host: 'Hôte',
+    loading: 'Chargement...',
+    meeting: 'Réunion',
+    minutes: '{count} min',
+    organization: 'Organisation',
+    poweredBy: 'Propulsé par Calemly',
+    tryAgain: 'Réessayer',
+  },
+  errors: {
+    offline: 'Vous semblez hors ligne. Reconnectez-vous à Internet puis réessayez de réserver.',
+    rateLimitedWait: 'Trop de tentatives de réservation. Patientez environ {count} secondes puis réessayez.',
+    rateLimited: 'Trop de tentatives de réservation. Patientez un instant puis réessayez.',
+    slotConflict: 'Ce créneau vient d\'être réservé. Choisissez un autre créneau disponible.',
+    slotLocked: 'Ce créneau est en cours de réservation. Réessayez dans quelques secondes.',
+    templateInvalid: 'Votre modèle enregistré n\'est plus valide pour cet événement.',
+    noSavedTemplate: 'Aucune préférence enregistrée n\'a été trouvée. Continuez avec le formulaire standard.',
+    bookingFailed: 'Impossible de créer la réservation. Veuillez réessayer.',
+    slotsLoadFailed: 'Impossible de charger les créneaux disponibles.',
+    slotRequired: 'Choisissez un créneau avant d\'envoyer le formulaire de réservation.',
+    seriesConflict: 'Choisissez un autre créneau pour les séances indisponibles avant de réserver la série.',
+    seriesConflictContinue: 'Choisissez un autre créneau pour les séances indisponibles avant de continuer.',
+    cartEmpty: 'Ajoutez au moins un créneau avant de passer au paiement.',
+    cartSlotRequired: 'Choisissez un créneau avant de l\'ajouter au panier.',
+    cartOverlap: 'Ce créneau chevauche {name}. Choisissez un autre créneau.',
+    cartCurrencyMismatch: 'Cet événement est facturé dans une autre devise que {name} ({currency}). Réservez-le séparément.',
+    rescheduleSlotRequired: 'Choisissez un nouveau créneau avant de reprogrammer la réservation.',
+    noSlotsFound: 'Aucun créneau disponible pour le moment.',
+    autoFindFailed: 'Impossible de trouver le meilleur créneau suivant.',
+    cancelFailed: 'Impossible d\'annuler la réservation. Veuillez réessayer.',
+    paypalContextInvalid: 'Les informations de réservation PayPal enregistrées ne sont pas valides. Veuillez réserver à nouveau.',
+    paypalCaptureFailed: 'L\'encaissement du paiement PayPal a échoué.',
+    paymentCancelled: 'Le paiement a été annulé. Aucun montant n\'a été débité.',
+    sessionExpired: 'La session de réservation a expiré. Veuillez réserver à nouveau.',
+    paymentReturnMissing: 'Les informations de retour du paiement sont manquantes. Veuillez réserver à nouveau.',
+    holdExpired: 'Votre créneau réservé a expiré. Sélectionnez-le à nouveau pour continuer.',
+    slotHeld: 'Quelqu\'un d\'autre est en train de réserver ce créneau. Choisissez un autre créneau.',
+    slotTaken: 'Ce créneau vient d\'être réservé par quelqu\'un d\'autre. Choisissez un autre créneau.',
+    rescheduleLoadFailed: 'Impossible de charger la réservation à reprogrammer.',
+    eventLoadFailed: 'Impossible de charger l\'événement demandé.',
+    loadFailed: 'Impossible de charger les données du planning.',
+    eventSlugMissing: 'Le type d\'événement sélectionné n\'a pas de slug, ses détails ne peuvent donc pas être chargés.',
+    eventDetailsFailed: 'Impossible de charger les détails de l\'événement',
+    bookingCancelled: 'Réservation annulée avant l\'envoi.',
+    cancelDetailsRequired: 'Indiquez un identifiant de réservation avec un jeton ou l\'e-mail de l\'invité pour annuler une réservation.',
+    rescheduleDetailsRequired: 'Indiquez un jeton ou l\'e-mail de l\'invité pour reprogrammer une réservation.',
+    setupInvalid: 'Configuration du planificateur manquante. Indiquez une clé d\'intégration ou un slug d\'événement.',
+    serviceUnavailable: 'Le service de réservation est temporairement indisponible. Veuillez réessayer dans un instant.',
+    tooManyRequests: 'Trop de requêtes. Veuillez réessayer dans un instant.',
+    requestCancelled: 'La requête a été annulée.',
+    requestTimeout: 'La requête a pris trop de temps. Vérifiez votre connexion et réessayez.',
+    networkError: 'La requête réseau a échoué. Vérifiez votre connexion et réessayez.',
+    requestOffline: 'Vous semblez être hors ligne. Vérifiez votre connexion Internet et réessayez.',
+    requestFailed: 'La requête a échoué. Veuillez réessayer.',
+  },
+  validation: {
+    required: 'Ce champ est obligatoire',
+    email: 'Veuillez saisir une adresse e-mail valide',
+    emailInvalid: 'Veuillez saisir une adresse e-mail valide',
+    url: 'Veuillez saisir une URL valide',
+    phone: 'Veuillez saisir un numéro de téléphone valide',
+    nameRequired: 'Veuillez saisir un nom',
+    nameMissing: 'Veuillez saisir votre nom',
+  },
+  eventList: {
+    empty: 'Aucun type d\'événement disponible.',
+    search: 'Rechercher des événements',
+    duration: 'Durée',
+    price: 'Prix',
+    paid: 'Payant',
+    location: 'Lieu',
+    category: 'Catégorie',
+    noMatches: 'Aucun événement ne correspond à votre recherche.',
+    clearFilters: 'Effacer les filtres',
+    pinned: 'Épinglé',
+    inCart: 'Dans le panier',
+    locations: {
+      video: 'Appel vidéo',
+      phone: 'Appel téléphonique',
+      in_person: 'En personne',
+    },
+  },
+  hostPicker: {
+    title: 'Choisissez un hôte',
+    subtitle: 'Choisissez la personne que vous souhaitez rencontrer, ou laissez-nous vous attribuer quelqu\'un de disponible.',
+    anyHost: 'N\'importe quel hôte disponible',
+    anyHostDescription: 'Voir tous les créneaux libres de l\'équipe.',
+  },
+  slotPicker: {
+    title: 'Choisissez un créneau',
+    meetingLength: 'Réunion de {count} minutes',
+    autoFind: 'Recherche auto',
+    reuseDetails: 'Réutiliser les informations de votre réservation précédente',
+    selectTimeFirst: 'Choisissez d\'abord un créneau',
+    sameAsLastTime: 'Comme la dernière fois',
+    calendarView: 'Vue calendrier',
+    listView: 'Vue liste',
+    yourTime: 'Votre heure',
+    calendarTime: 'Heure du calendrier',
+    timezone: 'Fuseau horaire',
+    searchTimezones: 'Rechercher un fuseau horaire',
+    noTimezones: 'Aucun fuseau horaire correspondant',
+    clockFormat: 'Format horaire',
+    clock12: '12 h',
+    clock24: '24 h',
+    weekStart: 'La semaine commence le',
+    currentlyBooked: 'Actuellement réservé le',
+    loading: 'Chargement des créneaux disponibles...',
+    previousWeek: 'Semaine précédente',
+    loadingMore: 'Chargement d\'autres créneaux',
+    today: 'Aujourd\'hui',
+    nextWeek: 'Semaine suivante',
+    currentBooking: 'Votre réservation actuelle',
+    heldByOther: 'Quelqu\'un d\'autre réserve ce créneau',
+    holdExpired: 'Votre réservation temporaire de ce créneau a expiré',
+    availableWith: 'Disponible avec {names}',
+    noSlotsForDate: 'Aucun créneau disponible à cette date',
+    selectDate: 'Choisissez une date pour voir les créneaux disponibles',
+    availableSlots: 'Créneaux disponibles',
+    dateGrid: 'Dates du {range}',
+    dayAvailable: { one: '{date}, {count} créneau disponible', other: '{date}, {count} créneaux disponibles' },
+    dayUnavailable: '{date}, aucun créneau disponible',
+    slotsOnDate: { one: '{count} créneau disponible le {date}', other: '{count} créneaux disponibles le {date}' },
+    noSlotsOnDate: 'Aucun créneau disponible le {date}',
+    timesOnDate: 'Créneaux disponibles le {date}',
+    minutesLong: { one: '{count} minute', other: '{count} minutes' },
+    noSlots: 'Aucun créneau disponible',
+    addToCart: 'Ajouter au panier',
+    confirm: 'Confirmer',
+  },
+  series: {
+    repeat: 'Répéter',
+    doesNotRepeat: 'Ne se répète pas',
+    frequencies: {
+      weekly: 'Chaque semaine',
+      biweekly: 'Toutes les 2 semaines',
+    },
+    summaries: {
+      weekly: 'Se répète chaque semaine • {count} séances',
+      biweekly: 'Se répète toutes les 2 semaines • {count} séances',
+    },
+    sessions: 'Séances',
+    sessionsLabel: 'Séances de la série',
+    unavailable: 'Indisponible',
+    notBooked: 'Non réservée',
+    noAlternatives: 'Aucune alternative trouvée pour cette semaine.',
+  },
+  seats: {
+    leftShort: '{count} restantes',
+    leftOfCapacity: '{count} places restantes sur {capacity}',
+    left: { one: '{count} place restante', other: '{count} places restantes' },
+    onlyLeft: 'Il ne reste que {count} places sur ce créneau',
+  },
+  cart: {
+    title: 'Votre sélection',
+    selectedEvents: 'Événements sélectionnés',
+    remove: 'Retirer {name}',
+    total: 'Total :',
+    checkout: 'Payer ({count})',
+  },
+  guests: {
+    title: 'Invités supplémentaires',
+    add: 'Ajouter un invité',
+    guest: 'Invité {number}',
+    remove: 'Retirer l\'invité {number}',
+    name: 'Nom de l\'invité',
+    email: 'E-mail de l\'invité',
+    timezone: 'Fuseau horaire de l\'invité (facultatif)',
+    sameTimezone: 'Identique au mien',
+    limit: { one: 'Vous pouvez ajouter jusqu\'à {count} invité.', other: 'Vous pouvez ajouter jusqu\'à {count} invités.' },
+    duplicateEmail: 'Cette adresse e-mail figure déjà sur la réservation',
+    namePlaceholder: 'Marie Dupont',
+    emailPlaceholder: 'marie@exemple.fr',
+    timezonePlaceholder: 'Europe/Paris',
+  },
+  customForm: {
+    title: 'Informations complémentaires',
+    answerPlaceholder: 'Saisissez votre réponse...',
+    selectOption: 'Choisissez une option...',
+  },
+  conflict: {
+    title: 'Créneau indisponible',
+    description: 'Ce créneau vient d\'être réservé par quelqu\'un d\'autre.',
+    suggestion: 'Suggestion IA',
+    found: { one: 'Nous avons trouvé {count} alternative', other: 'Nous avons trouvé {count} alternatives' },
+    autoSelect: 'Choisir le meilleur créneau',
+    autoSelectShort: 'Choisir le meilleur',
+    loading: 'Recherche des meilleures alternatives...',
+    bestMatch: 'MEILLEUR CHOIX',
+    showExplanation: 'Afficher l\'explication',
+    defaultExplanation: 'Créneau disponible',
+    empty: 'Aucune alternative trouvée',
+    emptyHint: 'Essayez de choisir une autre date.',
+    footer: 'Suggestions basées sur l\'analyse des réservations',
+    confirm: 'Confirmer la sélection',
+  },
+  payment: {
+    title: 'Finaliser le paiement',
+    organizer: 'Organisateur',
+    cardInformation: 'Informations de carte',
+    pay: 'Payer {amount}',
+    securedByStripe: 'Sécurisé par Stripe',
+    success: 'Paiement réussi !',
+    confirming: 'Votre réservation est en cours de confirmation...',
+    loading: 'Chargement du formulaire de paiement...',
+    total: 'Total',
+    refundPolicy: 'Politique de remboursement :',
+    refundPolicies: {
+      flexible: 'Remboursement intégral jusqu\'à 24 heures avant l\'événement.',
+      moderate: 'Remboursement intégral jusqu\'à 5 jours avant l\'événement.',
+      strict: 'Remboursement de 50 % jusqu\'à 7 jours avant l\'événement.',
+      none: 'Cette réservation n\'est pas remboursable.',
+      unknown: 'Contactez l\'organisateur pour connaître la politique de remboursement.',
+    },
+    notCompleted: 'Le paiement n\'a pas abouti. Veuillez réessayer.',
+    unexpectedError: 'Une erreur inattendue s\'est produite. Veuillez réessayer.',
+    paypalInitFailed: 'Impossible de lancer le paiement PayPal. Veuillez réessayer.',
+    initFailed: 'Impossible de lancer le paiement. Veuillez réessayer.',
+    setupFailed: 'Impossible de préparer le paiement. Veuillez réessayer.',
+  },
+  form: {
+    title: 'Confirmez vos informations',
+    eventsToBook: 'Événements à réserver',
+    hostTime: 'Hôte : {time} ({timezone})',
+    utcTime: 'UTC : {time}',
+    holdNotice: 'Nous vous réservons ce créneau pendant',
+    offline: {
+      title: 'Vous êtes hors ligne',
+      description: 'Votre réservation est enregistrée sur cet appareil et sera envoyée dès votre retour en ligne.',
+      discard: 'Annuler la réservation en attente',
+    },
+    showAlternatives: 'Afficher d\'autres créneaux',
+    hideAlternatives: 'Masquer les autres créneaux',
+    availableAlternatives: 'Alternatives disponibles :',
+    alternativeExplanation: 'Créneau alternatif disponible',
+    templates: {
+      title: 'Réserver comme la dernière fois',
+      description: 'Réutilisez les informations de votre réservation précédente, puis modifiez ce que vous voulez.',
+      standardForm: 'Utiliser le formulaire standard',
+      defaultSuffix: '(Par défaut)',
+      clearing: 'Suppression...',
+      forget: 'Oublier les préférences',
+      saveUpdates: 'Enregistrer les modifications dans mes préférences de réservation',
+      setDefault: 'Utiliser par défaut la prochaine fois',
+      inUse: 'Cette réservation utilise votre modèle enregistré.',
+      updated: 'Modifié avant confirmation.',
+      fallbackHint: 'Choisissez un modèle de remplacement recommandé ou continuez avec le formulaire standard.',
+      recommended: 'Modèles recommandés :',
+      recommendedFallback: 'Modèle recommandé',
+      use: 'Utiliser le modèle',
+      clearNeedsContact: 'Ajoutez d\'abord un e-mail ou un téléphone pour effacer les préférences enregistrées.',
+      clearUnavailable: 'L\'effacement des préférences n\'est pas disponible dans ce contexte.',
+      clearFailed: 'Impossible d\'effacer les préférences enregistrées.',
+    },
+    name: 'Votre nom',
+    namePlaceholder: 'Jean Dupont',
+    email: 'Adresse e-mail',
+    emailPlaceholder: 'jean@exemple.fr',
+    emailHelper: 'La confirmation sera envoyée à cette adresse',
+    phone: 'Numéro de téléphone (facultatif)',
+    phonePlaceholder: '+33 6 12 34 56 78',
+    partySize: 'Nombre de personnes',
+    people: { one: '{count} personne', other: '{count} personnes' },
+    notes: 'Remarques (facultatif)',
+    notesPlaceholder: 'Informations complémentaires ou questions...',
+    paymentRequired: 'Paiement requis',
+    refundPolicies: {
+      flexible: 'Remboursement intégral jusqu\'à 24 heures avant.',
+      moderate: 'Remboursement intégral jusqu\'à 5 jours avant.',
+      strict: 'Remboursement de 50 % jusqu\'à 7 jours avant.',
+    },
+    loadingPaymentMethods: 'Chargement des moyens de paiement...',
+    choosePaymentMethod: 'Choisissez un moyen de paiement',
+    cardStripe: 'Carte (Stripe)',
+    privacy: 'Vos informations sont sécurisées et ne sont partagées qu\'avec l\'hôte de la réunion.',
+    waitingForConnection: 'En attente de connexion...',
+    redirectingToPaypal: 'Redirection vers PayPal...',
+    preparingPayment: 'Préparation du paiement...',
+    booking: 'Réservation...',
+    reviewBrief: 'Consulter le récapitulatif',
+    reviewBriefAndPay: 'Consulter le récapitulatif et payer {amount}',
+    payWithPaypal: 'Payer avec PayPal {amount}',
+    submit: 'Confirmer la réservation',
+  },
+  brief: {
+    title: 'Avant de réserver',
+    region: 'Récapitulatif de la réservation',
+    backToForm: 'Revenir au formulaire',
+    close: 'Fermer le récapitulatif',
+    checklist: 'Liste de préparation',
+    cancellationPolicy: 'Conditions d\'annulation',
+    importantNotes: 'Remarques importantes',
+    faq: 'Questions fréquentes',
+    recordingConsent: 'Consentement à l\'enregistrement',
+    required: 'Obligatoire',
+    recordingDescription: 'Cette séance peut être enregistrée à des fins de qualité et de formation. En cochant cette case, vous consentez à l\'enregistrement.',
+    acknowledgements: 'Confirmations',
+    storedSecurely: 'Vos confirmations sont enregistrées de manière sécurisée avec votre réservation.',
+    acceptRequired: 'Veuillez accepter : « {label} »',
+    recordingRequired: 'Le consentement à l\'enregistrement est obligatoire pour cette réunion.',
+    acknowledge: 'Accepter et confirmer',
+    acknowledgeAndPay: 'Accepter et payer {amount}',
+  },
+  success: {
+    title: 'Réservation confirmée !',
+    rescheduledTitle: 'Réservation reprogrammée !',
+    emailSent: 'Un e-mail de confirmation vous a été envoyé',
+    rescheduledEmailSent: 'Un e-mail de confirmation mis à jour vous a été envoyé',
+    source: 'Source : {source}',
+    templateUsed: 'Réservé avec « Comme la dernière fois »',
+    previously: 'Auparavant',
+    sessionsBooked: { one: '{count} séance réservée', other: '{count} séances réservées' },
+    eventsBooked: { one: '{count} événement réservé', other: '{count} événements réservés' },
+    additionalGuests: 'Invités supplémentaires',
+    videoConference: 'Visioconférence',
+    meetingLinkAvailable: 'Lien de la réunion disponible',
+    meetingInProgress: 'Réunion en cours',
+    joinMeeting: 'Rejoindre la réunion',
+    meetingEnded: 'Réunion terminée',
+    meetingAlreadyEnded: 'Cette réunion est déjà terminée.',
+    copyMeetingLink: 'Copier le lien de la réunion',
+    creatingMeetingLink: 'Création du lien de votre réunion...',
+    meetingLinkByEmail: 'Le lien de votre réunion vous sera envoyé par e-mail sous peu.',
+    submittedDetails: 'Informations envoyées',
+    notes: 'Remarques',
+    formResponses: 'Réponses au formulaire',
+    paymentConfirmed: 'Paiement confirmé',
+    paidVia: 'Payé via {provider}',
+    amountPaid: 'Montant payé',
+    keepConfirmation: 'Conservez cette confirmation pour vos dossiers.',
+    shareDetails: 'Partager les détails',
+    shareViaEmail: 'Partager par e-mail',
+    copyDetails: 'Copier les détails',
+    share: {
+      subject: 'Réunion planifiée : {title}',
+      intro: 'Une réunion a été planifiée :',
+      date: 'Date : {value}',
+      time: 'Heure : {value}',
+      guest: 'Invité : {value}',
+      additionalGuests: 'Invités supplémentaires : {value}',
+      sessions: 'Séances : {value}',
+      events: 'Événements : {value}',
+      previously: 'Auparavant : {value}',
+      amountPaid: 'Montant payé : {value}',
+      meetingLink: 'Lien de la réunion : {value}',
+    },
+  },
+  reschedule: {
+    title: 'Reprogrammer la réservation',
+    currentTime: 'Créneau actuel',
+    newTime: 'Nouveau créneau',
+    reason: 'Motif de la reprogrammation (facultatif)',
+    reasonPlaceholder: 'Indiquez à l\'hôte pourquoi le créneau change...',
+    submit: 'Confirmer le nouveau créneau',
+    submitting: 'Reprogrammation...',
+  },
+  cancel: {
+    title: 'Annuler la réservation',
+    verifyDescription: 'Saisissez l\'adresse e-mail utilisée lors de la réservation pour que nous puissions la retrouver.',
+    emailPlaceholder: 'vous@exemple.fr',
+    emailRequired: 'Saisissez l\'adresse e-mail utilisée pour la réservation.',
+    findBooking: 'Retrouver la réservation',
+    loading: 'Chargement de votre réservation...',
+    notFound: 'Aucune réservation ne correspond à ces informations.',
+    loadFailed: 'Impossible de charger la réservation.',
+    tryAnotherEmail: 'Essayer une autre adresse',
+    unavailable: 'L\'annulation n\'est pas disponible dans ce contexte.',
+    paid: 'Payé {amount}',
+    nonRefundable: 'Cette réservation n\'est pas remboursable.',
+    refundEligible: 'Vous serez remboursé de {amount} ({percent} %) selon la politique de remboursement {policy}.',
+    refundIneligible: 'Aucun remboursement ne s\'applique. La politique de remboursement {policy} exige un préavis d\'au moins {notice}.',
+    policyNames: {
+      flexible: 'flexible',
+      moderate: 'modérée',
+      strict: 'stricte',
+    },
+    noticeDays: { one: '{count} jour', other: '{count} jours' },
+    noticeHours: { one: '{count} heure', other: '{count} heures' },
+    reason: 'Motif de l\'annulation (facultatif)',
+    reasonPlaceholder: 'Indiquez à l\'hôte pourquoi vous annulez...',
+    keepBooking: 'Conserver la réservation',
+    submitting: 'Annulation...',
+    cancelledTitle: 'Réservation annulée',
+    cancelledDescription: 'L\'hôte a été prévenu et un e-mail de confirmation est en route.',
+    refundIssued: 'Un remboursement de {amount} sera effectué sur votre moyen de paiement d\'origine.',
+  },
+  widget: {
+    schedulingFor: 'Planifier avec',
+    organization: 'Organisation',
+    changeHost: 'Changer d\'hôte',
+    changeEvent: 'Changer d\'événement',
+    degraded: 'Le service de réservation rencontre des difficultés. Nous avons suspendu les requêtes et réessaierons sous peu.',
+    loading: 'Chargement du module de réservation...',
+    chooseEvent: 'Choisissez un événement',
+    chooseEventDescription: 'Choisissez le type de réunion que vous souhaitez réserver.',
+    pickNewTime: 'Choisissez un nouveau créneau pour votre réservation.',
+    pickTime: 'Choisissez le créneau qui vous convient.',
+    host: 'Hôte',
+    bookTime: 'Réserver',
+  },
+};
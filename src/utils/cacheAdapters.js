@@ -0,0 +1,127 @@
+import { PERSISTENT_CACHE_DB_NAME, PERSISTENT_CACHE_STORAGE_PREFIX } from '../constants';
+
+export const createMemoryCache = () => {
+  const entries = new Map();
+
+  return {
+    get: (key) => entries.get(key) || null,
+    set: (key, entry) => {
+      entries.set(key, entry);
+    },
+    delete: (key) => {
+      entries.delete(key);
+    },
+    keys: () => Array.from(entries.keys()),
+  };
+};
+
+export const createLocalStorageCache = ({ prefix = PERSISTENT_CACHE_STORAGE_PREFIX } = {}) => {
+  const isAvailable = () => typeof localStorage !== 'undefined';
+
+  return {
+    get: (key) => {
+      if (!isAvailable()) {
+        return null;
+      }
+
+      try {
+        const raw = localStorage.getItem(`${prefix}${key}`);
+        return raw ? JSON.parse(raw) : null;
+      } catch (_error) {
+        return null;
+      }
+    },
+    set: (key, entry) => {
+      if (!isAvailable()) {
+        return;
+      }
+
+      try {
+        localStorage.setItem(`${prefix}${key}`, JSON.stringify(entry));
+      } catch (_error) {
+        // no-op when storage is full or unavailable
+      }
+    },
+    delete: (key) => {
+      if (!isAvailable()) {
+        return;
+      }
+
+      try {
+        localStorage.removeItem(`${prefix}${key}`);
+      } catch (_error) {
+        // no-op
+      }
+    },
+    keys: () => {
+      if (!isAvailable()) {
+        return [];
+      }
+
+      const keys = [];
+      try {
+        for (let index = 0; index < localStorage.length; index += 1) {
+          const storageKey = localStorage.key(index);
+          if (storageKey?.startsWith(prefix)) {
+            keys.push(storageKey.slice(prefix.length));
+          }
+        }
+      } catch (_error) {
+        return [];
+      }
+
+      return keys;
+    },
+  };
+};
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const createIndexedDbCache = ({
+  dbName = PERSISTENT_CACHE_DB_NAME,
+  storeName = 'entries',
+} = {}) => {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(null);
+    }
+
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName);
+        }
+      };
+      dbPromise = promisifyRequest(request).catch(() => null);
+    }
+
+    return dbPromise;
+  };
+
+  const runInStore = async (mode, operation, fallback) => {
+    try {
+      const db = await openDb();
+      if (!db) {
+        return fallback;
+      }
+
+      const objectStore = db.transaction(storeName, mode).objectStore(storeName);
+      return await promisifyRequest(operation(objectStore));
+    } catch (_error) {
+      return fallback;
+    }
+  };
+
+  return {
+    get: (key) => runInStore('readonly', (objectStore) => objectStore.get(key), null).then((entry) => entry || null),
+    set: (key, entry) => runInStore('readwrite', (objectStore) => objectStore.put(entry, key), undefined),
+    delete: (key) => runInStore('readwrite', (objectStore) => objectStore.delete(key), undefined),
+    keys: () => runInStore('readonly', (objectStore) => objectStore.getAllKeys(), []).then((keys) => keys.map(String)),
+  };
+};
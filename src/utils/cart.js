@@ -0,0 +1,51 @@
+export const isPaidEventType = (eventType) => Boolean(
+  eventType?.requires_payment
+  && eventType?.price_cents > 0
+  && eventType?.payment_enabled
+);
+
+export const slotsOverlap = (first, second) => (
+  Date.parse(first.start) < Date.parse(second.end)
+  && Date.parse(second.start) < Date.parse(first.end)
+);
+
+export const findCartOverlap = (items, candidate) => (items || []).find((item) => (
+  item.eventType.id !== candidate.eventType.id && slotsOverlap(item.slot, candidate.slot)
+)) || null;
+
+const getItemCurrency = (item) => item.eventType.currency || 'USD';
+
+export const findCartCurrencyConflict = (items, candidate) => {
+  if (!isPaidEventType(candidate.eventType)) {
+    return null;
+  }
+
+  return (items || []).find((item) => (
+    item.eventType.id !== candidate.eventType.id
+    && isPaidEventType(item.eventType)
+    && getItemCurrency(item) !== getItemCurrency(candidate)
+  )) || null;
+};
+
+export const getCartTotal = (items) => {
+  const paidItems = (items || []).filter((item) => isPaidEventType(item.eventType));
+
+  return {
+    amountCents: paidItems.reduce((total, item) => total + item.eventType.price_cents, 0),
+    currency: paidItems[0] ? getItemCurrency(paidItems[0]) : 'USD',
+  };
+};
+
+export const buildCartEventType = (items) => {
+  const { amountCents, currency } = getCartTotal(items);
+
+  return {
+    id: null,
+    name: items.map((item) => item.eventType.name).join(' + '),
+    duration: items.reduce((total, item) => total + (item.eventType.duration || 0), 0),
+    requires_payment: amountCents > 0,
+    payment_enabled: amountCents > 0,
+    price_cents: amountCents,
+    currency,
+  };
+};
@@ -0,0 +1,58 @@
+import { DISPLAY_PREFERENCES_STORAGE_KEY } from '../constants';
+import { isValidTimezone } from './time';
+
+export const TIME_FORMATS = ['12h', '24h'];
+
+export const isValidWeekStart = (value) => Number.isInteger(value) && value >= 0 && value <= 6;
+
+export const sanitizeDisplayPreferences = (preferences) => {
+  const sanitized = {};
+  if (!preferences || typeof preferences !== 'object') {
+    return sanitized;
+  }
+
+  if (isValidTimezone(preferences.timezone)) {
+    sanitized.timezone = preferences.timezone;
+  }
+
+  if (TIME_FORMATS.includes(preferences.timeFormat)) {
+    sanitized.timeFormat = preferences.timeFormat;
+  }
+
+  if (isValidWeekStart(preferences.weekStart)) {
+    sanitized.weekStart = preferences.weekStart;
+  }
+
+  return sanitized;
+};
+
+export const readDisplayPreferences = () => {
+  if (typeof localStorage === 'undefined') {
+    return {};
+  }
+
+  try {
+    const raw = localStorage.getItem(DISPLAY_PREFERENCES_STORAGE_KEY);
+    return raw ? sanitizeDisplayPreferences(JSON.parse(raw)) : {};
+  } catch (_error) {
+    return {};
+  }
+};
+
+export const writeDisplayPreferences = (preferences) => {
+  if (typeof localStorage === 'undefined') {
+    return;
+  }
+
+  try {
+    const sanitized = sanitizeDisplayPreferences(preferences);
+    if (Object.keys(sanitized).length === 0) {
+      localStorage.removeItem(DISPLAY_PREFERENCES_STORAGE_KEY);
+      return;
+    }
+
+    localStorage.setItem(DISPLAY_PREFERENCES_STORAGE_KEY, JSON.stringify(sanitized));
+  } catch (_error) {
+    // no-op when storage is unavailable
+  }
+};
@@ -0,0 +1,104 @@
+import { isPaidEventType } from './cart';
+import { DEFAULT_I18N } from './i18n';
+
+const LOCATION_TYPES = ['video', 'phone', 'in_person'];
+
+const toList = (value) => {
+  if (Array.isArray(value)) {
+    return value.filter((item) => typeof item === 'string' && item.trim()).map((item) => item.trim());
+  }
+
+  return typeof value === 'string' && value.trim() ? [value.trim()] : [];
+};
+
+export const getEventCategories = (eventType) => [...new Set([
+  ...toList(eventType?.categories),
+  ...toList(eventType?.category),
+  ...toList(eventType?.tags),
+])];
+
+export const getEventLocationType = (eventType) => {
+  const value = eventType?.location_type || eventType?.locationType || eventType?.location?.type || null;
+  return value ? String(value).trim().toLowerCase().replace(/[\s-]+/g, '_') : null;
+};
+
+export const formatLocationType = (locationType, t = DEFAULT_I18N.t) => {
+  if (LOCATION_TYPES.includes(locationType)) {
+    return t(`eventList.locations.${locationType}`);
+  }
+
+  return locationType ? locationType.charAt(0).toUpperCase() + locationType.slice(1).replace(/_/g, ' ') : '';
+};
+
+export const formatEventPrice = (eventType, i18n = DEFAULT_I18N) => (
+  isPaidEventType(eventType)
+    ? i18n.formatCurrency(eventType.price_cents, eventType.currency || 'USD')
+    : i18n.t('common.free')
+);
+
+export const isPinnedEventType = (eventType, embedSettings = {}) => (
+  toList(embedSettings?.pinned_event_type_ids).includes(eventType?.id)
+);
+
+export const orderEventTypes = (eventTypes, embedSettings = {}) => {
+  const pinned = toList(embedSettings?.pinned_event_type_ids);
+  const order = toList(embedSettings?.event_type_order);
+  const rank = (eventType, list) => {
+    const index = list.findIndex((key) => key === eventType.id || key === eventType.slug);
+    return index === -1 ? Number.POSITIVE_INFINITY : index;
+  };
+
+  return (eventTypes || [])
+    .map((eventType, index) => ({ eventType, index }))
+    .sort((first, second) => (
+      rank(first.eventType, pinned) - rank(second.eventType, pinned)
+      || rank(first.eventType, order) - rank(second.eventType, order)
+      || first.index - second.index
+    ))
+    .map(({ eventType }) => eventType);
+};
+
+export const buildEventTypeFilters = (eventTypes) => {
+  const items = eventTypes || [];
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  const paidCount = items.filter(isPaidEventType).length;
+
+  return {
+    durations: unique(items.map((eventType) => Number(eventType.duration) || null)).sort((a, b) => a - b),
+    prices: paidCount > 0 && paidCount < items.length ? ['free', 'paid'] : [],
+    locationTypes: unique(items.map(getEventLocationType)).sort(),
+    categories: unique(items.flatMap(getEventCategories)).sort((a, b) => a.localeCompare(b)),
+  };
+};
+
+export const filterEventTypes = (eventTypes, {
+  query = '',
+  duration = null,
+  price = null,
+  locationType = null,
+  category = null,
+} = {}) => {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  return (eventTypes || []).filter((eventType) => {
+    if (duration && Number(eventType.duration) !== duration) {
+      return false;
+    }
+
+    if (price && (price === 'paid') !== isPaidEventType(eventType)) {
+      return false;
+    }
+
+    if (locationType && getEventLocationType(eventType) !== locationType) {
+      return false;
+    }
+
+    const categories = getEventCategories(eventType);
+    if (category && !categories.includes(category)) {
+      return false;
+    }
+
+    const haystack = [eventType.name, eventType.description, ...categories].filter(Boolean).join(' ').toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+};
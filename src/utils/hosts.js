@@ -0,0 +1,46 @@
+import { ANY_AVAILABLE_HOST } from '../constants';
+import { DEFAULT_I18N } from './i18n';
+
+const toLanguages = (value) => {
+  if (Array.isArray(value)) {
+    return value.filter(Boolean);
+  }
+
+  return typeof value === 'string' && value.trim()
+    ? value.split(',').map((item) => item.trim()).filter(Boolean)
+    : [];
+};
+
+export const getEventHosts = (eventType, t = DEFAULT_I18N.t) => (Array.isArray(eventType?.hosts) ? eventType.hosts : [])
+  .filter((host) => host?.id)
+  .map((host) => ({
+    id: host.id,
+    name: host.name || host.full_name || t('common.host'),
+    avatarUrl: host.avatarUrl || host.avatar_url || null,
+    languages: toLanguages(host.languages),
+  }));
+
+export const hasHostChoice = (eventType) => getEventHosts(eventType).length > 1;
+
+export const findEventHost = (eventType, hostId, t = DEFAULT_I18N.t) => (
+  hostId && hostId !== ANY_AVAILABLE_HOST
+    ? getEventHosts(eventType, t).find((host) => host.id === hostId) || null
+    : null
+);
+
+export const toHostScope = (hostId) => (hostId && hostId !== ANY_AVAILABLE_HOST ? hostId : null);
+
+export const annotateSlotHosts = (slots, hosts) => {
+  if (!slots || hosts.length === 0) {
+    return slots;
+  }
+
+  return Object.fromEntries(Object.entries(slots).map(([date, daySlots]) => [
+    date,
+    (daySlots || []).map((slot) => (
+      Array.isArray(slot.host_ids)
+        ? { ...slot, hosts: hosts.filter((host) => slot.host_ids.includes(host.id)) }
+        : slot
+    )),
+  ]));
+};
@@ -0,0 +1,146 @@
+import 'dayjs/locale/de.js';
+import 'dayjs/locale/es.js';
+import 'dayjs/locale/fr.js';
+import { de } from '../locales/de';
+import { en } from '../locales/en';
+import { es } from '../locales/es';
+import { fr } from '../locales/fr';
+import {
+  dayjs,
+  formatDateInZone,
+  formatDateShortInZone,
+  formatDateTimeInZone,
+  formatTimeInZone,
+  formatUtcConfirmation,
+} from './time';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const BUILT_IN_LOCALES = {
+  en,
+  es,
+  fr,
+  de,
+};
+
+const RTL_LANGUAGES = new Set(['ar', 'ckb', 'dv', 'fa', 'he', 'iw', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const mergeMessages = (base, overrides) => {
+  if (!isPlainObject(overrides)) {
+    return base;
+  }
+
+  return Object.entries(overrides).reduce((merged, [key, value]) => ({
+    ...merged,
+    [key]: isPlainObject(value) && isPlainObject(base[key]) && !('other' in value)
+      ? mergeMessages(base[key], value)
+      : value,
+  }), { ...base });
+};
+
+const toLanguage = (locale) => String(locale || '').toLowerCase().split(/[-_]/)[0];
+
+const resolveIntlLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0 ? locale : DEFAULT_LOCALE;
+  } catch (_error) {
+    return DEFAULT_LOCALE;
+  }
+};
+
+const resolveTextDirection = (locale, dir) => {
+  if (dir === 'ltr' || dir === 'rtl') {
+    return dir;
+  }
+
+  return RTL_LANGUAGES.has(toLanguage(locale)) ? 'rtl' : 'ltr';
+};
+
+const CLOCK_FORMAT_KEYS = ['time', 'dateTime'];
+
+const applyTimeFormat = (formats, timeFormat) => {
+  if (timeFormat !== '12h' && timeFormat !== '24h') {
+    return formats;
+  }
+
+  return CLOCK_FORMAT_KEYS.reduce((next, key) => ({
+    ...next,
+    [key]: timeFormat === '24h'
+      ? formats[key].replace(/h{1,2}:mm(\s?[Aa])?/g, 'HH:mm')
+      : formats[key].replace(/H{1,2}:mm/g, 'h:mm A'),
+  }), { ...formats });
+};
+
+export const createI18n = ({
+  locale,
+  messages,
+  dir,
+  timeFormat,
+  weekStart,
+} = {}) => {
+  const requestedLocale = typeof locale === 'string' && locale.trim() ? locale.trim() : DEFAULT_LOCALE;
+  const language = toLanguage(requestedLocale);
+  const catalog = mergeMessages(
+    mergeMessages(BUILT_IN_LOCALES[DEFAULT_LOCALE], BUILT_IN_LOCALES[language]),
+    messages
+  );
+  const intlLocale = resolveIntlLocale(requestedLocale);
+  const pluralRules = new Intl.PluralRules(intlLocale);
+  const dayjsLocale = dayjs.Ls[language] ? language : DEFAULT_LOCALE;
+  const formats = applyTimeFormat(catalog.formats, timeFormat);
+  const dateLocale = {
+    locale: dayjsLocale,
+    formats,
+  };
+  const resolvedWeekStart = Number.isInteger(weekStart) && weekStart >= 0 && weekStart <= 6
+    ? weekStart
+    : dayjs.Ls[dayjsLocale].weekStart || 0;
+
+  const t = (key, values = {}) => {
+    let message = key.split('.').reduce((node, part) => node?.[part], catalog);
+    if (isPlainObject(message)) {
+      message = message[pluralRules.select(Number(values.count) || 0)] ?? message.other;
+    }
+
+    if (typeof message !== 'string') {
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+      values[name] === undefined || values[name] === null ? match : String(values[name])
+    ));
+  };
+
+  return {
+    locale: intlLocale,
+    language,
+    dir: resolveTextDirection(requestedLocale, dir),
+    timeFormat: /[Aa]/.test(formats.time) ? '12h' : '24h',
+    weekStart: resolvedWeekStart,
+    dateLocale,
+    t,
+    day: (value) => dayjs(value).locale(dateLocale.locale),
+    startOfWeek: (value) => {
+      const date = dayjs(value).locale(dateLocale.locale).startOf('day');
+      return date.subtract((date.day() - resolvedWeekStart + 7) % 7, 'day');
+    },
+    formatCurrency: (amountCents, currency = 'USD') => new Intl.NumberFormat(intlLocale, {
+      style: 'currency',
+      currency,
+    }).format((Number.isFinite(amountCents) ? amountCents : 0) / 100),
+    formatTime: (isoString, tz) => formatTimeInZone(isoString, tz, dateLocale),
+    formatDate: (isoString, tz) => formatDateInZone(isoString, tz, dateLocale),
+    formatDateShort: (isoString, tz) => formatDateShortInZone(isoString, tz, dateLocale),
+    formatDateTime: (isoString, tz) => formatDateTimeInZone(isoString, tz, dateLocale),
+    formatUtc: (isoString) => formatUtcConfirmation(isoString, dateLocale),
+    formatList: (items) => (
+      typeof Intl.ListFormat === 'function'
+        ? new Intl.ListFormat(intlLocale, { style: 'long', type: 'conjunction' }).format(items)
+        : items.join(', ')
+    ),
+  };
+};
+
+export const DEFAULT_I18N = createI18n();
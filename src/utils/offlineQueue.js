@@ -0,0 +1,65 @@
+import { OFFLINE_BOOKING_QUEUE_STORAGE_KEY, OFFLINE_BOOKING_QUEUE_TTL_MS } from '../constants';
+
+export const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+export const isFinalReplayError = (error) => error?.status >= 400 && error.status < 500 && error.status !== 429;
+
+const isReplayableEntry = (entry, now) => (
+  Boolean(entry?.id && entry?.payload)
+  && now - Date.parse(entry.queuedAt) < OFFLINE_BOOKING_QUEUE_TTL_MS
+  && Date.parse(entry.slot?.start) > now
+);
+
+export const readOfflineQueue = () => {
+  if (typeof localStorage === 'undefined') {
+    return [];
+  }
+
+  try {
+    const raw = localStorage.getItem(OFFLINE_BOOKING_QUEUE_STORAGE_KEY);
+    if (!raw) {
+      return [];
+    }
+
+    const parsed = JSON.parse(raw);
+    const stored = Array.isArray(parsed) ? parsed : [];
+    const now = Date.now();
+    const entries = stored.filter((entry) => isReplayableEntry(entry, now));
+
+    if (entries.length !== stored.length) {
+      persistOfflineQueue(entries);
+    }
+
+    return entries;
+  } catch (_error) {
+    return [];
+  }
+};
+
+const persistOfflineQueue = (entries) => {
+  if (typeof localStorage === 'undefined') {
+    return;
+  }
+
+  try {
+    if (entries.length === 0) {
+      localStorage.removeItem(OFFLINE_BOOKING_QUEUE_STORAGE_KEY);
+      return;
+    }
+
+    localStorage.setItem(OFFLINE_BOOKING_QUEUE_STORAGE_KEY, JSON.stringify(entries));
+  } catch (_error) {
+    // no-op when storage is unavailable
+  }
+};
+
+export const enqueueOfflineBooking = (entry) => {
+  const entries = readOfflineQueue().filter((existing) => existing.id !== entry.id);
+  entries.push(entry);
+  persistOfflineQueue(entries);
+  return entry;
+};
+
+export const removeOfflineBooking = (entryId) => {
+  persistOfflineQueue(readOfflineQueue().filter((entry) => entry.id !== entryId));
+};
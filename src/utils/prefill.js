@@ -0,0 +1,73 @@
+const GUEST_FIELDS = ['name', 'email', 'phone', 'notes'];
+const URL_HIDDEN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const ANSWER_PARAM_PREFIX = 'answer_';
+const ANSWER_LOCK_PREFIX = 'answers.';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const toHiddenFields = (value) => (
+  isPlainObject(value)
+    ? Object.fromEntries(Object.entries(value)
+      .filter(([, fieldValue]) => fieldValue !== undefined && fieldValue !== null)
+      .map(([key, fieldValue]) => [key, String(fieldValue)]))
+    : {}
+);
+
+export const readUrlPrefill = () => {
+  if (typeof window === 'undefined' || typeof URLSearchParams === 'undefined') {
+    return {};
+  }
+
+  const params = new URLSearchParams(window.location.search);
+  const answers = {};
+  const hidden = {};
+
+  params.forEach((value, key) => {
+    if (key.startsWith(ANSWER_PARAM_PREFIX) && key.length > ANSWER_PARAM_PREFIX.length) {
+      answers[key.slice(ANSWER_PARAM_PREFIX.length)] = value;
+    }
+
+    if (URL_HIDDEN_PARAMS.includes(key)) {
+      hidden[key] = value;
+    }
+  });
+
+  return {
+    ...Object.fromEntries(GUEST_FIELDS.map((key) => [key, params.get(key)])),
+    answers,
+    hidden,
+  };
+};
+
+export const resolvePrefill = (prefill, { readUrl = true } = {}) => {
+  if (!isPlainObject(prefill)) {
+    return null;
+  }
+
+  const fromUrl = prefill.fromUrl && readUrl ? readUrlPrefill() : {};
+  const fields = {};
+  GUEST_FIELDS.forEach((key) => {
+    const value = prefill[key] ?? fromUrl[key];
+    if (typeof value === 'string' && value.trim()) {
+      fields[key] = value.trim();
+    }
+  });
+
+  const answers = {
+    ...(fromUrl.answers || {}),
+    ...(isPlainObject(prefill.answers) ? prefill.answers : {}),
+  };
+  const lockList = Array.isArray(prefill.readOnly) ? prefill.readOnly : [];
+  const isLocked = (key) => prefill.readOnly === true || lockList.includes(key);
+
+  return {
+    fields,
+    answers,
+    hidden: {
+      ...(fromUrl.hidden || {}),
+      ...toHiddenFields(prefill.hidden),
+    },
+    lockedFields: Object.keys(fields).filter(isLocked),
+    lockedAnswers: Object.keys(answers).filter((fieldId) => isLocked(`${ANSWER_LOCK_PREFIX}${fieldId}`)),
+  };
+};
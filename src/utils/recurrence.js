@@ -0,0 +1,62 @@
+import { DEFAULT_I18N } from './i18n';
+import { dayjs } from './time';
+
+export const RECURRENCE_FREQUENCIES = {
+  weekly: { intervalWeeks: 1 },
+  biweekly: { intervalWeeks: 2 },
+};
+
+export const DEFAULT_MAX_OCCURRENCES = 12;
+
+const LOCAL_DATE_TIME_FORMAT = 'YYYY-MM-DDTHH:mm:ss';
+
+export const normalizeRecurrence = (recurrence, maxOccurrences = DEFAULT_MAX_OCCURRENCES) => {
+  if (!recurrence || !RECURRENCE_FREQUENCIES[recurrence.frequency]) {
+    return null;
+  }
+
+  const count = Math.floor(Number(recurrence.count));
+  return {
+    frequency: recurrence.frequency,
+    count: Math.min(Math.max(Number.isFinite(count) ? count : 2, 2), maxOccurrences),
+  };
+};
+
+export const resolveMaxOccurrences = (eventType) => {
+  const configured = Math.floor(Number(eventType?.max_occurrences ?? eventType?.maxOccurrences));
+  return Number.isFinite(configured) && configured >= 2 ? configured : DEFAULT_MAX_OCCURRENCES;
+};
+
+export const allowsRecurrence = (eventType) => Boolean(
+  (eventType?.allow_recurring || eventType?.allowRecurring)
+  && !(eventType.requires_payment && eventType.price_cents > 0 && eventType.payment_enabled)
+);
+
+export const buildOccurrences = (slot, { frequency, count }, timezone = 'UTC') => {
+  const { intervalWeeks } = RECURRENCE_FREQUENCIES[frequency];
+  const localStart = dayjs.utc(dayjs(slot.start).tz(timezone).format(LOCAL_DATE_TIME_FORMAT));
+  const durationMs = dayjs(slot.end).valueOf() - dayjs(slot.start).valueOf();
+
+  return Array.from({ length: count }, (_, index) => {
+    const occurrenceStart = dayjs.tz(
+      localStart.add(index * intervalWeeks, 'week').format(LOCAL_DATE_TIME_FORMAT),
+      timezone
+    );
+    return {
+      index,
+      start: occurrenceStart.toISOString(),
+      end: occurrenceStart.add(durationMs, 'millisecond').toISOString(),
+    };
+  });
+};
+
+export const findLoadedSlot = (slots, start) => {
+  const target = dayjs(start).valueOf();
+  return Object.values(slots || {})
+    .flat()
+    .find((slot) => slot?.start && dayjs(slot.start).valueOf() === target) || null;
+};
+
+export const formatRecurrence = ({ frequency, count }, t = DEFAULT_I18N.t) => (
+  t(`series.summaries.${frequency}`, { count })
+);
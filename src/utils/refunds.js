@@ -0,0 +1,45 @@
+import { DEFAULT_I18N } from './i18n';
+
+const REFUND_POLICIES = {
+  flexible: { percent: 100, noticeHours: 24 },
+  moderate: { percent: 100, noticeHours: 5 * 24 },
+  strict: { percent: 50, noticeHours: 7 * 24 },
+};
+
+export const formatRefundNotice = (noticeHours, t = DEFAULT_I18N.t) => (
+  noticeHours >= 48
+    ? t('cancel.noticeDays', { count: Math.round(noticeHours / 24) })
+    : t('cancel.noticeHours', { count: noticeHours })
+);
+
+export const resolveRefundPreview = ({
+  refundPolicy,
+  startTime,
+  amountCents,
+  now = Date.now(),
+}) => {
+  const policy = REFUND_POLICIES[refundPolicy];
+  const paidCents = Number.isFinite(amountCents) ? amountCents : 0;
+
+  if (!policy) {
+    return {
+      policy: refundPolicy || 'none',
+      percent: 0,
+      amountCents: 0,
+      noticeHours: null,
+      isEligible: false,
+    };
+  }
+
+  const hoursUntilStart = (Date.parse(startTime) - now) / (60 * 60 * 1000);
+  const isEligible = hoursUntilStart >= policy.noticeHours;
+  const percent = isEligible ? policy.percent : 0;
+
+  return {
+    policy: refundPolicy,
+    percent,
+    amountCents: Math.round((paidCents * percent) / 100),
+    noticeHours: policy.noticeHours,
+    isEligible,
+  };
+};
@@ -0,0 +1,52 @@
+import { DEFAULT_I18N } from './i18n';
+
+const toSeatCount = (value) => {
+  const count = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(count) ? Math.max(0, Math.floor(count)) : null;
+};
+
+export const getSeatsRemaining = (slot) => toSeatCount(slot?.seats_remaining ?? slot?.seatsRemaining);
+
+export const getSlotCapacity = (slot) => toSeatCount(slot?.capacity);
+
+export const slotFitsParty = (slot, partySize = 1) => {
+  const remaining = getSeatsRemaining(slot);
+  return remaining === null || remaining >= partySize;
+};
+
+export const filterSlotsByPartySize = (slots, partySize = 1) => {
+  if (!slots || partySize <= 1) {
+    return slots;
+  }
+
+  return Object.fromEntries(
+    Object.entries(slots).map(([date, daySlots]) => [
+      date,
+      (daySlots || []).filter((slot) => slotFitsParty(slot, partySize)),
+    ])
+  );
+};
+
+export const resolveMaxPartySize = (eventType, slot = null) => {
+  const configured = toSeatCount(eventType?.max_party_size ?? eventType?.maxPartySize) || 1;
+  const remaining = getSeatsRemaining(slot);
+  return remaining === null ? configured : Math.max(1, Math.min(configured, remaining));
+};
+
+export const formatSeatsRemaining = (slot, { short = false, t = DEFAULT_I18N.t } = {}) => {
+  const remaining = getSeatsRemaining(slot);
+  if (remaining === null) {
+    return null;
+  }
+
+  if (short) {
+    return t('seats.leftShort', { count: remaining });
+  }
+
+  const capacity = getSlotCapacity(slot);
+  if (capacity) {
+    return t('seats.leftOfCapacity', { count: remaining, capacity });
+  }
+
+  return t('seats.left', { count: remaining });
+};
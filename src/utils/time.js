@@ -19,12 +19,62 @@ export const resolveUserTimezone = (value) => {
   }
 };
 
-export const formatTimeInZone = (isoString, tz) => dayjs(isoString).tz(tz).format('h:mm A');
+export const buildSlotChunks = ({ slotWindowDays, slotChunkDays, from = dayjs() }) => {
+  const windowStart = from.startOf('day');
+  const windowEnd = windowStart.add(slotWindowDays, 'day');
+  const chunkDays = Number.isFinite(slotChunkDays) && slotChunkDays > 0 ? slotChunkDays : slotWindowDays + 1;
+  const chunks = [];
 
-export const formatDateInZone = (isoString, tz) => dayjs(isoString).tz(tz).format('dddd, MMMM D, YYYY');
+  for (let chunkStart = windowStart; !chunkStart.isAfter(windowEnd, 'day'); chunkStart = chunkStart.add(chunkDays, 'day')) {
+    const chunkEnd = chunkStart.add(chunkDays - 1, 'day');
+    chunks.push({
+      startDate: chunkStart.format('YYYY-MM-DD'),
+      endDate: (chunkEnd.isAfter(windowEnd, 'day') ? windowEnd : chunkEnd).format('YYYY-MM-DD'),
+    });
+  }
+
+  return chunks;
+};
+
+export const listTimezones = () => {
+  try {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  } catch (_error) {
+    return [];
+  }
+};
+
+export const isValidTimezone = (value) => {
+  if (typeof value !== 'string' || !value) {
+    return false;
+  }
+
+  try {
+    Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch (_error) {
+    return false;
+  }
+};
+
+export const DEFAULT_DATE_FORMATS = {
+  time: 'h:mm A',
+  date: 'dddd, MMMM D, YYYY',
+  dateShort: 'ddd, MMM D',
+  dateTime: 'ddd, MMM D \u2022 h:mm A',
+  utc: 'ddd, MMM D, YYYY [at] HH:mm [UTC]',
+};
+
+const formatInZone = (isoString, tz, key, { locale = 'en', formats = DEFAULT_DATE_FORMATS } = {}) => (
+  dayjs(isoString).locale(locale).tz(tz).format(formats[key] || DEFAULT_DATE_FORMATS[key])
+);
+
+export const formatTimeInZone = (isoString, tz, localeOptions) => formatInZone(isoString, tz, 'time', localeOptions);
+
+export const formatDateInZone = (isoString, tz, localeOptions) => formatInZone(isoString, tz, 'date', localeOptions);
 
-export const formatDateShortInZone = (isoString, tz) => dayjs(isoString).tz(tz).format('ddd, MMM D');
+export const formatDateShortInZone = (isoString, tz, localeOptions) => formatInZone(isoString, tz, 'dateShort', localeOptions);
 
-export const formatDateTimeInZone = (isoString, tz) => dayjs(isoString).tz(tz).format('ddd, MMM D \u2022 h:mm A');
+export const formatDateTimeInZone = (isoString, tz, localeOptions) => formatInZone(isoString, tz, 'dateTime', localeOptions);
 
-export const formatUtcConfirmation = (isoString) => dayjs(isoString).utc().format('ddd, MMM D, YYYY [at] HH:mm [UTC]');
+export const formatUtcConfirmation = (isoString, localeOptions) => formatInZone(isoString, 'UTC', 'utc', localeOptions);
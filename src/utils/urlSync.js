@@ -0,0 +1,99 @@
+import { BOOKING_STEPS } from '../constants';
+
+const URL_STATE_KEYS = ['step', 'event', 'date', 'slot'];
+const STEP_VALUES = Object.values(BOOKING_STEPS);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const STEP_ORDER = [
+  BOOKING_STEPS.SELECT_EVENT,
+  BOOKING_STEPS.SELECT_HOST,
+  BOOKING_STEPS.SELECT_TIME,
+  BOOKING_STEPS.CONFIRM,
+  BOOKING_STEPS.SUCCESS,
+];
+
+export const normalizeUrlSync = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const config = value === true ? {} : value;
+  return {
+    mode: config.mode === 'hash' ? 'hash' : 'query',
+    prefix: config.prefix || 'calemly',
+  };
+};
+
+const readParams = (url, mode) => (
+  mode === 'hash' ? new URLSearchParams(url.hash.replace(/^#/, '')) : url.searchParams
+);
+
+export const readHistoryIndex = (config) => {
+  if (typeof window === 'undefined') {
+    return 0;
+  }
+
+  const index = window.history.state?.[config.prefix]?.index;
+  return Number.isInteger(index) ? index : 0;
+};
+
+export const readUrlState = (config) => {
+  if (typeof window === 'undefined' || typeof URL === 'undefined') {
+    return null;
+  }
+
+  try {
+    const params = readParams(new URL(window.location.href), config.mode);
+    const values = Object.fromEntries(URL_STATE_KEYS.map((key) => [key, params.get(`${config.prefix}_${key}`)]));
+
+    const restored = {
+      step: STEP_VALUES.includes(values.step) ? values.step : null,
+      event: values.event || null,
+      date: DATE_PATTERN.test(values.date || '') ? values.date : null,
+      slot: values.slot && Number.isFinite(Date.parse(values.slot)) ? values.slot : null,
+    };
+
+    return URL_STATE_KEYS.some((key) => restored[key]) ? restored : null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+export const writeUrlState = (config, values, { push = false, index = 0 } = {}) => {
+  if (typeof window === 'undefined' || typeof URL === 'undefined') {
+    return;
+  }
+
+  try {
+    const url = new URL(window.location.href);
+    const params = readParams(url, config.mode);
+
+    URL_STATE_KEYS.forEach((key) => {
+      const name = `${config.prefix}_${key}`;
+      if (values[key]) {
+        params.set(name, values[key]);
+      } else {
+        params.delete(name);
+      }
+    });
+
+    if (config.mode === 'hash') {
+      const hash = params.toString();
+      url.hash = hash ? `#${hash}` : '';
+    }
+
+    const historyState = {
+      ...(window.history.state && typeof window.history.state === 'object' ? window.history.state : {}),
+      [config.prefix]: { index },
+    };
+    const nextUrl = `${url.pathname}${url.search}${url.hash}`;
+
+    if (push) {
+      window.history.pushState(historyState, '', nextUrl);
+    } else {
+      window.history.replaceState(historyState, '', nextUrl);
+    }
+  } catch (_error) {
+    // no-op
+  }
+};
@@ -0,0 +1,3 @@
+export const isValidEmail = (value) => /.+@.+\..+/.test((value || '').trim());
+
+export const normalizeEmail = (value) => (value || '').trim().toLowerCase();
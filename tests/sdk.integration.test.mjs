@@ -397,3 +397,3974 @@ test('booking form covers paid PayPal path and conflict recovery selection', { c
     teardownDom(dom);
   }
 });
+
+test('provider routes api calls through custom transport and interceptors', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_transport_1',
+    name: 'Traced Call',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const transportCalls = [];
+  const recordedResponses = [];
+  const recordedErrors = [];
+
+  const transport = async (url, init = {}) => {
+    transportCalls.push({ url, init });
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({
+        slots: {
+          '2026-05-10': [{ start: '2026-05-10T10:00:00.000Z', end: '2026-05-10T10:30:00.000Z' }],
+        },
+      });
+    }
+
+    if (url.includes('/bookings/public/recent-templates')) {
+      return jsonResponse({ message: 'Not allowed' }, 403);
+    }
+
+    return jsonResponse({});
+  };
+
+  const interceptors = [
+    {
+      onRequest: ({ url, headers }) => ({
+        url: url.replace('https://api.test', 'https://proxy.test'),
+        headers: { ...headers, 'X-Trace-Id': 'trace_1' },
+      }),
+      onResponse: ({ endpoint, method, data }) => {
+        recordedResponses.push({ endpoint, method, data });
+      },
+      onError: ({ endpoint, error }) => {
+        recordedErrors.push({ endpoint, status: error.status, message: error.message });
+      },
+    },
+  ];
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, cleanup } = await import('@testing-library/react');
+
+    function Probe() {
+      const booking = sdk.useBooking();
+      return React.createElement(
+        'div',
+        { 'data-testid': 'slot-days' },
+        Object.keys(booking.slots).join(',')
+      );
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          eventType,
+          transport,
+          interceptors,
+        },
+        React.createElement(Probe)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(view.getByTestId('slot-days').textContent, '2026-05-10');
+      assert.equal(recordedErrors.length, 1);
+    });
+
+    assert.ok(transportCalls.length >= 2);
+    transportCalls.forEach((call) => {
+      assert.ok(call.url.startsWith('https://proxy.test/'));
+      assert.equal(call.init.headers['X-Trace-Id'], 'trace_1');
+    });
+
+    const slotsResponse = recordedResponses.find((entry) => entry.endpoint.startsWith('/bookings/public/slots'));
+    assert.ok(slotsResponse, 'Expected slots response to be recorded');
+    assert.equal(slotsResponse.method, 'GET');
+    assert.equal(recordedErrors[0].status, 403);
+    assert.equal(recordedErrors[0].message, 'Not allowed');
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('provider aborts pending slot requests when it unmounts', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_abort_1',
+    name: 'Hanging Call',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const pendingSignals = [];
+  const transport = (url, init = {}) => {
+    if (url.includes('/bookings/public/slots')) {
+      pendingSignals.push(init.signal);
+      return new Promise((_resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+      });
+    }
+
+    return Promise.resolve(jsonResponse({ templates: [] }));
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, cleanup } = await import('@testing-library/react');
+
+    function Probe() {
+      const booking = sdk.useBooking();
+      return React.createElement('div', { 'data-testid': 'loading' }, String(booking.isLoadingSlots));
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          eventType,
+          transport,
+        },
+        React.createElement(Probe)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(view.getByTestId('loading').textContent, 'true');
+      assert.equal(pendingSignals.length, 1);
+    });
+
+    assert.equal(pendingSignals[0].aborted, false);
+    view.unmount();
+
+    await waitFor(() => {
+      assert.equal(pendingSignals[0].aborted, true);
+    });
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('request timeouts still apply while the response body is streaming', { concurrency: false }, async () => {
+  const eventType = { id: 'evt_stream_1', name: 'Streaming Intro', duration: 30 };
+  const attempts = [];
+  const transport = async (url, init) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: {} });
+    }
+
+    attempts.push(init.signal);
+    if (attempts.length > 1) {
+      return jsonResponse({ eventType });
+    }
+
+    return new Response(
+      new ReadableStream({
+        start(stream) {
+          init.signal.addEventListener('abort', () => {
+            stream.error(new DOMException('The operation was aborted.', 'AbortError'));
+          });
+        },
+      }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  };
+
+  const sdk = await loadSdkModule();
+  const data = await sdk.prefetchSchedulerData({
+    apiBaseUrl: 'https://api.test',
+    eventSlug: 'streaming-intro',
+    transport,
+    requestTimeouts: 50,
+  });
+
+  assert.equal(data.eventType.id, 'evt_stream_1');
+  assert.equal(attempts.length, 2);
+  assert.equal(attempts[0].aborted, true);
+});
+
+test('identical in-flight slot lookups share one request under StrictMode', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_dedupe_1',
+    name: 'Busy Landing Page',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const slotCalls = [];
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      slotCalls.push(url);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return jsonResponse({
+        slots: {
+          '2026-05-10': [{ start: '2026-05-10T10:00:00.000Z', end: '2026-05-10T10:30:00.000Z' }],
+        },
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, cleanup } = await import('@testing-library/react');
+
+    function Probe() {
+      const booking = sdk.useBooking();
+      return React.createElement(
+        'div',
+        { 'data-testid': 'slot-days' },
+        Object.keys(booking.slots).join(',')
+      );
+    }
+
+    const view = render(
+      React.createElement(
+        React.StrictMode,
+        null,
+        React.createElement(
+          sdk.SchedulerProvider,
+          {
+            apiBaseUrl: 'https://api.test',
+            eventType,
+            transport,
+          },
+          React.createElement(Probe)
+        )
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(view.getByTestId('slot-days').textContent, '2026-05-10');
+    });
+
+    assert.equal(slotCalls.length, 1);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('booking errors reach onBookingError as typed error instances', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_typed_1',
+    name: 'Typed Errors',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const slot = {
+    start: '2026-05-13T09:00:00.000Z',
+    end: '2026-05-13T09:30:00.000Z',
+  };
+
+  const alternative = {
+    start: '2026-05-13T10:00:00.000Z',
+    end: '2026-05-13T10:30:00.000Z',
+  };
+
+  const transport = async (url, init = {}) => {
+    if (url.endsWith('/bookings/public') && init.method === 'POST') {
+      return jsonResponse({
+        code: 'SLOT_CONFLICT',
+        message: 'Slot taken',
+        alternatives: [alternative],
+      }, 409);
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: {} });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const reportedErrors = [];
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, cleanup } = await import('@testing-library/react');
+
+    function Probe() {
+      const booking = sdk.useBooking();
+      const submittedRef = React.useRef(false);
+
+      React.useEffect(() => {
+        if (!booking.selectedSlot) {
+          booking.selectSlot(slot);
+          return;
+        }
+
+        if (!submittedRef.current) {
+          submittedRef.current = true;
+          booking.submitBooking({
+            guest_name: 'Jane Guest',
+            guest_email: 'jane@example.com',
+          });
+        }
+      }, [booking]);
+
+      return null;
+    }
+
+    render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          eventType,
+          transport,
+          autoSignedWidgetToken: false,
+          onBookingError: (error) => {
+            reportedErrors.push(error);
+          },
+        },
+        React.createElement(Probe)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(reportedErrors.length, 1);
+    });
+
+    const [reported] = reportedErrors;
+    assert.ok(reported instanceof sdk.SlotConflictError);
+    assert.ok(reported instanceof sdk.SchedulerApiError);
+    assert.ok(reported instanceof Error);
+    assert.equal(reported.code, 'SLOT_CONFLICT');
+    assert.equal(reported.status, 409);
+    assert.equal(reported.message, 'That slot was booked moments ago. Please choose another available time.');
+    assert.deepEqual(reported.alternatives, [alternative]);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('offline bookings are queued and replayed with the same client request id', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+  let online = false;
+  Object.defineProperty(dom.window.navigator, 'onLine', {
+    configurable: true,
+    get: () => online,
+  });
+
+  const eventType = {
+    id: 'evt_offline_1',
+    name: 'Offline Call',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const nextYear = new Date().getUTCFullYear() + 1;
+  const slot = {
+    start: `${nextYear}-05-14T09:00:00.000Z`,
+    end: `${nextYear}-05-14T09:30:00.000Z`,
+  };
+
+  const bookingCalls = [];
+  const transport = async (url, init = {}) => {
+    if (url.endsWith('/bookings/public') && init.method === 'POST') {
+      bookingCalls.push(JSON.parse(init.body));
+      return jsonResponse({ booking: { id: 'book_offline_1' } });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: {} });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, cleanup, act } = await import('@testing-library/react');
+
+    function Probe() {
+      const booking = sdk.useBooking();
+      const submittedRef = React.useRef(false);
+
+      React.useEffect(() => {
+        if (!booking.selectedSlot && !booking.queuedBooking && !booking.confirmedBooking) {
+          booking.selectSlot(slot);
+          return;
+        }
+
+        if (booking.selectedSlot && !submittedRef.current) {
+          submittedRef.current = true;
+          booking.submitBooking({
+            guest_name: 'Jane Guest',
+            guest_email: 'jane@example.com',
+          });
+        }
+      }, [booking]);
+
+      return React.createElement(
+        'div',
+        { 'data-testid': 'state' },
+        `${booking.step}:${booking.queuedBooking?.id || ''}:${booking.confirmedBooking?.id || ''}`
+      );
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          eventType,
+          transport,
+          offlineQueue: true,
+          autoSignedWidgetToken: false,
+        },
+        React.createElement(Probe)
+      )
+    );
+
+    let queuedId = '';
+    await waitFor(() => {
+      const [, queued] = view.getByTestId('state').textContent.split(':');
+      assert.ok(queued, 'Expected booking to be queued');
+      queuedId = queued;
+    });
+
+    assert.equal(bookingCalls.length, 0);
+    const storedQueue = JSON.parse(window.localStorage.getItem('calemly-sdk:offline-booking-queue'));
+    assert.equal(storedQueue.length, 1);
+    assert.equal(storedQueue[0].payload.client_request_id, queuedId);
+
+    online = true;
+    await act(async () => {
+      window.dispatchEvent(new window.Event('online'));
+    });
+
+    await waitFor(() => {
+      assert.equal(view.getByTestId('state').textContent, 'success::book_offline_1');
+    });
+
+    assert.equal(bookingCalls.length, 1);
+    assert.equal(bookingCalls[0].client_request_id, queuedId);
+    assert.equal(bookingCalls[0].source_details.client_request_id, queuedId);
+    assert.equal(window.localStorage.getItem('calemly-sdk:offline-booking-queue'), null);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('offline queue drops expired or past entries and replays others without leaving the current flow', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const nextYear = new Date().getUTCFullYear() + 1;
+  const eventType = { id: 'evt_offline_2', name: 'Offline Call', duration: 30, calendarTimezone: 'UTC' };
+  const toEntry = (id, start, queuedAt) => ({
+    id,
+    payload: { event_type_id: eventType.id, start_time: start, guest_email: 'jane@example.com', client_request_id: id },
+    slot: { start, end: start.replace('09:00', '09:30') },
+    eventType,
+    queuedAt,
+  });
+  const now = Date.now();
+  window.localStorage.setItem('calemly-sdk:offline-booking-queue', JSON.stringify([
+    toEntry('req_stale', `${nextYear}-05-14T09:00:00.000Z`, new Date(now - 2 * 24 * 60 * 60 * 1000).toISOString()),
+    toEntry('req_past', '2020-05-14T09:00:00.000Z', new Date(now).toISOString()),
+    toEntry('req_live', `${nextYear}-05-15T09:00:00.000Z`, new Date(now).toISOString()),
+  ]));
+
+  const bookingCalls = [];
+  const transport = async (url, init = {}) => {
+    if (url.endsWith('/bookings/public') && init.method === 'POST') {
+      bookingCalls.push(JSON.parse(init.body));
+      return jsonResponse({ booking: { id: 'book_offline_2' } });
+    }
+
+    return jsonResponse({ slots: {}, templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const successes = [];
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventType,
+      transport,
+      offlineQueue: true,
+      autoSignedWidgetToken: false,
+      onBookingSuccess: (booking) => successes.push(booking),
+    });
+
+    store.actions.selectSlot({ start: `${nextYear}-05-16T09:00:00.000Z`, end: `${nextYear}-05-16T09:30:00.000Z` });
+    store.start();
+    assert.equal(store.getState().queuedBooking.id, 'req_live');
+    assert.deepEqual(
+      JSON.parse(window.localStorage.getItem('calemly-sdk:offline-booking-queue')).map((entry) => entry.id),
+      ['req_live']
+    );
+
+    await new Promise((resolve) => {
+      const check = () => {
+        if (successes.length > 0 && !store.getState().isSubmitting) {
+          resolve();
+          return;
+        }
+        setTimeout(check, 5);
+      };
+      check();
+    });
+
+    assert.deepEqual(bookingCalls.map((payload) => payload.client_request_id), ['req_live']);
+    assert.equal(successes[0].id, 'book_offline_2');
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.SELECT_TIME);
+    assert.equal(store.getState().confirmedBooking, null);
+    assert.equal(store.getState().queuedBooking, null);
+    assert.equal(window.localStorage.getItem('calemly-sdk:offline-booking-queue'), null);
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('offline queue keeps entries on transient replay errors and drops them on final ones', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const nextYear = new Date().getUTCFullYear() + 1;
+  const eventType = { id: 'evt_offline_3', name: 'Offline Call', duration: 30, calendarTimezone: 'UTC' };
+  const toEntry = (id, start) => ({
+    id,
+    payload: { event_type_id: eventType.id, start_time: start, guest_email: 'jane@example.com', client_request_id: id },
+    slot: { start, end: start.replace('09:00', '09:30') },
+    eventType,
+    queuedAt: new Date().toISOString(),
+  });
+  window.localStorage.setItem('calemly-sdk:offline-booking-queue', JSON.stringify([
+    toEntry('req_conflict', `${nextYear}-05-14T09:00:00.000Z`),
+    toEntry('req_ok', `${nextYear}-05-15T09:00:00.000Z`),
+  ]));
+  const queuedIds = () => (
+    JSON.parse(window.localStorage.getItem('calemly-sdk:offline-booking-queue') || '[]').map((entry) => entry.id)
+  );
+
+  let replayResponses = [];
+  const bookingCalls = [];
+  const transport = async (url, init = {}) => {
+    if (url.endsWith('/bookings/public') && init.method === 'POST') {
+      bookingCalls.push(JSON.parse(init.body).client_request_id);
+      const next = replayResponses.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    }
+
+    return jsonResponse({ slots: {}, templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const errors = [];
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventType,
+      transport,
+      offlineQueue: true,
+      autoSignedWidgetToken: false,
+      circuitBreaker: { failureThreshold: 100 },
+      onBookingError: (error) => errors.push(error),
+    });
+
+    for (const response of [
+      () => jsonResponse({ message: 'Unavailable' }, 503),
+      () => new TypeError('Failed to fetch'),
+    ]) {
+      replayResponses = [response(), response(), response()];
+      const results = await store.actions.flushOfflineQueue();
+      assert.deepEqual(results, []);
+      assert.deepEqual(queuedIds(), ['req_conflict', 'req_ok']);
+    }
+    assert.equal(errors.length, 0);
+    assert.equal(new Set(bookingCalls).size, 1);
+
+    replayResponses = [
+      jsonResponse({ message: 'Slot taken', code: 'SLOT_CONFLICT' }, 409),
+      jsonResponse({ booking: { id: 'book_offline_3' } }),
+    ];
+    const results = await store.actions.flushOfflineQueue();
+    assert.deepEqual(results.map((result) => result.ok), [false, true]);
+    assert.equal(results[0].error.status, 409);
+    assert.equal(errors.length, 1);
+    assert.deepEqual(queuedIds(), []);
+    assert.equal(store.getState().queuedBooking, null);
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('headless store loads slots and books without React', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_headless_1',
+    name: 'Headless Intro',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const slot = { start: '2026-06-01T09:00:00.000Z', end: '2026-06-01T09:30:00.000Z' };
+
+  const transport = async (url, init) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-06-01': [slot] } });
+    }
+
+    if (init?.method === 'POST' && url.endsWith('/bookings/public')) {
+      return jsonResponse({ booking: { id: 'bk_headless_1' } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const bookings = [];
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventType,
+      transport,
+      onBookingSuccess: (booking) => bookings.push(booking),
+    });
+
+    let notifications = 0;
+    const unsubscribe = store.subscribe(() => {
+      notifications += 1;
+    });
+
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.SELECT_TIME);
+    store.start();
+
+    await new Promise((resolve) => {
+      const check = () => {
+        if (store.getState().slots['2026-06-01']) {
+          resolve();
+          return;
+        }
+        setTimeout(check, 5);
+      };
+      check();
+    });
+
+    assert.equal(store.getState().isLoading, false);
+    assert.equal(store.getConfig().apiBaseUrl, 'https://api.test');
+
+    store.actions.selectSlot(slot);
+    const result = await store.actions.submitBooking({
+      guest_name: 'Ada Lovelace',
+      guest_email: 'ada@example.com',
+    });
+
+    assert.equal(result.ok, true);
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.SUCCESS);
+    assert.equal(bookings[0].id, 'bk_headless_1');
+    assert.ok(notifications > 0);
+
+    unsubscribe();
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('prefetched initialData renders on the server and hydrates without refetching', { concurrency: false }, async () => {
+  const eventType = {
+    id: 'evt_ssr_1',
+    slug: 'ssr-intro',
+    name: 'Server Rendered Intro',
+    duration: 30,
+    calendarTimezone: 'UTC',
+    orgName: 'Acme',
+  };
+  const today = new Date().toISOString().split('T')[0];
+  const calls = [];
+  const transport = async (url) => {
+    calls.push(url);
+
+    if (url.includes('/bookings/public/event/ssr-intro')) {
+      return jsonResponse({ eventType });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({
+        slots: {
+          [today]: [{ start: `${today}T23:00:00.000Z`, end: `${today}T23:30:00.000Z` }],
+        },
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const sdk = await loadSdkModule();
+  const { renderToString } = await import('react-dom/server');
+
+  const initialData = await sdk.prefetchSchedulerData({
+    apiBaseUrl: 'https://api.test',
+    eventSlug: 'ssr-intro',
+    transport,
+  });
+
+  assert.equal(initialData.eventType.id, 'evt_ssr_1');
+  assert.equal(initialData.slots[today].length, 1);
+  assert.equal(calls.length, 2);
+
+  const widgetProps = {
+    apiBaseUrl: 'https://api.test',
+    eventSlug: 'ssr-intro',
+    timezone: 'UTC',
+    initialData,
+    transport,
+  };
+  const browserGlobals = ['window', 'document', 'localStorage', 'sessionStorage'];
+  const savedGlobals = browserGlobals.map((key) => [key, globalThis[key]]);
+  browserGlobals.forEach((key) => {
+    delete globalThis[key];
+  });
+
+  let markup;
+  try {
+    markup = renderToString(React.createElement(sdk.SchedulerWidget, widgetProps));
+  } finally {
+    savedGlobals.forEach(([key, value]) => {
+      globalThis[key] = value;
+    });
+  }
+  assert.match(markup, /Server Rendered Intro/);
+
+  const dom = setupDom('https://sdk.test/widget');
+
+  try {
+    const { hydrateRoot } = await import('react-dom/client');
+    const { act } = await import('react');
+    const container = document.createElement('div');
+    container.innerHTML = markup;
+    document.body.appendChild(container);
+
+    const recoverableErrors = [];
+    let root;
+    await act(async () => {
+      root = hydrateRoot(container, React.createElement(sdk.SchedulerWidget, widgetProps), {
+        onRecoverableError: (error) => recoverableErrors.push(error),
+      });
+    });
+
+    await act(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    });
+
+    assert.deepEqual(recoverableErrors, []);
+    assert.match(container.textContent, /Server Rendered Intro/);
+    assert.equal(
+      calls.filter((url) => url.includes('/bookings/public/slots') && url.includes(`start_date=${initialData.startDate}`)).length,
+      1
+    );
+    assert.equal(calls.filter((url) => url.includes('/bookings/public/event/')).length, 1);
+
+    await act(async () => {
+      root.unmount();
+    });
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('headless store keeps hydrated initialData slots when it starts', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_hydrated_1',
+    name: 'Hydrated Intro',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const today = new Date().toISOString().split('T')[0];
+  const slot = { start: `${today}T23:00:00.000Z`, end: `${today}T23:30:00.000Z` };
+  const slotRequests = [];
+
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      slotRequests.push(url);
+      return jsonResponse({ slots: {} });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const initialData = await sdk.prefetchSchedulerData({
+      apiBaseUrl: 'https://api.test',
+      eventSlug: 'hydrated-intro',
+      timezone: 'UTC',
+      transport: async (url) => (
+        url.includes('/bookings/public/slots')
+          ? jsonResponse({ slots: { [today]: [slot] } })
+          : jsonResponse({ eventType })
+      ),
+    });
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventSlug: 'hydrated-intro',
+      timezone: 'UTC',
+      transport,
+      initialData,
+    });
+
+    const emptySnapshots = [];
+    const unsubscribe = store.subscribe(() => {
+      if (!store.getState().slots[today]) {
+        emptySnapshots.push(store.getState().slots);
+      }
+    });
+
+    store.start();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    assert.deepEqual(emptySnapshots, []);
+    assert.deepEqual(store.getState().slots[today], [slot]);
+    assert.equal(slotRequests.length, 0);
+
+    unsubscribe();
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('headless store hydrates in the initialData timezone when no timezone is passed', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_hydrated_tz',
+    name: 'Hydrated Intro',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const today = new Date().toISOString().split('T')[0];
+  const slot = { start: `${today}T23:00:00.000Z`, end: `${today}T23:30:00.000Z` };
+  const slotRequests = [];
+
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      slotRequests.push(url);
+      return jsonResponse({ slots: {} });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const initialData = await sdk.prefetchSchedulerData({
+      apiBaseUrl: 'https://api.test',
+      eventSlug: 'hydrated-intro',
+      timezone: 'Asia/Tokyo',
+      transport: async (url) => (
+        url.includes('/bookings/public/slots')
+          ? jsonResponse({ slots: { [today]: [slot] } })
+          : jsonResponse({ eventType })
+      ),
+    });
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventSlug: 'hydrated-intro',
+      transport,
+      initialData,
+    });
+
+    assert.equal(store.getState().userTimezone, 'Asia/Tokyo');
+    store.start();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    assert.equal(store.getState().userTimezone, 'Asia/Tokyo');
+    assert.deepEqual(store.getState().slots[today], [slot]);
+    assert.equal(slotRequests.length, 0);
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('persistent cache serves stale event types and slots while revalidating', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_cache_1',
+    name: 'Cached Consult',
+    duration: 30,
+    calendarTimezone: 'UTC',
+    orgName: 'Acme',
+  };
+
+  let slotVersion = 1;
+  let releaseSlots = null;
+  const calls = [];
+  const transport = async (url) => {
+    calls.push(url);
+
+    if (url.includes('/embed/')) {
+      return jsonResponse({
+        organization: { id: 'org_1', name: 'Acme' },
+        embed: {},
+        eventTypes: [eventType],
+      });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      const version = slotVersion;
+      if (releaseSlots) {
+        await new Promise((resolve) => {
+          releaseSlots = resolve;
+        });
+      }
+      return jsonResponse({
+        slots: {
+          '2026-07-01': [{ start: `2026-07-01T0${version}:00:00.000Z`, end: `2026-07-01T0${version}:30:00.000Z` }],
+        },
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const waitForState = (store, predicate) => new Promise((resolve) => {
+    const check = () => {
+      if (predicate(store.getState())) {
+        resolve();
+        return;
+      }
+      setTimeout(check, 5);
+    };
+    check();
+  });
+
+  try {
+    const sdk = await loadSdkModule();
+    const storeOptions = {
+      apiBaseUrl: 'https://api.test',
+      embedKey: 'emb_cache',
+      timezone: 'UTC',
+      transport,
+      cache: sdk.createLocalStorageCache(),
+    };
+
+    const firstStore = sdk.createSchedulerStore(storeOptions);
+    firstStore.start();
+    await waitForState(firstStore, (state) => Boolean(state.slots['2026-07-01']));
+    firstStore.destroy();
+
+    assert.ok(Object.keys(localStorage).some((key) => key.startsWith('calemly-sdk:cache:slots:evt_cache_1:')));
+    assert.ok(localStorage.getItem('calemly-sdk:cache:eventTypes:emb_cache'));
+
+    calls.length = 0;
+    slotVersion = 2;
+    releaseSlots = () => {};
+
+    const secondStore = sdk.createSchedulerStore({ ...storeOptions, cacheTtlMs: 0 });
+    secondStore.start();
+    await waitForState(secondStore, (state) => Boolean(state.slots['2026-07-01']));
+
+    assert.equal(secondStore.getState().isInitializing, false);
+    assert.equal(secondStore.getState().isLoadingSlots, false);
+    assert.equal(secondStore.getState().eventType.id, 'evt_cache_1');
+    assert.equal(secondStore.getState().slots['2026-07-01'][0].start, '2026-07-01T01:00:00.000Z');
+
+    await waitForState(secondStore, () => calls.some((url) => url.includes('/bookings/public/slots')));
+    releaseSlots();
+    await waitForState(secondStore, (state) => state.slots['2026-07-01'][0].start === '2026-07-01T02:00:00.000Z');
+
+    await secondStore.actions.invalidateAvailability('evt_cache_1');
+    assert.equal(Object.keys(localStorage).some((key) => key.startsWith('calemly-sdk:cache:slots:')), false);
+
+    secondStore.destroy();
+  } finally {
+    localStorage.clear();
+    teardownDom(dom);
+  }
+});
+
+test('slot picker loads availability in chunks as weeks are navigated', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_chunks_1',
+    name: 'Chunked Availability',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const slotRequests = [];
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      const params = new URL(url).searchParams;
+      const startDate = params.get('start_date');
+      slotRequests.push({ startDate, endDate: params.get('end_date') });
+      return jsonResponse({
+        slots: {
+          [startDate]: [{ start: `${startDate}T10:00:00.000Z`, end: `${startDate}T10:30:00.000Z` }],
+        },
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, fireEvent, cleanup } = await import('@testing-library/react');
+
+    let latestSlots = {};
+    function Probe() {
+      latestSlots = sdk.useBooking().slots;
+      return null;
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          eventType,
+          timezone: 'UTC',
+          slotChunkDays: 7,
+          slotWindowDays: 60,
+          transport,
+        },
+        React.createElement(sdk.SlotPicker),
+        React.createElement(Probe)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(new Set(slotRequests.map((entry) => entry.startDate)).size, 2);
+    });
+
+    const formatLocalDate = (date) => [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0'),
+    ].join('-');
+    const now = new Date();
+    const today = formatLocalDate(now);
+    assert.deepEqual(slotRequests.find((entry) => entry.startDate === today), {
+      startDate: today,
+      endDate: formatLocalDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 6)),
+    });
+
+    fireEvent.click(view.getByLabelText('Next week'));
+
+    await waitFor(() => {
+      assert.equal(new Set(slotRequests.map((entry) => entry.startDate)).size, 3);
+      assert.equal(Object.keys(latestSlots).length, 3);
+    });
+
+    assert.equal(slotRequests.length, 3);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('cancelled background chunk loads do not leave the prefetch flag set', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = { id: 'evt_chunks_abort', name: 'Chunked Availability', duration: 30, calendarTimezone: 'UTC' };
+  const otherEventType = { id: 'evt_chunks_other', name: 'Other Availability', duration: 30, calendarTimezone: 'UTC' };
+  const localDate = (offset) => {
+    const now = new Date();
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0'),
+    ].join('-');
+  };
+  const today = localDate(0);
+  const slotRequests = [];
+
+  const transport = async (url, init = {}) => {
+    if (url.includes('/bookings/public/slots')) {
+      const params = new URL(url).searchParams;
+      slotRequests.push(params.get('start_date'));
+      if (params.get('event_type_id') === eventType.id && params.get('start_date') !== today) {
+        return new Promise((_, reject) => {
+          init.signal?.addEventListener('abort', () => reject(init.signal.reason || new Error('aborted')));
+        });
+      }
+      return jsonResponse({ slots: {} });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventType,
+      timezone: 'UTC',
+      slotChunkDays: 7,
+      slotWindowDays: 60,
+      transport,
+    });
+    const waitFor = (predicate) => new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const check = () => {
+        if (predicate()) {
+          resolve();
+          return;
+        }
+        if (Date.now() - startedAt > 2000) {
+          reject(new Error('Timed out waiting for store state'));
+          return;
+        }
+        setTimeout(check, 5);
+      };
+      check();
+    });
+
+    store.start();
+    await waitFor(() => slotRequests.includes(today) && !store.getState().isLoadingSlots);
+
+    store.actions.loadSlotRange(localDate(10));
+    await waitFor(() => store.getState().isPrefetchingSlots);
+
+    await store.actions.selectEventType(otherEventType);
+    await waitFor(() => slotRequests.length >= 3 && !store.getState().isLoadingSlots);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(store.getState().isPrefetchingSlots, false);
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('scheduler widget requests the next slot range as weeks are navigated', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_widget_chunks_1',
+    name: 'Widget Chunks',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const slotStartDates = [];
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      const startDate = new URL(url).searchParams.get('start_date');
+      slotStartDates.push(startDate);
+      return jsonResponse({
+        slots: {
+          [startDate]: [{ start: `${startDate}T10:00:00.000Z`, end: `${startDate}T10:30:00.000Z` }],
+        },
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, fireEvent, cleanup } = await import('@testing-library/react');
+
+    const view = render(
+      React.createElement(sdk.SchedulerWidget, {
+        apiBaseUrl: 'https://api.test',
+        eventType,
+        timezone: 'UTC',
+        slotChunkDays: 7,
+        slotWindowDays: 60,
+        transport,
+        showPoweredBy: false,
+      })
+    );
+
+    await waitFor(() => {
+      assert.equal(new Set(slotStartDates).size, 2);
+    });
+
+    fireEvent.click(await view.findByLabelText('Next week'));
+    await waitFor(() => {
+      assert.equal(new Set(slotStartDates).size, 3);
+    });
+
+    fireEvent.click(view.getByLabelText('Next week'));
+    await waitFor(() => {
+      assert.equal(new Set(slotStartDates).size, 4);
+    });
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('availability subscription applies pushed slot changes live', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_live_1',
+    name: 'Live Availability',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const firstSlot = { start: '2026-08-03T09:00:00.000Z', end: '2026-08-03T09:30:00.000Z' };
+  const secondSlot = { start: '2026-08-03T10:00:00.000Z', end: '2026-08-03T10:30:00.000Z' };
+
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-08-03': [firstSlot, secondSlot] } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const subscriptions = [];
+  const availabilitySubscription = {
+    subscribe: (params, onEvent) => {
+      const entry = { params, onEvent, active: true };
+      subscriptions.push(entry);
+      return () => {
+        entry.active = false;
+      };
+    },
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function Probe() {
+      booking = sdk.useBooking();
+      return null;
+    }
+
+    render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          eventType,
+          timezone: 'UTC',
+          transport,
+          availabilitySubscription,
+        },
+        React.createElement(Probe)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(booking.slots['2026-08-03']?.length, 2);
+    });
+
+    assert.equal(subscriptions.length, 1);
+    assert.equal(subscriptions[0].params.eventTypeId, 'evt_live_1');
+    assert.equal(subscriptions[0].params.timezone, 'UTC');
+
+    act(() => {
+      booking.selectSlot(firstSlot);
+    });
+
+    act(() => {
+      subscriptions[0].onEvent({ type: 'slot_removed', slot: firstSlot });
+      subscriptions[0].onEvent({ type: 'slot_pending', slot: secondSlot });
+      subscriptions[0].onEvent({
+        type: 'slot_added',
+        slot: { start: '2026-08-03T08:00:00.000Z', end: '2026-08-03T08:30:00.000Z' },
+      });
+    });
+
+    const daySlots = booking.slots['2026-08-03'];
+    assert.deepEqual(daySlots.map((slot) => slot.start), [
+      '2026-08-03T08:00:00.000Z',
+      '2026-08-03T10:00:00.000Z',
+    ]);
+    assert.equal(daySlots[1].isPending, true);
+    assert.equal(booking.selectedSlot, null);
+    assert.match(booking.error, /just booked/);
+
+    cleanup();
+    await waitFor(() => {
+      assert.equal(subscriptions[0].active, false);
+    });
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('an inline availability adapter subscribes once across re-renders', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_live_inline',
+    name: 'Inline Live Intro',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const slot = { start: '2026-08-03T09:00:00.000Z', end: '2026-08-03T09:30:00.000Z' };
+
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-08-03': [slot] } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const subscriptions = [];
+  const createInlineAdapter = () => ({
+    subscribe: (params, onEvent) => {
+      const entry = { params, onEvent, active: true };
+      subscriptions.push(entry);
+      return () => {
+        entry.active = false;
+      };
+    },
+  });
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function Probe() {
+      booking = sdk.useBooking();
+      return null;
+    }
+
+    const renderProvider = (props = {}) => React.createElement(
+      sdk.SchedulerProvider,
+      {
+        apiBaseUrl: 'https://api.test',
+        eventType,
+        timezone: 'UTC',
+        transport,
+        availabilitySubscription: createInlineAdapter(),
+        ...props,
+      },
+      React.createElement(Probe)
+    );
+
+    const { rerender } = render(renderProvider());
+
+    await waitFor(() => {
+      assert.equal(booking.slots['2026-08-03']?.length, 1);
+    });
+
+    rerender(renderProvider());
+    rerender(renderProvider());
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.equal(subscriptions.length, 1);
+    assert.equal(subscriptions[0].active, true);
+
+    rerender(renderProvider({ availabilitySubscription: undefined }));
+    await waitFor(() => {
+      assert.equal(subscriptions[0].active, false);
+    });
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('slot holds are created on confirm, released on back and expire to the picker', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_hold_1',
+    name: 'Held Intro',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const slot = { start: '2026-09-07T09:00:00.000Z', end: '2026-09-07T09:30:00.000Z' };
+  const holdCalls = [];
+  let holdCount = 0;
+
+  const transport = async (url, init) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-09-07': [slot] } });
+    }
+
+    if (url.includes('/bookings/public/holds')) {
+      holdCalls.push({ method: init?.method, url, body: init?.body ? JSON.parse(init.body) : null });
+      if (url.endsWith('/renew')) {
+        return jsonResponse({ message: 'Hold can no longer be renewed' }, 409);
+      }
+
+      if (init?.method === 'POST') {
+        holdCount += 1;
+        return jsonResponse({
+          hold: {
+            id: `hold_${holdCount}`,
+            expires_at: new Date(Date.now() + 150).toISOString(),
+          },
+        });
+      }
+      return jsonResponse({ ok: true });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const waitUntil = (predicate) => new Promise((resolve) => {
+    const check = () => {
+      if (predicate()) {
+        resolve();
+        return;
+      }
+      setTimeout(check, 5);
+    };
+    check();
+  });
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventType,
+      transport,
+      slotHolds: true,
+    });
+
+    store.start();
+    await waitUntil(() => store.getState().slots['2026-09-07']);
+
+    store.actions.selectSlot(slot);
+    store.actions.confirmSelectedSlot();
+    await waitUntil(() => store.getState().slotHold);
+
+    assert.equal(holdCalls[0].method, 'POST');
+    assert.equal(holdCalls[0].body.event_type_id, 'evt_hold_1');
+    assert.equal(holdCalls[0].body.start_time, slot.start);
+    assert.equal(store.getState().slotHold.id, 'hold_1');
+
+    store.actions.goBack();
+    await waitUntil(() => holdCalls.some((call) => call.method === 'DELETE'));
+
+    assert.equal(holdCalls.filter((call) => call.method === 'DELETE').length, 1);
+    assert.match(holdCalls.find((call) => call.method === 'DELETE').url, /\/bookings\/public\/holds\/hold_1$/);
+    assert.equal(store.getState().slotHold, null);
+
+    store.actions.confirmSelectedSlot();
+    await waitUntil(() => store.getState().slotHold?.id === 'hold_2');
+    await waitUntil(() => store.getState().expiredHoldSlot);
+
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.SELECT_TIME);
+    assert.equal(store.getState().slotHold, null);
+    assert.equal(store.getState().expiredHoldSlot.start, slot.start);
+    assert.match(store.getState().error, /expired/);
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('slot holds renew while the invitee is active and never expire during submission or payment', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_hold_renew_1',
+    name: 'Renewed Intro',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const slot = { start: '2026-09-08T09:00:00.000Z', end: '2026-09-08T09:30:00.000Z' };
+  let renewals = 0;
+  let canRenew = true;
+  let releaseBooking = null;
+
+  const transport = async (url, init) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-09-08': [slot] } });
+    }
+
+    if (url.endsWith('/renew')) {
+      renewals += 1;
+      return canRenew
+        ? jsonResponse({ hold: { id: 'hold_renew_1', expires_at: new Date(Date.now() + 200).toISOString() } })
+        : jsonResponse({ message: 'Hold can no longer be renewed' }, 409);
+    }
+
+    if (url.includes('/bookings/public/holds')) {
+      return init?.method === 'POST'
+        ? jsonResponse({ hold: { id: 'hold_renew_1', expires_at: new Date(Date.now() + 200).toISOString() } })
+        : jsonResponse({ ok: true });
+    }
+
+    if (init?.method === 'POST' && url.endsWith('/bookings/public')) {
+      await new Promise((resolve) => {
+        releaseBooking = resolve;
+      });
+      return jsonResponse({ booking: { id: 'bk_hold_renew_1' } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const waitUntil = (predicate) => new Promise((resolve) => {
+    const check = () => {
+      if (predicate()) {
+        resolve();
+        return;
+      }
+      setTimeout(check, 5);
+    };
+    check();
+  });
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventType,
+      transport,
+      slotHolds: true,
+    });
+
+    store.start();
+    await waitUntil(() => store.getState().slots['2026-09-08']);
+    store.actions.selectSlot(slot);
+    store.actions.confirmSelectedSlot();
+    await waitUntil(() => store.getState().slotHold);
+
+    for (let index = 0; index < 10; index += 1) {
+      store.actions.touchSlotHold();
+      await wait(50);
+    }
+    assert.ok(renewals >= 2);
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(store.getState().slotHold.id, 'hold_renew_1');
+
+    canRenew = false;
+    store.actions.setPaymentInProgress(true);
+    await wait(400);
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(store.getState().error, null);
+
+    store.actions.setPaymentInProgress(false);
+    const submission = store.actions.submitBooking({
+      guest_name: 'Ada Lovelace',
+      guest_email: 'ada@example.com',
+    });
+    await waitUntil(() => releaseBooking);
+    await wait(1100);
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(store.getState().isSubmitting, true);
+
+    releaseBooking();
+    const result = await submission;
+    assert.equal(result.ok, true);
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.SUCCESS);
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('slot holds lapse when the invitee is idle and stop renewing after the maximum lifetime', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_hold_idle_1',
+    name: 'Idle Intro',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const slot = { start: '2026-09-09T09:00:00.000Z', end: '2026-09-09T09:30:00.000Z' };
+  const renewals = [];
+  let holdCount = 0;
+
+  const transport = async (url, init) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-09-09': [slot] } });
+    }
+
+    if (url.endsWith('/renew')) {
+      renewals.push(Date.now());
+      return jsonResponse({ hold: { id: `hold_idle_${holdCount}`, expires_at: new Date(Date.now() + 200).toISOString() } });
+    }
+
+    if (url.includes('/bookings/public/holds')) {
+      if (init?.method !== 'POST') {
+        return jsonResponse({ ok: true });
+      }
+      holdCount += 1;
+      return jsonResponse({ hold: { id: `hold_idle_${holdCount}`, expires_at: new Date(Date.now() + 200).toISOString() } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const waitUntil = (predicate) => new Promise((resolve) => {
+    const check = () => {
+      if (predicate()) {
+        resolve();
+        return;
+      }
+      setTimeout(check, 5);
+    };
+    check();
+  });
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      eventType,
+      transport,
+      slotHolds: true,
+      slotHoldMaxLifetimeMs: 400,
+    });
+
+    store.start();
+    await waitUntil(() => store.getState().slots['2026-09-09']);
+    store.actions.selectSlot(slot);
+    store.actions.confirmSelectedSlot();
+    await waitUntil(() => store.getState().slotHold);
+
+    await wait(300);
+    assert.equal(renewals.length, 0);
+    assert.equal(store.getState().slotHold, null);
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.SELECT_TIME);
+    assert.equal(store.getState().expiredHoldSlot.start, slot.start);
+
+    store.actions.selectSlot(slot);
+    store.actions.confirmSelectedSlot();
+    await waitUntil(() => store.getState().slotHold);
+    const heldAt = Date.now();
+
+    while (store.getState().slotHold && Date.now() - heldAt < 1500) {
+      store.actions.touchSlotHold();
+      await wait(20);
+    }
+
+    assert.equal(store.getState().slotHold, null);
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.SELECT_TIME);
+    assert.ok(renewals.length >= 2);
+    assert.ok(renewals.every((renewedAt) => renewedAt - heldAt < 400));
+    assert.ok(Date.now() - heldAt < 1000);
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('reschedule mode loads the booking and submits the new time with a reason', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_resched_1',
+    slug: 'intro-call',
+    name: 'Intro Call',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const originalBooking = {
+    id: 'bk_resched_1',
+    event_type_slug: 'intro-call',
+    start_time: '2026-10-05T09:00:00.000Z',
+    end_time: '2026-10-05T09:30:00.000Z',
+    guest_name: 'Ada Lovelace',
+    guest_email: 'ada@example.com',
+  };
+  const newSlot = { start: '2026-10-06T14:00:00.000Z', end: '2026-10-06T14:30:00.000Z' };
+  const calls = [];
+
+  const transport = async (url, init) => {
+    calls.push({ url, method: init?.method || 'GET', body: init?.body ? JSON.parse(init.body) : null });
+
+    if (url.includes('/bookings/public/bk_resched_1/reschedule')) {
+      return jsonResponse({
+        booking: {
+          id: 'bk_resched_1',
+          start_time: newSlot.start,
+          end_time: newSlot.end,
+        },
+      });
+    }
+
+    if (url.includes('/bookings/public/bk_resched_1')) {
+      return jsonResponse({ booking: originalBooking });
+    }
+
+    if (url.includes('/bookings/public/event/intro-call')) {
+      return jsonResponse({ eventType });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-10-06': [newSlot] } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    const successes = [];
+    let booking = null;
+    function RescheduleLayout() {
+      booking = sdk.useBooking();
+
+      if (booking.step === booking.steps.CONFIRM) {
+        return React.createElement(sdk.RescheduleForm);
+      }
+
+      if (booking.step === booking.steps.SUCCESS) {
+        return React.createElement(sdk.BookingSuccess, {
+          booking: booking.confirmedBooking,
+          eventType: booking.eventType,
+          userTimezone: booking.userTimezone,
+        });
+      }
+
+      return React.createElement(sdk.SlotPicker);
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          timezone: 'UTC',
+          transport,
+          rescheduleBookingId: 'bk_resched_1',
+          rescheduleEmail: 'ada@example.com',
+          onBookingSuccess: (result, context) => successes.push({ result, context }),
+        },
+        React.createElement(RescheduleLayout)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(booking.originalBooking?.id, 'bk_resched_1');
+      assert.equal(booking.eventType?.id, 'evt_resched_1');
+      assert.equal(booking.slots['2026-10-06']?.length, 1);
+    });
+
+    assert.match(calls[0].url, /\/bookings\/public\/bk_resched_1\?email=ada%40example\.com$/);
+    assert.ok(view.getByText(/Currently booked for/));
+
+    act(() => {
+      booking.selectSlot(newSlot);
+    });
+    act(() => {
+      booking.confirmSelectedSlot();
+    });
+
+    const reasonInput = await view.findByLabelText('Reason for rescheduling (optional)');
+    fireEvent.change(reasonInput, { target: { value: 'Conflict with a flight' } });
+    fireEvent.click(view.getByRole('button', { name: /Confirm New Time/i }));
+
+    await waitFor(() => {
+      assert.equal(booking.step, sdk.BOOKING_STEPS.SUCCESS);
+    });
+
+    const rescheduleCall = calls.find((call) => call.url.endsWith('/bookings/public/bk_resched_1/reschedule'));
+    assert.equal(rescheduleCall.method, 'POST');
+    assert.equal(rescheduleCall.body.start_time, newSlot.start);
+    assert.equal(rescheduleCall.body.reason, 'Conflict with a flight');
+    assert.equal(rescheduleCall.body.email, 'ada@example.com');
+    assert.ok(rescheduleCall.body.client_request_id);
+
+    assert.equal(booking.rescheduledFrom.start_time, originalBooking.start_time);
+    assert.equal(booking.confirmedBooking.guest_name, 'Ada Lovelace');
+    assert.equal(successes[0].context.rescheduledFrom.id, 'bk_resched_1');
+    await view.findByText('Booking Rescheduled!');
+    assert.ok(view.getByText('Previously'));
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('guests cancel a paid booking with a refund preview and the slot reappears', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_cancel_1',
+    name: 'Paid Workshop',
+    duration: 60,
+    calendarTimezone: 'UTC',
+    refund_policy: 'strict',
+    currency: 'USD',
+  };
+  const startTime = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+  startTime.setUTCMinutes(0, 0, 0);
+  const booking = {
+    id: 'bk_cancel_1',
+    event_type_id: 'evt_cancel_1',
+    start_time: startTime.toISOString(),
+    end_time: new Date(startTime.getTime() + 60 * 60 * 1000).toISOString(),
+    amount_paid_cents: 8000,
+    payment_status: 'paid',
+  };
+  const calls = [];
+
+  const transport = async (url, init) => {
+    calls.push({ url, method: init?.method || 'GET', body: init?.body ? JSON.parse(init.body) : null });
+
+    if (url.includes('/bookings/public/bk_cancel_1/cancel')) {
+      return jsonResponse({ booking: { ...booking, status: 'cancelled' }, refund: { amount_cents: 4000 } });
+    }
+
+    if (url.includes('/bookings/public/bk_cancel_1')) {
+      return jsonResponse({ booking });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: {} });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, cleanup } = await import('@testing-library/react');
+
+    const cancelled = [];
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          eventType,
+          timezone: 'UTC',
+          transport,
+        },
+        React.createElement(sdk.CancelBooking, {
+          bookingId: 'bk_cancel_1',
+          onCancelled: (result, context) => cancelled.push({ result, context }),
+        })
+      )
+    );
+
+    fireEvent.change(await view.findByLabelText('Email Address'), {
+      target: { value: 'Guest@Example.com' },
+    });
+    fireEvent.click(view.getByRole('button', { name: /Find booking/i }));
+
+    await view.findByText(/refunded \$40\.00 \(50%\) under the strict refund policy/);
+    assert.match(
+      calls.find((call) => call.url.includes('/bookings/public/bk_cancel_1')).url,
+      /email=guest%40example\.com/
+    );
+
+    const slotRequestsBefore = calls.filter((call) => call.url.includes('/bookings/public/slots')).length;
+
+    fireEvent.change(view.getByLabelText('Reason for cancelling (optional)'), {
+      target: { value: 'Schedule changed' },
+    });
+    fireEvent.click(view.getByRole('button', { name: /Cancel Booking/i }));
+
+    await view.findByText('Booking cancelled');
+    assert.ok(view.getByText(/A refund of \$40\.00/));
+
+    const cancelCall = calls.find((call) => call.url.endsWith('/bookings/public/bk_cancel_1/cancel'));
+    assert.equal(cancelCall.method, 'POST');
+    assert.equal(cancelCall.body.email, 'guest@example.com');
+    assert.equal(cancelCall.body.reason, 'Schedule changed');
+    assert.equal(cancelled[0].context.reason, 'Schedule changed');
+    assert.equal(cancelled[0].context.refund.amount_cents, 4000);
+
+    await waitFor(() => {
+      assert.ok(calls.filter((call) => call.url.includes('/bookings/public/slots')).length > slotRequestsBefore);
+    });
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('booking form sends additional guests and success lists them', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, cleanup } = await import('@testing-library/react');
+
+    const submitted = [];
+    const eventType = {
+      id: 'evt_group_1',
+      name: 'Team Intro',
+      duration: 30,
+      max_guests: 2,
+    };
+    const slot = {
+      start: '2026-05-11T09:00:00.000Z',
+      end: '2026-05-11T09:30:00.000Z',
+    };
+
+    const contextValue = {
+      state: {
+        eventType,
+        selectedSlot: slot,
+        isSubmitting: false,
+      },
+      actions: {
+        submitBooking: async (payload) => {
+          submitted.push(payload);
+          return { ok: true, booking: { id: 'bk_group_1' } };
+        },
+        clearSavedPreferences: async () => ({ ok: true }),
+        getConflictSuggestions: async () => [],
+      },
+      config: {},
+      constants: {
+        BOOKING_STEPS: sdk.BOOKING_STEPS,
+      },
+    };
+
+    const wrapper = ({ children }) => React.createElement(
+      sdk.SchedulerContext.Provider,
+      { value: contextValue },
+      children
+    );
+
+    const view = render(
+      React.createElement(sdk.BookingForm, { eventType, slot }),
+      { wrapper }
+    );
+
+    fireEvent.change(await view.findByLabelText('Your Name'), {
+      target: { value: 'Ada Lovelace' },
+    });
+    fireEvent.change(view.getByLabelText('Email Address'), {
+      target: { value: 'ada@example.com' },
+    });
+
+    assert.ok(view.getByText('(0/2)'));
+    fireEvent.click(view.getByRole('button', { name: /Add guest/i }));
+    fireEvent.click(view.getByRole('button', { name: /Add guest/i }));
+    assert.equal(view.getByRole('button', { name: /Add guest/i }).disabled, true);
+
+    const guestNames = view.getAllByLabelText('Guest name');
+    const guestEmails = view.getAllByLabelText('Guest email');
+    fireEvent.change(guestNames[0], { target: { value: 'Grace Hopper' } });
+    fireEvent.change(guestEmails[0], { target: { value: 'ADA@example.com' } });
+    fireEvent.change(guestNames[1], { target: { value: 'Alan Turing' } });
+    fireEvent.change(guestEmails[1], { target: { value: 'alan@example.com' } });
+
+    fireEvent.click(view.getByRole('button', { name: /Confirm Booking/i }));
+    await view.findByText('This email is already on the booking');
+    assert.equal(submitted.length, 0);
+
+    fireEvent.change(guestEmails[0], { target: { value: 'Grace@Example.com' } });
+    fireEvent.change(view.getAllByLabelText('Guest timezone (optional)')[0], {
+      target: { value: 'America/New_York' },
+    });
+    fireEvent.click(view.getByRole('button', { name: /Confirm Booking/i }));
+
+    await waitFor(() => {
+      assert.equal(submitted.length, 1);
+    });
+    assert.deepEqual(submitted[0].guests, [
+      { name: 'Grace Hopper', email: 'grace@example.com', timezone: 'America/New_York' },
+      { name: 'Alan Turing', email: 'alan@example.com', timezone: undefined },
+    ]);
+
+    cleanup();
+
+    const success = render(
+      React.createElement(sdk.BookingSuccess, {
+        eventType,
+        userTimezone: 'UTC',
+        booking: {
+          id: 'bk_group_1',
+          start_time: slot.start,
+          end_time: slot.end,
+          guest_name: 'Ada Lovelace',
+          guest_email: 'ada@example.com',
+          guests: submitted[0].guests,
+        },
+      })
+    );
+
+    assert.ok(success.getByText('Additional guests'));
+    assert.ok(success.getByText('Grace Hopper (grace@example.com)'));
+    assert.ok(success.getByText('Alan Turing (alan@example.com)'));
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('group slots show seats, filter by party size and keep remaining seats after booking', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_workshop_1',
+    name: 'Pottery Workshop',
+    duration: 60,
+    calendarTimezone: 'UTC',
+    max_party_size: 4,
+  };
+  const now = new Date();
+  const today = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0'),
+  ].join('-');
+  const roomySlot = {
+    start: `${today}T09:00:00.000Z`,
+    end: `${today}T10:00:00.000Z`,
+    capacity: 10,
+    seats_remaining: 5,
+  };
+  const tightSlot = {
+    start: `${today}T14:00:00.000Z`,
+    end: `${today}T15:00:00.000Z`,
+    capacity: 10,
+    seats_remaining: 2,
+  };
+  const calls = [];
+
+  const transport = async (url, init) => {
+    calls.push({ url, method: init?.method || 'GET', body: init?.body ? JSON.parse(init.body) : null });
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { [today]: [roomySlot, tightSlot] } });
+    }
+
+    if (init?.method === 'POST' && url.endsWith('/bookings/public')) {
+      return jsonResponse({ booking: { id: 'bk_workshop_1', start_time: roomySlot.start, end_time: roomySlot.end } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function GroupLayout() {
+      booking = sdk.useBooking();
+
+      if (booking.step === booking.steps.CONFIRM) {
+        return React.createElement(sdk.BookingForm);
+      }
+
+      if (booking.step === booking.steps.SUCCESS) {
+        return React.createElement('p', null, 'Booked');
+      }
+
+      return React.createElement(sdk.SlotPicker);
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          timezone: 'UTC',
+          eventType,
+          transport,
+        },
+        React.createElement(GroupLayout)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(booking.slots[today]?.length, 2);
+    });
+
+    fireEvent.click(view.getByRole('button', { name: 'Today' }));
+    await view.findByText('5 left');
+    assert.ok(view.getByText('2 left'));
+
+    act(() => {
+      booking.setPartySize(3);
+    });
+
+    await waitFor(() => {
+      assert.equal(view.queryByText('2 left'), null);
+    });
+    assert.ok(view.getByText('5 left'));
+
+    act(() => {
+      booking.selectSlot(roomySlot);
+    });
+    act(() => {
+      booking.confirmSelectedSlot();
+    });
+
+    const partySelect = await view.findByLabelText('Party size');
+    assert.equal(partySelect.value, '3');
+    assert.equal(partySelect.querySelectorAll('option').length, 4);
+    assert.ok(view.getByText('5 of 10 seats left'));
+
+    fireEvent.change(view.getByLabelText('Your Name'), { target: { value: 'Ada Lovelace' } });
+    fireEvent.change(view.getByLabelText('Email Address'), { target: { value: 'ada@example.com' } });
+    fireEvent.click(view.getByRole('button', { name: /Confirm Booking/i }));
+
+    await view.findByText('Booked');
+
+    const bookingCall = calls.find((call) => call.method === 'POST' && call.url.endsWith('/bookings/public'));
+    assert.equal(bookingCall.body.party_size, 3);
+
+    const remaining = booking.slots[today].find((item) => item.start === roomySlot.start);
+    assert.equal(remaining.seats_remaining, 2);
+    assert.equal(remaining.isPending, false);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('team events pick a host before times and scope slots and bookings to it', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_team_1',
+    name: 'Sales Demo',
+    duration: 30,
+    calendarTimezone: 'UTC',
+    hosts: [
+      { id: 'host_maria', name: 'Maria Lopez', avatar_url: 'https://cdn.test/maria.png', languages: ['Spanish', 'English'] },
+      { id: 'host_ken', name: 'Ken Sato', languages: ['Japanese'] },
+    ],
+  };
+  const now = new Date();
+  const today = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0'),
+  ].join('-');
+  const slot = { start: `${today}T10:00:00.000Z`, end: `${today}T10:30:00.000Z` };
+  const calls = [];
+
+  const transport = async (url, init) => {
+    calls.push({ url, method: init?.method || 'GET', body: init?.body ? JSON.parse(init.body) : null });
+
+    if (url.includes('/bookings/public/slots')) {
+      const hostId = new URL(url).searchParams.get('host_id');
+      return jsonResponse({
+        slots: {
+          [today]: [hostId ? slot : { ...slot, host_ids: ['host_maria', 'host_ken'] }],
+        },
+      });
+    }
+
+    if (init?.method === 'POST' && url.endsWith('/bookings/public')) {
+      return jsonResponse({ booking: { id: 'bk_team_1', start_time: slot.start, end_time: slot.end } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function TeamLayout() {
+      booking = sdk.useBooking();
+
+      if (booking.step === booking.steps.SELECT_HOST) {
+        return React.createElement(sdk.HostPicker);
+      }
+
+      if (booking.step === booking.steps.CONFIRM) {
+        return React.createElement(sdk.BookingForm);
+      }
+
+      if (booking.step === booking.steps.SUCCESS) {
+        return React.createElement('p', null, 'Booked');
+      }
+
+      return React.createElement(sdk.SlotPicker);
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          timezone: 'UTC',
+          eventType,
+          transport,
+        },
+        React.createElement(TeamLayout)
+      )
+    );
+
+    assert.equal(booking.step, sdk.BOOKING_STEPS.SELECT_HOST);
+    assert.ok(view.getByText('Spanish, English'));
+    assert.ok(view.getByAltText('Maria Lopez'));
+    assert.equal(calls.filter((call) => call.url.includes('/bookings/public/slots')).length, 0);
+
+    fireEvent.click(view.getByRole('button', { name: /Any available host/i }));
+
+    await waitFor(() => {
+      assert.equal(booking.slots[today]?.length, 1);
+    });
+    assert.doesNotMatch(calls.find((call) => call.url.includes('/bookings/public/slots')).url, /host_id=/);
+    assert.deepEqual(booking.slots[today][0].hosts.map((host) => host.name), ['Maria Lopez', 'Ken Sato']);
+
+    fireEvent.click(view.getByRole('button', { name: 'Today' }));
+    assert.ok(view.getByTitle('Available with Maria Lopez, Ken Sato'));
+
+    act(() => {
+      booking.goBack();
+    });
+    fireEvent.click(await view.findByRole('button', { name: /Ken Sato/ }));
+
+    await waitFor(() => {
+      assert.ok(calls.some((call) => call.url.includes('/bookings/public/slots') && call.url.includes('host_id=host_ken')));
+      assert.equal(booking.slots[today]?.[0]?.hosts, undefined);
+    });
+
+    act(() => {
+      booking.selectSlot(booking.slots[today][0]);
+    });
+    act(() => {
+      booking.confirmSelectedSlot();
+    });
+
+    fireEvent.change(await view.findByLabelText('Your Name'), { target: { value: 'Ada Lovelace' } });
+    fireEvent.change(view.getByLabelText('Email Address'), { target: { value: 'ada@example.com' } });
+    fireEvent.click(view.getByRole('button', { name: /Confirm Booking/i }));
+
+    await view.findByText('Booked');
+    const bookingCall = calls.find((call) => call.method === 'POST' && call.url.endsWith('/bookings/public'));
+    assert.equal(bookingCall.body.host_id, 'host_ken');
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('recurring series keeps the local start time across a daylight saving change', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_coaching_dst',
+    name: 'Coaching Session',
+    duration: 60,
+    calendarTimezone: 'America/New_York',
+    allow_recurring: true,
+  };
+  const nthSunday = (year, month, nth) => {
+    const first = new Date(Date.UTC(year, month, 1));
+    return new Date(Date.UTC(year, month, 1 + ((7 - first.getUTCDay()) % 7) + (nth - 1) * 7));
+  };
+  const thisYear = new Date().getUTCFullYear();
+  const [transition] = [thisYear, thisYear + 1]
+    .flatMap((year) => [
+      { date: nthSunday(year, 2, 2), hoursBefore: 15, hoursAfter: 14 },
+      { date: nthSunday(year, 10, 1), hoursBefore: 14, hoursAfter: 15 },
+    ])
+    .filter(({ date }) => date.getTime() > Date.now() + 2 * 24 * 60 * 60 * 1000)
+    .sort((first, second) => first.date - second.date);
+  const slotOn = (weeks, hour) => {
+    const date = new Date(transition.date.getTime() + (weeks * 7 - 6) * 24 * 60 * 60 * 1000);
+    const day = date.toISOString().split('T')[0];
+    return {
+      date: day,
+      start: `${day}T${String(hour).padStart(2, '0')}:00:00.000Z`,
+      end: `${day}T${String(hour + 1).padStart(2, '0')}:00:00.000Z`,
+    };
+  };
+  const sessions = [
+    slotOn(0, transition.hoursBefore),
+    slotOn(1, transition.hoursAfter),
+    slotOn(2, transition.hoursAfter),
+  ];
+
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      const params = new URL(url).searchParams;
+      return jsonResponse({
+        slots: Object.fromEntries(sessions
+          .filter(({ date }) => date >= params.get('start_date') && date <= params.get('end_date'))
+          .map(({ date, start, end }) => [date, [{ start, end }]])),
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      timezone: 'America/New_York',
+      eventType,
+      slotWindowDays: 400,
+      transport,
+    });
+
+    store.start();
+    store.actions.selectSlot({ start: sessions[0].start, end: sessions[0].end });
+    store.actions.setRecurrence({ frequency: 'weekly', count: 3 });
+
+    await new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const check = () => {
+        const occurrences = store.getState().seriesOccurrences;
+        if (occurrences.length === 3 && occurrences.every((occurrence) => occurrence.status !== 'checking')) {
+          resolve();
+          return;
+        }
+        if (Date.now() - startedAt > 2000) {
+          reject(new Error('Timed out waiting for the series check'));
+          return;
+        }
+        setTimeout(check, 5);
+      };
+      check();
+    });
+
+    assert.deepEqual(
+      store.getState().seriesOccurrences.map((occurrence) => [occurrence.start, occurrence.status]),
+      sessions.map(({ start }) => [new Date(start).toISOString(), 'available'])
+    );
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('recurring series checks each occurrence and books them idempotently', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_coaching_1',
+    name: 'Coaching Session',
+    duration: 60,
+    calendarTimezone: 'UTC',
+    allow_recurring: true,
+  };
+  const toDateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+  const now = new Date();
+  const dayKey = (offset) => toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+  const slotOn = (offset, hour = 10) => ({
+    start: `${dayKey(offset)}T${String(hour).padStart(2, '0')}:00:00.000Z`,
+    end: `${dayKey(offset)}T${String(hour + 1).padStart(2, '0')}:00:00.000Z`,
+  });
+  const availability = {
+    [dayKey(0)]: [slotOn(0)],
+    [dayKey(7)]: [slotOn(7)],
+    [dayKey(14)]: [slotOn(14, 15)],
+  };
+  const alternative = slotOn(14, 11);
+  const calls = [];
+  let failSecondSession = true;
+
+  const transport = async (url, init) => {
+    const body = init?.body ? JSON.parse(init.body) : null;
+    calls.push({ url, method: init?.method || 'GET', body });
+
+    if (url.includes('/bookings/public/slots')) {
+      const params = new URL(url).searchParams;
+      return jsonResponse({
+        slots: Object.fromEntries(Object.entries(availability).filter(([date]) => (
+          date >= params.get('start_date') && date <= params.get('end_date')
+        ))),
+      });
+    }
+
+    if (url.includes('/bookings/suggestions')) {
+      return jsonResponse({ suggestions: [{ ...alternative, confidenceScore: 90 }] });
+    }
+
+    if (init?.method === 'POST' && url.endsWith('/bookings/public')) {
+      if (body.series_index === 1 && failSecondSession) {
+        failSecondSession = false;
+        return jsonResponse({ message: 'Calendar sync failed' }, 400);
+      }
+      return jsonResponse({ booking: { id: `bk_series_${body.series_index}` } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    const successes = [];
+    let booking = null;
+    function SeriesLayout() {
+      booking = sdk.useBooking();
+
+      if (booking.step === booking.steps.CONFIRM) {
+        return React.createElement(sdk.BookingForm);
+      }
+
+      if (booking.step === booking.steps.SUCCESS) {
+        return React.createElement(sdk.BookingSuccess, {
+          booking: booking.confirmedBooking,
+          eventType: booking.eventType,
+          userTimezone: booking.userTimezone,
+        });
+      }
+
+      return React.createElement(sdk.SlotPicker);
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          timezone: 'UTC',
+          eventType,
+          transport,
+          onBookingSuccess: (result, context) => successes.push({ result, context }),
+        },
+        React.createElement(SeriesLayout)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(booking.slots[dayKey(0)]?.length, 1);
+    });
+
+    act(() => {
+      booking.selectSlot(slotOn(0));
+    });
+
+    fireEvent.change(await view.findByLabelText('Repeat'), { target: { value: 'weekly' } });
+    fireEvent.change(view.getByLabelText('Sessions'), { target: { value: '3' } });
+
+    await view.findByText('Unavailable');
+    assert.deepEqual(booking.seriesOccurrences.map((occurrence) => occurrence.status), ['available', 'available', 'conflict']);
+    assert.equal(view.getByRole('button', { name: 'Confirm' }).disabled, true);
+
+    const suggestionCall = calls.find((call) => call.url.includes('/bookings/suggestions'));
+    assert.match(suggestionCall.url, new RegExp(encodeURIComponent(slotOn(14).start)));
+
+    const alternativeButton = await waitFor(() => {
+      const found = view.getAllByRole('button').find((button) => button.textContent.includes('11:00 AM'));
+      assert.ok(found);
+      return found;
+    });
+    fireEvent.click(alternativeButton);
+    assert.equal(view.getByRole('button', { name: 'Confirm' }).disabled, false);
+    fireEvent.click(view.getByRole('button', { name: 'Confirm' }));
+
+    await view.findByText(/Repeats weekly • 3 sessions/);
+    fireEvent.change(view.getByLabelText('Your Name'), { target: { value: 'Ada Lovelace' } });
+    fireEvent.change(view.getByLabelText('Email Address'), { target: { value: 'ada@example.com' } });
+    fireEvent.click(view.getByRole('button', { name: /Confirm Booking/i }));
+
+    await view.findByText('Calendar sync failed');
+    assert.equal(booking.step, sdk.BOOKING_STEPS.CONFIRM);
+
+    fireEvent.click(view.getByRole('button', { name: /Confirm Booking/i }));
+    await view.findByText('3 sessions booked');
+
+    const bookingCalls = calls.filter((call) => call.method === 'POST' && call.url.endsWith('/bookings/public'));
+    assert.equal(bookingCalls.length, 5);
+    const [firstTry, failedTry, ...retries] = bookingCalls.map((call) => call.body);
+    assert.equal(retries[0].client_request_id, firstTry.client_request_id);
+    assert.equal(retries[1].client_request_id, failedTry.client_request_id);
+    assert.equal(new Set(retries.map((payload) => payload.client_request_id)).size, 3);
+    assert.equal(new Set(bookingCalls.map((call) => call.body.series_id)).size, 1);
+    assert.equal(retries[2].start_time, alternative.start);
+    assert.deepEqual(retries[2].recurrence, { frequency: 'weekly', count: 3 });
+
+    assert.equal(successes.length, 1);
+    assert.deepEqual(successes[0].context.series.map((item) => item.id), ['bk_series_0', 'bk_series_1', 'bk_series_2']);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('cart mode books several event types with one form and one payment', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const onboarding = {
+    id: 'evt_onboarding',
+    name: 'Onboarding Call',
+    duration: 60,
+    calendarTimezone: 'UTC',
+    requires_payment: true,
+    payment_enabled: true,
+    price_cents: 5000,
+    currency: 'USD',
+  };
+  const review = {
+    id: 'evt_review',
+    name: 'Technical Review',
+    duration: 30,
+    calendarTimezone: 'UTC',
+    requires_payment: true,
+    payment_enabled: true,
+    price_cents: 3000,
+    currency: 'USD',
+  };
+  const now = new Date();
+  const today = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0'),
+  ].join('-');
+  const onboardingSlot = { start: `${today}T10:00:00.000Z`, end: `${today}T11:00:00.000Z` };
+  const overlappingReview = { start: `${today}T10:30:00.000Z`, end: `${today}T11:00:00.000Z` };
+  const laterReview = { start: `${today}T14:00:00.000Z`, end: `${today}T14:30:00.000Z` };
+  const calls = [];
+
+  const transport = async (url, init) => {
+    const body = init?.body ? JSON.parse(init.body) : null;
+    calls.push({ url, method: init?.method || 'GET', body });
+
+    if (url.includes('/embed/')) {
+      return jsonResponse({
+        organization: { id: 'org_cart', name: 'Acme' },
+        embed: {},
+        eventTypes: [onboarding, review],
+      });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      const eventTypeId = new URL(url).searchParams.get('event_type_id');
+      return jsonResponse({
+        slots: {
+          [today]: eventTypeId === onboarding.id ? [onboardingSlot] : [overlappingReview, laterReview],
+        },
+      });
+    }
+
+    if (url.includes('/billing/public/create-payment-intent')) {
+      return jsonResponse({ clientSecret: 'cs_cart_1' });
+    }
+
+    if (url.endsWith('/bookings/public/batch')) {
+      return jsonResponse({
+        bookings: body.bookings.map((item, index) => ({ id: `bk_cart_${index}`, start_time: item.start_time })),
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    const successes = [];
+    let booking = null;
+    function CartLayout() {
+      booking = sdk.useBooking();
+
+      if (booking.step === booking.steps.SELECT_EVENT) {
+        return React.createElement(
+          'div',
+          null,
+          React.createElement(sdk.BookingCart),
+          booking.eventTypes.map((eventItem) => React.createElement(
+            'button',
+            { key: eventItem.id, type: 'button', onClick: () => booking.selectEventType(eventItem) },
+            eventItem.name
+          ))
+        );
+      }
+
+      if (booking.step === booking.steps.CONFIRM) {
+        return React.createElement(sdk.BookingForm);
+      }
+
+      if (booking.step === booking.steps.SUCCESS) {
+        return React.createElement(sdk.BookingSuccess, {
+          booking: booking.confirmedBooking,
+          eventType: booking.eventType,
+          userTimezone: booking.userTimezone,
+        });
+      }
+
+      return React.createElement('div', null, React.createElement(sdk.BookingCart), React.createElement(sdk.SlotPicker));
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          embedKey: 'emb_cart',
+          timezone: 'UTC',
+          cart: true,
+          stripePublishableKey: 'pk_test_cart',
+          transport,
+          onBookingSuccess: (result, context) => successes.push({ result, context }),
+        },
+        React.createElement(CartLayout)
+      )
+    );
+
+    fireEvent.click(await view.findByRole('button', { name: 'Onboarding Call' }));
+    await waitFor(() => {
+      assert.equal(booking.slots[today]?.length, 1);
+    });
+    act(() => {
+      booking.selectSlot(onboardingSlot);
+    });
+    fireEvent.click(await view.findByRole('button', { name: 'Add to cart' }));
+
+    await view.findByRole('list', { name: 'Selected events' });
+    fireEvent.click(view.getByRole('button', { name: 'Technical Review' }));
+    await waitFor(() => {
+      assert.equal(booking.slots[today]?.length, 2);
+    });
+
+    act(() => {
+      booking.selectSlot(overlappingReview);
+    });
+    fireEvent.click(await view.findByRole('button', { name: 'Add to cart' }));
+    await view.findByText('This time overlaps with Onboarding Call. Pick another time.');
+    assert.equal(booking.cart.length, 1);
+
+    act(() => {
+      booking.selectSlot(laterReview);
+    });
+    fireEvent.click(view.getByRole('button', { name: 'Add to cart' }));
+    await waitFor(() => {
+      assert.equal(booking.cart.length, 2);
+    });
+    assert.ok(view.getByText('$80.00'));
+
+    fireEvent.click(view.getByRole('button', { name: 'Checkout (2)' }));
+    await view.findByRole('list', { name: 'Events to book' });
+    fireEvent.change(view.getByLabelText('Your Name'), { target: { value: 'Ada Lovelace' } });
+    fireEvent.change(view.getByLabelText('Email Address'), { target: { value: 'ada@example.com' } });
+    fireEvent.click(view.getByRole('button', { name: 'Pay $80.00' }));
+
+    await view.findByText('Complete Payment');
+    const intentCall = calls.find((call) => call.url.includes('/billing/public/create-payment-intent'));
+    assert.deepEqual(intentCall.body.event_type_ids, [onboarding.id, review.id]);
+    assert.equal(intentCall.body.guest_email, 'ada@example.com');
+
+    await act(async () => {
+      await booking.submitBooking({
+        guest_name: 'Ada Lovelace',
+        guest_email: 'ada@example.com',
+        payment_intent_id: 'pi_cart_1',
+      });
+    });
+
+    await view.findByText('2 events booked');
+    const batchCalls = calls.filter((call) => call.url.endsWith('/bookings/public/batch'));
+    assert.equal(batchCalls.length, 1);
+    assert.equal(batchCalls[0].body.payment_intent_id, 'pi_cart_1');
+    assert.ok(batchCalls[0].body.client_request_id);
+    assert.deepEqual(
+      batchCalls[0].body.bookings.map((item) => [item.event_type_id, item.start_time]),
+      [[onboarding.id, onboardingSlot.start], [review.id, laterReview.start]]
+    );
+    assert.equal(new Set(batchCalls[0].body.bookings.map((item) => item.client_request_id)).size, 2);
+    assert.equal(calls.some((call) => call.method === 'POST' && call.url.endsWith('/bookings/public')), false);
+
+    assert.equal(booking.cart.length, 0);
+    assert.equal(successes.length, 1);
+    assert.deepEqual(successes[0].context.cart.map((item) => item.id), ['bk_cart_0', 'bk_cart_1']);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('cart checkout keeps each item host and party size', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const teamEvent = {
+    id: 'evt_cart_team',
+    name: 'Sales Demo',
+    duration: 30,
+    calendarTimezone: 'UTC',
+    max_party_size: 4,
+    hosts: [{ id: 'host_maria', name: 'Maria Lopez' }, { id: 'host_ken', name: 'Ken Sato' }],
+  };
+  const groupEvent = {
+    id: 'evt_cart_group',
+    name: 'Workshop',
+    duration: 60,
+    calendarTimezone: 'UTC',
+    max_party_size: 6,
+    hosts: [{ id: 'host_ada', name: 'Ada' }, { id: 'host_lin', name: 'Lin' }],
+  };
+  const teamSlot = { start: '2026-06-03T09:00:00.000Z', end: '2026-06-03T09:30:00.000Z', seats_remaining: 4 };
+  const groupSlot = { start: '2026-06-03T13:00:00.000Z', end: '2026-06-03T14:00:00.000Z', seats_remaining: 6 };
+  const batches = [];
+
+  const transport = async (url, init) => {
+    if (url.endsWith('/bookings/public/batch')) {
+      const body = JSON.parse(init.body);
+      batches.push(body);
+      return jsonResponse({ bookings: body.bookings.map((item, index) => ({ id: `bk_mixed_${index}` })) });
+    }
+
+    return jsonResponse({ slots: {}, templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      timezone: 'UTC',
+      cart: true,
+      transport,
+    });
+
+    await store.actions.selectEventType(teamEvent);
+    store.actions.selectHost('host_maria');
+    store.actions.setPartySize(3);
+    store.actions.selectSlot(teamSlot);
+    assert.equal(store.actions.addToCart().ok, true);
+
+    await store.actions.selectEventType(groupEvent);
+    store.actions.selectHost('host_lin');
+    store.actions.setPartySize(2);
+    store.actions.selectSlot(groupSlot);
+    assert.equal(store.actions.addToCart().ok, true);
+
+    store.actions.startCartCheckout();
+    const result = await store.actions.submitBooking({
+      guest_name: 'Ada Lovelace',
+      guest_email: 'ada@example.com',
+      host_id: 'host_ken',
+      party_size: 5,
+    });
+
+    assert.equal(result.ok, true);
+    assert.equal(batches.length, 1);
+    assert.deepEqual(
+      batches[0].bookings.map((item) => [item.event_type_id, item.host_id, item.party_size, item.guest_email]),
+      [
+        [teamEvent.id, 'host_maria', 3, 'ada@example.com'],
+        [groupEvent.id, 'host_lin', 2, 'ada@example.com'],
+      ]
+    );
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('cart rejects a paid event priced in another currency', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const paidEvent = (id, name, currency, start) => ({
+    eventType: {
+      id,
+      name,
+      duration: 30,
+      calendarTimezone: 'UTC',
+      requires_payment: true,
+      payment_enabled: true,
+      price_cents: 5000,
+      currency,
+    },
+    slot: { start, end: new Date(Date.parse(start) + 30 * 60 * 1000).toISOString() },
+  });
+  const usdReview = paidEvent('evt_cart_usd', 'Code Review', 'USD', '2026-06-04T09:00:00.000Z');
+  const eurAudit = paidEvent('evt_cart_eur', 'Security Audit', 'EUR', '2026-06-04T11:00:00.000Z');
+  const usdWorkshop = paidEvent('evt_cart_usd_2', 'Workshop', 'USD', '2026-06-04T13:00:00.000Z');
+
+  const transport = async () => jsonResponse({ slots: {}, templates: [] });
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      timezone: 'UTC',
+      cart: true,
+      transport,
+    });
+
+    await store.actions.selectEventType(usdReview.eventType);
+    store.actions.selectSlot(usdReview.slot);
+    assert.equal(store.actions.addToCart().ok, true);
+
+    await store.actions.selectEventType(eurAudit.eventType);
+    store.actions.selectSlot(eurAudit.slot);
+    const rejected = store.actions.addToCart();
+    assert.equal(rejected.ok, false);
+    assert.equal(rejected.error.code, 'CART_CURRENCY_MISMATCH');
+    assert.match(store.getState().error, /Code Review \(USD\)/);
+    assert.equal(store.getState().cart.length, 1);
+
+    await store.actions.selectEventType(usdWorkshop.eventType);
+    store.actions.selectSlot(usdWorkshop.slot);
+    assert.equal(store.actions.addToCart().ok, true);
+    assert.deepEqual(store.getState().cart.map((item) => item.eventType.id), [usdReview.eventType.id, usdWorkshop.eventType.id]);
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('cart checkout pays with PayPal and the return books every cart item', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const onboarding = {
+    id: 'evt_pp_onboarding',
+    name: 'Onboarding Call',
+    duration: 60,
+    requires_payment: true,
+    payment_enabled: true,
+    price_cents: 5000,
+    currency: 'USD',
+  };
+  const review = {
+    id: 'evt_pp_review',
+    name: 'Technical Review',
+    duration: 30,
+    requires_payment: true,
+    payment_enabled: true,
+    price_cents: 3000,
+    currency: 'USD',
+  };
+  const cart = [
+    { eventType: onboarding, slot: { start: '2026-05-11T09:00:00.000Z', end: '2026-05-11T10:00:00.000Z' }, hostId: null, partySize: 1 },
+    { eventType: review, slot: { start: '2026-05-11T14:00:00.000Z', end: '2026-05-11T14:30:00.000Z' }, hostId: null, partySize: 1 },
+  ];
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, cleanup } = await import('@testing-library/react');
+
+    const paypalCalls = [];
+    const contextValue = {
+      state: { isSubmitting: false },
+      actions: {
+        createPayPalOrder: async (payload) => {
+          paypalCalls.push(payload);
+          return { approveUrl: 'https://paypal.test/checkout', orderId: 'ord_cart_1' };
+        },
+        getEventPaymentInfo: async () => ({ providers: { paypal: true } }),
+        submitBooking: async () => ({ ok: true, booking: { id: 'unused' } }),
+        getConflictSuggestions: async () => [],
+      },
+      config: {},
+      constants: { BOOKING_STEPS: sdk.BOOKING_STEPS },
+    };
+
+    const formView = render(
+      React.createElement(sdk.BookingForm, { cart }),
+      {
+        wrapper: ({ children }) => React.createElement(sdk.SchedulerContext.Provider, { value: contextValue }, children),
+      }
+    );
+
+    fireEvent.change(await formView.findByLabelText('Your Name'), { target: { value: 'Ada Lovelace' } });
+    fireEvent.change(formView.getByLabelText('Email Address'), { target: { value: 'ada@example.com' } });
+    fireEvent.click(await formView.findByRole('button', { name: /Pay with PayPal/i }));
+
+    await waitFor(() => {
+      assert.equal(paypalCalls.length, 1);
+    });
+    assert.deepEqual(paypalCalls[0].eventTypeIds, [onboarding.id, review.id]);
+    assert.equal(paypalCalls[0].eventTypeId, undefined);
+
+    const pendingBooking = JSON.parse(window.sessionStorage.getItem('calemly-sdk:pending-booking'));
+    assert.equal(pendingBooking.orderId, 'ord_cart_1');
+    assert.deepEqual(
+      pendingBooking.cart.map((item) => [item.eventType.id, item.slot.start]),
+      cart.map((item) => [item.eventType.id, item.slot.start])
+    );
+    cleanup();
+
+    const calls = [];
+    const transport = async (url, init) => {
+      const body = init?.body ? JSON.parse(init.body) : null;
+      calls.push({ url, method: init?.method || 'GET', body });
+
+      if (url.includes('/billing/public/capture-paypal-order')) {
+        return jsonResponse({ success: true, captureId: 'cap_cart_1' });
+      }
+
+      if (url.endsWith('/bookings/public/batch')) {
+        return jsonResponse({
+          bookings: body.bookings.map((item, index) => ({ id: `bk_pp_${index}`, start_time: item.start_time })),
+        });
+      }
+
+      return jsonResponse({ templates: [] });
+    };
+
+    let booking = null;
+    function Probe() {
+      booking = sdk.useBooking();
+      return React.createElement('div', { 'data-testid': 'step' }, booking.step);
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        { apiBaseUrl: 'https://api.test', eventType: onboarding, timezone: 'UTC', transport },
+        React.createElement(Probe)
+      )
+    );
+
+    const result = await booking.completePayPalBooking({ pendingBooking, payerId: 'payer_cart_1' });
+    assert.equal(result.ok, true);
+    await waitFor(() => {
+      assert.equal(view.getByTestId('step').textContent, sdk.BOOKING_STEPS.SUCCESS);
+    });
+
+    const batchCalls = calls.filter((call) => call.url.endsWith('/bookings/public/batch'));
+    assert.equal(batchCalls.length, 1);
+    assert.equal(batchCalls[0].body.paypal_order_id, 'ord_cart_1');
+    assert.equal(batchCalls[0].body.paypal_capture_id, 'cap_cart_1');
+    assert.deepEqual(
+      batchCalls[0].body.bookings.map((item) => [item.event_type_id, item.start_time]),
+      cart.map((item) => [item.eventType.id, item.slot.start])
+    );
+    assert.deepEqual(booking.confirmedBooking.cart.map((item) => item.id), ['bk_pp_0', 'bk_pp_1']);
+    assert.equal(window.sessionStorage.getItem('calemly-sdk:pending-booking'), null);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('event type list orders pinned events first and filters by search and chips', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventTypes = [
+    {
+      id: 'evt_intro',
+      name: 'Intro Call',
+      duration: 15,
+      location_type: 'video',
+      category: 'Sales',
+    },
+    {
+      id: 'evt_deep_dive',
+      name: 'Deep Dive',
+      duration: 60,
+      requires_payment: true,
+      payment_enabled: true,
+      price_cents: 12000,
+      currency: 'USD',
+      location_type: 'in_person',
+      location_label: 'Berlin office',
+      tags: ['Engineering'],
+    },
+    {
+      id: 'evt_support',
+      name: 'Support Session',
+      duration: 30,
+      location_type: 'phone',
+      category: 'Support',
+    },
+    {
+      id: 'evt_arch',
+      name: 'Architecture Review',
+      description: 'Walk through your system design.',
+      duration: 60,
+      requires_payment: true,
+      payment_enabled: true,
+      price_cents: 9000,
+      currency: 'USD',
+      location_type: 'video',
+      categories: ['Engineering'],
+    },
+  ];
+
+  const transport = async (url) => {
+    if (url.includes('/embed/')) {
+      return jsonResponse({
+        organization: { id: 'org_list', name: 'Acme' },
+        embed: {
+          pinned_event_type_ids: ['evt_support'],
+          event_type_order: ['evt_arch', 'evt_intro'],
+        },
+        eventTypes,
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, cleanup } = await import('@testing-library/react');
+
+    const view = render(
+      React.createElement(sdk.SchedulerWidget, {
+        apiBaseUrl: 'https://api.test',
+        embedKey: 'emb_list',
+        timezone: 'UTC',
+        transport,
+        showPoweredBy: false,
+      })
+    );
+
+    const search = await view.findByLabelText('Search events');
+    const cardNames = () => Array.from(view.container.querySelectorAll('.grid button p.font-semibold'))
+      .map((node) => node.textContent);
+
+    assert.deepEqual(cardNames(), ['Support Session', 'Architecture Review', 'Intro Call', 'Deep Dive']);
+    assert.ok(view.getByLabelText('Pinned'));
+    assert.ok(view.getByText('$120.00'));
+    assert.ok(view.getByText('Berlin office'));
+    assert.equal(view.getAllByText('Free').filter((node) => node.closest('.grid')).length, 2);
+
+    fireEvent.change(search, { target: { value: 'system design' } });
+    assert.deepEqual(cardNames(), ['Architecture Review']);
+
+    fireEvent.change(search, { target: { value: '' } });
+    fireEvent.click(view.getByRole('button', { name: 'Paid' }));
+    assert.deepEqual(cardNames(), ['Architecture Review', 'Deep Dive']);
+
+    fireEvent.click(view.getByRole('button', { name: 'Video call' }));
+    assert.deepEqual(cardNames(), ['Architecture Review']);
+    assert.equal(view.getByRole('button', { name: 'Video call' }).getAttribute('aria-pressed'), 'true');
+
+    fireEvent.click(view.getByRole('button', { name: '15 min' }));
+    assert.ok(view.getByText('No events match your search.'));
+
+    fireEvent.click(view.getByRole('button', { name: 'Clear filters' }));
+    assert.equal(cardNames().length, 4);
+
+    fireEvent.click(view.getByRole('button', { name: 'Engineering' }));
+    assert.deepEqual(cardNames(), ['Architecture Review', 'Deep Dive']);
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('url sync restores the flow from the query string and maps history back to the previous step', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget?ref=newsletter&calemly_step=confirm&calemly_event=deep-dive&calemly_date=2026-06-02&calemly_slot=2026-06-02T10%3A00%3A00.000Z');
+
+  const eventTypes = [
+    { id: 'evt_intro', slug: 'intro', name: 'Intro Call', duration: 30, calendarTimezone: 'UTC' },
+    { id: 'evt_deep', slug: 'deep-dive', name: 'Deep Dive', duration: 60, calendarTimezone: 'UTC' },
+  ];
+  const slots = [
+    { start: '2026-06-02T09:00:00.000Z', end: '2026-06-02T10:00:00.000Z' },
+    { start: '2026-06-02T10:00:00.000Z', end: '2026-06-02T11:00:00.000Z' },
+  ];
+
+  const transport = async (url) => {
+    if (url.includes('/embed/')) {
+      return jsonResponse({ organization: { id: 'org_url', name: 'Acme' }, eventTypes });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-06-02': slots } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const waitFor = (predicate) => new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const check = () => {
+      if (predicate()) {
+        resolve();
+        return;
+      }
+      if (Date.now() - startedAt > 2000) {
+        reject(new Error('Timed out waiting for store state'));
+        return;
+      }
+      setTimeout(check, 5);
+    };
+    check();
+  });
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      embedKey: 'emb_url',
+      timezone: 'UTC',
+      transport,
+      urlSync: true,
+    });
+    const params = () => new URL(window.location.href).searchParams;
+
+    store.start();
+    await waitFor(() => store.getState().step === sdk.BOOKING_STEPS.CONFIRM);
+
+    assert.equal(store.getState().eventType.id, 'evt_deep');
+    assert.equal(store.getState().selectedDate, '2026-06-02');
+    assert.equal(store.getState().selectedSlot.start, slots[1].start);
+    assert.equal(window.history.length, 1);
+
+    await waitFor(() => params().get('calemly_step') === sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(params().get('ref'), 'newsletter');
+    assert.equal(params().get('calemly_event'), 'deep-dive');
+    assert.equal(params().get('calemly_slot'), slots[1].start);
+
+    store.actions.goBack();
+    await waitFor(() => params().get('calemly_step') === sdk.BOOKING_STEPS.SELECT_TIME);
+    assert.equal(window.history.length, 1);
+
+    store.actions.selectSlot(slots[0]);
+    store.actions.confirmSelectedSlot();
+    await waitFor(() => params().get('calemly_step') === sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(window.history.length, 2);
+    assert.equal(params().get('calemly_slot'), slots[0].start);
+
+    window.history.back();
+    await waitFor(() => store.getState().step === sdk.BOOKING_STEPS.SELECT_TIME);
+    await waitFor(() => params().get('calemly_step') === sdk.BOOKING_STEPS.SELECT_TIME);
+    assert.equal(params().get('ref'), 'newsletter');
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('url sync restores history entries on back, forward and multi-entry jumps and ignores host entries', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventTypes = [
+    { id: 'evt_intro', slug: 'intro', name: 'Intro Call', duration: 30, calendarTimezone: 'UTC' },
+    { id: 'evt_deep', slug: 'deep-dive', name: 'Deep Dive', duration: 60, calendarTimezone: 'UTC' },
+  ];
+  const slots = [
+    { start: '2026-06-02T09:00:00.000Z', end: '2026-06-02T10:00:00.000Z' },
+    { start: '2026-06-02T10:00:00.000Z', end: '2026-06-02T11:00:00.000Z' },
+  ];
+
+  const transport = async (url) => {
+    if (url.includes('/embed/')) {
+      return jsonResponse({ organization: { id: 'org_url', name: 'Acme' }, eventTypes });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-06-02': slots } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  const waitFor = (predicate) => new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const check = () => {
+      if (predicate()) {
+        resolve();
+        return;
+      }
+      if (Date.now() - startedAt > 2000) {
+        reject(new Error('Timed out waiting for store state'));
+        return;
+      }
+      setTimeout(check, 5);
+    };
+    check();
+  });
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      embedKey: 'emb_url',
+      timezone: 'UTC',
+      transport,
+      urlSync: true,
+    });
+    const params = () => new URL(window.location.href).searchParams;
+
+    store.start();
+    await waitFor(() => params().get('calemly_step') === sdk.BOOKING_STEPS.SELECT_EVENT);
+
+    store.actions.selectEventType(eventTypes[1]);
+    await waitFor(() => params().get('calemly_step') === sdk.BOOKING_STEPS.SELECT_TIME);
+    store.actions.selectDate('2026-06-02');
+    await waitFor(() => (store.getState().slots['2026-06-02'] || []).length === 2);
+    store.actions.selectSlot(slots[1]);
+    store.actions.confirmSelectedSlot();
+    await waitFor(() => params().get('calemly_step') === sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(window.history.length, 3);
+
+    window.history.go(-2);
+    await waitFor(() => store.getState().step === sdk.BOOKING_STEPS.SELECT_EVENT);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(store.getState().eventType, null);
+    assert.equal(params().get('calemly_step'), sdk.BOOKING_STEPS.SELECT_EVENT);
+    assert.equal(params().get('calemly_event'), null);
+
+    window.history.forward();
+    await waitFor(() => store.getState().step === sdk.BOOKING_STEPS.SELECT_TIME);
+    await waitFor(() => store.getState().selectedDate === '2026-06-02');
+    assert.equal(store.getState().eventType.id, 'evt_deep');
+    assert.equal(store.getState().selectedSlot, null);
+    assert.equal(params().get('calemly_step'), sdk.BOOKING_STEPS.SELECT_TIME);
+    assert.equal(params().get('calemly_date'), '2026-06-02');
+
+    window.history.forward();
+    await waitFor(() => store.getState().step === sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(store.getState().selectedSlot.start, slots[1].start);
+    assert.equal(params().get('calemly_step'), sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(window.history.length, 3);
+
+    const confirmUrl = window.location.href;
+    window.dispatchEvent(new window.PopStateEvent('popstate', { state: null }));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(store.getState().step, sdk.BOOKING_STEPS.CONFIRM);
+    assert.equal(window.location.href, confirmUrl);
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('prefill fills guest fields and answers from props and the url, locks them and sends hidden fields', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget?name=Ada%20Lovelace&email=ada@example.com&answer_company=Analytical&utm_source=crm');
+
+  const eventType = {
+    id: 'evt_prefill_1',
+    name: 'Discovery Call',
+    duration: 30,
+    calendarTimezone: 'UTC',
+    form_schema: {
+      fields: [
+        { id: 'company', type: 'short_text', label: 'Company', required: true },
+        { id: 'role', type: 'short_text', label: 'Role' },
+      ],
+    },
+  };
+  const slot = { start: '2026-06-03T09:00:00.000Z', end: '2026-06-03T09:30:00.000Z' };
+  const bookings = [];
+
+  const transport = async (url, init) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-06-03': [slot] } });
+    }
+
+    if (init?.method === 'POST' && url.endsWith('/bookings/public')) {
+      bookings.push(JSON.parse(init.body));
+      return jsonResponse({ booking: { id: 'bk_prefill_1' } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function PrefillLayout() {
+      booking = sdk.useBooking();
+      return booking.step === booking.steps.CONFIRM ? React.createElement(sdk.BookingForm) : null;
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          timezone: 'UTC',
+          eventType,
+          transport,
+          prefill: {
+            fromUrl: true,
+            name: 'Ada King',
+            answers: { role: 'Engineer' },
+            hidden: { crm_lead_id: 'lead_42' },
+            readOnly: ['email', 'answers.company'],
+          },
+        },
+        React.createElement(PrefillLayout)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(booking.slots['2026-06-03']?.length, 1);
+    });
+    assert.deepEqual(booking.prefill.hidden, { utm_source: 'crm', crm_lead_id: 'lead_42' });
+
+    act(() => {
+      booking.selectSlot(slot);
+      booking.confirmSelectedSlot();
+    });
+
+    const nameInput = await view.findByLabelText('Your Name');
+    const emailInput = view.getByLabelText('Email Address');
+    const [companyInput, roleInput] = view.getAllByPlaceholderText('Enter your answer...');
+
+    assert.equal(nameInput.value, 'Ada King');
+    assert.equal(nameInput.readOnly, false);
+    assert.equal(emailInput.value, 'ada@example.com');
+    assert.equal(emailInput.readOnly, true);
+    assert.equal(companyInput.value, 'Analytical');
+    assert.equal(companyInput.closest('fieldset').disabled, true);
+    assert.equal(roleInput.value, 'Engineer');
+    assert.equal(roleInput.closest('fieldset').disabled, false);
+    assert.equal(view.queryByDisplayValue('lead_42'), null);
+
+    fireEvent.change(roleInput, { target: { value: 'Lead Engineer' } });
+    fireEvent.click(view.getByRole('button', { name: /Confirm Booking/i }));
+
+    await waitFor(() => {
+      assert.equal(bookings.length, 1);
+    });
+    assert.equal(bookings[0].guest_name, 'Ada King');
+    assert.equal(bookings[0].guest_email, 'ada@example.com');
+    assert.deepEqual(bookings[0].answers, { company: 'Analytical', role: 'Lead Engineer' });
+    assert.deepEqual(bookings[0].hidden_fields, { utm_source: 'crm', crm_lead_id: 'lead_42' });
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('BookingForm prefill prop sends its hidden fields with the booking', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = { id: 'evt_prefill_2', name: 'Discovery Call', duration: 30, calendarTimezone: 'UTC' };
+  const slot = { start: '2026-06-03T09:00:00.000Z', end: '2026-06-03T09:30:00.000Z' };
+  const bookings = [];
+
+  const transport = async (url, init) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-06-03': [slot] } });
+    }
+
+    if (init?.method === 'POST' && url.endsWith('/bookings/public')) {
+      bookings.push(JSON.parse(init.body));
+      return jsonResponse({ booking: { id: 'bk_prefill_2' } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function PrefillLayout() {
+      booking = sdk.useBooking();
+      return booking.step === booking.steps.CONFIRM
+        ? React.createElement(sdk.BookingForm, {
+          prefill: { name: 'Ada King', email: 'ada@example.com', hidden: { campaign: 'spring' } },
+        })
+        : null;
+    }
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        { apiBaseUrl: 'https://api.test', timezone: 'UTC', eventType, transport },
+        React.createElement(PrefillLayout)
+      )
+    );
+
+    await waitFor(() => {
+      assert.equal(booking.slots['2026-06-03']?.length, 1);
+    });
+    act(() => {
+      booking.selectSlot(slot);
+      booking.confirmSelectedSlot();
+    });
+
+    fireEvent.click(await view.findByRole('button', { name: /Confirm Booking/i }));
+    await waitFor(() => {
+      assert.equal(bookings.length, 1);
+    });
+    assert.equal(bookings[0].guest_name, 'Ada King');
+    assert.deepEqual(bookings[0].hidden_fields, { campaign: 'spring' });
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('locale translates components, formats dates and prices, and merges message overrides', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_locale_1',
+    name: 'Beratung',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+  const paidEventType = {
+    id: 'evt_locale_2',
+    name: 'Workshop',
+    duration: 90,
+    requires_payment: true,
+    payment_enabled: true,
+    price_cents: 4500,
+    currency: 'EUR',
+  };
+  const slot = { start: '2026-06-03T09:00:00.000Z', end: '2026-06-03T09:30:00.000Z' };
+  const bookings = [];
+
+  const transport = async (url, init) => {
+    if (url.includes('/bookings/public/slots')) {
+      return jsonResponse({ slots: { '2026-06-03': [slot] } });
+    }
+
+    if (init?.method === 'POST' && url.endsWith('/bookings/public')) {
+      bookings.push(JSON.parse(init.body));
+      return jsonResponse({ booking: { id: 'bk_locale_1' } });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function LocaleLayout() {
+      booking = sdk.useBooking();
+      return booking.step === booking.steps.CONFIRM
+        ? React.createElement(sdk.BookingForm)
+        : React.createElement(sdk.EventTypeList, { eventTypes: [eventType, paidEventType], onSelect: () => {} });
+    }
+
+    const providerProps = {
+      apiBaseUrl: 'https://api.test',
+      timezone: 'UTC',
+      eventType,
+      transport,
+      locale: 'de',
+      messages: { form: { submit: 'Jetzt buchen' } },
+    };
+    const view = render(React.createElement(sdk.SchedulerProvider, providerProps, React.createElement(LocaleLayout)));
+
+    assert.ok(await view.findByLabelText('Termine durchsuchen'));
+    assert.ok(view.getByText('45,00 €'));
+    assert.ok(view.getAllByText('90 Min.').length > 0);
+    assert.equal(booking.config.locale, 'de');
+
+    await waitFor(() => {
+      assert.equal(booking.slots['2026-06-03']?.length, 1);
+    });
+    act(() => {
+      booking.selectSlot(slot);
+      booking.confirmSelectedSlot();
+    });
+
+    assert.ok(await view.findByText('Angaben bestätigen'));
+    assert.ok(view.getByText('Mittwoch, 3. Juni 2026'));
+    assert.ok(view.getByText('09:00 - 09:30'));
+    assert.ok(view.getByText('UTC: Mi., 3. Juni 2026 um 09:00 UTC'));
+
+    fireEvent.change(view.getByLabelText('Dein Name'), { target: { value: 'Grace Hopper' } });
+    fireEvent.change(view.getByLabelText('E-Mail-Adresse'), { target: { value: 'grace@example.com' } });
+    assert.ok(view.getByRole('button', { name: 'Zurück' }));
+
+    view.rerender(React.createElement(
+      sdk.SchedulerProvider,
+      { ...providerProps, locale: 'fr', messages: undefined },
+      React.createElement(LocaleLayout)
+    ));
+    assert.ok(await view.findByText('Confirmez vos informations'));
+    assert.ok(view.getByText('mercredi 3 juin 2026'));
+
+    fireEvent.click(view.getByRole('button', { name: 'Confirmer la réservation' }));
+    await waitFor(() => {
+      assert.equal(bookings.length, 1);
+    });
+    assert.equal(bookings[0].guest_name, 'Grace Hopper');
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('store, api and prefetch errors and fallback labels follow the locale', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, act, cleanup } = await import('@testing-library/react');
+
+    await assert.rejects(
+      sdk.prefetchSchedulerData({ apiBaseUrl: 'https://api.test', locale: 'de' }),
+      { message: 'Die Scheduler-Konfiguration fehlt. Gib einen Embed-Schlüssel oder einen Termin-Slug an.' }
+    );
+
+    const setupStore = sdk.createSchedulerStore({ apiBaseUrl: 'https://api.test', locale: 'es' });
+    setupStore.start();
+    assert.equal(
+      setupStore.getState().loadError,
+      'Falta la configuración del programador. Indica una clave de inserción o un slug de evento.'
+    );
+    setupStore.destroy();
+
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      locale: 'fr',
+      circuitBreaker: { failureThreshold: 1 },
+      transport: async () => jsonResponse({}, 503),
+    });
+    const missingDetails = await store.actions.cancelBooking({ bookingId: 'bk_1' });
+    assert.equal(
+      missingDetails.error.message,
+      'Indiquez un identifiant de réservation avec un jeton ou l\'e-mail de l\'invité pour annuler une réservation.'
+    );
+    const circuitOpen = await store.actions.cancelBooking({ bookingId: 'bk_1', email: 'ada@example.com' });
+    assert.equal(
+      circuitOpen.error.message,
+      'Le service de réservation est temporairement indisponible. Veuillez réessayer dans un instant.'
+    );
+
+    const view = render(
+      React.createElement(
+        sdk.SchedulerProvider,
+        {
+          apiBaseUrl: 'https://api.test',
+          locale: 'de',
+          eventType: { id: 'evt_locale_hosts', name: 'Team', duration: 30 },
+          transport: async () => jsonResponse({ slots: {}, templates: [] }),
+        },
+        React.createElement(sdk.HostPicker, { eventType: { hosts: [{ id: 'host_1' }, { id: 'host_2', name: 'Ada' }] } })
+      )
+    );
+    assert.ok(view.getByText('Gastgeber'));
+    await act(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    });
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('timeout and network errors from the api follow the locale', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = { id: 'evt_locale_errors', name: 'Beratung', duration: 30, calendarTimezone: 'UTC' };
+  const slot = { start: '2026-06-03T09:00:00.000Z', end: '2026-06-03T09:30:00.000Z' };
+
+  const transport = async (url, init = {}) => {
+    if (url.includes('/bookings/public/slots')) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    if (init.method === 'POST' && url.endsWith('/bookings/public')) {
+      return new Promise((_, reject) => {
+        init.signal?.addEventListener('abort', () => reject(init.signal.reason || new Error('aborted')));
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const store = sdk.createSchedulerStore({
+      apiBaseUrl: 'https://api.test',
+      locale: 'de',
+      timezone: 'UTC',
+      eventType,
+      transport,
+      autoSignedWidgetToken: false,
+      requestTimeouts: { createBooking: 20 },
+    });
+
+    store.start();
+    await new Promise((resolve) => {
+      const check = () => {
+        if (store.getState().error) {
+          resolve();
+          return;
+        }
+        setTimeout(check, 10);
+      };
+      check();
+    });
+    assert.equal(
+      store.getState().error,
+      'Die Netzwerkanfrage ist fehlgeschlagen. Prüfe deine Verbindung und versuche es erneut.'
+    );
+
+    store.actions.selectSlot(slot);
+    const result = await store.actions.submitBooking({ guest_name: 'Ada Lovelace', guest_email: 'ada@example.com' });
+    assert.equal(result.error.code, 'TIMEOUT');
+    assert.equal(result.error.message, 'Die Anfrage hat zu lange gedauert. Prüfe deine Verbindung und versuche es erneut.');
+
+    store.destroy();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('rtl locales set dir on the sdk scope, an explicit dir wins, and slot picker arrows mirror', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventTypes = [
+    { id: 'evt_rtl_1', name: 'Intro', duration: 15 },
+    { id: 'evt_rtl_2', name: 'Review', duration: 60 },
+  ];
+
+  let slotRequests = 0;
+
+  const transport = async (url) => {
+    if (url.includes('/embed/')) {
+      return jsonResponse({ organization: { id: 'org_rtl', name: 'Acme' }, embed: {}, eventTypes });
+    }
+
+    if (url.includes('/bookings/public/slots')) {
+      slotRequests += 1;
+      return jsonResponse({ slots: {} });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    const widgetProps = {
+      apiBaseUrl: 'https://api.test',
+      embedKey: 'emb_rtl',
+      timezone: 'UTC',
+      transport,
+      showPoweredBy: false,
+      locale: 'ar',
+    };
+    const view = render(React.createElement(sdk.SchedulerWidget, widgetProps));
+    const scope = () => view.container.querySelector('.calemly-sdk');
+
+    await view.findByText('Review');
+    assert.equal(scope().getAttribute('dir'), 'rtl');
+    assert.equal(scope().getAttribute('lang'), 'ar');
+    assert.ok(view.getByText('Review').closest('button').className.includes('text-start'));
+
+    view.rerender(React.createElement(sdk.SchedulerWidget, { ...widgetProps, dir: 'ltr' }));
+    await waitFor(() => {
+      assert.equal(scope().getAttribute('dir'), 'ltr');
+    });
+
+    view.rerender(React.createElement(sdk.SchedulerWidget, { ...widgetProps, locale: 'he-IL' }));
+    await waitFor(() => {
+      assert.equal(scope().getAttribute('dir'), 'rtl');
+    });
+    cleanup();
+
+    const picker = render(React.createElement(
+      sdk.SchedulerProvider,
+      { apiBaseUrl: 'https://api.test', timezone: 'UTC', eventType: eventTypes[0], transport, locale: 'fa' },
+      React.createElement(sdk.SlotPicker)
+    ));
+    assert.equal(picker.container.querySelector('.calemly-sdk').getAttribute('dir'), 'rtl');
+    const navIcons = Array.from(picker.container.querySelectorAll('button svg.rtl\\:-scale-x-100'));
+    assert.equal(navIcons.length, 2);
+
+    await waitFor(() => {
+      assert.ok(slotRequests > 0);
+    });
+    await act(async () => {});
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('invitee timezone, clock and week start preferences refetch slots, persist and apply to success', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_prefs_1',
+    name: 'Preferences',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const requestedTimezones = [];
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      const params = new URL(url).searchParams;
+      const startDate = params.get('start_date');
+      requestedTimezones.push(params.get('timezone'));
+      return jsonResponse({
+        slots: {
+          [startDate]: [{ start: `${startDate}T09:00:00.000Z`, end: `${startDate}T09:30:00.000Z` }],
+        },
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, act, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function PickerLayout() {
+      booking = sdk.useBooking();
+      return React.createElement(sdk.SlotPicker);
+    }
+    function Probe() {
+      booking = sdk.useBooking();
+      return null;
+    }
+
+    const providerProps = {
+      apiBaseUrl: 'https://api.test',
+      eventType,
+      timezone: 'UTC',
+      transport,
+    };
+    const view = render(React.createElement(sdk.SchedulerProvider, providerProps, React.createElement(PickerLayout)));
+
+    await waitFor(() => {
+      assert.ok(Object.keys(booking.slots).length > 0);
+    });
+    const [slotDate] = Object.keys(booking.slots).sort();
+    act(() => {
+      booking.selectDate(slotDate);
+    });
+
+    assert.ok(await view.findByRole('option', { name: '9:00 AM' }));
+    assert.equal(booking.config.timeFormat, '12h');
+    assert.equal(booking.config.weekStart, 0);
+
+    fireEvent.click(view.getByRole('button', { name: '24h' }));
+    assert.ok(await view.findByRole('option', { name: '09:00' }));
+    assert.equal(view.getByRole('button', { name: '24h' }).getAttribute('aria-pressed'), 'true');
+
+    const weekdayHeaders = () => Array.from(view.container.querySelectorAll('.grid-cols-7 > button p.uppercase'))
+      .map((node) => node.textContent);
+    assert.equal(weekdayHeaders()[0], 'Sun');
+    fireEvent.change(view.getByLabelText('Week starts on'), { target: { value: '1' } });
+    await waitFor(() => {
+      assert.equal(weekdayHeaders()[0], 'Mon');
+    });
+
+    fireEvent.click(view.getByRole('button', { name: /UTC/ }));
+    fireEvent.change(view.getByLabelText('Search time zones'), { target: { value: 'tokyo' } });
+    fireEvent.click(view.getByRole('button', { name: 'Asia/Tokyo' }));
+
+    await waitFor(() => {
+      assert.equal(booking.userTimezone, 'Asia/Tokyo');
+      assert.ok(requestedTimezones.includes('Asia/Tokyo'));
+    });
+    act(() => {
+      booking.selectDate(slotDate);
+    });
+    assert.ok(await view.findByRole('option', { name: '18:00' }));
+
+    assert.deepEqual(JSON.parse(localStorage.getItem('calemly-sdk:display-preferences')), {
+      timezone: 'Asia/Tokyo',
+      timeFormat: '24h',
+      weekStart: 1,
+    });
+    cleanup();
+
+    const success = render(React.createElement(
+      sdk.SchedulerProvider,
+      providerProps,
+      React.createElement(Probe),
+      React.createElement(sdk.BookingSuccess, {
+        booking: { id: 'bk_prefs_1', start_time: '2026-06-03T09:00:00.000Z', end_time: '2026-06-03T09:30:00.000Z' },
+        eventType,
+      })
+    ));
+
+    await waitFor(() => {
+      assert.equal(booking.userTimezone, 'Asia/Tokyo');
+      assert.equal(booking.config.timeFormat, '24h');
+    });
+    assert.ok(success.getByText('18:00 - 18:30'));
+    assert.ok(success.getByText('Asia/Tokyo'));
+
+    await waitFor(() => {
+      assert.ok(requestedTimezones.filter((zone) => zone === 'Asia/Tokyo').length > 1);
+    });
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
+
+test('slot picker exposes a keyboard-navigable date grid, a times listbox and announces slot counts', { concurrency: false }, async () => {
+  const dom = setupDom('https://sdk.test/widget');
+
+  const eventType = {
+    id: 'evt_a11y_1',
+    name: 'Accessible',
+    duration: 30,
+    calendarTimezone: 'UTC',
+  };
+
+  const formatLocalDate = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+  const now = new Date();
+  const dayFromToday = (offset) => formatLocalDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+  const today = dayFromToday(0);
+  const tomorrow = dayFromToday(1);
+
+  const transport = async (url) => {
+    if (url.includes('/bookings/public/slots')) {
+      const startDate = new URL(url).searchParams.get('start_date');
+      return jsonResponse({
+        slots: startDate === today
+          ? {
+            [tomorrow]: [
+              { start: `${tomorrow}T15:00:00.000Z`, end: `${tomorrow}T15:30:00.000Z` },
+              { start: `${tomorrow}T16:00:00.000Z`, end: `${tomorrow}T16:30:00.000Z` },
+            ],
+          }
+          : {},
+      });
+    }
+
+    return jsonResponse({ templates: [] });
+  };
+
+  try {
+    const sdk = await loadSdkModule();
+    const { render, fireEvent, waitFor, cleanup } = await import('@testing-library/react');
+
+    let booking = null;
+    function Probe() {
+      booking = sdk.useBooking();
+      return null;
+    }
+
+    const view = render(React.createElement(
+      sdk.SchedulerProvider,
+      { apiBaseUrl: 'https://api.test', eventType, timezone: 'UTC', transport },
+      React.createElement(sdk.SlotPicker),
+      React.createElement(Probe)
+    ));
+
+    await waitFor(() => {
+      assert.equal(booking.slots[tomorrow]?.length, 2);
+    });
+
+    const grid = view.getByRole('grid');
+    const cellFor = (date) => grid.querySelector(`[data-date="${date}"]`);
+    assert.equal(view.getAllByRole('gridcell').length, 7);
+
+    const todayCell = cellFor(today);
+    assert.equal(todayCell.tabIndex, 0);
+    assert.equal(todayCell.getAttribute('aria-current'), 'date');
+    assert.equal(todayCell.getAttribute('aria-disabled'), 'true');
+    assert.match(todayCell.getAttribute('aria-label'), /, no available times$/);
+
+    todayCell.focus();
+    fireEvent.keyDown(todayCell, { key: 'ArrowRight' });
+    await waitFor(() => {
+      assert.equal(document.activeElement.getAttribute('data-date'), tomorrow);
+    });
+    const tomorrowCell = document.activeElement;
+    assert.equal(tomorrowCell.tabIndex, 0);
+    assert.equal(cellFor(today)?.tabIndex ?? -1, -1);
+    assert.equal(tomorrowCell.getAttribute('aria-disabled'), 'false');
+    assert.match(tomorrowCell.getAttribute('aria-label'), /, 2 times available$/);
+
+    fireEvent.click(tomorrowCell);
+    await waitFor(() => {
+      assert.equal(tomorrowCell.getAttribute('aria-selected'), 'true');
+    });
+    assert.match(view.getByRole('status').textContent, /^2 times available on /);
+
+    const listbox = view.getByRole('listbox', { name: /^Available times on / });
+    const options = Array.from(listbox.querySelectorAll('[role="option"]'));
+    assert.equal(options.length, 2);
+    assert.deepEqual(options.map((option) => option.tabIndex), [0, -1]);
+    assert.deepEqual(options.map((option) => option.getAttribute('aria-selected')), ['false', 'false']);
+
+    options[0].focus();
+    fireEvent.keyDown(options[0], { key: 'ArrowDown' });
+    assert.equal(document.activeElement, options[1]);
+    fireEvent.keyDown(options[1], { key: 'Home' });
+    assert.equal(document.activeElement, options[0]);
+    fireEvent.keyDown(options[0], { key: 'End' });
+    assert.equal(document.activeElement, options[1]);
+
+    fireEvent.click(options[1]);
+    await waitFor(() => {
+      assert.equal(options[1].getAttribute('aria-selected'), 'true');
+    });
+    assert.equal(booking.selectedSlot.start, `${tomorrow}T16:00:00.000Z`);
+    assert.equal(options[1].tabIndex, 0);
+
+    const selectedCell = cellFor(tomorrow);
+    selectedCell.focus();
+    fireEvent.keyDown(selectedCell, { key: 'PageDown' });
+    await waitFor(() => {
+      assert.equal(document.activeElement.getAttribute('data-date'), dayFromToday(8));
+    });
+    assert.equal(cellFor(tomorrow), null);
+
+    const weekCells = view.getAllByRole('gridcell');
+    fireEvent.keyDown(document.activeElement, { key: 'End' });
+    await waitFor(() => {
+      assert.equal(document.activeElement, weekCells[6]);
+    });
+    fireEvent.keyDown(document.activeElement, { key: 'Home' });
+    await waitFor(() => {
+      assert.equal(document.activeElement, weekCells[0]);
+    });
+
+    cleanup();
+  } finally {
+    teardownDom(dom);
+  }
+});
@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import path from 'node:path';
-import { existsSync } from 'node:fs';
+import { existsSync, readFileSync } from 'node:fs';
 import { fileURLToPath, pathToFileURL } from 'node:url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -11,6 +11,10 @@ test('dist artifacts are generated', () => {
   assert.equal(existsSync(path.join(sdkRoot, 'dist', 'index.js')), true);
   assert.equal(existsSync(path.join(sdkRoot, 'dist', 'index.mjs')), true);
   assert.equal(existsSync(path.join(sdkRoot, 'dist', 'index.css')), true);
+
+  const css = readFileSync(path.join(sdkRoot, 'dist', 'index.css'), 'utf8');
+  assert.match(css, /margin-inline-start/);
+  assert.match(css, /\.rtl\\:-scale-x-100:where\(\[dir=rtl\]/);
 });
 
 test('sdk exports are available', async () => {
@@ -21,12 +25,35 @@ test('sdk exports are available', async () => {
   assert.equal(typeof sdk.SchedulerWidget, 'function');
   assert.equal(typeof sdk.SchedulerContext, 'object');
   assert.equal(typeof sdk.useBooking, 'function');
+  assert.equal(typeof sdk.useI18n, 'function');
+  assert.deepEqual(Object.keys(sdk.BUILT_IN_LOCALES), ['en', 'es', 'fr', 'de']);
+  assert.equal(typeof sdk.EventTypeList, 'function');
   assert.equal(typeof sdk.SlotPicker, 'function');
+  assert.equal(typeof sdk.HostPicker, 'function');
+  assert.equal(typeof sdk.BookingCart, 'function');
   assert.equal(typeof sdk.BookingForm, 'function');
   assert.equal(typeof sdk.BookingSuccess, 'function');
+  assert.equal(typeof sdk.RescheduleForm, 'function');
+  assert.equal(typeof sdk.CancelBooking, 'function');
   assert.equal(typeof sdk.CustomFormRenderer, 'function');
   assert.equal(typeof sdk.validateFormAnswers, 'function');
   assert.equal(typeof sdk.ConflictResolver, 'function');
   assert.equal(typeof sdk.PaymentCheckout, 'function');
   assert.equal(typeof sdk.BOOKING_STEPS, 'object');
+  assert.equal(sdk.BOOKING_STEPS.SELECT_HOST, 'select_host');
+  assert.equal(sdk.ANY_AVAILABLE_HOST, 'any');
+  assert.equal(typeof sdk.createSchedulerStore, 'function');
+  assert.equal(typeof sdk.prefetchSchedulerData, 'function');
+  assert.equal(typeof sdk.createMemoryCache, 'function');
+  assert.equal(typeof sdk.createLocalStorageCache, 'function');
+  assert.equal(typeof sdk.createIndexedDbCache, 'function');
+  assert.equal(typeof sdk.createEventSourceSubscription, 'function');
+  assert.equal(typeof sdk.createWebSocketSubscription, 'function');
+  assert.equal(typeof sdk.SchedulerApiError, 'function');
+  assert.equal(typeof sdk.SlotConflictError, 'function');
+  assert.equal(typeof sdk.SlotLockedError, 'function');
+  assert.equal(typeof sdk.RateLimitError, 'function');
+  assert.equal(typeof sdk.OfflineError, 'function');
+  assert.equal(typeof sdk.TemplateInvalidError, 'function');
+  assert.equal(typeof sdk.BookingCancelledError, 'function');
 });